@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+
+// One-off migration for databases that stored amounts as floating point
+// dollars. Rewrites every stored amount and balance as integer cents. Run it
+// after migrate-ledger.js; it records itself in the migrations collection so
+// running it again does nothing.
+const MIGRATION_ID = "amounts-to-cents";
+
+const toCents = (dollars) => Math.round(dollars * 100);
+
+mongoose
+  .connect("mongodb://localhost:27017/nevmo", {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(async () => {
+    console.log("Connected to MongoDB");
+
+    const db = mongoose.connection.db;
+    const migrations = db.collection("migrations");
+
+    if (await migrations.findOne({ _id: MIGRATION_ID })) {
+      console.log("Amounts are already stored in cents");
+    } else if (
+      await db.collection("users").findOne({ balance: { $exists: true } })
+    ) {
+      throw new Error("Run migrate-ledger.js before migrating to cents");
+    } else {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const convert = async (collectionName, field) => {
+            const collection = db.collection(collectionName);
+            for await (const doc of collection.find({}, { session })) {
+              await collection.updateOne(
+                { _id: doc._id },
+                { $set: { [field]: toCents(doc[field] || 0) } },
+                { session },
+              );
+            }
+          };
+
+          await convert("transactions", "amount");
+          await convert("paymentrequests", "amount");
+
+          const entries = db.collection("journalentries");
+          for await (const entry of entries.find({}, { session })) {
+            await entries.updateOne(
+              { _id: entry._id },
+              {
+                $set: {
+                  postings: entry.postings.map((p) => ({
+                    ...p,
+                    amount: toCents(p.amount),
+                  })),
+                },
+              },
+              { session },
+            );
+          }
+
+          // Rebuild cached balances from the converted postings rather than
+          // rounding the old float balances, which may have drifted
+          const accounts = db.collection("ledgeraccounts");
+          for await (const account of accounts.find({}, { session })) {
+            const totals = await entries
+              .aggregate(
+                [
+                  { $unwind: "$postings" },
+                  { $match: { "postings.accountId": account._id } },
+                  {
+                    $group: {
+                      _id: "$postings.direction",
+                      total: { $sum: "$postings.amount" },
+                    },
+                  },
+                ],
+                { session },
+              )
+              .toArray();
+            const side = (direction) =>
+              (totals.find((t) => t._id === direction) || { total: 0 }).total;
+            const balance =
+              account.normalBalance === "debit"
+                ? side("debit") - side("credit")
+                : side("credit") - side("debit");
+            await accounts.updateOne(
+              { _id: account._id },
+              { $set: { balance } },
+              { session },
+            );
+          }
+
+          await migrations.insertOne(
+            { _id: MIGRATION_ID, appliedAt: new Date() },
+            { session },
+          );
+        });
+      } finally {
+        await session.endSession();
+      }
+      console.log("Converted all amounts to cents");
+    }
+
+    // Close the connection
+    await mongoose.connection.close();
+    console.log("Connection closed");
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
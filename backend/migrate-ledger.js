@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+
+// One-off migration for databases created before the double-entry ledger.
+// Every user without a ledger account gets one, opened with their old
+// User.balance through an entry against system:opening_balances, and the old
+// balance field is removed. Safe to run more than once.
+mongoose
+  .connect("mongodb://localhost:27017/nevmo", {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(async () => {
+    console.log("Connected to MongoDB");
+
+    const db = mongoose.connection.db;
+    const users = db.collection("users");
+    const accounts = db.collection("ledgeraccounts");
+    const entries = db.collection("journalentries");
+
+    await accounts.updateOne(
+      { code: "system:opening_balances" },
+      {
+        $setOnInsert: {
+          code: "system:opening_balances",
+          type: "system",
+          normalBalance: "debit",
+          balance: 0,
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true },
+    );
+    const openingAccount = await accounts.findOne({
+      code: "system:opening_balances",
+    });
+
+    let migrated = 0;
+    for await (const user of users.find({})) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const existing = await accounts.findOne(
+            { userId: user._id, type: "user" },
+            { session },
+          );
+          if (existing) {
+            return;
+          }
+
+          const balance = user.balance || 0;
+          const { insertedId } = await accounts.insertOne(
+            {
+              code: `user:${user._id}`,
+              type: "user",
+              normalBalance: "credit",
+              userId: user._id,
+              balance,
+              createdAt: new Date(),
+            },
+            { session },
+          );
+
+          if (balance > 0) {
+            await entries.insertOne(
+              {
+                memo: "Opening balance",
+                postings: [
+                  {
+                    accountId: openingAccount._id,
+                    accountCode: "system:opening_balances",
+                    direction: "debit",
+                    amount: balance,
+                  },
+                  {
+                    accountId: insertedId,
+                    accountCode: `user:${user._id}`,
+                    direction: "credit",
+                    amount: balance,
+                  },
+                ],
+                createdAt: new Date(),
+              },
+              { session },
+            );
+            await accounts.updateOne(
+              { _id: openingAccount._id },
+              { $inc: { balance } },
+              { session },
+            );
+          }
+
+          await users.updateOne(
+            { _id: user._id },
+            { $unset: { balance: "" } },
+            { session },
+          );
+          migrated += 1;
+        });
+      } finally {
+        await session.endSession();
+      }
+    }
+    console.log(`Opened ledger accounts for ${migrated} users`);
+
+    // Close the connection
+    await mongoose.connection.close();
+    console.log("Connection closed");
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
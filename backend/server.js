@@ -1,26 +1,208 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const nodemailer = require("nodemailer");
 const { z } = require("zod");
 
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. to 1, the number of proxy
+// hops) so req.ip is the client address that login throttling counts
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// MongoDB connection (use environment variable in production)
-mongoose
-  .connect("mongodb://localhost:27017/nevmo", {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-  })
-  .then(() => console.log("Connected to MongoDB"))
-  .catch((err) => console.error("MongoDB connection error:", err));
+// Every request gets an ID, taken from X-Request-Id when a proxy set one,
+// which is echoed back and recorded in the audit log
+app.use((req, res, next) => {
+  const header = req.headers["x-request-id"];
+  req.id =
+    typeof header === "string" && /^[\w.:-]{1,100}$/.test(header)
+      ? header
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
+// Money is stored and computed as integer cents. The API accepts amounts as
+// decimal strings or numbers with at most two decimal places and always
+// returns them as decimal strings such as "12.50", so no value is ever
+// rounded by floating point on either side.
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+// Convert a value matching AMOUNT_PATTERN to integer cents without going
+// through floating point multiplication
+const toCents = (value) => {
+  const [units, fraction = ""] = String(value).split(".");
+  return Number(units) * 100 + Number(fraction.padEnd(2, "0"));
+};
+
+// Format integer cents as a decimal string, e.g. 1250 -> "12.50"
+const formatCents = (cents) => {
+  const sign = cents < 0 ? "-" : "";
+  const abs = Math.abs(cents);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, "0")}`;
+};
+
+// Mongoose validator for fields holding cents
+const wholeCents = {
+  validator: Number.isSafeInteger,
+  message: "{PATH} must be a whole number of cents",
+};
 
 // MongoDB Schemas
+const TRANSACTION_TYPES = [
+  "deposit",
+  "withdraw",
+  "transfer_out",
+  "transfer_in",
+  "adjustment_in",
+  "adjustment_out",
+  // Money given back when a held transaction is rejected
+  "reversal",
+  // Money moved back when a bank withdrawal (in) or deposit (out) fails or
+  // is returned by the bank
+  "bank_return_in",
+  "bank_return_out",
+  // Money a recipient gave back for a transfer (see /api/transactions/:id/refund)
+  "refund_in",
+  "refund_out",
+  // Money an admin took back from a recipient for the sender when
+  // resolving a dispute
+  "chargeback_in",
+  "chargeback_out",
+];
+
+// Transaction types that add to the user's balance; the rest subtract
+const CREDIT_TRANSACTION_TYPES = [
+  "deposit",
+  "transfer_in",
+  "adjustment_in",
+  "reversal",
+  "bank_return_in",
+  "refund_in",
+  "chargeback_in",
+];
+
+// "held" transactions were stopped by a rule for review; their money sits in
+// system:held_for_review until an admin approves or rejects them. Bank
+// deposits and withdrawals are "pending" until the bank settles them, and
+// can fail before that or be returned after.
+const TRANSACTION_STATUSES = [
+  "completed",
+  "held",
+  "rejected",
+  "pending",
+  "settled",
+  "failed",
+  "returned",
+];
+
+// Transactions whose money did not end up moving, for totals and limits
+const UNDONE_TRANSACTION_STATUSES = ["rejected", "failed", "returned"];
+
+// What happened to a completed transfer afterwards, as recorded in its
+// statusTrail. Its status stays "completed", since the money did move.
+const TRANSFER_TRAIL_STATUSES = [
+  "partially_refunded",
+  "refunded",
+  "disputed",
+  "reversed",
+  "dispute_rejected",
+];
+
+// A dispute is "open" until an admin reverses the transfer or rejects it
+const DISPUTE_STATUSES = ["open", "reversed", "rejected"];
+
+// An authorization holds money on the payer's balance while it is
+// "authorized"; the payee then captures or voids it, or it expires
+const AUTHORIZATION_STATUSES = ["authorized", "captured", "voided", "expired"];
+
+// What a merchant's API key may do with checkout sessions
+const API_KEY_SCOPES = ["checkout:read", "checkout:write"];
+
+// A checkout session is "open" until the customer approves or declines it
+// or it expires. An approved payment a rule held for review is
+// "processing" until an admin completes it or it fails.
+const CHECKOUT_SESSION_STATUSES = [
+  "open",
+  "processing",
+  "completed",
+  "declined",
+  "expired",
+  "failed",
+  "refunded",
+];
+
+// Linked bank accounts can be used once micro-deposits have verified them.
+// "failed" accounts had too many wrong verification attempts.
+const BANK_ACCOUNT_STATUSES = ["unverified", "verified", "failed", "removed"];
+
+// Events webhook endpoints can subscribe to. "webhook.test" is only ever
+// sent on request, to the endpoint being tested.
+const WEBHOOK_EVENTS = [
+  "transaction.created",
+  "transaction.updated",
+  "authorization.created",
+  "authorization.updated",
+  "checkout.session.updated",
+  "account.frozen",
+  "account.unfrozen",
+  "login.failed",
+];
+
+// What a schedule can do, and how often. "once" runs a single time at its
+// start; the others repeat until the schedule's end date, if it has one.
+const SCHEDULE_TYPES = ["deposit", "withdraw", "transfer"];
+const SCHEDULE_FREQUENCIES = ["once", "daily", "weekly", "monthly"];
+
+// How a group expense is divided: equally between some members, in
+// proportion to whole-number shares, or in exact amounts
+const SPLIT_TYPES = ["equal", "shares", "exact"];
+
+// Who sees a transfer in the feed besides the two people in it: anyone,
+// people connected to either of them (see getConnections), or no one
+const FEED_VISIBILITIES = ["public", "friends", "private"];
+
+// Public @handles, stored without the @: 3 to 20 lowercase letters, digits
+// and underscores, starting with a letter. Reserved handles could pass for
+// Nevmo itself or its staff.
+const HANDLE_PATTERN = /^[a-z][a-z0-9_]{2,19}$/;
+const RESERVED_HANDLES = new Set([
+  "admin",
+  "administrator",
+  "api",
+  "billing",
+  "help",
+  "nevmo",
+  "official",
+  "payments",
+  "root",
+  "security",
+  "staff",
+  "support",
+  "system",
+  "team",
+  "verify",
+]);
+
+// Support staff can look at accounts and lift login lockouts; admins can
+// also freeze them and post adjustments
+const ROLES = ["user", "support", "admin"];
+
 const UserSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -29,320 +211,9138 @@ const UserSchema = new mongoose.Schema({
     lowercase: true, // Add this to ensure consistent email casing
     trim: true, // Remove whitespace
   },
-  name: { type: String, required: true },
-  password: { type: String, required: true, select: false },
-  balance: { type: Number, default: 0 },
-  createdAt: { type: Date, default: Date.now },
-});
-UserSchema.index({ email: 1 }, { unique: true });
+  name: { type: String, required: true },
+  // Optional public @handle others can find and pay the user by
+  handle: { type: String, lowercase: true, trim: true, match: HANDLE_PATTERN },
+  password: { type: String, required: true, select: false },
+  // TOTP two-factor authentication (RFC 6238). Secrets and recovery code
+  // hashes are never selected unless asked for.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret handed out by /api/2fa/setup, until a code confirms it
+    pendingSecret: { type: String, select: false },
+    recoveryCodeHashes: { type: [String], select: false },
+    // Last accepted time step; codes from it or earlier are refused
+    lastUsedStep: { type: Number, select: false },
+  },
+  // Set when the user follows the link in their verification email
+  emailVerifiedAt: Date,
+  role: { type: String, enum: ROLES, default: "user" },
+  // A frozen account cannot move money until an admin unfreezes it
+  frozen: {
+    at: Date,
+    reason: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+UserSchema.index({ email: 1 }, { unique: true });
+// Also backs prefix search, which matches handles with an anchored regex
+UserSchema.index({ handle: 1 }, { unique: true, sparse: true });
+
+const TransactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true,
+  },
+  amount: { type: Number, required: true, validate: wholeCents },
+  // Transfers only: the other user and their side of the transfer
+  counterparty: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: String,
+    email: String,
+  },
+  relatedTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+  },
+  note: { type: String, trim: true },
+  // Outgoing transfers only: who sees the transfer in the feed. Transfers
+  // from before the feed have none and are treated as private.
+  visibility: { type: String, enum: FEED_VISIBILITIES },
+  status: { type: String, enum: TRANSACTION_STATUSES, default: "completed" },
+  // What the transaction rules decided (see evaluateRules), and the rule
+  // behind a hold
+  risk: {
+    verdict: { type: String, enum: ["allow", "hold"] },
+    rule: String,
+    message: String,
+  },
+  // Bank deposits and withdrawals: the linked account, the provider's id
+  // for the transfer once it has been submitted, and the ACH return code
+  // and reason when it fails or is returned
+  bank: {
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "BankAccount" },
+    externalId: String,
+    submittedAt: Date,
+    settledAt: Date,
+    returnCode: String,
+    reason: String,
+    // When processBankTransfers next looks at it; unset once it is final
+    nextCheckAt: Date,
+    lockedUntil: Date,
+  },
+  // An admin's decision on a held transaction
+  review: {
+    decision: { type: String, enum: ["approve", "reject"] },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    at: Date,
+    reason: String,
+  },
+  // Transfers only, kept the same on both sides: how much the recipient has
+  // refunded so far, and the sender's dispute with how it was resolved
+  refundedAmount: { type: Number, min: 0, validate: wholeCents },
+  dispute: {
+    status: { type: String, enum: DISPUTE_STATUSES },
+    reason: String,
+    openedAt: Date,
+    resolvedAt: Date,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolution: String,
+    // What a reversal took back from the recipient
+    reversedAmount: { type: Number, validate: wholeCents },
+  },
+  statusTrail: [
+    {
+      _id: false,
+      status: { type: String, enum: TRANSFER_TRAIL_STATUSES, required: true },
+      amount: { type: Number, validate: wholeCents },
+      reason: String,
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  // The ledger entry that moved the money for this transaction
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "JournalEntry",
+    required: true,
+  },
+  date: { type: Date, default: Date.now },
+});
+// Backs history pagination, which walks (date, _id) in descending order
+TransactionSchema.index({ userId: 1, date: -1, _id: -1 });
+// Bank transfers waiting to be submitted or checked
+TransactionSchema.index({ "bank.nextCheckAt": 1 }, { sparse: true });
+// The feed finds transfers by either side
+TransactionSchema.index(
+  { "counterparty.userId": 1, date: -1, _id: -1 },
+  { sparse: true },
+);
+// The review queue
+TransactionSchema.index(
+  { date: 1 },
+  { partialFilterExpression: { status: "held" } },
+);
+// Disputes waiting for an admin
+TransactionSchema.index(
+  { "dispute.openedAt": 1 },
+  { partialFilterExpression: { "dispute.status": "open" } },
+);
+
+// Double-entry ledger. Every balance lives on a LedgerAccount and only
+// changes through a balanced JournalEntry (see postJournalEntry). Each user
+// has one "user" account; money enters and leaves through system accounts.
+//
+// balance is a cache of the account's postings in its normal direction and
+// is updated in the same database transaction as the entry that changes it.
+const LedgerAccountSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  type: { type: String, enum: ["user", "system"], required: true },
+  // Side that increases the balance: user wallets are what the platform owes
+  // its users (credit), system funding accounts hold money received (debit)
+  normalBalance: { type: String, enum: ["debit", "credit"], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  balance: { type: Number, default: 0, validate: wholeCents },
+  // User accounts: bank deposits in the balance that the bank has not
+  // settled yet. They cannot be spent until it does.
+  uncleared: { type: Number, default: 0, validate: wholeCents },
+  // User accounts: money set aside by open authorizations. It stays in the
+  // balance but cannot be spent or withdrawn.
+  onHold: { type: Number, default: 0, validate: wholeCents },
+  createdAt: { type: Date, default: Date.now },
+});
+LedgerAccountSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { type: "user" } },
+);
+
+const PostingSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerAccount",
+      required: true,
+    },
+    accountCode: { type: String, required: true },
+    direction: { type: String, enum: ["debit", "credit"], required: true },
+    amount: { type: Number, required: true, min: 0, validate: wholeCents },
+  },
+  { _id: false },
+);
+
+// Journal entries are never updated or deleted; corrections are new entries
+const JournalEntrySchema = new mongoose.Schema({
+  memo: { type: String, required: true },
+  postings: { type: [PostingSchema], required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+JournalEntrySchema.index({ "postings.accountId": 1, createdAt: -1 });
+JournalEntrySchema.pre("validate", function (next) {
+  const total = (direction) =>
+    this.postings
+      .filter((p) => p.direction === direction)
+      .reduce((sum, p) => sum + p.amount, 0);
+  if (this.postings.length < 2) {
+    this.invalidate("postings", "Journal entry needs at least two postings");
+  } else if (total("debit") !== total("credit")) {
+    this.invalidate("postings", "Journal entry debits and credits differ");
+  }
+  next();
+});
+
+// A request for money from one user (requester) to another (payer).
+// Only pending requests can change state; see REQUEST_TRANSITIONS.
+const PaymentRequestSchema = new mongoose.Schema({
+  requesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  payerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  amount: { type: Number, required: true, validate: wholeCents },
+  note: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: ["pending", "paid", "declined", "cancelled"],
+    default: "pending",
+  },
+  // The payer's transfer_out transaction, once paid
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+  createdAt: { type: Date, default: Date.now },
+  respondedAt: Date,
+});
+PaymentRequestSchema.index({ payerId: 1, status: 1, createdAt: -1 });
+PaymentRequestSchema.index({ requesterId: 1, status: 1, createdAt: -1 });
+
+// Money a payer has set aside for a payee, who can capture up to amount of
+// it as a transfer before expiresAt, like a card authorization. Names and
+// emails are copied in when it is placed, like a transaction's
+// counterparty.
+const AuthorizationSchema = new mongoose.Schema({
+  payer: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: String,
+    email: String,
+  },
+  payee: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: String,
+    email: String,
+  },
+  amount: { type: Number, required: true, min: 1, validate: wholeCents },
+  note: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: AUTHORIZATION_STATUSES,
+    default: "authorized",
+  },
+  expiresAt: { type: Date, required: true },
+  // Once captured: how much, and the payer's transfer_out transaction
+  capturedAmount: { type: Number, validate: wholeCents },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+  createdAt: { type: Date, default: Date.now },
+  closedAt: Date,
+});
+AuthorizationSchema.index({ status: 1, expiresAt: 1 });
+AuthorizationSchema.index({ "payer.userId": 1, createdAt: -1 });
+AuthorizationSchema.index({ "payee.userId": 1, createdAt: -1 });
+
+// A business taking Nevmo payments from its own site through checkout
+// sessions. Payments go to the owner's balance.
+const MerchantSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: { type: String, required: true, trim: true },
+  website: String,
+  createdAt: { type: Date, default: Date.now },
+});
+MerchantSchema.index({ ownerId: 1, createdAt: 1 });
+
+// A secret key a merchant's server calls the checkout API with. Only a hash
+// of the secret is kept; the key is shown once when it is issued. A rotated
+// key keeps working until expiresAt, so the merchant can deploy the new one.
+const ApiKeySchema = new mongoose.Schema({
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Merchant",
+    required: true,
+  },
+  name: { type: String, required: true, trim: true },
+  scopes: [{ type: String, enum: API_KEY_SCOPES }],
+  secretHash: { type: String, required: true, select: false },
+  last4: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: Date,
+  expiresAt: Date,
+  revokedAt: Date,
+});
+ApiKeySchema.index({ merchantId: 1, createdAt: 1 });
+
+// A payment a merchant asks a Nevmo user for. The amount is fixed when the
+// session is created and the customer approves exactly that amount. The
+// merchant's name is copied in, and the payer's details once they respond.
+const CheckoutSessionSchema = new mongoose.Schema({
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Merchant",
+    required: true,
+  },
+  merchantName: { type: String, required: true },
+  amount: { type: Number, required: true, min: 1, validate: wholeCents },
+  // Becomes the note on the payment
+  description: { type: String, required: true },
+  // The merchant's own id for the order, passed back to them
+  reference: String,
+  returnUrl: { type: String, required: true },
+  status: { type: String, enum: CHECKOUT_SESSION_STATUSES, default: "open" },
+  expiresAt: { type: Date, required: true },
+  payer: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: String,
+    email: String,
+  },
+  // The payer's transfer_out transaction
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date,
+});
+CheckoutSessionSchema.index({ merchantId: 1, createdAt: -1 });
+CheckoutSessionSchema.index({ status: 1, expiresAt: 1 });
+CheckoutSessionSchema.index({ transactionId: 1 }, { sparse: true });
+
+// Remembers the outcome of requests sent with an Idempotency-Key header so
+// a retried request returns the original response instead of moving money
+// twice. Keys are scoped to the user and forgotten after a day.
+const IdempotencyKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  key: { type: String, required: true },
+  // Hash of method, path and body; a key can only be replayed for the same
+  // request it was first used with
+  fingerprint: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["processing", "completed"],
+    default: "processing",
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 },
+});
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Snapshot of a closed calendar month (UTC). Generated the first time it is
+// requested after the month ends and returned unchanged from then on, so a
+// statement reads the same no matter what happens to the account later.
+const StatementSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  period: { type: String, required: true }, // YYYY-MM
+  openingBalance: { type: Number, required: true, validate: wholeCents },
+  closingBalance: { type: Number, required: true, validate: wholeCents },
+  // Sum of amounts per transaction type, in cents
+  totals: { type: Map, of: Number, default: {} },
+  transactions: [
+    {
+      _id: false,
+      transactionId: { type: mongoose.Schema.Types.ObjectId },
+      date: Date,
+      type: { type: String, enum: TRANSACTION_TYPES },
+      description: String,
+      note: String,
+      amount: Number, // signed, in cents
+      balance: Number, // after this transaction, in cents
+    },
+  ],
+  generatedAt: { type: Date, default: Date.now },
+});
+StatementSchema.index({ userId: 1, period: 1 }, { unique: true });
+
+// A signed-in device. Access tokens name their session and stop working as
+// soon as it is revoked. The refresh token is "<session id>.<secret>"; only
+// a hash of the secret is stored and it changes on every refresh.
+const SessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  refreshTokenHash: { type: String, required: true },
+  // Hashes of refresh tokens this session has already rotated past. Seeing
+  // one again means the token was copied, so the session is revoked.
+  previousTokenHashes: { type: [String], default: [] },
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, expires: 0 },
+  revokedAt: Date,
+  revokedReason: String,
+});
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Email verification and password reset tokens that have been used. Kept
+// until the token would have expired anyway, so each works only once.
+const UsedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true },
+  purpose: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  usedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, expires: 0 },
+});
+UsedTokenSchema.index({ jti: 1 }, { unique: true });
+
+// Failed logins per client IP ("ip:<address>") or per account
+// ("account:<email>"). While lockedUntil is in the future logins for the key
+// are refused. Kept in the database so every server instance sees the same
+// counts; forgotten a day after the last failure.
+const LoginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  scope: { type: String, enum: ["ip", "account"], required: true },
+  failures: { type: Number, default: 0 },
+  lockedUntil: Date,
+  // True for a full account lockout, as opposed to a backoff delay
+  locked: { type: Boolean, default: false },
+  lastFailureAt: Date,
+  expiresAt: { type: Date, required: true, expires: 0 },
+});
+LoginThrottleSchema.index({ key: 1 }, { unique: true });
+
+// Append-only audit log of security and money events. Records form one
+// chain per user they concern, and one for events about nobody, so appends
+// for different users never wait on each other. Each record carries the
+// hash of the one before it in its chain, so editing, removing or
+// reordering records breaks the chain (see verifyAuditChain). Records are
+// appended through appendAuditRecord and never updated or deleted.
+const AuditLogSchema = new mongoose.Schema({
+  // "user:<subjectId>" or "system"; unset on records from before there was
+  // a chain per user, which form the single chain "audit"
+  chain: String,
+  // Position in the chain, from 1
+  seq: { type: Number, required: true },
+  at: { type: Date, required: true },
+  event: { type: String, required: true },
+  // Who did it, and whose account it concerns; unset for anonymous events
+  // such as a login with an unknown email
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  // Money events: the amount and the subject's balance around it, in cents
+  amount: { type: Number, validate: wholeCents },
+  balanceBefore: { type: Number, validate: wholeCents },
+  balanceAfter: { type: Number, validate: wholeCents },
+  details: { type: mongoose.Schema.Types.Mixed },
+  prevHash: { type: String, required: true },
+  hash: { type: String, required: true },
+});
+AuditLogSchema.index({ chain: 1, seq: 1 }, { unique: true });
+AuditLogSchema.index({ actorId: 1, _id: -1 });
+AuditLogSchema.index({ subjectId: 1, _id: -1 });
+AuditLogSchema.index({ event: 1, _id: -1 });
+for (const operation of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  AuditLogSchema.pre(operation, () => {
+    throw new Error("The audit log is append-only");
+  });
+}
+
+// The sequence number and hash of the newest record in an audit chain,
+// keyed by the chain. Appending updates it first, which makes concurrent
+// appends to one chain conflict and retry instead of both chaining onto the
+// same record.
+const AuditHeadSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 },
+  hash: { type: String, default: "0".repeat(64) },
+});
+
+// An address that is sent WEBHOOK_EVENTS as signed JSON. Endpoints receive
+// events about their owner's account; an admin's endpoint with allUsers set
+// receives them for every account. The secret signs each delivery and is
+// shown only when the endpoint is created.
+const WebhookEndpointSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  url: { type: String, required: true },
+  description: String,
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  allUsers: { type: Boolean, default: false },
+  secret: { type: String, required: true, select: false },
+  createdAt: { type: Date, default: Date.now },
+});
+WebhookEndpointSchema.index({ userId: 1 });
+WebhookEndpointSchema.index({ events: 1, allUsers: 1 });
+
+// One event queued for one endpoint, and the log of attempts to deliver it.
+// payload is the exact body that is signed and sent, so retries and
+// redeliveries send the same bytes. Pending deliveries are picked up by
+// processWebhookQueue once nextAttemptAt has passed; lockedUntil keeps two
+// server instances from sending the same one at once.
+const WebhookDeliverySchema = new mongoose.Schema({
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WebhookEndpoint",
+    required: true,
+  },
+  eventId: { type: String, required: true },
+  event: { type: String, required: true },
+  payload: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed"],
+    default: "pending",
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  attemptLog: [
+    {
+      at: Date,
+      statusCode: Number,
+      error: String,
+      durationMs: Number,
+    },
+  ],
+  // Set on manual redeliveries to the delivery they repeat
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId },
+  // Deliveries are forgotten after 30 days
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 },
+});
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+// Balance and history changes pushed to a user's open /api/events streams.
+// seq counts up per user in the order the changes committed (see
+// publishLiveEvent), so a client that reconnects can ask for everything
+// after the last event it saw. Kept for a day.
+const LiveEventSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  seq: { type: Number, required: true },
+  type: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 },
+});
+LiveEventSchema.index({ userId: 1, seq: 1 }, { unique: true });
+
+// A deposit, withdrawal or transfer the user set up to run by itself, once
+// or every day, week or month until endAt. processDueSchedules runs it when
+// nextRunAt passes; lockedUntil keeps two server instances from trying the
+// same run at once. lastRun is the outcome of the latest run, which is
+// "skipped" when it could not go through, e.g. for insufficient funds.
+const ScheduleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  type: { type: String, enum: SCHEDULE_TYPES, required: true },
+  amount: { type: Number, required: true, min: 1, validate: wholeCents },
+  // Transfers only; copied when the schedule is set up
+  recipient: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: String,
+    email: String,
+  },
+  note: String,
+  // Deposits and withdrawals only
+  bankAccountId: { type: mongoose.Schema.Types.ObjectId, ref: "BankAccount" },
+  frequency: { type: String, enum: SCHEDULE_FREQUENCIES, required: true },
+  startAt: { type: Date, required: true },
+  endAt: Date,
+  nextRunAt: Date,
+  status: {
+    type: String,
+    enum: ["active", "paused", "completed"],
+    default: "active",
+  },
+  lockedUntil: Date,
+  runCount: { type: Number, default: 0 },
+  skipCount: { type: Number, default: 0 },
+  lastRun: {
+    at: Date,
+    // The transaction's status, or "skipped"
+    status: String,
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    error: String,
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+ScheduleSchema.index({ status: 1, nextRunAt: 1 });
+ScheduleSchema.index({ userId: 1, createdAt: -1 });
+
+// People who share expenses. Names and emails are copied in when members
+// join, like the counterparty of a transaction.
+const GroupSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  members: [
+    {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      name: String,
+      email: String,
+      joinedAt: { type: Date, default: Date.now },
+    },
+  ],
+  // People asked to join, by email. They only become members by accepting,
+  // and whether an email has an account is never looked up on their behalf.
+  invites: [
+    {
+      _id: false,
+      email: { type: String, required: true },
+      invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      invitedAt: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+});
+GroupSchema.index({ "members.userId": 1 });
+GroupSchema.index({ "invites.email": 1 });
+
+// Something one member paid for on behalf of the group, and how much of it
+// each member owes (splits, in cents, adding up to amount). Settling up is
+// recorded the same way: the member who paid is owed the transfer back by
+// the one who received it, which cancels out the debt. A settlement whose
+// transfer is rejected after review is voided and no longer counts.
+const ExpenseSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Group",
+    required: true,
+  },
+  description: { type: String, required: true },
+  amount: { type: Number, required: true, min: 1, validate: wholeCents },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  splitType: { type: String, enum: SPLIT_TYPES, required: true },
+  splits: [
+    {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      amount: { type: Number, validate: wholeCents },
+      // Shares splits only
+      shares: Number,
+    },
+  ],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  settlement: { type: Boolean, default: false },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+  voidedAt: Date,
+  date: { type: Date, default: Date.now },
+});
+ExpenseSchema.index({ groupId: 1, date: -1 });
+ExpenseSchema.index({ transactionId: 1 }, { sparse: true });
+
+// A bank account a user has linked for deposits and withdrawals. Only the
+// last four digits of the account number are kept; the bank provider holds
+// the account behind externalId.
+const BankAccountSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  provider: { type: String, required: true },
+  externalId: { type: String, required: true },
+  holderName: { type: String, required: true },
+  routingNumber: { type: String, required: true },
+  last4: { type: String, required: true },
+  // Hash of the routing and account numbers, so the same account cannot be
+  // linked twice. Unset when the account is removed.
+  fingerprint: String,
+  status: { type: String, enum: BANK_ACCOUNT_STATUSES, default: "unverified" },
+  verificationAttempts: { type: Number, default: 0 },
+  verifiedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+BankAccountSchema.index(
+  { userId: 1, fingerprint: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { fingerprint: { $type: "string" } },
+  },
+);
+
+// Someone a user has starred, to find them first when paying. Other contacts
+// are learnt from recent transfers rather than stored.
+const FavoriteSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+FavoriteSchema.index({ userId: 1, contactId: 1 }, { unique: true });
+
+// Likes and comments on a transfer in the feed. transactionId is the
+// sender's side of the transfer, which is what the feed lists.
+const FeedLikeSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    required: true,
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+FeedLikeSchema.index({ transactionId: 1, userId: 1 }, { unique: true });
+
+const FeedCommentSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    required: true,
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  text: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+FeedCommentSchema.index({ transactionId: 1, createdAt: 1 });
+
+// The newest live event seq of each user; _id is the user's id
+const LiveEventHeadSchema = new mongoose.Schema({
+  _id: { type: mongoose.Schema.Types.ObjectId },
+  seq: { type: Number, default: 0 },
+});
+
+const User = mongoose.model("User", UserSchema);
+const Transaction = mongoose.model("Transaction", TransactionSchema);
+const PaymentRequest = mongoose.model("PaymentRequest", PaymentRequestSchema);
+const Authorization = mongoose.model("Authorization", AuthorizationSchema);
+const Merchant = mongoose.model("Merchant", MerchantSchema);
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+const CheckoutSession = mongoose.model(
+  "CheckoutSession",
+  CheckoutSessionSchema,
+);
+const LedgerAccount = mongoose.model("LedgerAccount", LedgerAccountSchema);
+const JournalEntry = mongoose.model("JournalEntry", JournalEntrySchema);
+const IdempotencyKey = mongoose.model("IdempotencyKey", IdempotencyKeySchema);
+const Statement = mongoose.model("Statement", StatementSchema);
+const Session = mongoose.model("Session", SessionSchema);
+const UsedToken = mongoose.model("UsedToken", UsedTokenSchema);
+const LoginThrottle = mongoose.model("LoginThrottle", LoginThrottleSchema);
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+const AuditHead = mongoose.model("AuditHead", AuditHeadSchema);
+const WebhookEndpoint = mongoose.model(
+  "WebhookEndpoint",
+  WebhookEndpointSchema,
+);
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  WebhookDeliverySchema,
+);
+const Schedule = mongoose.model("Schedule", ScheduleSchema);
+const Group = mongoose.model("Group", GroupSchema);
+const Expense = mongoose.model("Expense", ExpenseSchema);
+const Favorite = mongoose.model("Favorite", FavoriteSchema);
+const BankAccount = mongoose.model("BankAccount", BankAccountSchema);
+const FeedLike = mongoose.model("FeedLike", FeedLikeSchema);
+const FeedComment = mongoose.model("FeedComment", FeedCommentSchema);
+const LiveEvent = mongoose.model("LiveEvent", LiveEventSchema);
+const LiveEventHead = mongoose.model("LiveEventHead", LiveEventHeadSchema);
+
+// System accounts money moves through on its way into or out of Nevmo.
+// Deposits and opening balances are debit-normal and withdrawals is
+// credit-normal, so across the ledger the sum of debit-normal balances
+// always equals the sum of credit-normal balances.
+const SYSTEM_ACCOUNTS = {
+  deposits: { code: "system:deposits", normalBalance: "debit" },
+  withdrawals: { code: "system:withdrawals", normalBalance: "credit" },
+  openingBalances: { code: "system:opening_balances", normalBalance: "debit" },
+  // Corrections posted by admins
+  adjustments: { code: "system:adjustments", normalBalance: "debit" },
+  // Outgoing money stopped by a rule, until it is released or returned
+  held: { code: "system:held_for_review", normalBalance: "credit" },
+  // Bank deposits and withdrawals on their way, until the bank settles them
+  bankDepositsInTransit: {
+    code: "system:bank_deposits_in_transit",
+    normalBalance: "debit",
+  },
+  bankWithdrawalsInTransit: {
+    code: "system:bank_withdrawals_in_transit",
+    normalBalance: "credit",
+  },
+};
+
+// Create indexes when the application starts
+const createIndexes = async () => {
+  try {
+    await User.createIndexes();
+    await Transaction.createIndexes();
+    await PaymentRequest.createIndexes();
+    await Authorization.createIndexes();
+    await Merchant.createIndexes();
+    await ApiKey.createIndexes();
+    await CheckoutSession.createIndexes();
+    await LedgerAccount.createIndexes();
+    await JournalEntry.createIndexes();
+    await IdempotencyKey.createIndexes();
+    await Statement.createIndexes();
+    await Session.createIndexes();
+    await UsedToken.createIndexes();
+    await LoginThrottle.createIndexes();
+    // Left from when the audit log was a single chain; seq now repeats
+    // across chains
+    await AuditLog.collection.dropIndex("seq_1").catch((error) => {
+      if (![26, 27].includes(error.code)) {
+        throw error;
+      }
+    });
+    await AuditLog.createIndexes();
+    await WebhookEndpoint.createIndexes();
+    await WebhookDelivery.createIndexes();
+    await Schedule.createIndexes();
+    await Group.createIndexes();
+    await Expense.createIndexes();
+    await Favorite.createIndexes();
+    await BankAccount.createIndexes();
+    await FeedLike.createIndexes();
+    await FeedComment.createIndexes();
+    await LiveEvent.createIndexes();
+    console.log("Indexes created successfully");
+  } catch (error) {
+    console.error("Error creating indexes:", error);
+  }
+};
+
+// System accounts are created once at startup so money-moving code can
+// rely on them existing
+const ensureSystemAccounts = async () => {
+  try {
+    await Promise.all(
+      Object.values(SYSTEM_ACCOUNTS).map(({ code, normalBalance }) =>
+        LedgerAccount.updateOne(
+          { code },
+          { $setOnInsert: { code, type: "system", normalBalance } },
+          { upsert: true },
+        ),
+      ),
+    );
+    console.log("System ledger accounts ready");
+  } catch (error) {
+    console.error("Error creating system ledger accounts:", error);
+  }
+};
+
+const MAX_GROUP_MEMBERS = 50;
+
+// Authorizations expire after defaultTtlMs unless the payer picks another
+// time, at most maxTtlMs away. Expired ones are released every pollMs.
+const AUTHORIZATIONS = {
+  defaultTtlMs: 7 * 24 * 60 * 60 * 1000,
+  maxTtlMs: 30 * 24 * 60 * 60 * 1000,
+  pollMs: Number(process.env.AUTHORIZATION_POLL_MS || 60 * 1000),
+  batchSize: 50,
+};
+
+// Checkout sessions last ttlMinutes unless the merchant asks for between
+// 5 minutes and maxTtlMinutes. Expired ones are closed every pollMs. A
+// rotated API key keeps working for rotationGraceMs.
+const CHECKOUT = {
+  ttlMinutes: 30,
+  maxTtlMinutes: 24 * 60,
+  pollMs: Number(process.env.CHECKOUT_POLL_MS || 60 * 1000),
+  batchSize: 50,
+  maxMerchantsPerUser: 5,
+  maxKeysPerMerchant: 10,
+  rotationGraceMs: 24 * 60 * 60 * 1000,
+};
+
+// Validation Schemas
+const amountSchema = z
+  .union([z.string().trim(), z.number()])
+  .refine(
+    (value) => AMOUNT_PATTERN.test(String(value)),
+    "Amount must be a number with at most two decimal places",
+  )
+  .transform(toCents)
+  .refine((cents) => cents > 0, "Amount must be positive")
+  .refine(Number.isSafeInteger, "Amount is too large");
+
+const registerSchema = z.object({
+  email: z.string().email("Invalid email format"),
+  password: z.string().min(8, "Password must be at least 8 characters"),
+  name: z.string().min(2, "Name must be at least 2 characters"),
+});
+
+const loginSchema = z.object({
+  email: z.string().email("Invalid email format"),
+  password: z.string().min(1, "Password is required"),
+});
+
+// ABA routing numbers end in a check digit: 3, 7 and 1 times the digits in
+// turn add up to a multiple of 10
+const isRoutingNumber = (value) => {
+  if (!/^\d{9}$/.test(value)) {
+    return false;
+  }
+  const sum = [...value].reduce(
+    (total, digit, i) => total + Number(digit) * [3, 7, 1][i % 3],
+    0,
+  );
+  return sum % 10 === 0;
+};
+
+const bankAccountSchema = z.object({
+  holderName: z
+    .string()
+    .trim()
+    .min(2, "Name must be at least 2 characters")
+    .max(100),
+  routingNumber: z
+    .string()
+    .trim()
+    .refine(isRoutingNumber, "Invalid routing number"),
+  accountNumber: z
+    .string()
+    .trim()
+    .regex(/^\d{4,17}$/, "Account numbers are 4 to 17 digits"),
+});
+
+// The two micro-deposits, in either order
+const bankVerificationSchema = z.object({
+  amounts: z.array(amountSchema).length(2, "Enter both amounts"),
+});
+
+// A deposit or withdrawal, to or from one of the user's bank accounts
+const transactionSchema = z.object({
+  amount: amountSchema,
+  bankAccountId: z
+    .string({ required_error: "Choose a bank account" })
+    .refine(mongoose.isValidObjectId, "Invalid id"),
+});
+
+// A handle as typed, with or without its @
+const handleSchema = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .transform((handle) => handle.replace(/^@/, ""))
+  .pipe(
+    z
+      .string()
+      .regex(
+        HANDLE_PATTERN,
+        "Handles are 3 to 20 letters, digits or underscores, starting with a letter",
+      ),
+  );
+
+// Transfer notes. Emoji count as one character, however many UTF-16 code
+// units they take.
+const noteTextSchema = z
+  .string()
+  .trim()
+  .refine(
+    (note) => [...note].length <= 280,
+    "Note must be at most 280 characters",
+  );
+
+// Every new transfer says what it is for
+const requiredNoteSchema = noteTextSchema.refine(
+  (note) => note.length > 0,
+  "Add a note saying what it's for",
+);
+
+const visibilitySchema = z.enum(FEED_VISIBILITIES).default("friends");
+
+// The User filter for someone given by email or handle
+const userLookup = (email, handle) => (email ? { email } : { handle });
+
+// The recipient is given by email or by handle, not both
+const transferSchema = z
+  .object({
+    recipientEmail: z.string().email("Invalid email format").optional(),
+    recipientHandle: handleSchema.optional(),
+    amount: amountSchema,
+    note: requiredNoteSchema,
+    visibility: visibilitySchema,
+  })
+  .refine((data) => !data.recipientEmail !== !data.recipientHandle, {
+    message: "Give the recipient's email or handle",
+    path: ["recipientEmail"],
+  });
+
+const paymentRequestSchema = z
+  .object({
+    payerEmail: z.string().email("Invalid email format").optional(),
+    payerHandle: handleSchema.optional(),
+    amount: amountSchema,
+    // Becomes the note on the transfer that pays the request
+    note: requiredNoteSchema,
+  })
+  .refine((data) => !data.payerEmail !== !data.payerHandle, {
+    message: "Give the payer's email or handle",
+    path: ["payerEmail"],
+  });
+
+const payRequestSchema = z.object({
+  visibility: visibilitySchema,
+});
+
+const authorizationSchema = z
+  .object({
+    payeeEmail: z.string().email("Invalid email format").optional(),
+    payeeHandle: handleSchema.optional(),
+    amount: amountSchema,
+    // Becomes the note on the transfer when it is captured
+    note: requiredNoteSchema,
+    expiresAt: z.coerce
+      .date()
+      .refine((date) => date > Date.now(), "Expiry time must be in the future")
+      .refine(
+        (date) => date <= Date.now() + AUTHORIZATIONS.maxTtlMs,
+        `Authorizations can last at most ${AUTHORIZATIONS.maxTtlMs / (24 * 60 * 60 * 1000)} days`,
+      )
+      .optional(),
+  })
+  .refine((data) => !data.payeeEmail !== !data.payeeHandle, {
+    message: "Give the payee's email or handle",
+    path: ["payeeEmail"],
+  });
+
+// Leave amount out to capture all of it
+const captureSchema = z.object({
+  amount: amountSchema.optional(),
+});
+
+// Leave amount out to refund everything not refunded yet
+const refundSchema = z.object({
+  amount: amountSchema.optional(),
+  reason: z.string().trim().max(500).optional(),
+});
+
+const disputeSchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(10, "Tell us what went wrong in a few words")
+    .max(1000),
+});
+
+const authorizationListSchema = z.object({
+  status: z.enum(AUTHORIZATION_STATUSES).optional(),
+});
+
+const merchantSchema = z.object({
+  name: z.string().trim().min(2, "Name must be at least 2 characters").max(100),
+  website: z.string().trim().url("Invalid URL").optional(),
+});
+
+const apiKeySchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100),
+  scopes: z
+    .array(z.enum(API_KEY_SCOPES))
+    .min(1, "Choose at least one scope")
+    .transform((scopes) => [...new Set(scopes)]),
+});
+
+const checkoutSessionSchema = z.object({
+  amount: amountSchema,
+  description: requiredNoteSchema,
+  // Customers are sent back here. Plain http is only allowed to localhost,
+  // for shops being developed.
+  returnUrl: z
+    .string()
+    .trim()
+    .url("Invalid URL")
+    .refine((url) => {
+      const { protocol, hostname } = new URL(url);
+      return (
+        protocol === "https:" ||
+        (protocol === "http:" && ["localhost", "127.0.0.1"].includes(hostname))
+      );
+    }, "Return URLs must use https"),
+  reference: z.string().trim().max(100).optional(),
+  expiresInMinutes: z
+    .number()
+    .int()
+    .min(5)
+    .max(CHECKOUT.maxTtlMinutes)
+    .default(CHECKOUT.ttlMinutes),
+});
+
+const checkoutSessionListSchema = z.object({
+  status: z.enum(CHECKOUT_SESSION_STATUSES).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(25),
+});
+
+// The amount the customer was shown, which must be the session's. Payments
+// to merchants stay out of the feed unless the customer shares them.
+const checkoutApprovalSchema = z.object({
+  amount: amountSchema,
+  visibility: z.enum(FEED_VISIBILITIES).default("private"),
+});
+
+const claimHandleSchema = z.object({
+  handle: handleSchema.refine(
+    (handle) => !RESERVED_HANDLES.has(handle),
+    "That handle is reserved",
+  ),
+});
+
+const userSearchSchema = z.object({
+  q: z
+    .string()
+    .trim()
+    .min(2, "Type at least 2 characters")
+    .max(100, "Search is too long"),
+});
+
+const transactionQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(25),
+  cursor: z.string().optional(),
+  // One type or a comma-separated list
+  type: z
+    .preprocess(
+      (value) => (typeof value === "string" ? value.split(",") : value),
+      z.array(z.enum(TRANSACTION_TYPES)),
+    )
+    .optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  minAmount: amountSchema.optional(),
+  maxAmount: amountSchema.optional(),
+  q: z.string().trim().max(100).optional(),
+});
+
+const exportQuerySchema = z.object({
+  format: z.enum(["csv", "ofx", "qif"]).default("csv"),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
+const statementParamsSchema = z.object({
+  period: z
+    .string()
+    .regex(/^\d{4}-(0[1-9]|1[0-2])$/, "Period must be formatted as YYYY-MM"),
+});
+
+const statementQuerySchema = z.object({
+  format: z.enum(["json", "pdf"]).default("json"),
+});
+
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1, "Refresh token is required"),
+});
+
+const adminUserSearchSchema = z.object({
+  // Matches the start of the email or name; empty lists the newest users
+  q: z.string().trim().max(100).default(""),
+  limit: z.coerce.number().int().min(1).max(100).default(25),
+});
+
+// Freezing an account or rejecting a held transaction needs a reason
+const reasonSchema = z.object({
+  reason: z.string().trim().min(3, "A reason is required").max(500),
+});
+
+const optionalReasonSchema = z.object({
+  reason: z.string().trim().max(500).optional(),
+});
+
+const adjustmentSchema = z.object({
+  direction: z.enum(["credit", "debit"]),
+  amount: amountSchema,
+  reason: z.string().trim().min(3, "A reason is required").max(500),
+});
+
+const auditQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+  // id of the last record on the previous page
+  before: z
+    .string()
+    .refine(mongoose.isValidObjectId, "Invalid record id")
+    .optional(),
+  // One event or a comma-separated list
+  event: z
+    .preprocess(
+      (value) => (typeof value === "string" ? value.split(",") : value),
+      z.array(z.string().min(1)),
+    )
+    .optional(),
+  // Records where this user is the actor or the subject
+  userId: z
+    .string()
+    .refine(mongoose.isValidObjectId, "Invalid user id")
+    .optional(),
+  requestId: z.string().optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
+const webhookSchema = z.object({
+  url: z
+    .string()
+    .trim()
+    .url()
+    .refine((url) => {
+      const { protocol } = new URL(url);
+      return (
+        protocol === "https:" || (WEBHOOK_ALLOW_HTTP && protocol === "http:")
+      );
+    }, "Webhook URLs must use https"),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1, "Choose at least one event"),
+  description: z.string().trim().max(200).optional(),
+  // Admins only: receive events for every account, not just their own
+  allUsers: z.boolean().default(false),
+});
+
+const noteSchema = noteTextSchema.optional();
+
+const objectIdSchema = z
+  .string()
+  .refine(mongoose.isValidObjectId, "Invalid id");
+
+const scheduleSchema = z
+  .object({
+    type: z.enum(SCHEDULE_TYPES),
+    amount: amountSchema,
+    // Transfers only, one or the other
+    recipientEmail: z.string().email("Invalid email format").optional(),
+    recipientHandle: handleSchema.optional(),
+    note: noteSchema,
+    // Deposits and withdrawals only
+    bankAccountId: objectIdSchema.optional(),
+    frequency: z.enum(SCHEDULE_FREQUENCIES),
+    startAt: z.coerce
+      .date()
+      .refine(
+        (date) => date.getTime() > Date.now() - 60 * 1000,
+        "Start time must be in the future",
+      ),
+    endAt: z.coerce.date().optional(),
+  })
+  .refine(
+    (schedule) =>
+      schedule.type !== "transfer" ||
+      !schedule.recipientEmail !== !schedule.recipientHandle,
+    {
+      message: "Transfers need the recipient's email or handle",
+      path: ["recipientEmail"],
+    },
+  )
+  .refine((schedule) => schedule.type !== "transfer" || schedule.note, {
+    message: "Add a note saying what it's for",
+    path: ["note"],
+  })
+  .refine(
+    (schedule) => schedule.type === "transfer" || schedule.bankAccountId,
+    { message: "Choose a bank account", path: ["bankAccountId"] },
+  )
+  .refine((schedule) => !schedule.endAt || schedule.frequency !== "once", {
+    message: "One-off schedules cannot have an end date",
+    path: ["endAt"],
+  })
+  .refine((schedule) => !schedule.endAt || schedule.endAt > schedule.startAt, {
+    message: "End date must be after the start",
+    path: ["endAt"],
+  });
+
+// Everything is optional; endAt null removes the end date
+const scheduleUpdateSchema = z.object({
+  amount: amountSchema.optional(),
+  note: noteSchema,
+  endAt: z.coerce.date().nullable().optional(),
+  status: z.enum(["active", "paused"]).optional(),
+});
+
+const groupSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100),
+  // Everyone to invite; the creator joins automatically
+  memberEmails: z
+    .array(z.string().trim().toLowerCase().email("Invalid email format"))
+    .max(MAX_GROUP_MEMBERS - 1)
+    .default([]),
+});
+
+const groupMemberSchema = z.object({
+  email: z.string().trim().toLowerCase().email("Invalid email format"),
+});
+
+// splits names who shares the expense: any members for "equal", with
+// shares for "shares" and with amounts adding up to the total for "exact"
+const expenseSchema = z.object({
+  description: z.string().trim().min(1, "Description is required").max(200),
+  amount: amountSchema,
+  // Defaults to the member recording it
+  paidBy: objectIdSchema.optional(),
+  splitType: z.enum(SPLIT_TYPES),
+  splits: z
+    .array(
+      z.object({
+        userId: objectIdSchema,
+        shares: z.number().int().positive().optional(),
+        amount: amountSchema.optional(),
+      }),
+    )
+    .min(1, "Choose who shares the expense"),
+});
+
+// What the user was shown they owe. Settling up pays whatever the server
+// works out is owed when the request arrives; with amount, only if that is
+// still the same.
+const settleUpSchema = z.object({
+  amount: amountSchema.optional(),
+});
+
+const feedQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  cursor: z.string().optional(),
+  // One person's activity instead of the user's whole feed
+  userId: objectIdSchema.optional(),
+});
+
+const commentSchema = z.object({
+  text: noteTextSchema.refine(
+    (text) => text.length > 0,
+    "Comment cannot be empty",
+  ),
+});
+
+const webhookDeliveryQuerySchema = z.object({
+  status: z.enum(["pending", "succeeded", "failed"]).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(25),
+});
+
+const logoutSchema = z.object({
+  allDevices: z.boolean().default(false),
+});
+
+const totpCodeSchema = z.object({
+  code: z.string().regex(/^\d{6}$/, "Code must be 6 digits"),
+});
+
+// Either an authenticator code or one of the recovery codes
+const secondFactorSchema = z
+  .object({
+    code: z
+      .string()
+      .regex(/^\d{6}$/, "Code must be 6 digits")
+      .optional(),
+    recoveryCode: z.string().trim().min(1).optional(),
+  })
+  .refine(
+    (data) => data.code || data.recoveryCode,
+    "An authenticator code or recovery code is required",
+  );
+
+const loginChallengeSchema = z
+  .object({ challengeToken: z.string().min(1, "Challenge token is required") })
+  .and(secondFactorSchema);
+
+const disableTwoFactorSchema = z
+  .object({ password: z.string().min(1, "Password is required") })
+  .and(secondFactorSchema);
+
+const emailTokenSchema = z.object({
+  token: z.string().min(1, "Token is required"),
+});
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email("Invalid email format"),
+});
+
+const resetPasswordSchema = emailTokenSchema.extend({
+  password: z.string().min(8, "Password must be at least 8 characters"),
+});
+
+const requestListSchema = z.object({
+  status: z.enum(["pending", "paid", "declined", "cancelled"]).optional(),
+});
+
+// JWT secret (use environment variable in production)
+const JWT_SECRET = "your-secret-key";
+
+// Access tokens are short-lived; clients renew them with the refresh token,
+// which keeps a session alive for up to REFRESH_TOKEN_TTL_MS
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// How many rotated refresh tokens a session remembers for reuse detection
+const REFRESH_TOKEN_HISTORY = 50;
+
+// Users with two-factor authentication must confirm withdrawals and
+// transfers above this amount (in cents) with a fresh code in the
+// X-TOTP-Code header
+const TOTP_STEP_UP_THRESHOLD = Number(
+  process.env.TOTP_STEP_UP_THRESHOLD_CENTS || 100000,
+);
+const TOTP_ISSUER = "Nevmo";
+// Seconds per TOTP time step, and how many steps either side of now to
+// accept to allow for clock drift
+const TOTP_PERIOD = 30;
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+// Links in emails point at the frontend, which passes the token on to the API
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const EMAIL_TOKEN_TTL = {
+  verify_email: "24h",
+  reset_password: "1h",
+  unlock_account: "24h",
+};
+
+// Login throttling. After freeAttempts failures each further one makes the
+// key wait baseDelayMs, doubling up to maxDelayMs. An account that reaches
+// lockoutAfter failures is locked for lockoutMs and its owner is emailed an
+// unlock link.
+const LOGIN_THROTTLES = {
+  ip: { freeAttempts: 20, baseDelayMs: 1000, maxDelayMs: 15 * 60 * 1000 },
+  account: {
+    freeAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * 60 * 1000,
+    lockoutAfter: 10,
+    lockoutMs: 60 * 60 * 1000,
+  },
+};
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Accounts that have not verified their email address cannot hold more than
+// this (in cents)
+const UNVERIFIED_BALANCE_LIMIT = Number(
+  process.env.UNVERIFIED_BALANCE_LIMIT_CENTS || 10000,
+);
+
+// Webhook delivery. A failed attempt is retried after retryBaseMs, doubling
+// up to retryMaxMs, until maxAttempts have been made. The queue is checked
+// every pollMs. Plain http:// endpoints are only accepted with
+// WEBHOOK_ALLOW_HTTP set, and endpoints on private addresses with
+// allowPrivateHosts (WEBHOOK_ALLOW_PRIVATE_HOSTS), for trying webhooks out
+// locally.
+const WEBHOOK_DELIVERY = {
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 10),
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS || 60 * 1000),
+  retryMaxMs: 6 * 60 * 60 * 1000,
+  timeoutMs: 10 * 1000,
+  pollMs: Number(process.env.WEBHOOK_POLL_MS || 5000),
+  batchSize: 20,
+  allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true",
+};
+const WEBHOOK_ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === "true";
+const MAX_WEBHOOKS_PER_USER = 10;
+
+// Webhooks may not reach into the network the server runs in: private,
+// loopback, link-local, shared and reserved ranges. IPv4 addresses written
+// as IPv6 (::ffff:10.0.0.1) are checked against the IPv4 ranges.
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// Due schedules are looked for every pollMs. A run that has not finished
+// within lockMs (say, the server stopped part way) may be tried again; the
+// run itself commits at most once. Each user can have maxPerUser schedules.
+const SCHEDULE_RUNNER = {
+  pollMs: Number(process.env.SCHEDULE_POLL_MS || 30 * 1000),
+  lockMs: 60 * 1000,
+  batchSize: 20,
+  maxPerUser: 50,
+};
+
+// Bank transfers are submitted to the provider and then checked every
+// pollMs until they settle or fail. Settled ones are still checked for
+// returns for returnWindowMs.
+const BANK_TRANSFERS = {
+  pollMs: Number(process.env.BANK_POLL_MS || 30 * 1000),
+  lockMs: 60 * 1000,
+  batchSize: 20,
+  returnWindowMs: Number(
+    process.env.BANK_RETURN_WINDOW_MS || 2 * 24 * 60 * 60 * 1000,
+  ),
+  maxAccountsPerUser: 5,
+  maxVerificationAttempts: 3,
+};
+
+// The simulated bank provider settles transfers settleMs after they are
+// submitted. Account numbers ending in failingLast4 fail with R03 (no
+// account); those ending in returningLast4 settle and are returned settleMs
+// later, with R01 (insufficient funds) for deposits and R02 (account closed)
+// for withdrawals.
+const BANK_SIMULATOR = {
+  settleMs: Number(process.env.BANK_SIM_SETTLE_MS || 60 * 1000),
+  failingLast4: "1116",
+  returningLast4: "2227",
+};
+
+// User search returns at most searchLimit people. Contacts are the user's
+// favorites and the recentContacts people they last sent money to or got it
+// from, learnt from their latest historyWindow transactions.
+const CONTACTS = {
+  searchLimit: 10,
+  maxFavorites: 50,
+  recentContacts: 10,
+  historyWindow: 200,
+};
+
+// Senders can dispute a transfer for windowDays after they made it
+const DISPUTES = {
+  windowDays: 120,
+};
+
+// A feed item shows at most maxComments comments
+const FEED = {
+  maxComments: 100,
+};
+
+// /api/events streams. Clients wait retryMs before reconnecting, a comment
+// every heartbeatMs keeps proxies from closing an idle stream (and checks
+// the session is still live), and a reconnecting client that missed more
+// than maxReplay events is told to reload instead.
+const LIVE_EVENTS = {
+  retryMs: 3000,
+  heartbeatMs: 25 * 1000,
+  maxReplay: 100,
+};
+
+// Transaction rules, loaded from RULES_FILE (rules.json by default). Each
+// rule applies to some of "deposit", "withdraw" and "transfer_out" and
+// either blocks the transaction or holds it for review when it fires. Only
+// outgoing money can be held.
+const ruleBaseSchema = z.object({
+  id: z.string().min(1),
+  appliesTo: z.array(z.enum(["deposit", "withdraw", "transfer_out"])).min(1),
+  action: z.enum(["block", "hold"]),
+});
+
+const ruleSchema = z
+  .discriminatedUnion("type", [
+    // Any single transaction above amount
+    ruleBaseSchema.extend({
+      type: z.literal("maxAmount"),
+      amount: amountSchema,
+    }),
+    // The total or number of transactions in the current UTC day or month
+    ruleBaseSchema.extend({
+      type: z.literal("velocity"),
+      period: z.enum(["day", "month"]),
+      maxAmount: amountSchema.optional(),
+      maxCount: z.number().int().positive().optional(),
+    }),
+    // Transactions above maxAmount from accounts younger than accountAgeDays
+    ruleBaseSchema.extend({
+      type: z.literal("newAccount"),
+      accountAgeDays: z.number().positive(),
+      maxAmount: amountSchema,
+    }),
+    // Transactions of at least minAmount that are more than multiplier times
+    // the average of the user's last sampleSize ones, once there are
+    // minHistory to compare with
+    ruleBaseSchema.extend({
+      type: z.literal("unusualAmount"),
+      multiplier: z.number().positive(),
+      sampleSize: z.number().int().positive().default(20),
+      minHistory: z.number().int().positive().default(5),
+      minAmount: amountSchema,
+    }),
+  ])
+  .refine(
+    (rule) => rule.action === "block" || !rule.appliesTo.includes("deposit"),
+    "Deposits can only be blocked, not held",
+  )
+  .refine(
+    (rule) => rule.type !== "velocity" || rule.maxAmount || rule.maxCount,
+    "Velocity rules need maxAmount or maxCount",
+  );
+
+const TRANSACTION_RULES = z
+  .array(ruleSchema)
+  .parse(
+    JSON.parse(
+      fs.readFileSync(
+        process.env.RULES_FILE || path.join(__dirname, "rules.json"),
+        "utf8",
+      ),
+    ),
+  );
+
+const RULE_TYPE_LABELS = {
+  deposit: "deposits",
+  withdraw: "withdrawals",
+  transfer_out: "transfers",
+};
+const RULE_TYPE_VERBS = {
+  deposit: "deposit",
+  withdraw: "withdraw",
+  transfer_out: "send",
+};
+
+// Mail transports. Each takes { to, subject, text } and delivers it:
+// "smtp" through the server in SMTP_URL, "file" as a JSON file per message
+// in MAIL_DIR, and "console" by printing it, which is the default.
+const MAIL_TRANSPORTS = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+    return (message) =>
+      transporter.sendMail({
+        from: process.env.MAIL_FROM || "Nevmo <no-reply@nevmo.local>",
+        ...message,
+      });
+  },
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, "mail");
+    fs.mkdirSync(dir, { recursive: true });
+    return (message) =>
+      fs.promises.writeFile(
+        path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`),
+        JSON.stringify({ ...message, date: new Date() }, null, 2),
+      );
+  },
+  console: () => async (message) => {
+    console.log(
+      `Mail to ${message.to}: ${message.subject}\n\n${message.text}\n`,
+    );
+  },
+};
+
+const mailTransport = process.env.MAIL_TRANSPORT || "console";
+if (!MAIL_TRANSPORTS[mailTransport]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${mailTransport}"`);
+}
+const sendMail = MAIL_TRANSPORTS[mailTransport]();
+
+// Bank providers move money between Nevmo and users' bank accounts over ACH.
+// Each is a factory for an object with:
+//   linkAccount({ holderName, routingNumber, accountNumber }) starts
+//     micro-deposit verification and resolves to { externalId }
+//   verifyAccount(bankAccount, amounts) resolves to whether amounts, in
+//     cents, are the two micro-deposits
+//   createTransfer(bankAccount, { id, direction, amount }) resolves to
+//     { externalId }. "debit" pulls money from the account for a deposit,
+//     "credit" pushes it there for a withdrawal. id is the transaction's id,
+//     for the provider to use as an idempotency key.
+//   getTransfer(bankAccount, transaction) resolves to { status, returnCode,
+//     reason }, where status is "pending", "settled", "failed" or "returned"
+// "simulated" keeps no state and moves no real money: micro-deposits are
+// derived from the account's id and printed to the console in place of a
+// bank statement, and outcomes follow BANK_SIMULATOR.
+const BANK_PROVIDERS = {
+  simulated: () => {
+    const microDeposits = (externalId) => {
+      const digest = crypto
+        .createHmac("sha256", JWT_SECRET)
+        .update(externalId)
+        .digest();
+      return [1 + (digest[0] % 99), 1 + (digest[1] % 99)];
+    };
+
+    return {
+      linkAccount: async ({ accountNumber }) => {
+        const externalId = `sim_ba_${crypto.randomUUID()}`;
+        const [first, second] = microDeposits(externalId);
+        console.log(
+          `Simulated bank: micro-deposits of $${formatCents(first)} and $${formatCents(second)} sent to the account ending ${accountNumber.slice(-4)}`,
+        );
+        return { externalId };
+      },
+      verifyAccount: async (bankAccount, amounts) => {
+        const sorted = (values) => [...values].sort((a, b) => a - b).join();
+        return (
+          sorted(amounts) === sorted(microDeposits(bankAccount.externalId))
+        );
+      },
+      createTransfer: async (bankAccount, { id }) => ({
+        externalId: `sim_tr_${id}`,
+      }),
+      getTransfer: async (bankAccount, transaction) => {
+        const age = Date.now() - transaction.bank.submittedAt.getTime();
+        if (bankAccount.last4 === BANK_SIMULATOR.failingLast4) {
+          return {
+            status: "failed",
+            returnCode: "R03",
+            reason: "No account or unable to locate account",
+          };
+        }
+        if (age < BANK_SIMULATOR.settleMs) {
+          return { status: "pending" };
+        }
+        if (
+          bankAccount.last4 === BANK_SIMULATOR.returningLast4 &&
+          age >= 2 * BANK_SIMULATOR.settleMs
+        ) {
+          return transaction.type === "deposit"
+            ? {
+                status: "returned",
+                returnCode: "R01",
+                reason: "Insufficient funds",
+              }
+            : {
+                status: "returned",
+                returnCode: "R02",
+                reason: "Account closed",
+              };
+        }
+        return { status: "settled" };
+      },
+    };
+  },
+};
+
+const bankProviderName = process.env.BANK_PROVIDER || "simulated";
+if (!BANK_PROVIDERS[bankProviderName]) {
+  throw new Error(`Unknown BANK_PROVIDER "${bankProviderName}"`);
+}
+const bankProvider = BANK_PROVIDERS[bankProviderName]();
+
+// Errors thrown from inside helpers and database transactions that should
+// reach the client with a specific status code
+class ApiError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    // Additional fields for the response body
+    this.extra = extra;
+  }
+}
+
+// Error handler middleware
+const errorHandler = (err, req, res, next) => {
+  console.error(err);
+  if (err instanceof ApiError) {
+    // Transactions stopped by a rule never reach the ledger, so the audit
+    // log is where the attempt is kept
+    if (err.extra.verdict === "block") {
+      recordAudit(req, {
+        event: "transaction.blocked",
+        details: { rule: err.extra.rule, path: req.path, body: req.body },
+      }).catch((error) => console.error("Audit error:", error));
+    }
+    if (err.extra.retryAfter) {
+      res.set("Retry-After", String(err.extra.retryAfter));
+    }
+    return res.status(err.status).json({ error: err.message, ...err.extra });
+  }
+  if (err instanceof z.ZodError) {
+    return res.status(400).json({
+      error: "Validation error",
+      details: err.errors.map((e) => ({
+        field: e.path.join("."),
+        message: e.message,
+      })),
+    });
+  }
+  res.status(500).json({ error: "Internal server error" });
+};
+
+// Authentication middleware
+const authenticateToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers["authorization"];
+    const token = authHeader && authHeader.split(" ")[1];
+
+    if (!token) {
+      return res.status(401).json({ error: "Access token required" });
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    // Tokens issued before sessions existed never expire; refuse them
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+      return res.status(403).json({ error: "Invalid token" });
+    }
+
+    const [user, session] = await Promise.all([
+      User.findOne({ email: decoded.email }),
+      Session.findById(decoded.sid),
+    ]);
+
+    if (!user) {
+      return res.status(403).json({ error: "Invalid token" });
+    }
+    if (
+      !session ||
+      session.revokedAt ||
+      session.expiresAt <= new Date() ||
+      !session.userId.equals(user._id)
+    ) {
+      return res.status(401).json({ error: "Session has ended" });
+    }
+
+    req.user = user;
+    req.authSession = session;
+    req.accessTokenExpiresAt = new Date(decoded.exp * 1000);
+    next();
+  } catch (error) {
+    // 401 tells clients to refresh; anything else about the token is fatal
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ error: "Access token expired" });
+    }
+    res.status(403).json({ error: "Invalid token" });
+  }
+};
+
+// Authorization middleware; must run after authenticateToken
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: "Not allowed" });
+    }
+    next();
+  };
+
+// Money-moving routes refuse frozen accounts up front. The ledger refuses
+// them as well (see postJournalEntry), which also covers the other side of
+// a transfer.
+const rejectFrozen = (req, res, next) => {
+  if (req.user.frozen && req.user.frozen.at) {
+    return res.status(403).json({ error: "Your account is frozen" });
+  }
+  next();
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// API keys are "sk_<key id>_<secret>"
+const API_KEY_PATTERN = /^sk_([0-9a-f]{24})_([\w-]{43})$/;
+
+// Authentication for merchants' servers, the API-key counterpart to
+// authenticateToken. The key is sent as "Authorization: Bearer sk_..." and
+// must have scope. Sets req.apiKey and req.merchant.
+const authenticateApiKey = (scope) => async (req, res, next) => {
+  try {
+    const authHeader = req.headers["authorization"];
+    const match = API_KEY_PATTERN.exec(
+      (authHeader && authHeader.split(" ")[1]) || "",
+    );
+    if (!match) {
+      return res.status(401).json({ error: "API key required" });
+    }
+
+    const now = new Date();
+    const apiKey = await ApiKey.findById(match[1]).select("+secretHash");
+    const valid =
+      apiKey &&
+      !apiKey.revokedAt &&
+      !(apiKey.expiresAt && apiKey.expiresAt <= now) &&
+      crypto.timingSafeEqual(
+        Buffer.from(apiKey.secretHash, "hex"),
+        Buffer.from(hashToken(match[2]), "hex"),
+      );
+    const merchant = valid && (await Merchant.findById(apiKey.merchantId));
+    if (!merchant) {
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+    if (!apiKey.scopes.includes(scope)) {
+      return res
+        .status(403)
+        .json({ error: `This API key does not have the ${scope} scope` });
+    }
+
+    // Recorded at most once a minute, so busy keys do not write on every call
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > 60 * 1000) {
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now }).catch(
+        (error) => console.error("API key update error:", error),
+      );
+    }
+
+    req.apiKey = apiKey;
+    req.merchant = merchant;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const signAccessToken = (user, session) =>
+  jwt.sign({ email: user.email, sid: session._id.toString() }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// Start a session for a user signing in from req's device and return its
+// first pair of tokens
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+  };
+};
+
+// RFC 4648 base32, which authenticator apps expect secrets in
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) value of a base32 secret for a counter
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(message)
+    .digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 1_000_000;
+  return String(value).padStart(6, "0");
+};
+
+// Time step a TOTP code matches within the allowed drift, or null
+const matchTotpStep = (secret, code, now = Date.now()) => {
+  const current = Math.floor(now / 1000 / TOTP_PERIOD);
+  for (
+    let step = current - TOTP_WINDOW;
+    step <= current + TOTP_WINDOW;
+    step++
+  ) {
+    if (
+      crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(code))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Check a TOTP code against the user's enabled secret and mark its time
+// step used, so each code works only once
+const consumeTotpCode = async (userId, code) => {
+  const user = await User.findById(userId).select("+twoFactor.secret");
+  if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) {
+    return false;
+  }
+
+  const step = matchTotpStep(user.twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { "twoFactor.lastUsedStep": { $lt: step } },
+        { "twoFactor.lastUsedStep": { $exists: false } },
+      ],
+    },
+    { "twoFactor.lastUsedStep": step },
+  );
+  return modifiedCount === 1;
+};
+
+// Spend one of the user's recovery codes
+const consumeRecoveryCode = async (userId, recoveryCode) => {
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: userId,
+      "twoFactor.recoveryCodeHashes": hashToken(recoveryCode.toLowerCase()),
+    },
+    {
+      $pull: {
+        "twoFactor.recoveryCodeHashes": hashToken(recoveryCode.toLowerCase()),
+      },
+    },
+  );
+  return modifiedCount === 1;
+};
+
+// Accept either kind of second factor from a secondFactorSchema body
+const verifySecondFactor = (userId, { code, recoveryCode }) =>
+  code
+    ? consumeTotpCode(userId, code)
+    : consumeRecoveryCode(userId, recoveryCode);
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+// Large withdrawals and transfers from accounts with two-factor
+// authentication need a fresh code in the X-TOTP-Code header
+const requireStepUp = async (req, amount) => {
+  if (!req.user.twoFactor.enabled || amount <= TOTP_STEP_UP_THRESHOLD) {
+    return;
+  }
+
+  const code = req.headers["x-totp-code"];
+  if (!code) {
+    throw new ApiError(
+      403,
+      `Amounts over $${formatCents(TOTP_STEP_UP_THRESHOLD)} need an authenticator code`,
+      { twoFactorRequired: true },
+    );
+  }
+  if (!/^\d{6}$/.test(code) || !(await consumeTotpCode(req.user._id, code))) {
+    throw new ApiError(403, "Invalid or already used authenticator code", {
+      twoFactorRequired: true,
+    });
+  }
+};
+
+// Signed token for a link in an email. purpose is "verify_email" or
+// "reset_password"; the jti lets consumeEmailToken make it single-use.
+const signEmailToken = (user, purpose) =>
+  jwt.sign(
+    { sub: user._id.toString(), email: user.email, purpose },
+    JWT_SECRET,
+    {
+      expiresIn: EMAIL_TOKEN_TTL[purpose],
+      jwtid: crypto.randomUUID(),
+    },
+  );
+
+// Check an email token and mark it used. Returns the user it was issued to.
+const consumeEmailToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new ApiError(400, "Link is invalid or has expired");
+  }
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    throw new ApiError(400, "Link is invalid or has expired");
+  }
+
+  const user = await User.findById(decoded.sub);
+  if (!user || user.email !== decoded.email) {
+    throw new ApiError(400, "Link is invalid or has expired");
+  }
+
+  try {
+    await UsedToken.create({
+      jti: decoded.jti,
+      purpose,
+      userId: user._id,
+      expiresAt: new Date(decoded.exp * 1000),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(400, "This link has already been used");
+    }
+    throw error;
+  }
+  return user;
+};
+
+const sendVerificationEmail = (user) =>
+  sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.name},
+
+Confirm your email address for Nevmo by opening this link:
+
+${APP_URL}/?verifyEmail=${signEmailToken(user, "verify_email")}
+
+The link is valid for 24 hours. Until you confirm, your balance is limited to $${formatCents(UNVERIFIED_BALANCE_LIMIT)}.`,
+  });
+
+const sendPasswordResetEmail = (user) =>
+  sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},
+
+Someone asked to reset the password of your Nevmo account. If it was you, choose a new password here:
+
+${APP_URL}/?resetPassword=${signEmailToken(user, "reset_password")}
+
+The link is valid for 1 hour and works once. If you did not ask for this, you can ignore this email.`,
+  });
+
+const sendUnlockEmail = (user) =>
+  sendMail({
+    to: user.email,
+    subject: "Your account has been locked",
+    text: `Hi ${user.name},
+
+There were too many failed attempts to log in to your Nevmo account, so it has been locked for an hour. If this was you, unlock it now with this link:
+
+${APP_URL}/?unlockAccount=${signEmailToken(user, "unlock_account")}
+
+If it was not you, someone may know or be guessing your password. Consider resetting it.`,
+  });
+
+// e.g. "weekly transfer of $25.00 to Sam"
+const describeSchedule = (schedule) =>
+  `${schedule.frequency === "once" ? "scheduled" : schedule.frequency} ${
+    { deposit: "deposit", withdraw: "withdrawal", transfer: "transfer" }[
+      schedule.type
+    ]
+  } of $${formatCents(schedule.amount)}${
+    schedule.type === "transfer" ? ` to ${schedule.recipient.name}` : ""
+  }`;
+
+const sendScheduleSkippedEmail = (user, schedule, reason, next) =>
+  sendMail({
+    to: user.email,
+    subject: "A scheduled payment did not go through",
+    text: `Hi ${user.name},
+
+Your ${describeSchedule(schedule)} could not be made: ${reason}.
+
+${next ? `It will be tried again on its next date, ${next.toUTCString()}.` : "It will not run again."} You can change or cancel it on the Scheduled tab: ${APP_URL}`,
+  });
+
+const sendBankTransferReturnedEmail = (user, transaction, bankAccount) => {
+  const deposit = transaction.type === "deposit";
+  const amount = formatCents(transaction.amount);
+  return sendMail({
+    to: user.email,
+    subject: `A bank ${deposit ? "deposit" : "withdrawal"} did not go through`,
+    text: `Hi ${user.name},
+
+Your ${deposit ? "deposit" : "withdrawal"} of $${amount} ${deposit ? "from" : "to"} the bank account ending ${bankAccount.last4} ${transaction.status === "failed" ? "failed" : "was returned by the bank"}: ${transaction.bank.reason} (${transaction.bank.returnCode}).
+
+${deposit ? `The $${amount} has been taken back out of your Nevmo balance.` : `The $${amount} is back in your Nevmo balance.`} Check the account details with your bank before trying again: ${APP_URL}`,
+  });
+};
+
+// Emails are stored lowercased, so the account key is too; otherwise
+// changing the case of an address would start a fresh count
+const accountThrottleKey = (email) => `account:${email.trim().toLowerCase()}`;
+
+const loginThrottleKeys = (req, email) => [
+  `ip:${req.ip}`,
+  accountThrottleKey(email),
+];
+
+// Refuse a login attempt while the client IP or the account is throttled,
+// with the wait in seconds as Retry-After
+const checkLoginThrottle = async (req, email) => {
+  const now = new Date();
+  const throttles = await LoginThrottle.find({
+    key: { $in: loginThrottleKeys(req, email) },
+    lockedUntil: { $gt: now },
+  });
+  if (throttles.length === 0) {
+    return;
+  }
+
+  const longest = throttles.reduce((a, b) =>
+    a.lockedUntil > b.lockedUntil ? a : b,
+  );
+  const retryAfter = Math.ceil((longest.lockedUntil - now) / 1000);
+  await recordAudit(req, {
+    event: "login.failed",
+    details: { email, reason: "throttled" },
+  });
+  throw new ApiError(
+    429,
+    longest.locked
+      ? "This account is locked after too many failed logins. Use the link we emailed you, or try again later."
+      : `Too many failed logins. Try again in ${retryAfter} seconds.`,
+    { retryAfter, locked: longest.locked },
+  );
+};
+
+// Count a failed login against the client IP and the account, and throttle
+// or lock them once they pass their limits. user is null for unknown emails,
+// which are counted all the same.
+const recordLoginFailure = async (req, email, user) => {
+  const now = new Date();
+  for (const key of loginThrottleKeys(req, email)) {
+    const scope = key.slice(0, key.indexOf(":"));
+    const { freeAttempts, baseDelayMs, maxDelayMs, lockoutAfter, lockoutMs } =
+      LOGIN_THROTTLES[scope];
+
+    const { failures } = await LoginThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          scope,
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + LOGIN_FAILURE_WINDOW_MS),
+        },
+      },
+      { upsert: true, new: true },
+    );
+
+    if (lockoutAfter && failures >= lockoutAfter) {
+      await LoginThrottle.updateOne(
+        { key },
+        { lockedUntil: new Date(now.getTime() + lockoutMs), locked: true },
+      );
+      if (user) {
+        sendUnlockEmail(user).catch((error) =>
+          console.error("Unlock email error:", error),
+        );
+      }
+    } else if (failures > freeAttempts) {
+      const delay = Math.min(
+        baseDelayMs * 2 ** (failures - freeAttempts - 1),
+        maxDelayMs,
+      );
+      await LoginThrottle.updateOne(
+        { key },
+        { lockedUntil: new Date(now.getTime() + delay) },
+      );
+    }
+  }
+};
+
+// Forget an account's failed logins, after a successful one or an unlock.
+// Per-IP counts are left to expire, so logging in to one account cannot
+// reset the count of an IP guessing at others.
+const clearLoginFailures = (email) =>
+  LoginThrottle.deleteOne({ key: accountThrottleKey(email) });
+
+// Unverified accounts are capped at UNVERIFIED_BALANCE_LIMIT; called with
+// the balance money would leave them with
+const checkUnverifiedLimit = (user, balance, message) => {
+  if (!user.emailVerifiedAt && balance > UNVERIFIED_BALANCE_LIMIT) {
+    throw new ApiError(403, message, { emailVerificationRequired: true });
+  }
+};
+
+// Short-lived token proving the password step of a two-factor login
+const LOGIN_CHALLENGE_TTL = "5m";
+
+const revokeSessions = (filter, reason) =>
+  Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+
+// Idempotency middleware for money-moving routes; must run after
+// authenticateToken. The first request with a given Idempotency-Key claims
+// the key through the unique index, so of two identical requests arriving
+// together only one is processed. Later requests with the key get the
+// stored response back, or 409 while the first is still running or if the
+// body differs. Requests without the header are processed normally.
+const idempotent = async (req, res, next) => {
+  try {
+    const key = req.headers["idempotency-key"];
+    if (!key) {
+      return next();
+    }
+    if (key.length > 255) {
+      return res
+        .status(400)
+        .json({ error: "Idempotency-Key must be at most 255 characters" });
+    }
+
+    const fingerprint = crypto
+      .createHash("sha256")
+      .update(JSON.stringify([req.method, req.path, req.body]))
+      .digest("hex");
+
+    try {
+      await IdempotencyKey.create({ userId: req.user._id, key, fingerprint });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await IdempotencyKey.findOne({
+        userId: req.user._id,
+        key,
+      });
+      if (existing && existing.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          error: "Idempotency-Key was already used for a different request",
+        });
+      }
+      if (!existing || existing.status === "processing") {
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response before sending it. Server errors release the key so
+    // the client can retry; everything else is replayed as-is.
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const saved =
+        res.statusCode >= 500
+          ? IdempotencyKey.deleteOne({ userId: req.user._id, key })
+          : IdempotencyKey.updateOne(
+              { userId: req.user._id, key },
+              {
+                status: "completed",
+                responseStatus: res.statusCode,
+                responseBody: body,
+              },
+            );
+      saved
+        .catch((error) => console.error("Idempotency key update error:", error))
+        .then(() => send(body));
+      return res;
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Shape an audit record for API responses
+const formatAuditRecord = (record) => ({
+  id: record._id,
+  chain: record.chain || LEGACY_AUDIT_CHAIN,
+  seq: record.seq,
+  at: record.at,
+  event: record.event,
+  actorId: record.actorId,
+  subjectId: record.subjectId,
+  ip: record.ip,
+  userAgent: record.userAgent,
+  requestId: record.requestId,
+  ...(record.amount != null && { amount: formatCents(record.amount) }),
+  ...(record.balanceBefore != null && {
+    balanceBefore: formatCents(record.balanceBefore),
+    balanceAfter: formatCents(record.balanceAfter),
+  }),
+  details: record.details,
+  prevHash: record.prevHash,
+  hash: record.hash,
+});
+
+// The balances of a user's ledger account: the whole balance, the part of
+// it that can be spent and the part open authorizations hold
+const formatBalances = (account) => ({
+  balance: formatCents(account.balance),
+  availableBalance: formatCents(availableBalance(account)),
+  heldBalance: formatCents(account.onHold),
+});
+
+// Account details returned by register, login and /api/account, with the
+// balances of the user's ledger account
+const formatUser = (user, account) => ({
+  email: user.email,
+  name: user.name,
+  ...formatBalances(account),
+  emailVerified: Boolean(user.emailVerifiedAt),
+  twoFactorEnabled: user.twoFactor.enabled,
+  role: user.role,
+  frozen: Boolean(user.frozen && user.frozen.at),
+  ...(user.handle && { handle: user.handle }),
+});
+
+// Someone else as search and contacts show them: no email or other private
+// details
+const formatPublicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  ...(user.handle && { handle: user.handle }),
+});
+
+// A user as support staff see them
+const formatAdminUser = (user, account) => ({
+  id: user._id,
+  ...formatUser(user, account),
+  ...(user.frozen &&
+    user.frozen.at && {
+      frozenAt: user.frozen.at,
+      frozenReason: user.frozen.reason,
+    }),
+  createdAt: user.createdAt,
+});
+
+// Shape a transaction document for API responses
+const formatTransaction = (t) => ({
+  id: t._id,
+  type: t.type,
+  amount: formatCents(t.amount),
+  date: t.date,
+  ...(t.counterparty &&
+    t.counterparty.userId && {
+      counterparty: { name: t.counterparty.name, email: t.counterparty.email },
+    }),
+  ...(t.note && { note: t.note }),
+  ...(t.visibility && { visibility: t.visibility }),
+  status: t.status || "completed",
+  ...(t.bank &&
+    t.bank.accountId && {
+      bank: {
+        accountId: t.bank.accountId,
+        ...(t.bank.settledAt && { settledAt: t.bank.settledAt }),
+        ...(t.bank.returnCode && {
+          returnCode: t.bank.returnCode,
+          reason: t.bank.reason,
+        }),
+      },
+    }),
+  ...(t.risk &&
+    t.risk.verdict === "hold" && {
+      hold: { rule: t.risk.rule, message: t.risk.message },
+    }),
+  ...(t.review &&
+    t.review.decision && {
+      review: {
+        decision: t.review.decision,
+        at: t.review.at,
+        ...(t.review.reason && { reason: t.review.reason }),
+      },
+    }),
+  ...(t.refundedAmount && { refundedAmount: formatCents(t.refundedAmount) }),
+  ...(t.dispute &&
+    t.dispute.status && {
+      dispute: {
+        status: t.dispute.status,
+        reason: t.dispute.reason,
+        openedAt: t.dispute.openedAt,
+        ...(t.dispute.resolvedAt && {
+          resolvedAt: t.dispute.resolvedAt,
+          resolution: t.dispute.resolution,
+        }),
+        ...(t.dispute.reversedAmount && {
+          reversedAmount: formatCents(t.dispute.reversedAmount),
+        }),
+      },
+    }),
+  ...(t.statusTrail &&
+    t.statusTrail.length > 0 && {
+      statusTrail: t.statusTrail.map((entry) => ({
+        status: entry.status,
+        ...(entry.amount && { amount: formatCents(entry.amount) }),
+        ...(entry.reason && { reason: entry.reason }),
+        at: entry.at,
+      })),
+    }),
+});
+
+// History cursors are opaque to clients: the (date, _id) of the last
+// transaction on the previous page, base64url-encoded
+const encodeCursor = (t) =>
+  Buffer.from(JSON.stringify([t.date.toISOString(), t._id])).toString(
+    "base64url",
+  );
+
+const decodeCursor = (cursor) => {
+  try {
+    const [date, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (Number.isNaN(Date.parse(date)) || !mongoose.isValidObjectId(id)) {
+      throw new Error("Malformed cursor");
+    }
+    return { date: new Date(date), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Amount of a transaction as it affects the user's balance, in cents
+const signedAmount = (t) =>
+  CREDIT_TRANSACTION_TYPES.includes(t.type) ? t.amount : -t.amount;
+
+// Human readable one-line description of a transaction
+const describeTransaction = (t) => {
+  switch (t.type) {
+    case "transfer_out":
+      return `Sent to ${t.counterparty.name}`;
+    case "transfer_in":
+      return `Received from ${t.counterparty.name}`;
+    case "withdraw":
+      return "Withdrawal";
+    case "adjustment_in":
+    case "adjustment_out":
+      return "Adjustment";
+    case "reversal":
+      return "Returned after review";
+    case "bank_return_in":
+    case "bank_return_out":
+      return "Returned by the bank";
+    case "refund_in":
+      return `Refund from ${t.counterparty.name}`;
+    case "refund_out":
+      return `Refund to ${t.counterparty.name}`;
+    case "chargeback_in":
+    case "chargeback_out":
+      return "Reversed after a dispute";
+    default:
+      return "Deposit";
+  }
+};
+
+// The user's balance just before date: the current ledger balance with
+// every transaction since then taken back out. Works for accounts whose
+// opening balance predates their transaction records.
+const getBalanceBefore = async (userId, date) => {
+  const [balance, [later]] = await Promise.all([
+    getBalance(userId),
+    Transaction.aggregate([
+      { $match: { userId, date: { $gte: date } } },
+      {
+        $group: {
+          _id: null,
+          total: {
+            $sum: {
+              $cond: [
+                { $in: ["$type", CREDIT_TRANSACTION_TYPES] },
+                "$amount",
+                { $multiply: ["$amount", -1] },
+              ],
+            },
+          },
+        },
+      },
+    ]),
+  ]);
+  return balance - (later ? later.total : 0);
+};
+
+// Statement export formats. Each writes a header, one chunk per transaction
+// (with the running balance after it) and a footer, so exports can be
+// streamed straight from a database cursor.
+const csvField = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+// OFX and QIF values are line-based, so text fields must stay on one line
+const singleLine = (text) => String(text).replace(/\s+/g, " ");
+
+// OFX 1.x is SGML: timestamps are YYYYMMDDHHMMSS and text must be escaped
+const ofxDate = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:T]/g, "")
+    .replace(/\.\d+Z$/, "[0:GMT]");
+const ofxText = (text) =>
+  singleLine(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const qifDate = (date) =>
+  `${String(date.getUTCMonth() + 1).padStart(2, "0")}/${String(
+    date.getUTCDate(),
+  ).padStart(2, "0")}/${date.getUTCFullYear()}`;
+
+const STATEMENT_FORMATS = {
+  csv: {
+    contentType: "text/csv",
+    header: () => "Date,Type,Description,Note,Amount,Balance\r\n",
+    transaction: (t, balance) =>
+      [
+        t.date.toISOString(),
+        t.type,
+        describeTransaction(t),
+        t.note || "",
+        formatCents(signedAmount(t)),
+        formatCents(balance),
+      ]
+        .map(csvField)
+        .join(",") + "\r\n",
+    footer: () => "",
+  },
+  ofx: {
+    contentType: "application/x-ofx",
+    header: ({ user, from, to }) =>
+      [
+        "OFXHEADER:100",
+        "DATA:OFXSGML",
+        "VERSION:102",
+        "SECURITY:NONE",
+        "ENCODING:USASCII",
+        "CHARSET:1252",
+        "COMPRESSION:NONE",
+        "OLDFILEUID:NONE",
+        "NEWFILEUID:NONE",
+        "",
+        "<OFX>",
+        "<SIGNONMSGSRSV1><SONRS>",
+        "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+        `<DTSERVER>${ofxDate(new Date())}`,
+        "<LANGUAGE>ENG",
+        "</SONRS></SIGNONMSGSRSV1>",
+        "<BANKMSGSRSV1><STMTTRNRS>",
+        "<TRNUID>0",
+        "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+        "<STMTRS>",
+        "<CURDEF>USD",
+        "<BANKACCTFROM>",
+        "<BANKID>NEVMO",
+        `<ACCTID>${user._id}`,
+        "<ACCTTYPE>CHECKING",
+        "</BANKACCTFROM>",
+        "<BANKTRANLIST>",
+        `<DTSTART>${ofxDate(from)}`,
+        `<DTEND>${ofxDate(to)}`,
+        "",
+      ].join("\r\n"),
+    transaction: (t) =>
+      [
+        "<STMTTRN>",
+        `<TRNTYPE>${
+          CREDIT_TRANSACTION_TYPES.includes(t.type) ? "CREDIT" : "DEBIT"
+        }`,
+        `<DTPOSTED>${ofxDate(t.date)}`,
+        `<TRNAMT>${formatCents(signedAmount(t))}`,
+        `<FITID>${t._id}`,
+        `<NAME>${ofxText(describeTransaction(t)).slice(0, 32)}`,
+        ...(t.note ? [`<MEMO>${ofxText(t.note)}`] : []),
+        "</STMTTRN>",
+        "",
+      ].join("\r\n"),
+    footer: ({ to, balance }) =>
+      [
+        "</BANKTRANLIST>",
+        "<LEDGERBAL>",
+        `<BALAMT>${formatCents(balance)}`,
+        `<DTASOF>${ofxDate(to)}`,
+        "</LEDGERBAL>",
+        "</STMTRS>",
+        "</STMTTRNRS></BANKMSGSRSV1>",
+        "</OFX>",
+        "",
+      ].join("\r\n"),
+  },
+  qif: {
+    contentType: "application/qif",
+    header: () => "!Type:Bank\n",
+    transaction: (t) =>
+      [
+        `D${qifDate(t.date)}`,
+        `T${formatCents(signedAmount(t))}`,
+        `P${describeTransaction(t)}`,
+        ...(t.note ? [`M${singleLine(t.note)}`] : []),
+        "^",
+        "",
+      ].join("\n"),
+    footer: () => "",
+  },
+};
+
+// First instant of the UTC calendar month containing date, shifted by
+// offset months
+const startOfMonth = (date, offset = 0) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+
+const formatPeriod = (date) => date.toISOString().slice(0, 7);
+
+// Work out a month's statement from the ledger and transaction history
+const buildStatement = async (userId, start, end) => {
+  const openingBalance = await getBalanceBefore(userId, start);
+  const transactions = await Transaction.find({
+    userId,
+    date: { $gte: start, $lt: end },
+  })
+    .sort({ date: 1, _id: 1 })
+    .lean()
+    .exec();
+
+  let balance = openingBalance;
+  const totals = {};
+  const lines = transactions.map((t) => {
+    balance += signedAmount(t);
+    totals[t.type] = (totals[t.type] || 0) + t.amount;
+    return {
+      transactionId: t._id,
+      date: t.date,
+      type: t.type,
+      description: describeTransaction(t),
+      note: t.note,
+      amount: signedAmount(t),
+      balance,
+    };
+  });
+
+  return {
+    userId,
+    period: formatPeriod(start),
+    openingBalance,
+    closingBalance: balance,
+    totals,
+    transactions: lines,
+    generatedAt: new Date(),
+  };
+};
+
+// Statement for the month starting at start. Closed months are stored on
+// first request; the current month is always worked out live.
+const getStatement = async (userId, start) => {
+  const end = startOfMonth(start, 1);
+  if (end > new Date()) {
+    return { ...(await buildStatement(userId, start, end)), final: false };
+  }
+
+  const period = formatPeriod(start);
+  let statement = await Statement.findOne({ userId, period }).lean();
+  if (!statement) {
+    // Two requests may race to create the snapshot; whichever insert wins is
+    // the statement both return
+    await Statement.updateOne(
+      { userId, period },
+      { $setOnInsert: await buildStatement(userId, start, end) },
+      { upsert: true },
+    ).catch((error) => {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    });
+    statement = await Statement.findOne({ userId, period }).lean();
+  }
+  return { ...statement, final: true };
+};
+
+const formatStatement = (statement) => ({
+  period: statement.period,
+  final: statement.final,
+  openingBalance: formatCents(statement.openingBalance),
+  closingBalance: formatCents(statement.closingBalance),
+  totals: Object.fromEntries(
+    Object.entries(statement.totals).map(([type, total]) => [
+      type,
+      formatCents(total),
+    ]),
+  ),
+  transactions: statement.transactions.map((t) => ({
+    id: t.transactionId,
+    date: t.date,
+    type: t.type,
+    description: t.description,
+    ...(t.note && { note: t.note }),
+    amount: formatCents(t.amount),
+    balance: formatCents(t.balance),
+  })),
+  generatedAt: statement.generatedAt,
+});
+
+// Render a statement as a PDF document written to stream
+const renderStatementPdf = (statement, user, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(20).text("Nevmo account statement");
+  doc
+    .moveDown(0.5)
+    .fontSize(11)
+    .text(`${user.name} <${user.email}>`)
+    .text(`Period: ${statement.period} (UTC)`)
+    .text(`Generated: ${statement.generatedAt.toISOString()}`);
+  if (!statement.final) {
+    doc.text("Month in progress: this statement is not final.");
+  }
+
+  doc
+    .moveDown()
+    .fontSize(12)
+    .text(`Opening balance: $${formatCents(statement.openingBalance)}`);
+
+  doc.moveDown().fontSize(9);
+  const columns = [50, 160, 330, 420];
+  // Cells may wrap, so the next row starts below the tallest one
+  const row = (cells) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let bottom = y;
+    cells.forEach((cell, i) => {
+      doc.text(cell, columns[i], y, {
+        width: (columns[i + 1] || 545) - columns[i] - 10,
+        align: i >= 2 ? "right" : "left",
+      });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.x = columns[0];
+    doc.y = bottom;
+  };
+  row(["Date", "Description", "Amount", "Balance"]);
+  doc.moveDown(0.5);
+  for (const t of statement.transactions) {
+    row([
+      t.date.toISOString().slice(0, 16).replace("T", " "),
+      t.note ? `${t.description} - ${t.note}` : t.description,
+      formatCents(t.amount),
+      formatCents(t.balance),
+    ]);
+  }
+  if (statement.transactions.length === 0) {
+    doc.text("No transactions this month.");
+  }
+
+  doc.moveDown().fontSize(11);
+  for (const [type, total] of Object.entries(statement.totals)) {
+    doc.text(`Total ${type.replace("_", " ")}: $${formatCents(total)}`);
+  }
+  doc
+    .moveDown()
+    .fontSize(12)
+    .text(`Closing balance: $${formatCents(statement.closingBalance)}`);
+
+  doc.end();
+};
+
+// Shape a payment request for API responses. Expects requesterId and
+// payerId to be populated with name and email.
+const formatPaymentRequest = (r) => ({
+  id: r._id,
+  requester: { name: r.requesterId.name, email: r.requesterId.email },
+  payer: { name: r.payerId.name, email: r.payerId.email },
+  amount: formatCents(r.amount),
+  ...(r.note && { note: r.note }),
+  status: r.status,
+  createdAt: r.createdAt,
+  ...(r.respondedAt && { respondedAt: r.respondedAt }),
+});
+
+// Payment request state machine: which action moves a request into which
+// state, and which party is allowed to take it. Requests leave "pending"
+// exactly once; a payer who ignores a request simply leaves it pending.
+const REQUEST_TRANSITIONS = {
+  pay: { to: "paid", actor: "payerId" },
+  decline: { to: "declined", actor: "payerId" },
+  cancel: { to: "cancelled", actor: "requesterId" },
+};
+
+// Atomically move a pending request into the state for action, as long as
+// userId is the party allowed to take it
+const transitionPaymentRequest = async (
+  session,
+  { requestId, userId, action },
+) => {
+  const { to, actor } = REQUEST_TRANSITIONS[action];
+  const request = await PaymentRequest.findOneAndUpdate(
+    { _id: requestId, [actor]: userId, status: "pending" },
+    { status: to, respondedAt: new Date() },
+    { new: true, session },
+  );
+
+  if (!request) {
+    const existing = await PaymentRequest.findOne({
+      _id: requestId,
+      [actor]: userId,
+    }).session(session);
+    if (!existing) {
+      throw new ApiError(404, "Payment request not found");
+    }
+    throw new ApiError(409, `Payment request is already ${existing.status}`);
+  }
+
+  return request;
+};
+
+// Run fn(session) inside a MongoDB transaction and return its result
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Look up the ledger account that holds a user's balance
+const getUserAccount = async (userId, session) => {
+  const account = await LedgerAccount.findOne({ userId, type: "user" }).session(
+    session,
+  );
+  if (!account) {
+    throw new Error(`Ledger account missing for user ${userId}`);
+  }
+  return account;
+};
+
+// Look up one of the SYSTEM_ACCOUNTS by key
+const getSystemAccount = async (key, session) => {
+  const account = await LedgerAccount.findOne({
+    code: SYSTEM_ACCOUNTS[key].code,
+  }).session(session);
+  if (!account) {
+    throw new Error(`System ledger account ${key} missing`);
+  }
+  return account;
+};
+
+// Current cached balance of a user's ledger account
+const getBalance = async (userId, session) =>
+  (await getUserAccount(userId, session)).balance;
+
+// The part of a user's ledger account balance that can be spent: all of it
+// but bank deposits that have not settled yet and money held by
+// authorizations
+const availableBalance = (account) =>
+  account.balance - account.uncleared - account.onHold;
+
+// LedgerAccount filter condition: at least amount can be spent
+const spendableAtLeast = (amount) => ({
+  $gte: [
+    {
+      $subtract: [
+        "$balance",
+        { $add: [{ $ifNull: ["$uncleared", 0] }, { $ifNull: ["$onHold", 0] }] },
+      ],
+    },
+    amount,
+  ],
+});
+
+// Write a balanced journal entry and apply it to the cached balance of
+// every account it touches. Must run inside runInTransaction. User accounts
+// can never be debited below their uncleared bank deposits and authorization
+// holds, so never go negative; a posting that would overdraw one aborts the
+// whole entry with "Insufficient funds". allowOverdraft lifts that for money
+// the bank has already taken back. Entries touching a frozen user's account are refused
+// unless allowFrozen is set, as for admin adjustments. Returns the entry and
+// a map of account id to its new balance.
+const postJournalEntry = async (
+  session,
+  { memo, postings, allowFrozen = false, allowOverdraft = false },
+) => {
+  if (!allowFrozen) {
+    const userIds = postings
+      .filter(({ account }) => account.type === "user")
+      .map(({ account }) => account.userId);
+    const frozen = await User.exists({
+      _id: { $in: userIds },
+      "frozen.at": { $ne: null },
+    }).session(session);
+    if (frozen) {
+      throw new ApiError(403, "Account is frozen");
+    }
+  }
+
+  const [entry] = await JournalEntry.create(
+    [
+      {
+        memo,
+        postings: postings.map(({ account, direction, amount }) => ({
+          accountId: account._id,
+          accountCode: account.code,
+          direction,
+          amount,
+        })),
+      },
+    ],
+    { session },
+  );
+
+  const balances = new Map();
+  for (const { account, direction, amount } of postings) {
+    const delta = direction === account.normalBalance ? amount : -amount;
+    const filter = { _id: account._id };
+    if (delta < 0 && account.type === "user" && !allowOverdraft) {
+      filter.$expr = spendableAtLeast(-delta);
+    }
+
+    const updated = await LedgerAccount.findOneAndUpdate(
+      filter,
+      { $inc: { balance: delta } },
+      { new: true, session },
+    );
+    if (!updated) {
+      throw new ApiError(400, "Insufficient funds");
+    }
+    balances.set(account._id.toString(), updated.balance);
+  }
+
+  return { entry, balances };
+};
+
+// One of the user's verified bank accounts, for moving money in or out
+const getVerifiedBankAccount = async (userId, bankAccountId, session) => {
+  const bankAccount = await BankAccount.findOne({
+    _id: bankAccountId,
+    userId,
+    status: { $ne: "removed" },
+  }).session(session);
+  if (!bankAccount) {
+    throw new ApiError(404, "Bank account not found");
+  }
+  if (bankAccount.status !== "verified") {
+    throw new ApiError(409, "Verify the bank account first");
+  }
+  return bankAccount;
+};
+
+// Credit a user's account with money pulled from one of their bank accounts.
+// Must run inside runInTransaction. The deposit is pending until the bank
+// settles it: the money shows in the balance straight away but stays
+// uncleared, so it cannot be spent until then.
+const depositFunds = async (session, { userId, amount, bankAccountId }) => {
+  const bankAccount = await getVerifiedBankAccount(
+    userId,
+    bankAccountId,
+    session,
+  );
+  const user = await User.findById(userId).session(session);
+  const risk = await evaluateRules(session, { user, type: "deposit", amount });
+  const account = await getUserAccount(userId, session);
+  const { entry, balances } = await postJournalEntry(session, {
+    memo: `Deposit from the bank account ending ${bankAccount.last4}`,
+    postings: [
+      {
+        account: await getSystemAccount("bankDepositsInTransit", session),
+        direction: "debit",
+        amount,
+      },
+      { account, direction: "credit", amount },
+    ],
+  });
+  await LedgerAccount.updateOne(
+    { _id: account._id },
+    { $inc: { uncleared: amount } },
+    { session },
+  );
+  checkUnverifiedLimit(
+    user,
+    balances.get(account._id.toString()),
+    `Verify your email address to hold more than $${formatCents(UNVERIFIED_BALANCE_LIMIT)}`,
+  );
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        userId,
+        type: "deposit",
+        amount,
+        status: "pending",
+        risk,
+        bank: { accountId: bankAccount._id, nextCheckAt: new Date() },
+        journalEntryId: entry._id,
+      },
+    ],
+    { session },
+  );
+
+  return { balance: balances.get(account._id.toString()), transaction };
+};
+
+// Debit a user's account for money sent to one of their bank accounts. Must
+// run inside runInTransaction. The withdrawal is pending, in
+// system:bank_withdrawals_in_transit, until the bank settles it; a held one
+// waits in system:held_for_review and goes to the bank once approved.
+const withdrawFunds = async (session, { userId, amount, bankAccountId }) => {
+  const bankAccount = await getVerifiedBankAccount(
+    userId,
+    bankAccountId,
+    session,
+  );
+  const user = await User.findById(userId).session(session);
+  const risk = await evaluateRules(session, { user, type: "withdraw", amount });
+  const held = risk.verdict === "hold";
+
+  const account = await getUserAccount(userId, session);
+  const { entry, balances } = await postJournalEntry(session, {
+    memo: `Withdrawal to the bank account ending ${bankAccount.last4}${held ? " (held for review)" : ""}`,
+    postings: [
+      { account, direction: "debit", amount },
+      {
+        account: await getSystemAccount(
+          held ? "held" : "bankWithdrawalsInTransit",
+          session,
+        ),
+        direction: "credit",
+        amount,
+      },
+    ],
+  });
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        userId,
+        type: "withdraw",
+        amount,
+        status: held ? "held" : "pending",
+        risk,
+        bank: {
+          accountId: bankAccount._id,
+          ...(!held && { nextCheckAt: new Date() }),
+        },
+        journalEntryId: entry._id,
+      },
+    ],
+    { session },
+  );
+
+  return { balance: balances.get(account._id.toString()), transaction };
+};
+
+// Start of the UTC day or month containing date
+const startOfPeriod = (period, date) =>
+  period === "day"
+    ? new Date(
+        Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+      )
+    : startOfMonth(date);
+
+// What each kind of rule checks. Returns a message for the user when the
+// rule fires, or null.
+const RULE_CHECKS = {
+  maxAmount: async (rule, { type, amount }) =>
+    amount > rule.amount
+      ? `The most you can ${RULE_TYPE_VERBS[type]} at once is $${formatCents(rule.amount)}`
+      : null,
+
+  velocity: async (rule, { user, amount }, session) => {
+    const [totals] = await Transaction.aggregate([
+      {
+        $match: {
+          userId: user._id,
+          type: { $in: rule.appliesTo },
+          status: { $nin: UNDONE_TRANSACTION_STATUSES },
+          date: { $gte: startOfPeriod(rule.period, new Date()) },
+        },
+      },
+      {
+        $group: { _id: null, amount: { $sum: "$amount" }, count: { $sum: 1 } },
+      },
+    ]).session(session);
+    const used = totals || { amount: 0, count: 0 };
+    const label = rule.appliesTo.map((t) => RULE_TYPE_LABELS[t]).join(" and ");
+    const period = rule.period === "day" ? "daily" : "monthly";
+
+    if (rule.maxAmount && used.amount + amount > rule.maxAmount) {
+      return `This would go over your ${period} limit of $${formatCents(rule.maxAmount)} for ${label}; $${formatCents(Math.max(rule.maxAmount - used.amount, 0))} is left`;
+    }
+    if (rule.maxCount && used.count + 1 > rule.maxCount) {
+      return `You have reached your ${period} limit of ${rule.maxCount} ${label}`;
+    }
+    return null;
+  },
+
+  newAccount: async (rule, { user, type, amount }) => {
+    const ageDays = (Date.now() - user.createdAt) / (24 * 60 * 60 * 1000);
+    return ageDays < rule.accountAgeDays && amount > rule.maxAmount
+      ? `For the first ${rule.accountAgeDays} days, ${RULE_TYPE_LABELS[type]} over $${formatCents(rule.maxAmount)} need a review`
+      : null;
+  },
+
+  unusualAmount: async (rule, { user, amount }, session) => {
+    if (amount < rule.minAmount) {
+      return null;
+    }
+    const recent = await Transaction.find({
+      userId: user._id,
+      type: { $in: rule.appliesTo },
+      status: { $nin: UNDONE_TRANSACTION_STATUSES },
+    })
+      .sort({ date: -1 })
+      .limit(rule.sampleSize)
+      .select("amount")
+      .session(session);
+    if (recent.length < rule.minHistory) {
+      return null;
+    }
+    const average =
+      recent.reduce((sum, t) => sum + t.amount, 0) / recent.length;
+    return amount > average * rule.multiplier
+      ? "This is much larger than your usual transactions and needs a review"
+      : null;
+  },
+};
+
+// Run every transaction rule that applies to a money movement before it
+// happens. A block throws straight away; otherwise the verdict is "hold" if
+// any hold rule fired and "allow" if none did. The verdict is recorded on
+// the transaction.
+const evaluateRules = async (session, { user, type, amount }) => {
+  let hold = null;
+  for (const rule of TRANSACTION_RULES) {
+    if (!rule.appliesTo.includes(type)) {
+      continue;
+    }
+    const message = await RULE_CHECKS[rule.type](
+      rule,
+      { user, type, amount },
+      session,
+    );
+    if (!message) {
+      continue;
+    }
+    if (rule.action === "block") {
+      throw new ApiError(403, message, { verdict: "block", rule: rule.id });
+    }
+    hold = hold || { verdict: "hold", rule: rule.id, message };
+  }
+  return hold || { verdict: "allow" };
+};
+
+// Correct a user's balance by hand. direction is "credit" to add money or
+// "debit" to take it away; the reason is kept as the transaction note. Works
+// on frozen accounts. Must run inside runInTransaction.
+const adjustFunds = async (session, { userId, direction, amount, reason }) => {
+  const account = await getUserAccount(userId, session);
+  const { entry, balances } = await postJournalEntry(session, {
+    memo: `Adjustment: ${reason}`,
+    postings: [
+      { account, direction, amount },
+      {
+        account: await getSystemAccount("adjustments", session),
+        direction: direction === "credit" ? "debit" : "credit",
+        amount,
+      },
+    ],
+    allowFrozen: true,
+  });
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        userId,
+        type: direction === "credit" ? "adjustment_in" : "adjustment_out",
+        amount,
+        note: reason,
+        journalEntryId: entry._id,
+      },
+    ],
+    { session },
+  );
+
+  return { balance: balances.get(account._id.toString()), transaction };
+};
+
+// Hash of an audit record's contents and the hash before it. Fields are
+// listed explicitly so the result does not depend on how a document was
+// loaded.
+const hashAuditRecord = (record) =>
+  hashToken(
+    JSON.stringify([
+      record.seq,
+      new Date(record.at).toISOString(),
+      record.event,
+      record.actorId ? record.actorId.toString() : null,
+      record.subjectId ? record.subjectId.toString() : null,
+      record.ip ?? null,
+      record.userAgent ?? null,
+      record.requestId ?? null,
+      record.amount ?? null,
+      record.balanceBefore ?? null,
+      record.balanceAfter ?? null,
+      record.details ?? null,
+      record.prevHash,
+    ]),
+  );
+
+// Records from before there was a chain per user have no chain set and
+// are read as this one
+const LEGACY_AUDIT_CHAIN = "audit";
+
+// Chain a record onto the audit chain of the user it concerns. Must run
+// inside runInTransaction, which retries when another append to the same
+// chain got to the head first.
+const appendAuditRecord = async (session, fields) => {
+  const chain = fields.subjectId ? `user:${fields.subjectId}` : "system";
+  const head = await AuditHead.findOneAndUpdate(
+    { _id: chain },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session },
+  );
+
+  const record = {
+    ...fields,
+    // Stored exactly as it will read back, so the hash still matches
+    ...(fields.details && {
+      details: JSON.parse(JSON.stringify(fields.details)),
+    }),
+    chain,
+    seq: head.seq,
+    at: new Date(),
+    prevHash: head.hash,
+  };
+  record.hash = hashAuditRecord(record);
+
+  await AuditHead.updateOne({ _id: chain }, { hash: record.hash }, { session });
+  await AuditLog.create([record], { session });
+  return record;
+};
+
+// Record an event about the request's user or on their behalf. Pass the
+// session to commit the record together with the change it describes;
+// without one it is written in its own transaction.
+const recordAudit = (req, fields, session) => {
+  const record = {
+    actorId: req.user && req.user._id,
+    subjectId: req.user && req.user._id,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+    requestId: req.id,
+    ...fields,
+  };
+  return session
+    ? appendAuditRecord(session, record)
+    : runInTransaction((session) => appendAuditRecord(session, record));
+};
+
+// Walk one audit chain in order and check every link, and that its head
+// points at the last record. Returns the number of records checked and the
+// first broken seq, if any.
+const verifyAuditChainLinks = async (chain) => {
+  let prevHash = "0".repeat(64);
+  let expectedSeq = 1;
+  const cursor = AuditLog.find({
+    chain: chain === LEGACY_AUDIT_CHAIN ? null : chain,
+  })
+    .sort({ seq: 1 })
+    .lean()
+    .cursor();
+  for await (const record of cursor) {
+    if (
+      record.seq !== expectedSeq ||
+      record.prevHash !== prevHash ||
+      hashAuditRecord(record) !== record.hash
+    ) {
+      return { checked: expectedSeq - 1, brokenAt: expectedSeq };
+    }
+    prevHash = record.hash;
+    expectedSeq += 1;
+  }
+
+  const head = await AuditHead.findById(chain);
+  const intact = head
+    ? head.seq === expectedSeq - 1 && head.hash === prevHash
+    : expectedSeq === 1;
+  return { checked: expectedSeq - 1, brokenAt: intact ? null : expectedSeq };
+};
+
+// Check every audit chain: those with a head and any with records but no
+// head. Returns the number of records checked and the first break found,
+// as its chain and seq, if any.
+const verifyAuditChain = async () => {
+  const chains = new Set([
+    ...(await AuditHead.distinct("_id")),
+    ...(await AuditLog.distinct("chain")).map(
+      (chain) => chain || LEGACY_AUDIT_CHAIN,
+    ),
+  ]);
+  let checked = 0;
+  for (const chain of [...chains].sort()) {
+    const result = await verifyAuditChainLinks(chain);
+    checked += result.checked;
+    if (result.brokenAt !== null) {
+      return { checked, brokenAt: { chain, seq: result.brokenAt } };
+    }
+  }
+  return { checked, brokenAt: null };
+};
+
+// The body of an event's deliveries, under a new event id
+const webhookPayload = (event, userId, data) => {
+  const eventId = `evt_${crypto.randomBytes(12).toString("hex")}`;
+  return {
+    eventId,
+    payload: JSON.stringify({
+      id: eventId,
+      type: event,
+      createdAt: new Date(),
+      ...(userId && { userId }),
+      data,
+    }),
+  };
+};
+
+// Queue an event for every endpoint subscribed to it that may see userId's
+// account: the user's own endpoints and admins' allUsers endpoints. userId
+// is null for events not tied to an account, which only allUsers endpoints
+// receive. Pass the session to queue the deliveries together with the change
+// they describe, so an event is sent exactly when its change commits.
+const emitWebhookEvent = async (session, { event, userId, data }) => {
+  const candidates = await WebhookEndpoint.find({
+    events: event,
+    $or: [{ allUsers: true }, ...(userId ? [{ userId }] : [])],
+  }).session(session);
+  if (candidates.length === 0) {
+    return;
+  }
+
+  // An allUsers endpoint stops receiving other accounts' events as soon as
+  // its owner is no longer an admin
+  const admins = await User.find({
+    _id: { $in: candidates.filter((e) => e.allUsers).map((e) => e.userId) },
+    role: "admin",
+  }).session(session);
+  const endpoints = candidates.filter(
+    (e) =>
+      (userId && e.userId.equals(userId)) ||
+      admins.some((admin) => admin._id.equals(e.userId)),
+  );
+  if (endpoints.length === 0) {
+    return;
+  }
+
+  const { eventId, payload } = webhookPayload(event, userId, data);
+  await WebhookDelivery.insertMany(
+    endpoints.map((endpoint) => ({
+      endpointId: endpoint._id,
+      eventId,
+      event,
+      payload,
+    })),
+    { session },
+  );
+};
+
+// Queue an event for a user's open /api/events streams. Must run inside
+// runInTransaction with the change it describes. Bumping the user's head
+// makes concurrent publishers conflict and retry, so seq follows commit
+// order.
+const publishLiveEvent = async (session, userId, type, data) => {
+  const head = await LiveEventHead.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session },
+  );
+  await LiveEvent.create([{ userId, seq: head.seq, type, data }], {
+    session,
+  });
+};
+
+// Tell the owner of each of transactions that is set about it: a live
+// "transaction" event with their new balance, and the transaction.created
+// webhook
+const publishTransactions = async (session, transactions) => {
+  for (const transaction of transactions.filter(Boolean)) {
+    const data = formatTransaction(transaction);
+    const account = await getUserAccount(transaction.userId, session);
+    await publishLiveEvent(session, transaction.userId, "transaction", {
+      transaction: data,
+      ...formatBalances(account),
+    });
+    await emitWebhookEvent(session, {
+      event: "transaction.created",
+      userId: transaction.userId,
+      data,
+    });
+  }
+};
+
+// The same for a transaction whose status changed after review or when the
+// bank settled it, with the balances it may have changed
+const publishTransactionUpdate = async (session, transaction) => {
+  const data = formatTransaction(transaction);
+  const account = await getUserAccount(transaction.userId, session);
+  await publishLiveEvent(session, transaction.userId, "transaction.updated", {
+    transaction: data,
+    ...formatBalances(account),
+  });
+  await emitWebhookEvent(session, {
+    event: "transaction.updated",
+    userId: transaction.userId,
+    data,
+  });
+};
+
+// Signature of a delivery, sent as "t=<timestamp>,v1=<signature>" in the
+// X-Nevmo-Signature header. Receivers recompute the HMAC-SHA256 of
+// "<timestamp>.<body>" with the endpoint secret and should refuse old
+// timestamps, so a captured delivery cannot be replayed later.
+const signWebhookPayload = (secret, timestamp, payload) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+// How long to wait after the given number of failed attempts
+const webhookRetryDelay = (attempts) =>
+  Math.min(
+    WEBHOOK_DELIVERY.retryBaseMs * 2 ** (attempts - 1),
+    WEBHOOK_DELIVERY.retryMaxMs,
+  );
+
+// Resolve the host of a webhook URL and refuse it with a 400 unless every
+// address it resolves to is public. Checked when an endpoint is registered
+// and again before each delivery, since the host can be pointed elsewhere
+// in between.
+const checkWebhookHost = async (url) => {
+  if (WEBHOOK_DELIVERY.allowPrivateHosts) {
+    return;
+  }
+  // IPv6 literals come bracketed
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new ApiError(400, "Webhook host could not be resolved");
+  }
+  if (
+    addresses.some(({ address, family }) =>
+      WEBHOOK_BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4"),
+    )
+  ) {
+    throw new ApiError(400, "Webhook URLs must point to a public address");
+  }
+};
+
+// Make one attempt at a claimed delivery and record how it went. Any 2xx
+// response counts as delivered. Redirects are not followed. Failures are
+// recorded by kind only: the log is shown to the endpoint's owner, and the
+// underlying error could describe the server's own network.
+const attemptWebhookDelivery = async (delivery) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select(
+    "+secret",
+  );
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+
+  if (!endpoint) {
+    attempt.error = "Endpoint was deleted";
+  } else {
+    const timestamp = Math.floor(started / 1000);
+    try {
+      await checkWebhookHost(endpoint.url);
+      const response = await fetch(endpoint.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Nevmo-Webhooks/1.0",
+          "X-Nevmo-Event": delivery.event,
+          "X-Nevmo-Delivery": delivery._id.toString(),
+          "X-Nevmo-Signature": `t=${timestamp},v1=${signWebhookPayload(endpoint.secret, timestamp, delivery.payload)}`,
+        },
+        body: delivery.payload,
+        redirect: "manual",
+        signal: AbortSignal.timeout(WEBHOOK_DELIVERY.timeoutMs),
+      });
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error =
+        error instanceof ApiError
+          ? error.message
+          : error.name === "TimeoutError"
+            ? "Timed out"
+            : "Could not connect";
+    }
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const attempts = delivery.attempts + 1;
+  const done = !attempt.error;
+  const giveUp =
+    !done && (!endpoint || attempts >= WEBHOOK_DELIVERY.maxAttempts);
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        attempts,
+        status: done ? "succeeded" : giveUp ? "failed" : "pending",
+        ...(!done &&
+          !giveUp && {
+            nextAttemptAt: new Date(Date.now() + webhookRetryDelay(attempts)),
+          }),
+      },
+      $unset: { lockedUntil: "" },
+      $push: { attemptLog: attempt },
+    },
+  );
+};
+
+// Send every delivery that is due, one at a time. Each is claimed first, so
+// several server instances can share the queue. Runs every
+// WEBHOOK_DELIVERY.pollMs; a run still going when the next is due is left
+// to finish.
+let webhookQueueRunning = false;
+const processWebhookQueue = async () => {
+  if (webhookQueueRunning) {
+    return;
+  }
+  webhookQueueRunning = true;
+  try {
+    for (let i = 0; i < WEBHOOK_DELIVERY.batchSize; i++) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        {
+          status: "pending",
+          nextAttemptAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        {
+          lockedUntil: new Date(now.getTime() + WEBHOOK_DELIVERY.timeoutMs * 3),
+        },
+        { sort: { nextAttemptAt: 1 }, new: true },
+      );
+      if (!delivery) {
+        break;
+      }
+      await attemptWebhookDelivery(delivery);
+    }
+  } catch (error) {
+    console.error("Webhook queue error:", error);
+  } finally {
+    webhookQueueRunning = false;
+  }
+};
+
+const formatWebhookEndpoint = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  ...(endpoint.description && { description: endpoint.description }),
+  events: endpoint.events,
+  allUsers: endpoint.allUsers,
+  createdAt: endpoint.createdAt,
+});
+
+const formatWebhookDelivery = (delivery) => ({
+  id: delivery._id,
+  eventId: delivery.eventId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  ...(delivery.status === "pending" && {
+    nextAttemptAt: delivery.nextAttemptAt,
+  }),
+  attemptLog: delivery.attemptLog.map(
+    ({ at, statusCode, error, durationMs }) => ({
+      at,
+      ...(statusCode && { statusCode }),
+      ...(error && { error }),
+      durationMs,
+    }),
+  ),
+  ...(delivery.redeliveryOf && { redeliveryOf: delivery.redeliveryOf }),
+  payload: JSON.parse(delivery.payload),
+  createdAt: delivery.createdAt,
+});
+
+// The recipient's side of a transfer, linked to the sender's
+const incomingTransfer = (
+  outgoing,
+  sender,
+  journalEntryId,
+  date = outgoing.date,
+) =>
+  new Transaction({
+    userId: outgoing.counterparty.userId,
+    type: "transfer_in",
+    amount: outgoing.amount,
+    counterparty: {
+      userId: sender._id,
+      name: sender.name,
+      email: sender.email,
+    },
+    note: outgoing.note,
+    relatedTransactionId: outgoing._id,
+    journalEntryId,
+    date,
+  });
+
+// Settle a held transaction. Approving sends the money where it was going;
+// rejecting returns it to the user as a reversal, puts a payment request it
+// paid back to pending and voids a group settlement or authorization
+// capture it made. Must run inside
+// runInTransaction. Returns the settled transaction and the one settling it
+// created, if any: the reversal or the recipient's side of a transfer.
+const releaseHeldTransaction = async (
+  session,
+  { transactionId, decision, reviewerId, reason },
+) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: transactionId, status: "held" },
+    {
+      status: decision === "approve" ? "completed" : "rejected",
+      review: { decision, by: reviewerId, at: new Date(), reason },
+    },
+    { new: true, session },
+  );
+  if (!transaction) {
+    const exists = await Transaction.exists({ _id: transactionId }).session(
+      session,
+    );
+    throw exists
+      ? new ApiError(409, "Transaction is not held")
+      : new ApiError(404, "Transaction not found");
+  }
+
+  const heldAccount = await getSystemAccount("held", session);
+  const user = await User.findById(transaction.userId).session(session);
+
+  if (decision === "reject") {
+    const account = await getUserAccount(user._id, session);
+    const { entry } = await postJournalEntry(session, {
+      memo: `Rejected after review: ${reason}`,
+      postings: [
+        {
+          account: heldAccount,
+          direction: "debit",
+          amount: transaction.amount,
+        },
+        { account, direction: "credit", amount: transaction.amount },
+      ],
+      allowFrozen: true,
+    });
+    const [reversal] = await Transaction.create(
+      [
+        {
+          userId: user._id,
+          type: "reversal",
+          amount: transaction.amount,
+          note: reason,
+          relatedTransactionId: transaction._id,
+          journalEntryId: entry._id,
+        },
+      ],
+      { session },
+    );
+    await PaymentRequest.updateOne(
+      { transactionId: transaction._id, status: "paid" },
+      {
+        status: "pending",
+        $unset: { transactionId: "", respondedAt: "" },
+      },
+      { session },
+    );
+    await Expense.updateOne(
+      { transactionId: transaction._id, settlement: true },
+      { voidedAt: new Date() },
+      { session },
+    );
+    await Authorization.updateOne(
+      { transactionId: transaction._id, status: "captured" },
+      { status: "voided" },
+      { session },
+    );
+    await settleCheckoutSession(session, transaction._id, "failed");
+    return { transaction, created: reversal };
+  }
+
+  if (transaction.type === "withdraw") {
+    // Bank withdrawals go to the bank now and are pending until it settles
+    // them. Older withdrawals without a bank account are done here.
+    const toBank = Boolean(transaction.bank && transaction.bank.accountId);
+    await postJournalEntry(session, {
+      memo: "Withdrawal approved after review",
+      postings: [
+        {
+          account: heldAccount,
+          direction: "debit",
+          amount: transaction.amount,
+        },
+        {
+          account: await getSystemAccount(
+            toBank ? "bankWithdrawalsInTransit" : "withdrawals",
+            session,
+          ),
+          direction: "credit",
+          amount: transaction.amount,
+        },
+      ],
+    });
+    if (toBank) {
+      transaction.status = "pending";
+      transaction.bank.nextCheckAt = new Date();
+      await transaction.save({ session });
+    }
+    return { transaction, created: null };
+  }
+
+  const recipient = await User.findById(
+    transaction.counterparty.userId,
+  ).session(session);
+  const recipientAccount = await getUserAccount(recipient._id, session);
+  const { entry, balances } = await postJournalEntry(session, {
+    memo: `Transfer from ${user.email} to ${recipient.email} approved after review`,
+    postings: [
+      { account: heldAccount, direction: "debit", amount: transaction.amount },
+      {
+        account: recipientAccount,
+        direction: "credit",
+        amount: transaction.amount,
+      },
+    ],
+  });
+  checkUnverifiedLimit(
+    recipient,
+    balances.get(recipientAccount._id.toString()),
+    "The recipient has to verify their email address before they can receive this much",
+  );
+  const incoming = incomingTransfer(transaction, user, entry._id, new Date());
+  await incoming.save({ session });
+  transaction.relatedTransactionId = incoming._id;
+  await transaction.save({ session });
+  await settleCheckoutSession(session, transaction._id, "completed");
+  return { transaction, created: incoming };
+};
+
+// Move money from one user to another. Must run inside runInTransaction so
+// the journal entry and both Transaction records commit together or not at
+// all. recipientQuery is a User filter, e.g. { email } or { _id }, and
+// visibility is who sees the transfer in the feed; transfers the user did
+// not make by hand, such as scheduled runs, are private. Returns the
+// sender's balance and both sides of the transfer.
+const transferFunds = async (
+  session,
+  { senderId, recipientQuery, amount, note, visibility = "private" },
+) => {
+  const recipient = await User.findOne(recipientQuery).session(session);
+  if (!recipient) {
+    throw new ApiError(404, "Recipient not found");
+  }
+  if (recipient._id.equals(senderId)) {
+    throw new ApiError(400, "You cannot send money to yourself");
+  }
+  const sender = await User.findById(senderId).session(session);
+  const risk = await evaluateRules(session, {
+    user: sender,
+    type: "transfer_out",
+    amount,
+  });
+  const held = risk.verdict === "hold";
+
+  // A held transfer only takes the money from the sender; the recipient is
+  // credited if it is approved (see releaseHeldTransaction)
+  const senderAccount = await getUserAccount(sender._id, session);
+  const recipientAccount = held
+    ? await getSystemAccount("held", session)
+    : await getUserAccount(recipient._id, session);
+  const { entry, balances } = await postJournalEntry(session, {
+    memo: `Transfer from ${sender.email} to ${recipient.email}${held ? " (held for review)" : ""}`,
+    postings: [
+      { account: senderAccount, direction: "debit", amount },
+      { account: recipientAccount, direction: "credit", amount },
+    ],
+  });
+
+  const outgoing = new Transaction({
+    userId: sender._id,
+    type: "transfer_out",
+    amount,
+    counterparty: {
+      userId: recipient._id,
+      name: recipient.name,
+      email: recipient.email,
+    },
+    note,
+    visibility,
+    status: held ? "held" : "completed",
+    risk,
+    journalEntryId: entry._id,
+  });
+
+  let incoming = null;
+  if (held) {
+    await outgoing.save({ session });
+  } else {
+    checkUnverifiedLimit(
+      recipient,
+      balances.get(recipientAccount._id.toString()),
+      "The recipient has to verify their email address before they can receive this much",
+    );
+    incoming = incomingTransfer(outgoing, sender, entry._id);
+    outgoing.relatedTransactionId = incoming._id;
+    await Transaction.insertMany([outgoing, incoming], { session });
+  }
+
+  return {
+    balance: balances.get(senderAccount._id.toString()),
+    transaction: outgoing,
+    // The recipient's record; null while the transfer is held
+    incoming,
+  };
+};
+
+// Set amount aside on a user's balance for an authorization. Must run inside
+// runInTransaction. Only money that could be spent can be held, and held
+// money cannot be spent or withdrawn until the hold is released.
+const holdFunds = async (session, userId, amount) => {
+  const account = await LedgerAccount.findOneAndUpdate(
+    { userId, type: "user", $expr: spendableAtLeast(amount) },
+    { $inc: { onHold: amount } },
+    { new: true, session },
+  );
+  if (!account) {
+    throw new ApiError(400, "Insufficient funds");
+  }
+  return account;
+};
+
+// Give an authorization's hold back to the payer's available balance
+const releaseHold = (session, authorization) =>
+  LedgerAccount.updateOne(
+    { userId: authorization.payer.userId, type: "user" },
+    { $inc: { onHold: -authorization.amount } },
+    { session },
+  );
+
+const formatAuthorization = (a) => ({
+  id: a._id,
+  payer: { name: a.payer.name, email: a.payer.email },
+  payee: { name: a.payee.name, email: a.payee.email },
+  amount: formatCents(a.amount),
+  ...(a.note && { note: a.note }),
+  status: a.status,
+  expiresAt: a.expiresAt,
+  ...(a.capturedAmount && {
+    capturedAmount: formatCents(a.capturedAmount),
+    transactionId: a.transactionId,
+  }),
+  createdAt: a.createdAt,
+  ...(a.closedAt && { closedAt: a.closedAt }),
+});
+
+// Tell both sides about a new or changed authorization: a live
+// "authorization" event, with the payer's balances for the payer, and the
+// authorization.created or authorization.updated webhook
+const publishAuthorization = async (session, authorization, event) => {
+  const data = formatAuthorization(authorization);
+  const payerAccount = await getUserAccount(
+    authorization.payer.userId,
+    session,
+  );
+  await publishLiveEvent(session, authorization.payer.userId, "authorization", {
+    authorization: data,
+    ...formatBalances(payerAccount),
+  });
+  await publishLiveEvent(session, authorization.payee.userId, "authorization", {
+    authorization: data,
+  });
+  for (const party of [authorization.payer, authorization.payee]) {
+    await emitWebhookEvent(session, { event, userId: party.userId, data });
+  }
+};
+
+// Which action closes an open authorization, and which party may take it.
+// Only the payee can capture or void; the payer's hold lasts until then or
+// until it expires.
+const AUTHORIZATION_TRANSITIONS = {
+  capture: { to: "captured", actor: "payee" },
+  void: { to: "voided", actor: "payee" },
+};
+
+// Atomically close an open, unexpired authorization with action, as long as
+// userId is the party allowed to take it
+const transitionAuthorization = async (
+  session,
+  { authorizationId, userId, action },
+) => {
+  const { to, actor } = AUTHORIZATION_TRANSITIONS[action];
+  const now = new Date();
+  const authorization = await Authorization.findOneAndUpdate(
+    {
+      _id: authorizationId,
+      [`${actor}.userId`]: userId,
+      status: "authorized",
+      expiresAt: { $gt: now },
+    },
+    { status: to, closedAt: now },
+    { new: true, session },
+  );
+
+  if (!authorization) {
+    const existing = await Authorization.findOne({
+      _id: authorizationId,
+      $or: [{ "payer.userId": userId }, { "payee.userId": userId }],
+    }).session(session);
+    if (!existing) {
+      throw new ApiError(404, "Authorization not found");
+    }
+    if (!existing[actor].userId.equals(userId)) {
+      throw new ApiError(403, `Only the payee can ${action} an authorization`);
+    }
+    throw new ApiError(
+      409,
+      `Authorization is already ${existing.status === "authorized" ? "expired" : existing.status}`,
+    );
+  }
+
+  return authorization;
+};
+
+// Capture an authorization for amount, all of it if not given. The hold is
+// released and amount moves to the payee as a transfer, which goes through
+// the transaction rules like any other; whatever was not captured is free
+// to spend again. Must run inside runInTransaction.
+const captureAuthorization = async (
+  session,
+  { authorizationId, payeeId, amount },
+) => {
+  const authorization = await transitionAuthorization(session, {
+    authorizationId,
+    userId: payeeId,
+    action: "capture",
+  });
+  const captured = amount || authorization.amount;
+  if (captured > authorization.amount) {
+    throw new ApiError(
+      400,
+      `You can capture at most $${formatCents(authorization.amount)}`,
+    );
+  }
+
+  await releaseHold(session, authorization);
+  const result = await transferFunds(session, {
+    senderId: authorization.payer.userId,
+    recipientQuery: { _id: authorization.payee.userId },
+    amount: captured,
+    note: authorization.note,
+  });
+  authorization.capturedAmount = captured;
+  authorization.transactionId = result.transaction._id;
+  await authorization.save({ session });
+  return { authorization, ...result };
+};
+
+const formatMerchant = (m) => ({
+  id: m._id,
+  name: m.name,
+  ...(m.website && { website: m.website }),
+  createdAt: m.createdAt,
+});
+
+const formatApiKey = (k) => ({
+  id: k._id,
+  name: k.name,
+  scopes: k.scopes,
+  // The end of the secret, to tell keys apart
+  last4: k.last4,
+  createdAt: k.createdAt,
+  ...(k.lastUsedAt && { lastUsedAt: k.lastUsedAt }),
+  ...(k.expiresAt && { expiresAt: k.expiresAt }),
+  ...(k.revokedAt && { revokedAt: k.revokedAt }),
+});
+
+// Issue a new API key for a merchant. Returns the record and the full key,
+// which is never available again.
+const issueApiKey = async (session, { merchantId, name, scopes }) => {
+  const _id = new mongoose.Types.ObjectId();
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const [apiKey] = await ApiKey.create(
+    [
+      {
+        _id,
+        merchantId,
+        name,
+        scopes,
+        secretHash: hashToken(secret),
+        last4: secret.slice(-4),
+      },
+    ],
+    { session },
+  );
+  return { apiKey, key: `sk_${_id}_${secret}` };
+};
+
+// An open session past its expiresAt reads as expired before the runner
+// gets to it
+const checkoutStatus = (s) =>
+  s.status === "open" && s.expiresAt <= new Date() ? "expired" : s.status;
+
+const formatCheckoutSession = (s) => ({
+  id: s._id,
+  merchant: { id: s.merchantId, name: s.merchantName },
+  amount: formatCents(s.amount),
+  description: s.description,
+  ...(s.reference && { reference: s.reference }),
+  status: checkoutStatus(s),
+  // Where to send the customer to pay
+  url: `${APP_URL}/?checkout=${s._id}`,
+  returnUrl: s.returnUrl,
+  expiresAt: s.expiresAt,
+  ...(s.payer &&
+    s.payer.userId && {
+      payer: { name: s.payer.name, email: s.payer.email },
+    }),
+  ...(s.transactionId && { transactionId: s.transactionId }),
+  createdAt: s.createdAt,
+  ...(s.completedAt && { completedAt: s.completedAt }),
+});
+
+// The merchant's return URL with the session id and its outcome added
+const checkoutRedirectUrl = (s) => {
+  const url = new URL(s.returnUrl);
+  url.searchParams.set("checkout_session", s._id.toString());
+  url.searchParams.set("status", checkoutStatus(s));
+  return url.toString();
+};
+
+// Tell the merchant a checkout session changed, with the
+// checkout.session.updated webhook to the merchant owner's endpoints
+const publishCheckoutSession = async (session, checkoutSession) => {
+  const merchant = await Merchant.findById(checkoutSession.merchantId).session(
+    session,
+  );
+  await emitWebhookEvent(session, {
+    event: "checkout.session.updated",
+    userId: merchant.ownerId,
+    data: formatCheckoutSession(checkoutSession),
+  });
+};
+
+// Finish the checkout session paid by a transfer that was held for review,
+// if there is one: completed when the transfer is approved, failed when it
+// is rejected
+const settleCheckoutSession = async (session, transactionId, status) => {
+  const checkoutSession = await CheckoutSession.findOneAndUpdate(
+    { transactionId, status: "processing" },
+    { status, completedAt: new Date() },
+    { new: true, session },
+  );
+  if (checkoutSession) {
+    await publishCheckoutSession(session, checkoutSession);
+  }
+};
+
+// Undo what a transfer paid for as its money goes back to the sender, by
+// refunds, a chargeback or both. A group settlement counts only what the
+// recipient kept, and is voided once that is nothing. A payment request it
+// paid and a checkout session it completed stay paid and completed until
+// all of it has gone back; then the request is pending again, as when the
+// payment is rejected, and the session is refunded. Must run inside
+// runInTransaction, after outgoing has been updated.
+const unwindReturnedTransfer = async (session, outgoing) => {
+  const kept =
+    outgoing.amount -
+    (outgoing.refundedAmount || 0) -
+    ((outgoing.dispute && outgoing.dispute.reversedAmount) || 0);
+  if (kept > 0) {
+    await Expense.updateOne(
+      { transactionId: outgoing._id, settlement: true, voidedAt: null },
+      { amount: kept, "splits.0.amount": kept },
+      { session },
+    );
+    return;
+  }
+
+  await Expense.updateOne(
+    { transactionId: outgoing._id, settlement: true, voidedAt: null },
+    { voidedAt: new Date() },
+    { session },
+  );
+  await PaymentRequest.updateOne(
+    { transactionId: outgoing._id, status: "paid" },
+    {
+      status: "pending",
+      $unset: { transactionId: "", respondedAt: "" },
+    },
+    { session },
+  );
+  const checkoutSession = await CheckoutSession.findOneAndUpdate(
+    { transactionId: outgoing._id, status: "completed" },
+    { status: "refunded" },
+    { new: true, session },
+  );
+  if (checkoutSession) {
+    await publishCheckoutSession(session, checkoutSession);
+  }
+};
+
+// Add entry to a transfer's status trail, on the sender's record and the
+// recipient's, and copy the sender's refund and dispute state across.
+// Returns the recipient's record.
+const recordTransferStatus = async (session, outgoing, entry) => {
+  outgoing.statusTrail.push(entry);
+  await outgoing.save({ session });
+  const { refundedAmount, dispute } = outgoing.toObject();
+  return Transaction.findOneAndUpdate(
+    { _id: outgoing.relatedTransactionId },
+    {
+      $set: {
+        ...(refundedAmount && { refundedAmount }),
+        ...(dispute && dispute.status && { dispute }),
+      },
+      $push: { statusTrail: entry },
+    },
+    { new: true, session },
+  );
+};
+
+// Move amount from a transfer's recipient back to its sender, as a refund
+// the recipient gave or a chargeback after a dispute. Chargebacks are taken
+// even from a frozen or overdrawn recipient. Must run inside
+// runInTransaction. Returns the new records on each side and the
+// recipient's balance.
+const returnTransferFunds = async (
+  session,
+  { outgoing, incoming, amount, kind, note },
+) => {
+  const chargeback = kind === "chargeback";
+  const sender = await User.findById(outgoing.userId).session(session);
+  const recipient = await User.findById(incoming.userId).session(session);
+  const senderAccount = await getUserAccount(sender._id, session);
+  const recipientAccount = await getUserAccount(recipient._id, session);
+  const { entry, balances } = await postJournalEntry(session, {
+    memo: `${chargeback ? "Chargeback" : "Refund"} from ${recipient.email} to ${sender.email}`,
+    postings: [
+      { account: recipientAccount, direction: "debit", amount },
+      { account: senderAccount, direction: "credit", amount },
+    ],
+    allowFrozen: chargeback,
+    allowOverdraft: chargeback,
+  });
+
+  const out = new Transaction({
+    userId: recipient._id,
+    type: `${kind}_out`,
+    amount,
+    counterparty: incoming.counterparty,
+    note,
+    relatedTransactionId: incoming._id,
+    journalEntryId: entry._id,
+  });
+  const back = new Transaction({
+    userId: sender._id,
+    type: `${kind}_in`,
+    amount,
+    counterparty: outgoing.counterparty,
+    note,
+    relatedTransactionId: outgoing._id,
+    journalEntryId: entry._id,
+  });
+  await Transaction.insertMany([out, back], { session });
+  return {
+    out,
+    back,
+    balance: balances.get(recipientAccount._id.toString()),
+  };
+};
+
+// Refund all or part of a transfer the recipient received, as recipientId.
+// Refunds of a transfer never add up to more than it, and stop once an
+// admin has reversed it. What the transfer paid for is unwound to match.
+// Must run inside runInTransaction.
+const refundTransfer = async (
+  session,
+  { transactionId, recipientId, amount, reason },
+) => {
+  const incoming = await Transaction.findOne({
+    _id: transactionId,
+    userId: recipientId,
+    type: "transfer_in",
+  }).session(session);
+  if (!incoming) {
+    throw new ApiError(404, "Transaction not found");
+  }
+  if (incoming.dispute && incoming.dispute.status === "reversed") {
+    throw new ApiError(409, "This payment was already reversed");
+  }
+  const left = incoming.amount - (incoming.refundedAmount || 0);
+  if (left <= 0) {
+    throw new ApiError(409, "This payment was already refunded in full");
+  }
+  const refund = amount || left;
+
+  const outgoing = await Transaction.findOneAndUpdate(
+    {
+      _id: incoming.relatedTransactionId,
+      "dispute.status": { $ne: "reversed" },
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ["$refundedAmount", 0] }, refund] },
+          "$amount",
+        ],
+      },
+    },
+    { $inc: { refundedAmount: refund } },
+    { new: true, session },
+  );
+  if (!outgoing) {
+    throw new ApiError(400, `You can refund at most $${formatCents(left)}`);
+  }
+
+  const returned = await returnTransferFunds(session, {
+    outgoing,
+    incoming,
+    amount: refund,
+    kind: "refund",
+    note: reason || incoming.note,
+  });
+  const updatedIncoming = await recordTransferStatus(session, outgoing, {
+    status:
+      outgoing.refundedAmount === outgoing.amount
+        ? "refunded"
+        : "partially_refunded",
+    amount: refund,
+    ...(reason && { reason }),
+    at: new Date(),
+  });
+  await unwindReturnedTransfer(session, outgoing);
+  return { outgoing, incoming: updatedIncoming, ...returned };
+};
+
+// Divide an expense into what each member owes, in cents. Equal and shares
+// splits round down and then hand out the cents left over one at a time,
+// largest remainder first, so the parts always add up to the total.
+const splitExpense = (amount, splitType, splits) => {
+  if (splitType === "exact") {
+    const total = splits.reduce((sum, split) => sum + (split.amount || 0), 0);
+    if (splits.some((split) => !split.amount) || total !== amount) {
+      throw new ApiError(
+        400,
+        `Exact amounts must add up to $${formatCents(amount)}`,
+      );
+    }
+    return splits.map(({ userId, amount }) => ({ userId, amount }));
+  }
+
+  const weights = splits.map((split) =>
+    splitType === "shares" ? split.shares : 1,
+  );
+  if (weights.some((weight) => !weight)) {
+    throw new ApiError(400, "Everyone in a shares split needs a share count");
+  }
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const parts = splits.map((split, i) => ({
+    userId: split.userId,
+    amount: Math.floor((amount * weights[i]) / totalWeight),
+    remainder: (amount * weights[i]) % totalWeight,
+    ...(splitType === "shares" && { shares: weights[i] }),
+  }));
+  const left = amount - parts.reduce((sum, part) => sum + part.amount, 0);
+  [...parts]
+    .sort((a, b) => b.remainder - a.remainder)
+    .slice(0, left)
+    .forEach((part) => {
+      part.amount += 1;
+    });
+  return parts.map(({ remainder, ...part }) => part);
+};
+
+// Each member's position in a group, in cents, keyed by user id: what they
+// paid for others minus what others paid for them. Positive means the
+// group owes them.
+const getGroupBalances = async (group, session) => {
+  const balances = new Map(
+    group.members.map((member) => [member.userId.toString(), 0]),
+  );
+  const match = { $match: { groupId: group._id, voidedAt: null } };
+  const paid = await Expense.aggregate([
+    match,
+    { $group: { _id: "$paidBy", total: { $sum: "$amount" } } },
+  ]).session(session);
+  const owed = await Expense.aggregate([
+    match,
+    { $unwind: "$splits" },
+    { $group: { _id: "$splits.userId", total: { $sum: "$splits.amount" } } },
+  ]).session(session);
+  for (const { _id, total } of paid) {
+    balances.set(_id.toString(), (balances.get(_id.toString()) || 0) + total);
+  }
+  for (const { _id, total } of owed) {
+    balances.set(_id.toString(), (balances.get(_id.toString()) || 0) - total);
+  }
+  return balances;
+};
+
+// Payments that would settle a group, from its balances: the member who
+// owes most pays the member owed most as much as one of them needs, and so
+// on. Takes at most one payment fewer than there are members.
+const simplifyDebts = (balances) => {
+  const sorted = (sign) =>
+    [...balances]
+      .filter(([, balance]) => sign * balance > 0)
+      .map(([userId, balance]) => ({ userId, amount: sign * balance }))
+      .sort((a, b) => b.amount - a.amount);
+  const debtors = sorted(-1);
+  const creditors = sorted(1);
+
+  const debts = [];
+  let i = 0;
+  let j = 0;
+  while (i < debtors.length && j < creditors.length) {
+    const amount = Math.min(debtors[i].amount, creditors[j].amount);
+    debts.push({ from: debtors[i].userId, to: creditors[j].userId, amount });
+    debtors[i].amount -= amount;
+    creditors[j].amount -= amount;
+    if (debtors[i].amount === 0) {
+      i += 1;
+    }
+    if (creditors[j].amount === 0) {
+      j += 1;
+    }
+  }
+  return debts;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrence n of a schedule, counting its start as 0. Monthly schedules
+// keep the start's day of the month, or use the last day of shorter months.
+const scheduleOccurrence = ({ startAt, frequency }, n) => {
+  if (frequency === "daily") {
+    return new Date(startAt.getTime() + n * DAY_MS);
+  }
+  if (frequency === "weekly") {
+    return new Date(startAt.getTime() + n * 7 * DAY_MS);
+  }
+  const date = new Date(startAt);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + n);
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  date.setUTCDate(Math.min(startAt.getUTCDate(), lastDay));
+  return date;
+};
+
+// The schedule's first occurrence after the given time, or null when it has
+// none left
+const nextOccurrence = (schedule, after) => {
+  if (schedule.frequency === "once") {
+    return null;
+  }
+  // Months are at most 31 days long, so this occurrence is never past the
+  // one wanted; step forward from it
+  const period = { daily: DAY_MS, weekly: 7 * DAY_MS, monthly: 31 * DAY_MS }[
+    schedule.frequency
+  ];
+  let n = Math.max(Math.floor((after - schedule.startAt) / period), 1);
+  let occurrence = scheduleOccurrence(schedule, n);
+  while (occurrence <= after) {
+    n += 1;
+    occurrence = scheduleOccurrence(schedule, n);
+  }
+  return schedule.endAt && occurrence > schedule.endAt ? null : occurrence;
+};
+
+// Move the money for one run of a schedule. Must run inside
+// runInTransaction. Returns what the money helper returned.
+const SCHEDULE_RUNNERS = {
+  deposit: (session, schedule) =>
+    depositFunds(session, {
+      userId: schedule.userId,
+      amount: schedule.amount,
+      bankAccountId: schedule.bankAccountId,
+    }),
+  withdraw: (session, schedule) =>
+    withdrawFunds(session, {
+      userId: schedule.userId,
+      amount: schedule.amount,
+      bankAccountId: schedule.bankAccountId,
+    }),
+  transfer: (session, schedule) =>
+    transferFunds(session, {
+      senderId: schedule.userId,
+      recipientQuery: { _id: schedule.recipient.userId },
+      amount: schedule.amount,
+      note: schedule.note,
+    }),
+};
+
+const SCHEDULE_AUDIT_EVENTS = {
+  deposit: "deposit",
+  withdraw: "withdraw",
+  transfer: "transfer",
+};
+
+// Run a claimed schedule that is due. The money moves in the same database
+// transaction that moves nextRunAt on, and only if nextRunAt is still the
+// one that was due, so each occurrence runs at most once however many
+// instances try it. Runs missed while the server was down are made up with
+// a single run. A run that fails for a reason the user can fix, such as
+// insufficient funds or a blocking rule, is skipped and the user is emailed.
+const runSchedule = async (schedule) => {
+  const due = schedule.nextRunAt;
+  const now = new Date();
+  const next = nextOccurrence(schedule, now);
+  const advance = next
+    ? { $set: { nextRunAt: next }, $unset: { lockedUntil: "" } }
+    : {
+        $set: { status: "completed" },
+        $unset: { nextRunAt: "", lockedUntil: "" },
+      };
+
+  try {
+    await runInTransaction(async (session) => {
+      const claimed = await Schedule.findOneAndUpdate(
+        { _id: schedule._id, status: "active", nextRunAt: due },
+        { ...advance, $inc: { runCount: 1 } },
+        { session },
+      );
+      if (!claimed) {
+        return;
+      }
+
+      const result = await SCHEDULE_RUNNERS[schedule.type](session, schedule);
+      const { transaction, balance } = result;
+      const sign = CREDIT_TRANSACTION_TYPES.includes(transaction.type) ? 1 : -1;
+      await appendAuditRecord(session, {
+        event: SCHEDULE_AUDIT_EVENTS[schedule.type],
+        actorId: schedule.userId,
+        subjectId: schedule.userId,
+        amount: schedule.amount,
+        balanceBefore: balance - sign * schedule.amount,
+        balanceAfter: balance,
+        details: {
+          transactionId: transaction._id,
+          scheduleId: schedule._id,
+          status: transaction.status,
+          ...(schedule.type === "transfer" && {
+            recipientId: schedule.recipient.userId,
+          }),
+        },
+      });
+      await publishTransactions(session, [transaction, result.incoming]);
+      await Schedule.updateOne(
+        { _id: schedule._id },
+        {
+          lastRun: {
+            at: now,
+            status: transaction.status,
+            transactionId: transaction._id,
+          },
+        },
+        { session },
+      );
+    });
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      // Left locked, so it is tried again once lockMs has passed
+      throw error;
+    }
+
+    const skipped = await Schedule.findOneAndUpdate(
+      { _id: schedule._id, status: "active", nextRunAt: due },
+      {
+        ...advance,
+        $inc: { skipCount: 1 },
+        lastRun: { at: now, status: "skipped", error: error.message },
+      },
+    );
+    if (!skipped) {
+      return;
+    }
+    await runInTransaction((session) =>
+      appendAuditRecord(session, {
+        event: "schedule.skipped",
+        actorId: schedule.userId,
+        subjectId: schedule.userId,
+        amount: schedule.amount,
+        details: {
+          scheduleId: schedule._id,
+          error: error.message,
+          ...(error.extra.rule && { rule: error.extra.rule }),
+        },
+      }),
+    );
+    const user = await User.findById(schedule.userId);
+    if (user) {
+      sendScheduleSkippedEmail(user, schedule, error.message, next).catch(
+        (mailError) => console.error("Schedule email error:", mailError),
+      );
+    }
+  }
+};
+
+// Run every schedule that is due, one at a time. Each is claimed with
+// lockedUntil first, so instances sharing the database split the work. Runs
+// every SCHEDULE_RUNNER.pollMs; a run still going when the next is due is
+// left to finish.
+let schedulesRunning = false;
+const processDueSchedules = async () => {
+  if (schedulesRunning) {
+    return;
+  }
+  schedulesRunning = true;
+  try {
+    for (let i = 0; i < SCHEDULE_RUNNER.batchSize; i++) {
+      const now = new Date();
+      const schedule = await Schedule.findOneAndUpdate(
+        {
+          status: "active",
+          nextRunAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        { lockedUntil: new Date(now.getTime() + SCHEDULE_RUNNER.lockMs) },
+        { sort: { nextRunAt: 1 }, new: true },
+      );
+      if (!schedule) {
+        break;
+      }
+      await runSchedule(schedule);
+    }
+  } catch (error) {
+    console.error("Scheduled payments error:", error);
+  } finally {
+    schedulesRunning = false;
+  }
+};
+
+// Apply what the bank did with a transfer. Must run inside runInTransaction.
+// Settling moves the money out of in-transit: a deposit's money becomes
+// spendable. Failing or returning it moves the money back with a
+// bank_return_in or bank_return_out transaction, from in-transit if it had
+// not settled yet. A returned deposit can leave the account negative, as the
+// money may have been spent by then. Returns the updated transaction and the
+// return, if any, or null when another instance got there first.
+const finishBankTransfer = async (
+  session,
+  transaction,
+  { status, returnCode, reason },
+) => {
+  const now = new Date();
+  const deposit = transaction.type === "deposit";
+  const wasPending = transaction.status === "pending";
+  const updated = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: transaction.status },
+    status === "settled"
+      ? {
+          status,
+          "bank.settledAt": now,
+          "bank.nextCheckAt": new Date(now.getTime() + BANK_TRANSFERS.pollMs),
+          $unset: { "bank.lockedUntil": "" },
+        }
+      : {
+          status,
+          "bank.returnCode": returnCode,
+          "bank.reason": reason,
+          $unset: { "bank.nextCheckAt": "", "bank.lockedUntil": "" },
+        },
+    { new: true, session },
+  );
+  if (!updated) {
+    return null;
+  }
+
+  const { amount, userId } = transaction;
+  const account = await getUserAccount(userId, session);
+  const inTransit = await getSystemAccount(
+    deposit ? "bankDepositsInTransit" : "bankWithdrawalsInTransit",
+    session,
+  );
+  const external = await getSystemAccount(
+    deposit ? "deposits" : "withdrawals",
+    session,
+  );
+  if (deposit && wasPending) {
+    await LedgerAccount.updateOne(
+      { _id: account._id },
+      { $inc: { uncleared: -amount } },
+      { session },
+    );
+  }
+
+  const label = deposit ? "Deposit" : "Withdrawal";
+  if (status === "settled") {
+    const [from, to] = deposit ? [external, inTransit] : [inTransit, external];
+    await postJournalEntry(session, {
+      memo: `${label} settled by the bank`,
+      postings: [
+        { account: from, direction: "debit", amount },
+        { account: to, direction: "credit", amount },
+      ],
+      allowFrozen: true,
+    });
+    await appendAuditRecord(session, {
+      event: "bank_transfer.settled",
+      subjectId: userId,
+      amount,
+      details: { transactionId: transaction._id },
+    });
+    return { transaction: updated, created: null };
+  }
+
+  const source = wasPending ? inTransit : external;
+  const [from, to] = deposit ? [account, source] : [source, account];
+  const { entry, balances } = await postJournalEntry(session, {
+    memo: `${label} ${status} by the bank: ${returnCode} ${reason}`,
+    postings: [
+      { account: from, direction: "debit", amount },
+      { account: to, direction: "credit", amount },
+    ],
+    allowFrozen: true,
+    allowOverdraft: true,
+  });
+  const [created] = await Transaction.create(
+    [
+      {
+        userId,
+        type: deposit ? "bank_return_out" : "bank_return_in",
+        amount,
+        note: reason,
+        relatedTransactionId: transaction._id,
+        journalEntryId: entry._id,
+      },
+    ],
+    { session },
+  );
+  const balance = balances.get(account._id.toString());
+  await appendAuditRecord(session, {
+    event: `bank_transfer.${status}`,
+    subjectId: userId,
+    amount,
+    balanceBefore: deposit ? balance + amount : balance - amount,
+    balanceAfter: balance,
+    details: {
+      transactionId: transaction._id,
+      returnTransactionId: created._id,
+      returnCode,
+    },
+  });
+  return { transaction: updated, created };
+};
+
+// Move a claimed bank transfer along: submit it to the provider if it has
+// not been yet, otherwise ask the provider how it went and apply any
+// change. Settled transfers are checked for returns until returnWindowMs
+// has passed since they settled.
+const checkBankTransfer = async (transaction) => {
+  const bankAccount = await BankAccount.findById(transaction.bank.accountId);
+  const nextCheckAt = new Date(Date.now() + BANK_TRANSFERS.pollMs);
+
+  if (!transaction.bank.externalId) {
+    const { externalId } = await bankProvider.createTransfer(bankAccount, {
+      id: transaction._id.toString(),
+      direction: transaction.type === "deposit" ? "debit" : "credit",
+      amount: transaction.amount,
+    });
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      {
+        "bank.externalId": externalId,
+        "bank.submittedAt": new Date(),
+        "bank.nextCheckAt": nextCheckAt,
+        $unset: { "bank.lockedUntil": "" },
+      },
+    );
+    return;
+  }
+
+  const outcome = await bankProvider.getTransfer(bankAccount, transaction);
+  if (outcome.status === "pending" || outcome.status === transaction.status) {
+    const done =
+      transaction.status === "settled" &&
+      Date.now() - transaction.bank.settledAt >= BANK_TRANSFERS.returnWindowMs;
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      done
+        ? { $unset: { "bank.nextCheckAt": "", "bank.lockedUntil": "" } }
+        : {
+            "bank.nextCheckAt": nextCheckAt,
+            $unset: { "bank.lockedUntil": "" },
+          },
+    );
+    return;
+  }
+
+  const result = await runInTransaction(async (session) => {
+    const finished = await finishBankTransfer(session, transaction, outcome);
+    if (finished) {
+      await publishTransactionUpdate(session, finished.transaction);
+      await publishTransactions(session, [finished.created]);
+    }
+    return finished;
+  });
+  if (result && result.created) {
+    const user = await User.findById(transaction.userId);
+    sendBankTransferReturnedEmail(user, result.transaction, bankAccount).catch(
+      (mailError) => console.error("Bank transfer email error:", mailError),
+    );
+  }
+};
+
+// Submit and check bank transfers that are due, one at a time, claiming
+// each with bank.lockedUntil like processDueSchedules does. Runs every
+// BANK_TRANSFERS.pollMs.
+let bankTransfersRunning = false;
+const processBankTransfers = async () => {
+  if (bankTransfersRunning) {
+    return;
+  }
+  bankTransfersRunning = true;
+  try {
+    for (let i = 0; i < BANK_TRANSFERS.batchSize; i++) {
+      const now = new Date();
+      const transaction = await Transaction.findOneAndUpdate(
+        {
+          "bank.nextCheckAt": { $lte: now },
+          $or: [
+            { "bank.lockedUntil": null },
+            { "bank.lockedUntil": { $lte: now } },
+          ],
+        },
+        {
+          "bank.lockedUntil": new Date(now.getTime() + BANK_TRANSFERS.lockMs),
+        },
+        { sort: { "bank.nextCheckAt": 1 }, new: true },
+      );
+      if (!transaction) {
+        break;
+      }
+      await checkBankTransfer(transaction);
+    }
+  } catch (error) {
+    console.error("Bank transfers error:", error);
+  } finally {
+    bankTransfersRunning = false;
+  }
+};
+
+// Release the holds of authorizations past their expiresAt, one at a time.
+// Each is marked expired in the same database transaction that releases
+// it, so instances can share the work without claiming. Runs every
+// AUTHORIZATIONS.pollMs.
+let authorizationsExpiring = false;
+const expireAuthorizations = async () => {
+  if (authorizationsExpiring) {
+    return;
+  }
+  authorizationsExpiring = true;
+  try {
+    for (let i = 0; i < AUTHORIZATIONS.batchSize; i++) {
+      const expired = await runInTransaction(async (session) => {
+        const now = new Date();
+        const authorization = await Authorization.findOneAndUpdate(
+          { status: "authorized", expiresAt: { $lte: now } },
+          { status: "expired", closedAt: now },
+          { sort: { expiresAt: 1 }, new: true, session },
+        );
+        if (!authorization) {
+          return null;
+        }
+        await releaseHold(session, authorization);
+        await appendAuditRecord(session, {
+          event: "authorization.expired",
+          subjectId: authorization.payer.userId,
+          amount: authorization.amount,
+          details: { authorizationId: authorization._id },
+        });
+        await publishAuthorization(
+          session,
+          authorization,
+          "authorization.updated",
+        );
+        return authorization;
+      });
+      if (!expired) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error("Expire authorizations error:", error);
+  } finally {
+    authorizationsExpiring = false;
+  }
+};
+
+// Close open checkout sessions past their expiresAt and tell their
+// merchants, one at a time. Runs every CHECKOUT.pollMs.
+let checkoutSessionsExpiring = false;
+const expireCheckoutSessions = async () => {
+  if (checkoutSessionsExpiring) {
+    return;
+  }
+  checkoutSessionsExpiring = true;
+  try {
+    for (let i = 0; i < CHECKOUT.batchSize; i++) {
+      const expired = await runInTransaction(async (session) => {
+        const now = new Date();
+        const checkoutSession = await CheckoutSession.findOneAndUpdate(
+          { status: "open", expiresAt: { $lte: now } },
+          { status: "expired", completedAt: now },
+          { sort: { expiresAt: 1 }, new: true, session },
+        );
+        if (checkoutSession) {
+          await publishCheckoutSession(session, checkoutSession);
+        }
+        return checkoutSession;
+      });
+      if (!expired) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error("Expire checkout sessions error:", error);
+  } finally {
+    checkoutSessionsExpiring = false;
+  }
+};
+
+// Register new user
+app.post("/api/register", async (req, res, next) => {
+  try {
+    const validatedData = registerSchema.parse(req.body);
+    console.log("Registration attempt for email:", validatedData.email);
+
+    const existingUser = await User.findOne({ email: validatedData.email });
+    if (existingUser) {
+      console.log("Email already exists:", validatedData.email);
+      return res.status(400).json({ error: "Email already registered" });
+    }
+
+    // Log the user data we're about to save
+    const hashedPassword = await bcrypt.hash(validatedData.password, 10);
+    const userData = {
+      email: validatedData.email,
+      name: validatedData.name,
+      password: hashedPassword,
+    };
+    console.log("Creating new user:", { ...userData, password: "[HIDDEN]" });
+
+    // The user and their ledger account are created together. The unique
+    // email index catches a concurrent registration the check above missed.
+    const user = await runInTransaction(async (session) => {
+      const [user] = await User.create([userData], { session }).catch(
+        (error) => {
+          throw error.code === 11000
+            ? new ApiError(400, "Email already registered")
+            : error;
+        },
+      );
+      await LedgerAccount.create(
+        [
+          {
+            code: `user:${user._id}`,
+            type: "user",
+            normalBalance: "credit",
+            userId: user._id,
+          },
+        ],
+        { session },
+      );
+      await recordAudit(
+        req,
+        { event: "user.registered", actorId: user._id, subjectId: user._id },
+        session,
+      );
+      return user;
+    });
+
+    console.log("User saved successfully:", user.email);
+
+    // The account works without it, so a mail failure does not fail the
+    // registration; the user can ask for another link
+    sendVerificationEmail(user).catch((error) =>
+      console.error("Verification email error:", error),
+    );
+
+    res.status(201).json({
+      ...(await createSession(user, req)),
+      user: formatUser(user, { balance: 0, uncleared: 0, onHold: 0 }),
+    });
+  } catch (error) {
+    console.error("Registration error:", error);
+    next(error);
+  }
+});
+
+// Login route
+app.post("/api/login", async (req, res, next) => {
+  try {
+    const validatedData = loginSchema.parse(req.body);
+    await checkLoginThrottle(req, validatedData.email);
+
+    // Explicitly select the password field (MongoDB might exclude it by default)
+    const user = await User.findOne({ email: validatedData.email }).select(
+      "+password",
+    );
+
+    if (!user) {
+      await recordLoginFailure(req, validatedData.email, null);
+      await recordAudit(req, {
+        event: "login.failed",
+        details: { email: validatedData.email, reason: "unknown_user" },
+      });
+      await emitWebhookEvent(null, {
+        event: "login.failed",
+        userId: null,
+        data: {
+          email: validatedData.email,
+          reason: "unknown_user",
+          ip: req.ip,
+        },
+      });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    // Add debug logging
+    console.log("Login attempt:", {
+      email: validatedData.email,
+      hasPassword: !!user.password,
+      providedPassword: !!validatedData.password,
+    });
+
+    // Ensure both passwords exist before comparing
+    if (!user.password || !validatedData.password) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    const validPassword = await bcrypt.compare(
+      validatedData.password,
+      user.password,
+    );
+    if (!validPassword) {
+      await recordLoginFailure(req, user.email, user);
+      await recordAudit(req, {
+        event: "login.failed",
+        actorId: user._id,
+        subjectId: user._id,
+        details: { email: user.email, reason: "invalid_password" },
+      });
+      await emitWebhookEvent(null, {
+        event: "login.failed",
+        userId: user._id,
+        data: { email: user.email, reason: "invalid_password", ip: req.ip },
+      });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    // With two-factor authentication the password only earns a challenge,
+    // completed at /api/login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: jwt.sign(
+          { email: user.email, purpose: "login_2fa" },
+          JWT_SECRET,
+          { expiresIn: LOGIN_CHALLENGE_TTL },
+        ),
+      });
+    }
+
+    await clearLoginFailures(user.email);
+    await recordAudit(req, {
+      event: "login.succeeded",
+      actorId: user._id,
+      subjectId: user._id,
+    });
+    res.json({
+      ...(await createSession(user, req)),
+      user: formatUser(user, await getUserAccount(user._id)),
+    });
+  } catch (error) {
+    console.error("Login error:", error);
+    next(error);
+  }
+});
+
+// Second step of a two-factor login
+app.post("/api/login/2fa", async (req, res, next) => {
+  try {
+    const { challengeToken, ...secondFactor } = loginChallengeSchema.parse(
+      req.body,
+    );
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ error: "Login challenge expired" });
+    }
+    if (decoded.purpose !== "login_2fa") {
+      return res.status(401).json({ error: "Invalid login challenge" });
+    }
+    // Wrong codes count as failed logins, so the code cannot be guessed
+    await checkLoginThrottle(req, decoded.email);
+
+    const user = await User.findOne({ email: decoded.email });
+    if (!user || !(await verifySecondFactor(user._id, secondFactor))) {
+      await recordLoginFailure(req, decoded.email, user);
+      await recordAudit(req, {
+        event: "login.failed",
+        actorId: user && user._id,
+        subjectId: user && user._id,
+        details: { email: decoded.email, reason: "invalid_code" },
+      });
+      await emitWebhookEvent(null, {
+        event: "login.failed",
+        userId: user && user._id,
+        data: { email: decoded.email, reason: "invalid_code", ip: req.ip },
+      });
+      return res.status(401).json({ error: "Invalid code" });
+    }
+
+    await clearLoginFailures(user.email);
+    await recordAudit(req, {
+      event: "login.succeeded",
+      actorId: user._id,
+      subjectId: user._id,
+      details: {
+        twoFactor: secondFactor.code ? "authenticator" : "recovery_code",
+      },
+    });
+    res.json({
+      ...(await createSession(user, req)),
+      user: formatUser(user, await getUserAccount(user._id)),
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    next(error);
+  }
+});
+
+// Lift a lockout with the token from the link in the lockout email
+app.post("/api/login/unlock", async (req, res, next) => {
+  try {
+    const { token } = emailTokenSchema.parse(req.body);
+    const user = await consumeEmailToken(token, "unlock_account");
+
+    await clearLoginFailures(user.email);
+    await recordAudit(req, {
+      event: "login.unlocked",
+      actorId: user._id,
+      subjectId: user._id,
+    });
+    res.json({ email: user.email, unlocked: true });
+  } catch (error) {
+    console.error("Unlock account error:", error);
+    next(error);
+  }
+});
+
+// Start enrolling an authenticator: returns a new secret as text, an
+// otpauth:// URI and a QR code of it. Nothing changes until it is confirmed
+// with /api/2fa/enable.
+app.post("/api/2fa/setup", authenticateToken, async (req, res, next) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await User.updateOne(
+      { _id: req.user._id },
+      { "twoFactor.pendingSecret": secret },
+    );
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${req.user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${TOTP_ISSUER}&algorithm=SHA1&digits=6&period=${TOTP_PERIOD}`;
+
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    next(error);
+  }
+});
+
+// Confirm enrollment with a code from the authenticator. Returns the
+// recovery codes, which are shown this once.
+app.post("/api/2fa/enable", authenticateToken, async (req, res, next) => {
+  try {
+    const { code } = totpCodeSchema.parse(req.body);
+
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.pendingSecret",
+    );
+    if (user.twoFactor.enabled) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: "Start setup first" });
+    }
+
+    const step = matchTotpStep(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": user.twoFactor.pendingSecret,
+          "twoFactor.recoveryCodeHashes": recoveryCodes.map(hashToken),
+          "twoFactor.lastUsedStep": step,
+        },
+        $unset: { "twoFactor.pendingSecret": "" },
+      },
+    );
+
+    await recordAudit(req, { event: "2fa.enabled" });
+    res.json({ enabled: true, recoveryCodes });
+  } catch (error) {
+    console.error("Two-factor enable error:", error);
+    next(error);
+  }
+});
+
+// Turn two-factor authentication off; needs the password and a code
+app.post("/api/2fa/disable", authenticateToken, async (req, res, next) => {
+  try {
+    const { password, ...secondFactor } = disableTwoFactorSchema.parse(
+      req.body,
+    );
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+    if (
+      !(await bcrypt.compare(password, user.password)) ||
+      !(await verifySecondFactor(user._id, secondFactor))
+    ) {
+      return res.status(401).json({ error: "Invalid password or code" });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.secret": "",
+          "twoFactor.recoveryCodeHashes": "",
+          "twoFactor.lastUsedStep": "",
+        },
+      },
+    );
+
+    await recordAudit(req, { event: "2fa.disabled" });
+    res.json({ enabled: false });
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    next(error);
+  }
+});
+
+// Send another verification email to the signed-in user
+app.post(
+  "/api/email/verification",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      if (req.user.emailVerifiedAt) {
+        return res.status(409).json({ error: "Email is already verified" });
+      }
+
+      await sendVerificationEmail(req.user);
+      res.status(202).json({ sent: true });
+    } catch (error) {
+      console.error("Send verification error:", error);
+      next(error);
+    }
+  },
+);
+
+// Confirm an email address with the token from a verification link
+app.post("/api/email/verify", async (req, res, next) => {
+  try {
+    const { token } = emailTokenSchema.parse(req.body);
+    const user = await consumeEmailToken(token, "verify_email");
+
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, emailVerifiedAt: { $exists: false } },
+      { emailVerifiedAt: new Date() },
+    );
+    if (modifiedCount) {
+      await recordAudit(req, {
+        event: "email.verified",
+        actorId: user._id,
+        subjectId: user._id,
+      });
+    }
+
+    res.json({ email: user.email, emailVerified: true });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    next(error);
+  }
+});
+
+// Email a password reset link. Answers the same whether or not the address
+// has an account, so it cannot be used to find out who is registered.
+app.post("/api/password/forgot", async (req, res, next) => {
+  try {
+    const { email } = forgotPasswordSchema.parse(req.body);
+
+    const user = await User.findOne({ email });
+    if (user) {
+      sendPasswordResetEmail(user).catch((error) =>
+        console.error("Password reset email error:", error),
+      );
+    }
+
+    res.status(202).json({
+      message: "If that address has an account, a reset link is on its way",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    next(error);
+  }
+});
+
+// Set a new password with the token from a reset link. Every session is
+// signed out, since whoever knew the old password may still hold one.
+app.post("/api/password/reset", async (req, res, next) => {
+  try {
+    const { token, password } = resetPasswordSchema.parse(req.body);
+    const user = await consumeEmailToken(token, "reset_password");
+
+    // The reset link arrived by email, which proves the address too
+    await User.updateOne(
+      { _id: user._id },
+      {
+        password: await bcrypt.hash(password, 10),
+        ...(!user.emailVerifiedAt && { emailVerifiedAt: new Date() }),
+      },
+    );
+    await revokeSessions({ userId: user._id }, "password_reset");
+    await clearLoginFailures(user.email);
+    await recordAudit(req, {
+      event: "password.reset",
+      actorId: user._id,
+      subjectId: user._id,
+    });
+
+    res.json({ reset: true });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token. Each
+// refresh token works once; presenting an old one again revokes the session.
+app.post("/api/token/refresh", async (req, res, next) => {
+  try {
+    const { refreshToken } = refreshSchema.parse(req.body);
+    const [sessionId, secret] = refreshToken.split(".");
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ error: "Session has ended" });
+    }
+
+    const presentedHash = hashToken(secret);
+    const nextSecret = crypto.randomBytes(32).toString("base64url");
+    // Only the current token can rotate, and only once even if two refreshes
+    // race
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        refreshTokenHash: hashToken(nextSecret),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        $push: {
+          previousTokenHashes: {
+            $each: [presentedHash],
+            $slice: -REFRESH_TOKEN_HISTORY,
+          },
+        },
+      },
+      { new: true },
+    );
+
+    if (!rotated) {
+      if (session.previousTokenHashes.includes(presentedHash)) {
+        console.warn("Refresh token reuse detected for session:", sessionId);
+        await revokeSessions({ _id: session._id }, "refresh_token_reuse");
+      }
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    const user = await User.findById(rotated.userId);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    res.json({
+      token: signAccessToken(user, rotated),
+      refreshToken: `${rotated._id}.${nextSecret}`,
+    });
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    next(error);
+  }
+});
+
+// End the current session, or every session of the user with allDevices
+app.post("/api/logout", authenticateToken, async (req, res, next) => {
+  try {
+    const { allDevices } = logoutSchema.parse(req.body || {});
+
+    await revokeSessions(
+      allDevices ? { userId: req.user._id } : { _id: req.authSession._id },
+      "logout",
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Logout error:", error);
+    next(error);
+  }
+});
+
+// List the user's signed-in devices
+app.get("/api/sessions", authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean()
+      .exec();
+
+    res.json(
+      sessions.map((s) => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: s._id.equals(req.authSession._id),
+      })),
+    );
+  } catch (error) {
+    console.error("List sessions error:", error);
+    next(error);
+  }
+});
+
+// Sign out one of the user's devices
+app.delete("/api/sessions/:id", authenticateToken, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const { modifiedCount } = await revokeSessions(
+      { _id: req.params.id, userId: req.user._id },
+      "revoked_by_user",
+    );
+    if (modifiedCount === 0) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    next(error);
+  }
+});
+
+// Get user account details
+app.get("/api/account", authenticateToken, async (req, res, next) => {
+  try {
+    res.json(formatUser(req.user, await getUserAccount(req.user._id)));
+  } catch (error) {
+    console.error("Fetch account error:", error);
+    next(error);
+  }
+});
+
+// Claim a handle, or change it. The old one is free for anyone to take.
+app.put("/api/account/handle", authenticateToken, async (req, res, next) => {
+  try {
+    const { handle } = claimHandleSchema.parse(req.body);
+    const previous = req.user.handle;
+
+    if (handle !== previous) {
+      await runInTransaction(async (session) => {
+        await User.updateOne(
+          { _id: req.user._id },
+          { $set: { handle } },
+          { session },
+        ).catch((error) => {
+          throw error.code === 11000
+            ? new ApiError(409, "That handle is taken")
+            : error;
+        });
+        await recordAudit(
+          req,
+          { event: "handle.changed", details: { from: previous, to: handle } },
+          session,
+        );
+      });
+      req.user.handle = handle;
+    }
+
+    res.json(formatUser(req.user, await getUserAccount(req.user._id)));
+  } catch (error) {
+    console.error("Claim handle error:", error);
+    next(error);
+  }
+});
+
+// Audit view of the user's ledger account: the journal entries that touched
+// it, and the balance recomputed from every posting next to the cached one
+app.get("/api/account/ledger", authenticateToken, async (req, res, next) => {
+  try {
+    const account = await getUserAccount(req.user._id);
+
+    const [entries, [totals]] = await Promise.all([
+      JournalEntry.find({ "postings.accountId": account._id })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean()
+        .exec(),
+      JournalEntry.aggregate([
+        { $match: { "postings.accountId": account._id } },
+        { $unwind: "$postings" },
+        { $match: { "postings.accountId": account._id } },
+        {
+          $group: {
+            _id: null,
+            credits: {
+              $sum: {
+                $cond: [
+                  { $eq: ["$postings.direction", "credit"] },
+                  "$postings.amount",
+                  0,
+                ],
+              },
+            },
+            debits: {
+              $sum: {
+                $cond: [
+                  { $eq: ["$postings.direction", "debit"] },
+                  "$postings.amount",
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ]),
+    ]);
+
+    const computedBalance = totals ? totals.credits - totals.debits : 0;
+    res.json({
+      account: account.code,
+      balance: formatCents(account.balance),
+      computedBalance: formatCents(computedBalance),
+      inBalance: computedBalance === account.balance,
+      entries: entries.map((e) => ({
+        id: e._id,
+        memo: e.memo,
+        createdAt: e.createdAt,
+        postings: e.postings.map((p) => ({
+          account: p.accountCode,
+          direction: p.direction,
+          amount: formatCents(p.amount),
+        })),
+      })),
+    });
+  } catch (error) {
+    console.error("Fetch ledger error:", error);
+    next(error);
+  }
+});
+
+// One page of a user's transaction history, newest first, for the query
+// parameters in transactionQuerySchema
+const getTransactionPage = async (userId, query) => {
+  const { limit, cursor, type, from, to, minAmount, maxAmount, q } =
+    transactionQuerySchema.parse(query);
+
+  const filters = [{ userId }];
+  if (type) {
+    filters.push({ type: { $in: type } });
+  }
+  if (from || to) {
+    filters.push({
+      date: { ...(from && { $gte: from }), ...(to && { $lte: to }) },
+    });
+  }
+  if (minAmount || maxAmount) {
+    filters.push({
+      amount: {
+        ...(minAmount && { $gte: minAmount }),
+        ...(maxAmount && { $lte: maxAmount }),
+      },
+    });
+  }
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), "i");
+    filters.push({
+      $or: [
+        { note: pattern },
+        { "counterparty.name": pattern },
+        { "counterparty.email": pattern },
+      ],
+    });
+  }
+  if (cursor) {
+    const { date, id } = decodeCursor(cursor);
+    filters.push({
+      $or: [{ date: { $lt: date } }, { date, _id: { $lt: id } }],
+    });
+  }
+
+  // Fetch one extra to know whether another page exists
+  const transactions = await Transaction.find({ $and: filters })
+    .sort({ date: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean() // Convert to plain JavaScript objects
+    .exec();
+
+  const page = transactions.slice(0, limit);
+  return {
+    transactions: page.map(formatTransaction),
+    nextCursor:
+      transactions.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+// Get transaction history, newest first. Pass nextCursor from a response as
+// ?cursor= to fetch the following page.
+app.get("/api/transactions", authenticateToken, async (req, res, next) => {
+  try {
+    res.json(await getTransactionPage(req.user._id, req.query));
+  } catch (error) {
+    console.error("Fetch transactions error:", error);
+    next(error);
+  }
+});
+
+// Download the transaction history between from and to as a CSV, OFX or
+// QIF file, oldest first, streamed from the database
+app.get(
+  "/api/transactions/export",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const {
+        format,
+        from: fromDate,
+        to: toDate,
+      } = exportQuerySchema.parse(req.query);
+      const from = fromDate || req.user.createdAt;
+      const to = toDate || new Date();
+      const writer = STATEMENT_FORMATS[format];
+
+      let balance = await getBalanceBefore(req.user._id, from);
+      const cursor = Transaction.find({
+        userId: req.user._id,
+        date: { $gte: from, $lte: to },
+      })
+        .sort({ date: 1, _id: 1 })
+        .lean()
+        .cursor();
+
+      res.set({
+        "Content-Type": `${writer.contentType}; charset=utf-8`,
+        "Content-Disposition": `attachment; filename="nevmo-transactions.${format}"`,
+      });
+      res.write(writer.header({ user: req.user, from, to }));
+      for await (const transaction of cursor) {
+        balance += signedAmount(transaction);
+        res.write(writer.transaction(transaction, balance));
+      }
+      res.end(writer.footer({ to, balance }));
+    } catch (error) {
+      console.error("Export transactions error:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      next(error);
+    }
+  },
+);
+
+// Give back all or part of a transfer the user received. The money goes to
+// the sender as a refund_in, linked to their side of the transfer.
+app.post(
+  "/api/transactions/:id/refund",
+  authenticateToken,
+  rejectFrozen,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: "Transaction not found" });
+      }
+      const { amount, reason } = refundSchema.parse(req.body);
+
+      const received = await Transaction.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        type: "transfer_in",
+      });
+      if (received) {
+        await requireStepUp(
+          req,
+          amount || received.amount - (received.refundedAmount || 0),
+        );
+      }
+
+      const { incoming, out } = await runInTransaction(async (session) => {
+        const result = await refundTransfer(session, {
+          transactionId: req.params.id,
+          recipientId: req.user._id,
+          amount,
+          reason,
+        });
+        const { outgoing, incoming, out, back, balance } = result;
+        await recordAudit(
+          req,
+          {
+            event: "transaction.refunded",
+            amount: out.amount,
+            balanceBefore: balance + out.amount,
+            balanceAfter: balance,
+            details: {
+              transactionId: incoming._id,
+              refundTransactionId: out._id,
+              recipientId: outgoing.userId,
+              refundedAmount: outgoing.refundedAmount,
+              ...(reason && { reason }),
+            },
+          },
+          session,
+        );
+        await publishTransactions(session, [out, back]);
+        await publishTransactionUpdate(session, outgoing);
+        await publishTransactionUpdate(session, incoming);
+        return result;
+      });
+
+      res.json({
+        ...formatBalances(await getUserAccount(req.user._id)),
+        transaction: formatTransaction(incoming),
+        refund: formatTransaction(out),
+      });
+    } catch (error) {
+      console.error("Refund transaction error:", error);
+      next(error);
+    }
+  },
+);
+
+// Dispute a transfer the user sent, for an admin to resolve. One dispute
+// per transfer, within DISPUTES.windowDays, and not once it was refunded in
+// full.
+app.post(
+  "/api/transactions/:id/dispute",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: "Transaction not found" });
+      }
+      const { reason } = disputeSchema.parse(req.body);
+
+      const transaction = await runInTransaction(async (session) => {
+        const now = new Date();
+        const windowStart = new Date(
+          now.getTime() - DISPUTES.windowDays * 24 * 60 * 60 * 1000,
+        );
+        const outgoing = await Transaction.findOneAndUpdate(
+          {
+            _id: req.params.id,
+            userId: req.user._id,
+            type: "transfer_out",
+            status: "completed",
+            "dispute.status": { $exists: false },
+            date: { $gte: windowStart },
+            $expr: { $lt: [{ $ifNull: ["$refundedAmount", 0] }, "$amount"] },
+          },
+          { $set: { dispute: { status: "open", reason, openedAt: now } } },
+          { new: true, session },
+        );
+
+        if (!outgoing) {
+          const existing = await Transaction.findOne({
+            _id: req.params.id,
+            userId: req.user._id,
+            type: "transfer_out",
+          }).session(session);
+          if (!existing) {
+            throw new ApiError(404, "Transaction not found");
+          }
+          if (existing.status !== "completed") {
+            throw new ApiError(409, "Only completed payments can be disputed");
+          }
+          if (existing.dispute && existing.dispute.status) {
+            throw new ApiError(409, "This payment is already disputed");
+          }
+          if (existing.date < windowStart) {
+            throw new ApiError(
+              409,
+              `Payments can only be disputed within ${DISPUTES.windowDays} days`,
+            );
+          }
+          throw new ApiError(409, "This payment was already refunded in full");
+        }
+
+        const incoming = await recordTransferStatus(session, outgoing, {
+          status: "disputed",
+          reason,
+          at: now,
+        });
+        await recordAudit(
+          req,
+          {
+            event: "dispute.opened",
+            amount: outgoing.amount,
+            details: {
+              transactionId: outgoing._id,
+              recipientId: incoming.userId,
+              reason,
+            },
+          },
+          session,
+        );
+        await publishTransactionUpdate(session, outgoing);
+        await publishTransactionUpdate(session, incoming);
+        return outgoing;
+      });
+
+      res.status(201).json(formatTransaction(transaction));
+    } catch (error) {
+      console.error("Dispute transaction error:", error);
+      next(error);
+    }
+  },
+);
+
+const formatBankAccount = (bankAccount) => ({
+  id: bankAccount._id,
+  holderName: bankAccount.holderName,
+  routingNumber: bankAccount.routingNumber,
+  last4: bankAccount.last4,
+  status: bankAccount.status,
+  ...(bankAccount.verifiedAt && { verifiedAt: bankAccount.verifiedAt }),
+  createdAt: bankAccount.createdAt,
+});
+
+// Bank accounts belong to the user who linked them
+const findOwnBankAccount = async (req, id) => {
+  const bankAccount =
+    mongoose.isValidObjectId(id) &&
+    (await BankAccount.findOne({
+      _id: id,
+      userId: req.user._id,
+      status: { $ne: "removed" },
+    }));
+  if (!bankAccount) {
+    throw new ApiError(404, "Bank account not found");
+  }
+  return bankAccount;
+};
+
+// List the user's linked bank accounts
+app.get("/api/bank-accounts", authenticateToken, async (req, res, next) => {
+  try {
+    const bankAccounts = await BankAccount.find({
+      userId: req.user._id,
+      status: { $ne: "removed" },
+    }).sort({ createdAt: 1 });
+    res.json(bankAccounts.map(formatBankAccount));
+  } catch (error) {
+    console.error("Bank accounts error:", error);
+    next(error);
+  }
+});
+
+// Link a bank account. The provider sends two micro-deposits to it, which
+// the user confirms with /verify before it can be used.
+app.post(
+  "/api/bank-accounts",
+  authenticateToken,
+  rejectFrozen,
+  async (req, res, next) => {
+    try {
+      const { holderName, routingNumber, accountNumber } =
+        bankAccountSchema.parse(req.body);
+      if (
+        (await BankAccount.countDocuments({
+          userId: req.user._id,
+          status: { $ne: "removed" },
+        })) >= BANK_TRANSFERS.maxAccountsPerUser
+      ) {
+        return res.status(400).json({
+          error: `You can link at most ${BANK_TRANSFERS.maxAccountsPerUser} bank accounts`,
+        });
+      }
+
+      // Keyed, so the stored hash does not give the account number away
+      const fingerprint = crypto
+        .createHmac("sha256", JWT_SECRET)
+        .update(`${routingNumber}:${accountNumber}`)
+        .digest("hex");
+      const alreadyLinked = new ApiError(
+        409,
+        "This bank account is already linked",
+      );
+      if (await BankAccount.exists({ userId: req.user._id, fingerprint })) {
+        throw alreadyLinked;
+      }
+
+      const { externalId } = await bankProvider.linkAccount({
+        holderName,
+        routingNumber,
+        accountNumber,
+      });
+      const bankAccount = await BankAccount.create({
+        userId: req.user._id,
+        provider: bankProviderName,
+        externalId,
+        holderName,
+        routingNumber,
+        last4: accountNumber.slice(-4),
+        fingerprint,
+      }).catch((error) => {
+        throw error.code === 11000 ? alreadyLinked : error;
+      });
+      await recordAudit(req, {
+        event: "bank_account.linked",
+        details: { bankAccountId: bankAccount._id, last4: bankAccount.last4 },
+      });
+
+      res.status(201).json(formatBankAccount(bankAccount));
+    } catch (error) {
+      console.error("Link bank account error:", error);
+      next(error);
+    }
+  },
+);
+
+// Confirm the two micro-deposits. After maxVerificationAttempts wrong
+// guesses the account has to be removed and linked again.
+app.post(
+  "/api/bank-accounts/:id/verify",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const { amounts } = bankVerificationSchema.parse(req.body);
+      const bankAccount = await findOwnBankAccount(req, req.params.id);
+
+      // Counting the attempt first keeps concurrent guesses within the limit
+      const attempt = await BankAccount.findOneAndUpdate(
+        {
+          _id: bankAccount._id,
+          status: "unverified",
+          verificationAttempts: { $lt: BANK_TRANSFERS.maxVerificationAttempts },
+        },
+        { $inc: { verificationAttempts: 1 } },
+        { new: true },
+      );
+      if (!attempt) {
+        return res.status(409).json({
+          error:
+            bankAccount.status === "verified"
+              ? "Bank account is already verified"
+              : "Too many wrong attempts; remove the bank account and link it again",
+        });
+      }
+
+      if (!(await bankProvider.verifyAccount(attempt, amounts))) {
+        const attemptsLeft =
+          BANK_TRANSFERS.maxVerificationAttempts - attempt.verificationAttempts;
+        if (attemptsLeft === 0) {
+          await BankAccount.updateOne(
+            { _id: attempt._id, status: "unverified" },
+            { status: "failed" },
+          );
+        }
+        return res.status(400).json({
+          error: "Those amounts do not match the deposits",
+          attemptsLeft,
+        });
+      }
+
+      const verified = await BankAccount.findOneAndUpdate(
+        { _id: attempt._id, status: "unverified" },
+        { status: "verified", verifiedAt: new Date() },
+        { new: true },
+      );
+      if (!verified) {
+        throw new ApiError(409, "Bank account is no longer unverified");
+      }
+      await recordAudit(req, {
+        event: "bank_account.verified",
+        details: { bankAccountId: verified._id },
+      });
+
+      res.json(formatBankAccount(verified));
+    } catch (error) {
+      console.error("Verify bank account error:", error);
+      next(error);
+    }
+  },
+);
+
+// Unlink a bank account. Transfers already on their way still complete;
+// scheduled payments using it are skipped from now on.
+app.delete(
+  "/api/bank-accounts/:id",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const bankAccount = await findOwnBankAccount(req, req.params.id);
+      await BankAccount.updateOne(
+        { _id: bankAccount._id },
+        { status: "removed", $unset: { fingerprint: "" } },
+      );
+      await recordAudit(req, {
+        event: "bank_account.removed",
+        details: { bankAccountId: bankAccount._id, last4: bankAccount.last4 },
+      });
+      res.status(204).end();
+    } catch (error) {
+      console.error("Remove bank account error:", error);
+      next(error);
+    }
+  },
+);
+
+// Process deposit
+app.post(
+  "/api/deposit",
+  authenticateToken,
+  rejectFrozen,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { amount, bankAccountId } = transactionSchema.parse(req.body);
+
+      const { transaction } = await runInTransaction(async (session) => {
+        const result = await depositFunds(session, {
+          userId: req.user._id,
+          amount,
+          bankAccountId,
+        });
+        await recordAudit(
+          req,
+          {
+            event: "deposit",
+            amount,
+            balanceBefore: result.balance - amount,
+            balanceAfter: result.balance,
+            details: {
+              transactionId: result.transaction._id,
+              bankAccountId,
+            },
+          },
+          session,
+        );
+        await publishTransactions(session, [result.transaction]);
+        return result;
+      });
+
+      // 202: the deposit is pending until the bank settles it
+      res.status(202).json({
+        ...formatBalances(await getUserAccount(req.user._id)),
+        transaction: formatTransaction(transaction),
+      });
+    } catch (error) {
+      console.error("Deposit error:", error);
+      next(error);
+    }
+  },
+);
+
+// Process withdrawal
+app.post(
+  "/api/withdraw",
+  authenticateToken,
+  rejectFrozen,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { amount, bankAccountId } = transactionSchema.parse(req.body);
+      await requireStepUp(req, amount);
+
+      // The ledger refuses to overdraw the account, so the balance check and
+      // the debit happen atomically
+      const { transaction } = await runInTransaction(async (session) => {
+        const result = await withdrawFunds(session, {
+          userId: req.user._id,
+          amount,
+          bankAccountId,
+        });
+        await recordAudit(
+          req,
+          {
+            event: "withdraw",
+            amount,
+            balanceBefore: result.balance + amount,
+            balanceAfter: result.balance,
+            details: {
+              transactionId: result.transaction._id,
+              bankAccountId,
+              status: result.transaction.status,
+            },
+          },
+          session,
+        );
+        await publishTransactions(session, [result.transaction]);
+        return result;
+      });
+
+      // 202: the withdrawal is pending until the bank settles it, or held
+      // for review
+      res.status(202).json({
+        ...formatBalances(await getUserAccount(req.user._id)),
+        transaction: formatTransaction(transaction),
+      });
+    } catch (error) {
+      console.error("Withdrawal error:", error);
+      next(error);
+    }
+  },
+);
+
+// Send money to another user
+app.post(
+  "/api/transfers",
+  authenticateToken,
+  rejectFrozen,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { recipientEmail, recipientHandle, amount, note, visibility } =
+        transferSchema.parse(req.body);
+      await requireStepUp(req, amount);
+
+      const { balance, transaction } = await runInTransaction(
+        async (session) => {
+          const result = await transferFunds(session, {
+            senderId: req.user._id,
+            recipientQuery: userLookup(recipientEmail, recipientHandle),
+            amount,
+            note,
+            visibility,
+          });
+          await recordAudit(
+            req,
+            {
+              event: "transfer",
+              amount,
+              balanceBefore: result.balance + amount,
+              balanceAfter: result.balance,
+              details: {
+                transactionId: result.transaction._id,
+                recipientId: result.transaction.counterparty.userId,
+                status: result.transaction.status,
+              },
+            },
+            session,
+          );
+          await publishTransactions(session, [
+            result.transaction,
+            result.incoming,
+          ]);
+          return result;
+        },
+      );
+
+      res.status(transaction.status === "held" ? 202 : 201).json({
+        balance: formatCents(balance),
+        transaction: formatTransaction(transaction),
+      });
+    } catch (error) {
+      console.error("Transfer error:", error);
+      next(error);
+    }
+  },
+);
+
+// List the months the user has statements for, newest first
+app.get("/api/statements", authenticateToken, async (req, res, next) => {
+  try {
+    const current = startOfMonth(new Date());
+    const statements = [];
+    for (
+      let month = current;
+      month >= startOfMonth(req.user.createdAt);
+      month = startOfMonth(month, -1)
+    ) {
+      statements.push({
+        period: formatPeriod(month),
+        final: month < current,
+      });
+    }
+
+    res.json(statements);
+  } catch (error) {
+    console.error("List statements error:", error);
+    next(error);
+  }
+});
+
+// Statement for one calendar month as JSON, or as a PDF with ?format=pdf
+app.get(
+  "/api/statements/:period",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const { period } = statementParamsSchema.parse(req.params);
+      const { format } = statementQuerySchema.parse(req.query);
+
+      const start = new Date(`${period}-01T00:00:00Z`);
+      if (
+        start < startOfMonth(req.user.createdAt) ||
+        start > startOfMonth(new Date())
+      ) {
+        return res.status(404).json({ error: "No statement for this period" });
+      }
+
+      const statement = await getStatement(req.user._id, start);
+
+      if (format === "pdf") {
+        res.set({
+          "Content-Type": "application/pdf",
+          "Content-Disposition": `attachment; filename="nevmo-statement-${period}.pdf"`,
+        });
+        return renderStatementPdf(statement, req.user, res);
+      }
+      res.json(formatStatement(statement));
+    } catch (error) {
+      console.error("Fetch statement error:", error);
+      next(error);
+    }
+  },
+);
+
+// Request money from another user
+app.post("/api/requests", authenticateToken, async (req, res, next) => {
+  try {
+    const { payerEmail, payerHandle, amount, note } =
+      paymentRequestSchema.parse(req.body);
+
+    const payer = await User.findOne(userLookup(payerEmail, payerHandle));
+    if (!payer) {
+      return res.status(404).json({ error: "Payer not found" });
+    }
+    if (payer._id.equals(req.user._id)) {
+      return res
+        .status(400)
+        .json({ error: "You cannot request money from yourself" });
+    }
+
+    const request = await PaymentRequest.create({
+      requesterId: req.user._id,
+      payerId: payer._id,
+      amount,
+      note,
+    });
+    await request.populate([
+      { path: "requesterId", select: "name email" },
+      { path: "payerId", select: "name email" },
+    ]);
+
+    res.status(201).json(formatPaymentRequest(request));
+  } catch (error) {
+    console.error("Create payment request error:", error);
+    next(error);
+  }
+});
+
+// List payment requests where the current user is the payer (incoming) or
+// the requester (outgoing)
+const listPaymentRequests = (party) => async (req, res, next) => {
+  try {
+    const { status } = requestListSchema.parse(req.query);
+
+    const requests = await PaymentRequest.find({
+      [party]: req.user._id,
+      ...(status && { status }),
+    })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate("requesterId", "name email")
+      .populate("payerId", "name email")
+      .lean()
+      .exec();
+
+    res.json(requests.map(formatPaymentRequest));
+  } catch (error) {
+    console.error("Fetch payment requests error:", error);
+    next(error);
+  }
+};
+
+app.get(
+  "/api/requests/incoming",
+  authenticateToken,
+  listPaymentRequests("payerId"),
+);
+app.get(
+  "/api/requests/outgoing",
+  authenticateToken,
+  listPaymentRequests("requesterId"),
+);
+
+// Pay an incoming request. The request is marked paid in the same database
+// transaction that moves the money.
+app.post(
+  "/api/requests/:id/pay",
+  authenticateToken,
+  rejectFrozen,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: "Payment request not found" });
+      }
+      const { visibility } = payRequestSchema.parse(req.body);
+
+      const pending = await PaymentRequest.findOne({
+        _id: req.params.id,
+        payerId: req.user._id,
+      });
+      if (pending) {
+        await requireStepUp(req, pending.amount);
+      }
+
+      const { request, balance, transaction } = await runInTransaction(
+        async (session) => {
+          const request = await transitionPaymentRequest(session, {
+            requestId: req.params.id,
+            userId: req.user._id,
+            action: "pay",
+          });
+          const { balance, transaction, incoming } = await transferFunds(
+            session,
+            {
+              senderId: req.user._id,
+              recipientQuery: { _id: request.requesterId },
+              amount: request.amount,
+              note: request.note,
+              visibility,
+            },
+          );
+          request.transactionId = transaction._id;
+          await request.save({ session });
+          await recordAudit(
+            req,
+            {
+              event: "transfer",
+              amount: request.amount,
+              balanceBefore: balance + request.amount,
+              balanceAfter: balance,
+              details: {
+                transactionId: transaction._id,
+                recipientId: request.requesterId,
+                paymentRequestId: request._id,
+                status: transaction.status,
+              },
+            },
+            session,
+          );
+          await publishTransactions(session, [transaction, incoming]);
+          return { request, balance, transaction };
+        },
+      );
+      await request.populate([
+        { path: "requesterId", select: "name email" },
+        { path: "payerId", select: "name email" },
+      ]);
+
+      res.status(transaction.status === "held" ? 202 : 200).json({
+        request: formatPaymentRequest(request),
+        balance: formatCents(balance),
+        transaction: formatTransaction(transaction),
+      });
+    } catch (error) {
+      console.error("Pay request error:", error);
+      next(error);
+    }
+  },
+);
+
+// Decline an incoming request or cancel an outgoing one
+const respondToPaymentRequest = (action) => async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Payment request not found" });
+    }
+
+    const request = await runInTransaction((session) =>
+      transitionPaymentRequest(session, {
+        requestId: req.params.id,
+        userId: req.user._id,
+        action,
+      }),
+    );
+    await request.populate([
+      { path: "requesterId", select: "name email" },
+      { path: "payerId", select: "name email" },
+    ]);
+
+    res.json({ request: formatPaymentRequest(request) });
+  } catch (error) {
+    console.error(`${action} request error:`, error);
+    next(error);
+  }
+};
+
+app.post(
+  "/api/requests/:id/decline",
+  authenticateToken,
+  respondToPaymentRequest("decline"),
+);
+app.post(
+  "/api/requests/:id/cancel",
+  authenticateToken,
+  respondToPaymentRequest("cancel"),
+);
+
+// Authorizations the user placed or received
+const findOwnAuthorization = async (req, id) => {
+  const authorization =
+    mongoose.isValidObjectId(id) &&
+    (await Authorization.findOne({
+      _id: id,
+      $or: [{ "payer.userId": req.user._id }, { "payee.userId": req.user._id }],
+    }));
+  if (!authorization) {
+    throw new ApiError(404, "Authorization not found");
+  }
+  return authorization;
+};
+
+// Authorize a payee to take up to an amount from the user's balance. The
+// amount is held straight away, so it stops being available to spend.
+app.post(
+  "/api/authorizations",
+  authenticateToken,
+  rejectFrozen,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { payeeEmail, payeeHandle, amount, note, expiresAt } =
+        authorizationSchema.parse(req.body);
+      await requireStepUp(req, amount);
+
+      const payee = await User.findOne(userLookup(payeeEmail, payeeHandle));
+      if (!payee) {
+        return res.status(404).json({ error: "Payee not found" });
+      }
+      if (payee._id.equals(req.user._id)) {
+        return res
+          .status(400)
+          .json({ error: "You cannot authorize a payment to yourself" });
+      }
+
+      const { authorization, account } = await runInTransaction(
+        async (session) => {
+          const account = await holdFunds(session, req.user._id, amount);
+          const [authorization] = await Authorization.create(
+            [
+              {
+                payer: {
+                  userId: req.user._id,
+                  name: req.user.name,
+                  email: req.user.email,
+                },
+                payee: {
+                  userId: payee._id,
+                  name: payee.name,
+                  email: payee.email,
+                },
+                amount,
+                note,
+                expiresAt:
+                  expiresAt ||
+                  new Date(Date.now() + AUTHORIZATIONS.defaultTtlMs),
+              },
+            ],
+            { session },
+          );
+          await recordAudit(
+            req,
+            {
+              event: "authorization.created",
+              amount,
+              details: {
+                authorizationId: authorization._id,
+                payeeId: payee._id,
+              },
+            },
+            session,
+          );
+          await publishAuthorization(
+            session,
+            authorization,
+            "authorization.created",
+          );
+          return { authorization, account };
+        },
+      );
+
+      res.status(201).json({
+        authorization: formatAuthorization(authorization),
+        ...formatBalances(account),
+      });
+    } catch (error) {
+      console.error("Create authorization error:", error);
+      next(error);
+    }
+  },
+);
+
+// Authorizations the user placed or received, newest first
+app.get("/api/authorizations", authenticateToken, async (req, res, next) => {
+  try {
+    const { status } = authorizationListSchema.parse(req.query);
+
+    const authorizations = await Authorization.find({
+      $or: [{ "payer.userId": req.user._id }, { "payee.userId": req.user._id }],
+      ...(status && { status }),
+    })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json(authorizations.map(formatAuthorization));
+  } catch (error) {
+    console.error("Fetch authorizations error:", error);
+    next(error);
+  }
+});
+
+app.get(
+  "/api/authorizations/:id",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      res.json(
+        formatAuthorization(await findOwnAuthorization(req, req.params.id)),
+      );
+    } catch (error) {
+      console.error("Fetch authorization error:", error);
+      next(error);
+    }
+  },
+);
+
+// Take all or part of an authorization. The payee's balances come back,
+// and 202 when a rule held the transfer for review.
+app.post(
+  "/api/authorizations/:id/capture",
+  authenticateToken,
+  rejectFrozen,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: "Authorization not found" });
+      }
+      const { amount } = captureSchema.parse(req.body);
+
+      const { authorization, transaction, incoming } = await runInTransaction(
+        async (session) => {
+          const result = await captureAuthorization(session, {
+            authorizationId: req.params.id,
+            payeeId: req.user._id,
+            amount,
+          });
+          const { authorization, balance, transaction } = result;
+          await recordAudit(
+            req,
+            {
+              event: "authorization.captured",
+              subjectId: authorization.payer.userId,
+              amount: authorization.capturedAmount,
+              balanceBefore: balance + authorization.capturedAmount,
+              balanceAfter: balance,
+              details: {
+                authorizationId: authorization._id,
+                transactionId: transaction._id,
+                authorizedAmount: authorization.amount,
+                status: transaction.status,
+              },
+            },
+            session,
+          );
+          await publishTransactions(session, [transaction, result.incoming]);
+          await publishAuthorization(
+            session,
+            authorization,
+            "authorization.updated",
+          );
+          return result;
+        },
+      );
+
+      res.status(transaction.status === "held" ? 202 : 200).json({
+        authorization: formatAuthorization(authorization),
+        ...formatBalances(await getUserAccount(req.user._id)),
+        ...(incoming && { transaction: formatTransaction(incoming) }),
+      });
+    } catch (error) {
+      console.error("Capture authorization error:", error);
+      next(error);
+    }
+  },
+);
+
+// Release an authorization without taking anything
+app.post(
+  "/api/authorizations/:id/void",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: "Authorization not found" });
+      }
+
+      const authorization = await runInTransaction(async (session) => {
+        const authorization = await transitionAuthorization(session, {
+          authorizationId: req.params.id,
+          userId: req.user._id,
+          action: "void",
+        });
+        await releaseHold(session, authorization);
+        await recordAudit(
+          req,
+          {
+            event: "authorization.voided",
+            subjectId: authorization.payer.userId,
+            amount: authorization.amount,
+            details: { authorizationId: authorization._id },
+          },
+          session,
+        );
+        await publishAuthorization(
+          session,
+          authorization,
+          "authorization.updated",
+        );
+        return authorization;
+      });
+
+      res.json({ authorization: formatAuthorization(authorization) });
+    } catch (error) {
+      console.error("Void authorization error:", error);
+      next(error);
+    }
+  },
+);
+
+// The user's merchant with id, or a 404
+const findOwnMerchant = async (req, id) => {
+  const merchant =
+    mongoose.isValidObjectId(id) &&
+    (await Merchant.findOne({ _id: id, ownerId: req.user._id }));
+  if (!merchant) {
+    throw new ApiError(404, "Merchant not found");
+  }
+  return merchant;
+};
+
+// A merchant's key with keyId that has not been revoked or rotated out,
+// or a 404
+const findActiveApiKey = async (merchant, keyId) => {
+  const apiKey =
+    mongoose.isValidObjectId(keyId) &&
+    (await ApiKey.findOne({
+      _id: keyId,
+      merchantId: merchant._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $exists: false },
+    }));
+  if (!apiKey) {
+    throw new ApiError(404, "API key not found");
+  }
+  return apiKey;
+};
+
+// Set up a merchant to take payments through checkout sessions
+app.post(
+  "/api/merchants",
+  authenticateToken,
+  rejectFrozen,
+  async (req, res, next) => {
+    try {
+      const validatedData = merchantSchema.parse(req.body);
+
+      const count = await Merchant.countDocuments({ ownerId: req.user._id });
+      if (count >= CHECKOUT.maxMerchantsPerUser) {
+        return res.status(400).json({
+          error: `You can have at most ${CHECKOUT.maxMerchantsPerUser} merchants`,
+        });
+      }
+
+      const merchant = await runInTransaction(async (session) => {
+        const [merchant] = await Merchant.create(
+          [{ ...validatedData, ownerId: req.user._id }],
+          { session },
+        );
+        await recordAudit(
+          req,
+          {
+            event: "merchant.created",
+            details: { merchantId: merchant._id, name: merchant.name },
+          },
+          session,
+        );
+        return merchant;
+      });
+
+      res.status(201).json({ ...formatMerchant(merchant), apiKeys: [] });
+    } catch (error) {
+      console.error("Create merchant error:", error);
+      next(error);
+    }
+  },
+);
+
+// The user's merchants with their API keys, revoked and expired ones left out
+app.get("/api/merchants", authenticateToken, async (req, res, next) => {
+  try {
+    const merchants = await Merchant.find({ ownerId: req.user._id }).sort({
+      createdAt: 1,
+    });
+    const apiKeys = await ApiKey.find({
+      merchantId: { $in: merchants.map((merchant) => merchant._id) },
+      revokedAt: { $exists: false },
+      $or: [
+        { expiresAt: { $exists: false } },
+        { expiresAt: { $gt: new Date() } },
+      ],
+    }).sort({ createdAt: 1 });
+
+    res.json(
+      merchants.map((merchant) => ({
+        ...formatMerchant(merchant),
+        apiKeys: apiKeys
+          .filter((apiKey) => apiKey.merchantId.equals(merchant._id))
+          .map(formatApiKey),
+      })),
+    );
+  } catch (error) {
+    console.error("Fetch merchants error:", error);
+    next(error);
+  }
+});
+
+// Issue an API key. The full key is only in this response.
+app.post(
+  "/api/merchants/:id/keys",
+  authenticateToken,
+  rejectFrozen,
+  async (req, res, next) => {
+    try {
+      const merchant = await findOwnMerchant(req, req.params.id);
+      const { name, scopes } = apiKeySchema.parse(req.body);
+
+      const count = await ApiKey.countDocuments({
+        merchantId: merchant._id,
+        revokedAt: { $exists: false },
+      });
+      if (count >= CHECKOUT.maxKeysPerMerchant) {
+        return res.status(400).json({
+          error: `A merchant can have at most ${CHECKOUT.maxKeysPerMerchant} API keys`,
+        });
+      }
+
+      const { apiKey, key } = await runInTransaction(async (session) => {
+        const issued = await issueApiKey(session, {
+          merchantId: merchant._id,
+          name,
+          scopes,
+        });
+        await recordAudit(
+          req,
+          {
+            event: "api_key.created",
+            details: {
+              merchantId: merchant._id,
+              apiKeyId: issued.apiKey._id,
+              scopes,
+            },
+          },
+          session,
+        );
+        return issued;
+      });
+
+      res.status(201).json({ apiKey: formatApiKey(apiKey), key });
+    } catch (error) {
+      console.error("Create API key error:", error);
+      next(error);
+    }
+  },
+);
+
+// Replace an API key with a new one with the same name and scopes. The old
+// key keeps working for CHECKOUT.rotationGraceMs so the merchant can switch
+// over without downtime.
+app.post(
+  "/api/merchants/:id/keys/:keyId/rotate",
+  authenticateToken,
+  rejectFrozen,
+  async (req, res, next) => {
+    try {
+      const merchant = await findOwnMerchant(req, req.params.id);
+      const previous = await findActiveApiKey(merchant, req.params.keyId);
+
+      const { apiKey, key } = await runInTransaction(async (session) => {
+        const rotated = await ApiKey.updateOne(
+          { _id: previous._id, expiresAt: { $exists: false } },
+          { expiresAt: new Date(Date.now() + CHECKOUT.rotationGraceMs) },
+          { session },
+        );
+        if (!rotated.modifiedCount) {
+          throw new ApiError(409, "API key was already rotated");
+        }
+        const issued = await issueApiKey(session, {
+          merchantId: merchant._id,
+          name: previous.name,
+          scopes: previous.scopes,
+        });
+        await recordAudit(
+          req,
+          {
+            event: "api_key.rotated",
+            details: {
+              merchantId: merchant._id,
+              apiKeyId: issued.apiKey._id,
+              previousApiKeyId: previous._id,
+            },
+          },
+          session,
+        );
+        return issued;
+      });
+
+      res.status(201).json({
+        apiKey: formatApiKey(apiKey),
+        key,
+        previous: formatApiKey(await ApiKey.findById(previous._id)),
+      });
+    } catch (error) {
+      console.error("Rotate API key error:", error);
+      next(error);
+    }
+  },
+);
+
+// Revoke an API key straight away, including one rotated out and still in
+// its grace period
+app.delete(
+  "/api/merchants/:id/keys/:keyId",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const merchant = await findOwnMerchant(req, req.params.id);
+      if (!mongoose.isValidObjectId(req.params.keyId)) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      const apiKey = await runInTransaction(async (session) => {
+        const apiKey = await ApiKey.findOneAndUpdate(
+          {
+            _id: req.params.keyId,
+            merchantId: merchant._id,
+            revokedAt: { $exists: false },
+          },
+          { revokedAt: new Date() },
+          { new: true, session },
+        );
+        if (!apiKey) {
+          throw new ApiError(404, "API key not found");
+        }
+        await recordAudit(
+          req,
+          {
+            event: "api_key.revoked",
+            details: { merchantId: merchant._id, apiKeyId: apiKey._id },
+          },
+          session,
+        );
+        return apiKey;
+      });
+
+      res.json(formatApiKey(apiKey));
+    } catch (error) {
+      console.error("Revoke API key error:", error);
+      next(error);
+    }
+  },
+);
+
+// Merchant API, called with an API key. Start a checkout: the merchant
+// sends the customer to the session's url to approve the payment and gets
+// them back at returnUrl.
+app.post(
+  "/api/checkout/sessions",
+  authenticateApiKey("checkout:write"),
+  async (req, res, next) => {
+    try {
+      const { expiresInMinutes, ...validatedData } =
+        checkoutSessionSchema.parse(req.body);
+
+      const checkoutSession = await CheckoutSession.create({
+        ...validatedData,
+        merchantId: req.merchant._id,
+        merchantName: req.merchant.name,
+        expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+      });
+
+      res.status(201).json(formatCheckoutSession(checkoutSession));
+    } catch (error) {
+      console.error("Create checkout session error:", error);
+      next(error);
+    }
+  },
+);
+
+// The merchant's checkout sessions, newest first
+app.get(
+  "/api/checkout/sessions",
+  authenticateApiKey("checkout:read"),
+  async (req, res, next) => {
+    try {
+      const { status, limit } = checkoutSessionListSchema.parse(req.query);
+
+      const checkoutSessions = await CheckoutSession.find({
+        merchantId: req.merchant._id,
+        ...(status && { status }),
+      })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      res.json(checkoutSessions.map(formatCheckoutSession));
+    } catch (error) {
+      console.error("Fetch checkout sessions error:", error);
+      next(error);
+    }
+  },
+);
+
+app.get(
+  "/api/checkout/sessions/:id",
+  authenticateApiKey("checkout:read"),
+  async (req, res, next) => {
+    try {
+      const checkoutSession =
+        mongoose.isValidObjectId(req.params.id) &&
+        (await CheckoutSession.findOne({
+          _id: req.params.id,
+          merchantId: req.merchant._id,
+        }));
+      if (!checkoutSession) {
+        return res.status(404).json({ error: "Checkout session not found" });
+      }
+
+      res.json(formatCheckoutSession(checkoutSession));
+    } catch (error) {
+      console.error("Fetch checkout session error:", error);
+      next(error);
+    }
+  },
+);
+
+// A checkout session as its customer sees it. Open sessions can be seen by
+// anyone with the link; after that only by the customer who answered.
+const findCheckoutSession = async (req, id) => {
+  const checkoutSession =
+    mongoose.isValidObjectId(id) &&
+    (await CheckoutSession.findOne({
+      _id: id,
+      $or: [{ status: "open" }, { "payer.userId": req.user._id }],
+    }));
+  if (!checkoutSession) {
+    throw new ApiError(404, "Checkout session not found");
+  }
+  return checkoutSession;
+};
+
+// Atomically answer an open, unexpired checkout session as the user. Any
+// amount given must be the session's.
+const claimCheckoutSession = async (session, req, { status, amount }) => {
+  const now = new Date();
+  const checkoutSession = await CheckoutSession.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      status: "open",
+      expiresAt: { $gt: now },
+      ...(amount && { amount }),
+    },
+    {
+      status,
+      payer: {
+        userId: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+      },
+      completedAt: now,
+    },
+    { new: true, session },
+  );
+
+  if (!checkoutSession) {
+    const existing = await findCheckoutSession(req, req.params.id);
+    if (checkoutStatus(existing) !== "open") {
+      throw new ApiError(
+        409,
+        `Checkout session is already ${checkoutStatus(existing)}`,
+      );
+    }
+    throw new ApiError(
+      409,
+      `The amount of this checkout is $${formatCents(existing.amount)}`,
+    );
+  }
+
+  return checkoutSession;
+};
+
+app.get("/api/checkout/:id", authenticateToken, async (req, res, next) => {
+  try {
+    res.json(
+      formatCheckoutSession(await findCheckoutSession(req, req.params.id)),
+    );
+  } catch (error) {
+    console.error("Fetch checkout error:", error);
+    next(error);
+  }
+});
+
+// Pay a checkout session. The amount the customer approved is sent back and
+// must match, so a session can never take more than they saw. 202 when a
+// rule held the payment for review; the merchant hears the outcome later.
+app.post(
+  "/api/checkout/:id/approve",
+  authenticateToken,
+  rejectFrozen,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { amount, visibility } = checkoutApprovalSchema.parse(req.body);
+      await findCheckoutSession(req, req.params.id);
+      await requireStepUp(req, amount);
+
+      const { checkoutSession, balance, transaction } = await runInTransaction(
+        async (session) => {
+          const checkoutSession = await claimCheckoutSession(session, req, {
+            status: "completed",
+            amount,
+          });
+          const merchant = await Merchant.findById(
+            checkoutSession.merchantId,
+          ).session(session);
+          const { balance, transaction, incoming } = await transferFunds(
+            session,
+            {
+              senderId: req.user._id,
+              recipientQuery: { _id: merchant.ownerId },
+              amount,
+              note: checkoutSession.description,
+              visibility,
+            },
+          );
+          checkoutSession.transactionId = transaction._id;
+          if (transaction.status === "held") {
+            checkoutSession.status = "processing";
+            checkoutSession.completedAt = undefined;
+          }
+          await checkoutSession.save({ session });
+          await recordAudit(
+            req,
+            {
+              event: "transfer",
+              amount,
+              balanceBefore: balance + amount,
+              balanceAfter: balance,
+              details: {
+                transactionId: transaction._id,
+                recipientId: merchant.ownerId,
+                merchantId: merchant._id,
+                checkoutSessionId: checkoutSession._id,
+                status: transaction.status,
+              },
+            },
+            session,
+          );
+          await publishTransactions(session, [transaction, incoming]);
+          await publishCheckoutSession(session, checkoutSession);
+          return { checkoutSession, balance, transaction };
+        },
+      );
+
+      res.status(transaction.status === "held" ? 202 : 200).json({
+        checkoutSession: formatCheckoutSession(checkoutSession),
+        redirectUrl: checkoutRedirectUrl(checkoutSession),
+        balance: formatCents(balance),
+        transaction: formatTransaction(transaction),
+      });
+    } catch (error) {
+      console.error("Approve checkout error:", error);
+      next(error);
+    }
+  },
+);
+
+app.post(
+  "/api/checkout/:id/decline",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      await findCheckoutSession(req, req.params.id);
+
+      const checkoutSession = await runInTransaction(async (session) => {
+        const checkoutSession = await claimCheckoutSession(session, req, {
+          status: "declined",
+        });
+        await publishCheckoutSession(session, checkoutSession);
+        return checkoutSession;
+      });
+
+      res.json({
+        checkoutSession: formatCheckoutSession(checkoutSession),
+        redirectUrl: checkoutRedirectUrl(checkoutSession),
+      });
+    } catch (error) {
+      console.error("Decline checkout error:", error);
+      next(error);
+    }
+  },
+);
+
+// Find people to pay. Matches the start of a handle, or of any word of the
+// name of someone with a handle; "@..." matches handles only. Users without
+// a handle can only be found by typing their whole email.
+app.get("/api/users/search", authenticateToken, async (req, res, next) => {
+  try {
+    const { q } = userSearchSchema.parse(req.query);
+
+    const term = q.toLowerCase().replace(/^@/, "");
+    const filters = [{ handle: new RegExp(`^${escapeRegExp(term)}`) }];
+    if (!q.startsWith("@")) {
+      filters.push({
+        handle: { $exists: true },
+        name: new RegExp(`(^|\\s)${escapeRegExp(term)}`, "i"),
+      });
+      // An exact email only finds someone the user has already paid or been
+      // paid by, so search cannot be used to check who has an account
+      if (z.string().email().safeParse(term).success) {
+        filters.push({
+          email: term,
+          _id: {
+            $in: await Transaction.distinct("counterparty.userId", {
+              userId: req.user._id,
+              "counterparty.email": term,
+            }),
+          },
+        });
+      }
+    }
+
+    const users = await User.find({
+      $or: filters,
+      _id: { $ne: req.user._id },
+    })
+      .sort({ handle: 1, name: 1 })
+      .limit(CONTACTS.searchLimit)
+      .lean();
+
+    res.json(users.map(formatPublicUser));
+  } catch (error) {
+    console.error("User search error:", error);
+    next(error);
+  }
+});
+
+// The user's favorites, then the people they have most recently sent money
+// to or got it from. Emails are included only for people the user has
+// already paid or been paid by, since their history shows them anyway.
+const getContacts = async (userId) => {
+  const [favorites, recent] = await Promise.all([
+    Favorite.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Transaction.aggregate([
+      { $match: { userId, "counterparty.userId": { $exists: true } } },
+      { $sort: { date: -1, _id: -1 } },
+      { $limit: CONTACTS.historyWindow },
+      {
+        $group: {
+          _id: "$counterparty.userId",
+          email: { $first: "$counterparty.email" },
+          lastTransactionAt: { $first: "$date" },
+        },
+      },
+      { $sort: { lastTransactionAt: -1 } },
+    ]),
+  ]);
+
+  const favoriteIds = new Set(favorites.map((f) => f.contactId.toString()));
+  const history = new Map(recent.map((entry) => [entry._id.toString(), entry]));
+  const ids = [
+    ...favorites.map((f) => f.contactId),
+    ...recent
+      .map((entry) => entry._id)
+      .filter((id) => !favoriteIds.has(id.toString()))
+      .slice(0, CONTACTS.recentContacts),
+  ];
+
+  const users = new Map(
+    (await User.find({ _id: { $in: ids } }).lean()).map((user) => [
+      user._id.toString(),
+      user,
+    ]),
+  );
+  return ids
+    .filter((id) => users.has(id.toString()))
+    .map((id) => {
+      const entry = history.get(id.toString());
+      return {
+        ...formatPublicUser(users.get(id.toString())),
+        favorite: favoriteIds.has(id.toString()),
+        ...(entry && {
+          email: entry.email,
+          lastTransactionAt: entry.lastTransactionAt,
+        }),
+      };
+    });
+};
+
+app.get("/api/contacts", authenticateToken, async (req, res, next) => {
+  try {
+    res.json(await getContacts(req.user._id));
+  } catch (error) {
+    console.error("Fetch contacts error:", error);
+    next(error);
+  }
+});
+
+// Star someone, found by search or from the contacts list
+app.put(
+  "/api/contacts/:id/favorite",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const contact =
+        mongoose.isValidObjectId(req.params.id) &&
+        (await User.findById(req.params.id));
+      if (!contact) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (contact._id.equals(req.user._id)) {
+        return res
+          .status(400)
+          .json({ error: "You cannot add yourself to your contacts" });
+      }
+      if (
+        !(await Favorite.exists({
+          userId: req.user._id,
+          contactId: contact._id,
+        }))
+      ) {
+        if (
+          (await Favorite.countDocuments({ userId: req.user._id })) >=
+          CONTACTS.maxFavorites
+        ) {
+          return res.status(400).json({
+            error: `You can have at most ${CONTACTS.maxFavorites} favorites`,
+          });
+        }
+        await Favorite.updateOne(
+          { userId: req.user._id, contactId: contact._id },
+          { $setOnInsert: { createdAt: new Date() } },
+          { upsert: true },
+        );
+      }
+
+      res.json(await getContacts(req.user._id));
+    } catch (error) {
+      console.error("Add favorite error:", error);
+      next(error);
+    }
+  },
+);
+
+app.delete(
+  "/api/contacts/:id/favorite",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      if (mongoose.isValidObjectId(req.params.id)) {
+        await Favorite.deleteOne({
+          userId: req.user._id,
+          contactId: req.params.id,
+        });
+      }
+      res.json(await getContacts(req.user._id));
+    } catch (error) {
+      console.error("Remove favorite error:", error);
+      next(error);
+    }
+  },
+);
+
+// Everyone the user has completed a transfer with, either way. Connections
+// see each other's friends-only transfers.
+const getConnections = (userId) =>
+  Transaction.distinct("counterparty.userId", {
+    userId,
+    type: { $in: ["transfer_out", "transfer_in"] },
+    status: "completed",
+  });
+
+// The completed transfers a user may see in the feed: their own, public
+// ones, and friends-only ones with one of their connections on either side.
+// The feed lists the sender's side of each transfer.
+const visibleStoriesFilter = (userId, connections) => ({
+  type: "transfer_out",
+  status: "completed",
+  $or: [
+    { userId },
+    { "counterparty.userId": userId },
+    { visibility: "public" },
+    {
+      visibility: "friends",
+      $or: [
+        { userId: { $in: connections } },
+        { "counterparty.userId": { $in: connections } },
+      ],
+    },
+  ],
+});
+
+// Shape transfers for the feed as seen by userId. Amounts are shown only to
+// the two people in a transfer, whatever its visibility.
+const formatStories = async (transactions, userId) => {
+  const ids = transactions.map((t) => t._id);
+  const countBy = (Model) =>
+    Model.aggregate([
+      { $match: { transactionId: { $in: ids } } },
+      { $group: { _id: "$transactionId", count: { $sum: 1 } } },
+    ]);
+  const [users, likeCounts, commentCounts, liked] = await Promise.all([
+    User.find({
+      _id: {
+        $in: transactions.flatMap((t) => [t.userId, t.counterparty.userId]),
+      },
+    }).lean(),
+    countBy(FeedLike),
+    countBy(FeedComment),
+    FeedLike.find({ transactionId: { $in: ids }, userId }).lean(),
+  ]);
+
+  const byId = (docs, value) =>
+    new Map(docs.map((doc) => [doc._id.toString(), value(doc)]));
+  const people = byId(users, formatPublicUser);
+  const likes = byId(likeCounts, (entry) => entry.count);
+  const comments = byId(commentCounts, (entry) => entry.count);
+  const likedIds = new Set(liked.map((like) => like.transactionId.toString()));
+
+  return transactions.map((t) => {
+    const id = t._id.toString();
+    const participant =
+      t.userId.equals(userId) || t.counterparty.userId.equals(userId);
+    return {
+      id: t._id,
+      from: people.get(t.userId.toString()),
+      to: people.get(t.counterparty.userId.toString()),
+      ...(t.note && { note: t.note }),
+      visibility: t.visibility || "private",
+      ...(participant && { amount: formatCents(t.amount) }),
+      date: t.date,
+      likeCount: likes.get(id) || 0,
+      liked: likedIds.has(id),
+      commentCount: comments.get(id) || 0,
+    };
+  });
+};
+
+// A transfer in the user's feed, or a 404 whether it does not exist or is
+// hidden from them
+const findVisibleStory = async (req, id) => {
+  const story =
+    mongoose.isValidObjectId(id) &&
+    (await Transaction.findOne({
+      _id: id,
+      ...visibleStoriesFilter(req.user._id, await getConnections(req.user._id)),
+    }).lean());
+  if (!story) {
+    throw new ApiError(404, "Not found in your feed");
+  }
+  return story;
+};
+
+// A feed item with its comments, oldest first
+const storyDetails = async (story, userId) => {
+  const [[formatted], comments] = await Promise.all([
+    formatStories([story], userId),
+    FeedComment.find({ transactionId: story._id })
+      .sort({ createdAt: 1 })
+      .limit(FEED.maxComments)
+      .populate("userId", "name handle")
+      .lean(),
+  ]);
+  return {
+    ...formatted,
+    comments: comments.map((comment) => ({
+      id: comment._id,
+      user: formatPublicUser(comment.userId),
+      text: comment.text,
+      createdAt: comment.createdAt,
+    })),
+  };
+};
+
+// Transfers by the user and their connections, newest first, or by one
+// person with ?userId=. Pass nextCursor from a response as ?cursor= for the
+// next page.
+app.get("/api/feed", authenticateToken, async (req, res, next) => {
+  try {
+    const { limit, cursor, userId } = feedQuerySchema.parse(req.query);
+
+    const connections = await getConnections(req.user._id);
+    const people = userId
+      ? [new mongoose.Types.ObjectId(userId)]
+      : [req.user._id, ...connections];
+    const filters = [
+      visibleStoriesFilter(req.user._id, connections),
+      {
+        $or: [
+          { userId: { $in: people } },
+          { "counterparty.userId": { $in: people } },
+        ],
+      },
+    ];
+    if (cursor) {
+      const { date, id } = decodeCursor(cursor);
+      filters.push({
+        $or: [{ date: { $lt: date } }, { date, _id: { $lt: id } }],
+      });
+    }
+
+    // Fetch one extra to know whether another page exists
+    const transactions = await Transaction.find({ $and: filters })
+      .sort({ date: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const page = transactions.slice(0, limit);
+    res.json({
+      stories: await formatStories(page, req.user._id),
+      nextCursor:
+        transactions.length > limit
+          ? encodeCursor(page[page.length - 1])
+          : null,
+    });
+  } catch (error) {
+    console.error("Fetch feed error:", error);
+    next(error);
+  }
+});
+
+app.get("/api/feed/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const story = await findVisibleStory(req, req.params.id);
+    res.json(await storyDetails(story, req.user._id));
+  } catch (error) {
+    console.error("Fetch feed item error:", error);
+    next(error);
+  }
+});
+
+app.put("/api/feed/:id/like", authenticateToken, async (req, res, next) => {
+  try {
+    const story = await findVisibleStory(req, req.params.id);
+    await FeedLike.updateOne(
+      { transactionId: story._id, userId: req.user._id },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true },
+    ).catch((error) => {
+      // Liked twice at once; the other request saved it
+      if (error.code !== 11000) throw error;
+    });
+    res.json(await storyDetails(story, req.user._id));
+  } catch (error) {
+    console.error("Like error:", error);
+    next(error);
+  }
+});
+
+app.delete("/api/feed/:id/like", authenticateToken, async (req, res, next) => {
+  try {
+    const story = await findVisibleStory(req, req.params.id);
+    await FeedLike.deleteOne({
+      transactionId: story._id,
+      userId: req.user._id,
+    });
+    res.json(await storyDetails(story, req.user._id));
+  } catch (error) {
+    console.error("Unlike error:", error);
+    next(error);
+  }
+});
+
+// Anyone who can see a transfer in their feed can comment on it
+app.post(
+  "/api/feed/:id/comments",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const story = await findVisibleStory(req, req.params.id);
+      const { text } = commentSchema.parse(req.body);
+
+      if (
+        (await FeedComment.countDocuments({ transactionId: story._id })) >=
+        FEED.maxComments
+      ) {
+        return res.status(400).json({
+          error: `Feed items can have at most ${FEED.maxComments} comments`,
+        });
+      }
+      await FeedComment.create({
+        transactionId: story._id,
+        userId: req.user._id,
+        text,
+      });
+
+      res.status(201).json(await storyDetails(story, req.user._id));
+    } catch (error) {
+      console.error("Create comment error:", error);
+      next(error);
+    }
+  },
+);
+
+// Comments can be removed by whoever wrote them, or by either person in the
+// transfer
+app.delete(
+  "/api/feed/:id/comments/:commentId",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const story = await findVisibleStory(req, req.params.id);
+      const comment =
+        mongoose.isValidObjectId(req.params.commentId) &&
+        (await FeedComment.findOne({
+          _id: req.params.commentId,
+          transactionId: story._id,
+        }));
+      if (!comment) {
+        return res.status(404).json({ error: "Comment not found" });
+      }
+      if (
+        ![comment.userId, story.userId, story.counterparty.userId].some((id) =>
+          id.equals(req.user._id),
+        )
+      ) {
+        return res
+          .status(403)
+          .json({ error: "You cannot remove someone else's comment" });
+      }
+
+      await comment.deleteOne();
+      res.json(await storyDetails(story, req.user._id));
+    } catch (error) {
+      console.error("Delete comment error:", error);
+      next(error);
+    }
+  },
+);
+
+const formatSchedule = (schedule) => ({
+  id: schedule._id,
+  type: schedule.type,
+  amount: formatCents(schedule.amount),
+  ...(schedule.type === "transfer" && {
+    recipient: {
+      name: schedule.recipient.name,
+      email: schedule.recipient.email,
+    },
+  }),
+  ...(schedule.note && { note: schedule.note }),
+  ...(schedule.bankAccountId && { bankAccountId: schedule.bankAccountId }),
+  frequency: schedule.frequency,
+  startAt: schedule.startAt,
+  ...(schedule.endAt && { endAt: schedule.endAt }),
+  status: schedule.status,
+  ...(schedule.nextRunAt && { nextRunAt: schedule.nextRunAt }),
+  runCount: schedule.runCount,
+  skipCount: schedule.skipCount,
+  ...(schedule.lastRun &&
+    schedule.lastRun.at && {
+      lastRun: {
+        at: schedule.lastRun.at,
+        status: schedule.lastRun.status,
+        ...(schedule.lastRun.transactionId && {
+          transactionId: schedule.lastRun.transactionId,
+        }),
+        ...(schedule.lastRun.error && { error: schedule.lastRun.error }),
+      },
+    }),
+  createdAt: schedule.createdAt,
+});
+
+// Schedules belong to the user who set them up
+const findOwnSchedule = async (req, id) => {
+  const schedule =
+    mongoose.isValidObjectId(id) &&
+    (await Schedule.findOne({ _id: id, userId: req.user._id }));
+  if (!schedule) {
+    throw new ApiError(404, "Schedule not found");
+  }
+  return schedule;
+};
+
+// List the user's scheduled payments, soonest first
+app.get("/api/schedules", authenticateToken, async (req, res, next) => {
+  try {
+    const schedules = await Schedule.find({ userId: req.user._id }).sort({
+      nextRunAt: 1,
+      createdAt: -1,
+    });
+    res.json(schedules.map(formatSchedule));
+  } catch (error) {
+    console.error("Schedules error:", error);
+    next(error);
+  }
+});
+
+// Set up a one-off or recurring deposit, withdrawal or transfer. Runs
+// happen without the user there, so withdrawals and transfers above the
+// step-up threshold need the two-factor code now.
+app.post(
+  "/api/schedules",
+  authenticateToken,
+  rejectFrozen,
+  async (req, res, next) => {
+    try {
+      const {
+        type,
+        amount,
+        recipientEmail,
+        recipientHandle,
+        note,
+        bankAccountId,
+        frequency,
+        startAt,
+        endAt,
+      } = scheduleSchema.parse(req.body);
+      if (type !== "deposit") {
+        await requireStepUp(req, amount);
+      }
+      if (
+        (await Schedule.countDocuments({ userId: req.user._id })) >=
+        SCHEDULE_RUNNER.maxPerUser
+      ) {
+        return res.status(400).json({
+          error: `You can have at most ${SCHEDULE_RUNNER.maxPerUser} scheduled payments`,
+        });
+      }
+
+      let recipient;
+      if (type === "transfer") {
+        const user = await User.findOne(
+          userLookup(recipientEmail, recipientHandle),
+        );
+        if (!user) {
+          return res.status(404).json({ error: "Recipient not found" });
+        }
+        if (user._id.equals(req.user._id)) {
+          return res
+            .status(400)
+            .json({ error: "You cannot send money to yourself" });
+        }
+        recipient = { userId: user._id, name: user.name, email: user.email };
+      } else {
+        await getVerifiedBankAccount(req.user._id, bankAccountId);
+      }
+
+      const schedule = await Schedule.create({
+        userId: req.user._id,
+        type,
+        amount,
+        recipient,
+        note,
+        ...(type !== "transfer" && { bankAccountId }),
+        frequency,
+        startAt,
+        endAt,
+        nextRunAt: startAt,
+      });
+      await recordAudit(req, {
+        event: "schedule.created",
+        amount,
+        details: {
+          scheduleId: schedule._id,
+          type,
+          frequency,
+          ...(recipient && { recipientId: recipient.userId }),
+        },
+      });
+
+      res.status(201).json(formatSchedule(schedule));
+    } catch (error) {
+      console.error("Create schedule error:", error);
+      next(error);
+    }
+  },
+);
+
+// Change a schedule's amount, note or end date, or pause and resume it. A
+// resumed schedule picks up at its next occurrence; runs it missed while
+// paused are not made up, except a one-off whose time has passed, which
+// runs straight away.
+app.patch("/api/schedules/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req, req.params.id);
+    const changes = scheduleUpdateSchema.parse(req.body);
+    if (schedule.status === "completed") {
+      return res.status(409).json({ error: "Schedule has finished" });
+    }
+    if (
+      changes.amount !== undefined &&
+      changes.amount > schedule.amount &&
+      schedule.type !== "deposit"
+    ) {
+      await requireStepUp(req, changes.amount);
+    }
+    if (changes.endAt && schedule.frequency === "once") {
+      return res
+        .status(400)
+        .json({ error: "One-off schedules cannot have an end date" });
+    }
+    if (changes.endAt && changes.endAt <= schedule.startAt) {
+      return res
+        .status(400)
+        .json({ error: "End date must be after the start" });
+    }
+
+    const update = { $set: {}, $unset: {} };
+    for (const field of ["amount", "note"]) {
+      if (changes[field] !== undefined) {
+        update.$set[field] = changes[field];
+      }
+    }
+    if (changes.endAt !== undefined) {
+      schedule.endAt = changes.endAt || undefined;
+      if (changes.endAt) {
+        update.$set.endAt = changes.endAt;
+      } else {
+        update.$unset.endAt = "";
+      }
+    }
+    const status = changes.status || schedule.status;
+    if (status === "paused") {
+      update.$set.status = "paused";
+    } else {
+      const now = new Date();
+      let { nextRunAt } = schedule;
+      if (schedule.status === "paused") {
+        nextRunAt =
+          schedule.frequency === "once" || schedule.startAt > now
+            ? schedule.startAt
+            : nextOccurrence(schedule, now);
+      }
+      if (!nextRunAt || (schedule.endAt && nextRunAt > schedule.endAt)) {
+        return res
+          .status(400)
+          .json({ error: "The schedule has no runs left before its end date" });
+      }
+      update.$set.status = "active";
+      update.$set.nextRunAt = nextRunAt;
+    }
+    if (Object.keys(update.$unset).length === 0) {
+      delete update.$unset;
+    }
+
+    // Not while a run is in progress, or if one finished since the schedule
+    // was read
+    const updated = await Schedule.findOneAndUpdate(
+      {
+        _id: schedule._id,
+        status: { $ne: "completed" },
+        nextRunAt: schedule.nextRunAt,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+      },
+      update,
+      { new: true },
+    );
+    if (!updated) {
+      return res
+        .status(409)
+        .json({ error: "The schedule is running; try again in a moment" });
+    }
+    await recordAudit(req, {
+      event: "schedule.updated",
+      details: {
+        scheduleId: schedule._id,
+        changes: {
+          ...changes,
+          ...(changes.amount !== undefined && {
+            amount: formatCents(changes.amount),
+          }),
+        },
+      },
+    });
+
+    res.json(formatSchedule(updated));
+  } catch (error) {
+    console.error("Update schedule error:", error);
+    next(error);
+  }
+});
+
+// Cancel a schedule. Money it has already moved stays where it went.
+app.delete("/api/schedules/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req, req.params.id);
+    await schedule.deleteOne();
+    await recordAudit(req, {
+      event: "schedule.deleted",
+      details: { scheduleId: schedule._id },
+    });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Delete schedule error:", error);
+    next(error);
+  }
+});
+
+// A group with each member's balance and the payments that would settle
+// it, as seen by userId
+const formatGroup = (group, balances, userId) => {
+  const member = (id) => {
+    const found = group.members.find((m) => m.userId.toString() === id);
+    return { id, name: found ? found.name : "Former member" };
+  };
+  return {
+    id: group._id,
+    name: group.name,
+    members: group.members.map((m) => ({
+      id: m.userId,
+      name: m.name,
+      email: m.email,
+      balance: formatCents(balances.get(m.userId.toString()) || 0),
+    })),
+    invites: group.invites.map(({ email, invitedAt }) => ({
+      email,
+      invitedAt,
+    })),
+    balance: formatCents(balances.get(userId.toString()) || 0),
+    debts: simplifyDebts(balances).map(({ from, to, amount }) => ({
+      from: member(from),
+      to: member(to),
+      amount: formatCents(amount),
+    })),
+    createdAt: group.createdAt,
+  };
+};
+
+const formatExpense = (expense, group) => {
+  const name = (id) =>
+    (group.members.find((m) => m.userId.equals(id)) || {}).name;
+  return {
+    id: expense._id,
+    description: expense.description,
+    amount: formatCents(expense.amount),
+    paidBy: { id: expense.paidBy, name: name(expense.paidBy) },
+    splitType: expense.splitType,
+    splits: expense.splits.map((split) => ({
+      userId: split.userId,
+      name: name(split.userId),
+      amount: formatCents(split.amount),
+      ...(split.shares && { shares: split.shares }),
+    })),
+    settlement: expense.settlement,
+    ...(expense.voidedAt && { voidedAt: expense.voidedAt }),
+    date: expense.date,
+  };
+};
+
+// Groups are only visible to their members
+const findMemberGroup = async (req, id) => {
+  const group =
+    mongoose.isValidObjectId(id) &&
+    (await Group.findOne({ _id: id, "members.userId": req.user._id }));
+  if (!group) {
+    throw new ApiError(404, "Group not found");
+  }
+  return group;
+};
+
+// A group with its balances, debts and latest expenses
+const groupDetails = async (group, userId) => {
+  const expenses = await Expense.find({ groupId: group._id })
+    .sort({ date: -1 })
+    .limit(100);
+  return {
+    ...formatGroup(group, await getGroupBalances(group), userId),
+    expenses: expenses.map((expense) => formatExpense(expense, group)),
+  };
+};
+
+// List the user's groups with what they are owed (or owe) in each
+app.get("/api/groups", authenticateToken, async (req, res, next) => {
+  try {
+    const groups = await Group.find({ "members.userId": req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+    const formatted = [];
+    for (const group of groups) {
+      const { debts, members, invites, ...summary } = formatGroup(
+        group,
+        await getGroupBalances(group),
+        req.user._id,
+      );
+      formatted.push({ ...summary, memberCount: members.length });
+    }
+    res.json(formatted);
+  } catch (error) {
+    console.error("Groups error:", error);
+    next(error);
+  }
+});
+
+// Groups the user has been invited to and has not answered yet
+app.get(
+  "/api/groups/invitations",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const groups = await Group.find({ "invites.email": req.user.email })
+        .sort({ createdAt: -1 })
+        .limit(100);
+
+      res.json(
+        groups.map((group) => {
+          const invite = group.invites.find((i) => i.email === req.user.email);
+          const inviter = group.members.find(
+            (m) => invite.invitedBy && m.userId.equals(invite.invitedBy),
+          );
+          return {
+            id: group._id,
+            name: group.name,
+            memberCount: group.members.length,
+            ...(inviter && { invitedBy: inviter.name }),
+            invitedAt: invite.invitedAt,
+          };
+        }),
+      );
+    } catch (error) {
+      console.error("Group invitations error:", error);
+      next(error);
+    }
+  },
+);
+
+// Start a group and invite others to it by email
+app.post("/api/groups", authenticateToken, async (req, res, next) => {
+  try {
+    const { name, memberEmails } = groupSchema.parse(req.body);
+
+    const emails = [...new Set(memberEmails)].filter(
+      (email) => email !== req.user.email,
+    );
+    const group = await Group.create({
+      name,
+      createdBy: req.user._id,
+      members: [
+        { userId: req.user._id, name: req.user.name, email: req.user.email },
+      ],
+      invites: emails.map((email) => ({ email, invitedBy: req.user._id })),
+    });
+
+    res.status(201).json(await groupDetails(group, req.user._id));
+  } catch (error) {
+    console.error("Create group error:", error);
+    next(error);
+  }
+});
+
+app.get("/api/groups/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const group = await findMemberGroup(req, req.params.id);
+    res.json(await groupDetails(group, req.user._id));
+  } catch (error) {
+    console.error("Group error:", error);
+    next(error);
+  }
+});
+
+// Any member can invite someone else to the group. The answer is the same
+// whether or not the email has an account, so it cannot be used to find out.
+app.post(
+  "/api/groups/:id/members",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const group = await findMemberGroup(req, req.params.id);
+      const { email } = groupMemberSchema.parse(req.body);
+
+      // Members and invites together stay within MAX_GROUP_MEMBERS
+      const updated = await Group.findOneAndUpdate(
+        {
+          _id: group._id,
+          "members.email": { $ne: email },
+          "invites.email": { $ne: email },
+          $expr: {
+            $lt: [
+              { $add: [{ $size: "$members" }, { $size: "$invites" }] },
+              MAX_GROUP_MEMBERS,
+            ],
+          },
+        },
+        { $push: { invites: { email, invitedBy: req.user._id } } },
+        { new: true },
+      );
+      if (!updated) {
+        return res.status(409).json({
+          error: group.members.some((m) => m.email === email)
+            ? `${email} is already in the group`
+            : group.invites.some((i) => i.email === email)
+              ? `${email} has already been invited`
+              : `Groups can have at most ${MAX_GROUP_MEMBERS} members`,
+        });
+      }
+
+      res.status(201).json(await groupDetails(updated, req.user._id));
+    } catch (error) {
+      console.error("Invite group member error:", error);
+      next(error);
+    }
+  },
+);
+
+// Accept an invitation and join the group
+app.post("/api/groups/:id/join", authenticateToken, async (req, res, next) => {
+  try {
+    const group =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Group.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          "invites.email": req.user.email,
+          "members.userId": { $ne: req.user._id },
+        },
+        {
+          $pull: { invites: { email: req.user.email } },
+          $push: {
+            members: {
+              userId: req.user._id,
+              name: req.user.name,
+              email: req.user.email,
+            },
+          },
+        },
+        { new: true },
+      ));
+    if (!group) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+
+    res.status(201).json(await groupDetails(group, req.user._id));
+  } catch (error) {
+    console.error("Join group error:", error);
+    next(error);
+  }
+});
+
+// Turn an invitation down
+app.post(
+  "/api/groups/:id/decline",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const result =
+        mongoose.isValidObjectId(req.params.id) &&
+        (await Group.updateOne(
+          { _id: req.params.id, "invites.email": req.user.email },
+          { $pull: { invites: { email: req.user.email } } },
+        ));
+      if (!result || !result.modifiedCount) {
+        return res.status(404).json({ error: "Invitation not found" });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      console.error("Decline group invitation error:", error);
+      next(error);
+    }
+  },
+);
+
+// Record something a member paid for and how it is split
+app.post(
+  "/api/groups/:id/expenses",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const group = await findMemberGroup(req, req.params.id);
+      const { description, amount, paidBy, splitType, splits } =
+        expenseSchema.parse(req.body);
+
+      const isMember = (id) => group.members.some((m) => m.userId.equals(id));
+      const payer = paidBy || req.user._id.toString();
+      if (!isMember(payer)) {
+        return res
+          .status(400)
+          .json({ error: "Whoever paid must be in the group" });
+      }
+      if (!splits.every((split) => isMember(split.userId))) {
+        return res
+          .status(400)
+          .json({ error: "Everyone sharing the expense must be in the group" });
+      }
+      if (new Set(splits.map((split) => split.userId)).size < splits.length) {
+        return res
+          .status(400)
+          .json({ error: "Each member can appear in a split only once" });
+      }
+
+      await Expense.create({
+        groupId: group._id,
+        description,
+        amount,
+        paidBy: payer,
+        splitType,
+        splits: splitExpense(amount, splitType, splits),
+        createdBy: req.user._id,
+      });
+
+      res.status(201).json(await groupDetails(group, req.user._id));
+    } catch (error) {
+      console.error("Create expense error:", error);
+      next(error);
+    }
+  },
+);
+
+// Remove an expense recorded by mistake. Settlements moved real money and
+// cannot be removed.
+app.delete(
+  "/api/groups/:id/expenses/:expenseId",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const group = await findMemberGroup(req, req.params.id);
+      const expense =
+        mongoose.isValidObjectId(req.params.expenseId) &&
+        (await Expense.findOne({
+          _id: req.params.expenseId,
+          groupId: group._id,
+        }));
+      if (!expense) {
+        return res.status(404).json({ error: "Expense not found" });
+      }
+      if (expense.settlement) {
+        return res.status(400).json({ error: "Settlements cannot be removed" });
+      }
+      if (
+        !expense.createdBy.equals(req.user._id) &&
+        !expense.paidBy.equals(req.user._id)
+      ) {
+        return res.status(403).json({
+          error: "Only whoever recorded or paid for an expense can remove it",
+        });
+      }
+
+      await expense.deleteOne();
+      res.json(await groupDetails(group, req.user._id));
+    } catch (error) {
+      console.error("Delete expense error:", error);
+      next(error);
+    }
+  },
+);
+
+// Pay everything the user owes in a group in one go, following the
+// simplified debts. Each payment is an ordinary transfer and is recorded in
+// the group as a settlement.
+app.post(
+  "/api/groups/:id/settle",
+  authenticateToken,
+  rejectFrozen,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { amount } = settleUpSchema.parse(req.body || {});
+      const group = await findMemberGroup(req, req.params.id);
+      const owedBy = async (session) =>
+        simplifyDebts(await getGroupBalances(group, session)).filter(
+          (debt) => debt.from === req.user._id.toString(),
+        );
+      // The total of debts, refused if it is not what the user expected
+      const checkTotal = (debts) => {
+        const total = debts.reduce((sum, debt) => sum + debt.amount, 0);
+        if (amount && total !== amount) {
+          throw new ApiError(
+            409,
+            `You now owe $${formatCents(total)} in this group`,
+            { amount: formatCents(total) },
+          );
+        }
+        return total;
+      };
+
+      const debts = await owedBy();
+      if (debts.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "You do not owe anyone in this group" });
+      }
+      await requireStepUp(req, checkTotal(debts));
+
+      const { balance, transactions } = await runInTransaction(
+        async (session) => {
+          // Worked out again inside the transaction, so two settle-ups at
+          // once cannot both pay
+          const current = await owedBy(session);
+          if (current.length === 0) {
+            throw new ApiError(409, "Nothing left to settle");
+          }
+          checkTotal(current);
+
+          let balance;
+          const transactions = [];
+          for (const debt of current) {
+            const result = await transferFunds(session, {
+              senderId: req.user._id,
+              recipientQuery: { _id: debt.to },
+              amount: debt.amount,
+              note: `Settling up in ${group.name}`,
+            });
+            await Expense.create(
+              [
+                {
+                  groupId: group._id,
+                  description: "Settled up",
+                  amount: debt.amount,
+                  paidBy: req.user._id,
+                  splitType: "exact",
+                  splits: [{ userId: debt.to, amount: debt.amount }],
+                  createdBy: req.user._id,
+                  settlement: true,
+                  transactionId: result.transaction._id,
+                },
+              ],
+              { session },
+            );
+            await recordAudit(
+              req,
+              {
+                event: "transfer",
+                amount: debt.amount,
+                balanceBefore: result.balance + debt.amount,
+                balanceAfter: result.balance,
+                details: {
+                  transactionId: result.transaction._id,
+                  recipientId: debt.to,
+                  groupId: group._id,
+                  status: result.transaction.status,
+                },
+              },
+              session,
+            );
+            await publishTransactions(session, [
+              result.transaction,
+              result.incoming,
+            ]);
+            balance = result.balance;
+            transactions.push(result.transaction);
+          }
+          return { balance, transactions };
+        },
+      );
+
+      res
+        .status(transactions.some((t) => t.status === "held") ? 202 : 200)
+        .json({
+          balance: formatCents(balance),
+          transactions: transactions.map(formatTransaction),
+          group: await groupDetails(group, req.user._id),
+        });
+    } catch (error) {
+      console.error("Settle up error:", error);
+      next(error);
+    }
+  },
+);
 
-const TransactionSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  type: { type: String, enum: ["deposit", "withdraw"], required: true },
-  amount: { type: Number, required: true },
-  date: { type: Date, default: Date.now },
-});
+// Open /api/events streams by user id. They are fed from a change stream on
+// LiveEvent, so an event reaches the user's streams on every server
+// instance. A stream's pending list holds live events that arrive while
+// missed ones are still being replayed.
+const liveStreams = new Map();
 
-const User = mongoose.model("User", UserSchema);
-const Transaction = mongoose.model("Transaction", TransactionSchema);
+// Send an event down a stream unless it has already had it
+const writeLiveEvent = (stream, event) => {
+  if (event.seq <= stream.lastSeq) {
+    return;
+  }
+  stream.lastSeq = event.seq;
+  stream.res.write(
+    `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`,
+  );
+};
 
-// Create indexes when the application starts
-const createIndexes = async () => {
+// Follow new live events for as long as the server runs, starting again
+// after a short wait if the change stream fails
+const watchLiveEvents = () => {
+  const changeStream = LiveEvent.watch([
+    { $match: { operationType: "insert" } },
+  ]);
+  changeStream.on("change", ({ fullDocument: event }) => {
+    for (const stream of liveStreams.get(event.userId.toString()) || []) {
+      if (stream.pending) {
+        stream.pending.push(event);
+      } else {
+        writeLiveEvent(stream, event);
+      }
+    }
+  });
+  changeStream.on("error", (error) => {
+    console.error("Live event stream error:", error);
+    changeStream.close().catch(() => {});
+    setTimeout(watchLiveEvents, LIVE_EVENTS.retryMs);
+  });
+};
+
+// Server-Sent Events stream of the user's balance and history changes, to
+// every open session: "transaction" carries a new transaction and the
+// balance after it, "transaction.updated" a held transaction that was
+// reviewed. A client reconnecting with Last-Event-ID gets the events it
+// missed, or "resync" when they can no longer be replayed and it should
+// reload. The stream ends when the access token expires or the session is
+// signed out; clients reconnect with a fresh token.
+app.get("/api/events", authenticateToken, async (req, res, next) => {
+  const key = req.user._id.toString();
+  const stream = { res, lastSeq: 0, pending: [] };
+  let heartbeat;
+  let expiry;
   try {
-    await User.createIndexes();
-    console.log("Indexes created successfully");
+    const lastEventId = /^\d+$/.test(req.headers["last-event-id"] || "")
+      ? Number(req.headers["last-event-id"])
+      : null;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Stop proxies such as nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${LIVE_EVENTS.retryMs}\n\n`);
+
+    if (!liveStreams.has(key)) {
+      liveStreams.set(key, new Set());
+    }
+    liveStreams.get(key).add(stream);
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      liveStreams.get(key).delete(stream);
+      if (liveStreams.get(key).size === 0) {
+        liveStreams.delete(key);
+      }
+    });
+    heartbeat = setInterval(async () => {
+      try {
+        const session = await Session.findById(req.authSession._id);
+        if (!session || session.revokedAt) {
+          res.end();
+        } else {
+          res.write(": ping\n\n");
+        }
+      } catch (error) {
+        console.error("Live events heartbeat error:", error);
+      }
+    }, LIVE_EVENTS.heartbeatMs);
+    expiry = setTimeout(() => res.end(), req.accessTokenExpiresAt - Date.now());
+
+    const head = await LiveEventHead.findById(req.user._id);
+    const headSeq = head ? head.seq : 0;
+    if (lastEventId === null) {
+      // A new stream starts from now; the client loads the rest itself
+      stream.lastSeq = headSeq;
+    } else {
+      const missed = await LiveEvent.find({
+        userId: req.user._id,
+        seq: { $gt: lastEventId },
+      })
+        .sort({ seq: 1 })
+        .limit(LIVE_EVENTS.maxReplay + 1);
+      const complete =
+        lastEventId <= headSeq &&
+        missed.length <= LIVE_EVENTS.maxReplay &&
+        (missed.length === 0 || missed[0].seq === lastEventId + 1) &&
+        (missed.length > 0 || lastEventId === headSeq);
+      if (complete) {
+        stream.lastSeq = lastEventId;
+        missed.forEach((event) => writeLiveEvent(stream, event));
+      } else {
+        stream.lastSeq = headSeq;
+        res.write(`id: ${headSeq}\nevent: resync\ndata: {}\n\n`);
+      }
+    }
+
+    const { pending } = stream;
+    stream.pending = null;
+    pending.forEach((event) => writeLiveEvent(stream, event));
   } catch (error) {
-    console.error("Error creating indexes:", error);
+    console.error("Live events error:", error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      next(error);
+    }
   }
-};
-
-// Validation Schemas
-const registerSchema = z.object({
-  email: z.string().email("Invalid email format"),
-  password: z.string().min(8, "Password must be at least 8 characters"),
-  name: z.string().min(2, "Name must be at least 2 characters"),
 });
 
-const loginSchema = z.object({
-  email: z.string().email("Invalid email format"),
-  password: z.string().min(1, "Password is required"),
-});
+// Webhook endpoints belong to the user who created them
+const findOwnWebhook = async (req, id) => {
+  const endpoint =
+    mongoose.isValidObjectId(id) &&
+    (await WebhookEndpoint.findOne({ _id: id, userId: req.user._id }));
+  if (!endpoint) {
+    throw new ApiError(404, "Webhook not found");
+  }
+  return endpoint;
+};
 
-const transactionSchema = z.object({
-  amount: z.number().positive("Amount must be positive"),
+// List the user's webhook endpoints
+app.get("/api/webhooks", authenticateToken, async (req, res, next) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({
+      userId: req.user._id,
+    }).sort({ createdAt: -1 });
+    res.json(endpoints.map(formatWebhookEndpoint));
+  } catch (error) {
+    console.error("Webhooks error:", error);
+    next(error);
+  }
 });
 
-// JWT secret (use environment variable in production)
-const JWT_SECRET = "your-secret-key";
+// Register a webhook endpoint. The signing secret is returned this once.
+app.post("/api/webhooks", authenticateToken, async (req, res, next) => {
+  try {
+    const { url, events, description, allUsers } = webhookSchema.parse(
+      req.body,
+    );
+    await checkWebhookHost(url);
+    if (allUsers && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ error: "Only admins can receive events for every account" });
+    }
+    if (
+      (await WebhookEndpoint.countDocuments({ userId: req.user._id })) >=
+      MAX_WEBHOOKS_PER_USER
+    ) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`,
+      });
+    }
 
-// Error handler middleware
-const errorHandler = (err, req, res, next) => {
-  console.error(err);
-  if (err instanceof z.ZodError) {
-    return res.status(400).json({
-      error: "Validation error",
-      details: err.errors.map((e) => ({
-        field: e.path.join("."),
-        message: e.message,
-      })),
+    const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+    const endpoint = await WebhookEndpoint.create({
+      userId: req.user._id,
+      url,
+      events,
+      description,
+      allUsers,
+      secret,
+    });
+    await recordAudit(req, {
+      event: "webhook.created",
+      details: { webhookId: endpoint._id, url, events, allUsers },
     });
+
+    res.status(201).json({ ...formatWebhookEndpoint(endpoint), secret });
+  } catch (error) {
+    console.error("Create webhook error:", error);
+    next(error);
   }
-  res.status(500).json({ error: "Internal server error" });
-};
+});
 
-// Authentication middleware
-const authenticateToken = async (req, res, next) => {
+// Remove a webhook endpoint. Deliveries still queued for it fail.
+app.delete("/api/webhooks/:id", authenticateToken, async (req, res, next) => {
   try {
-    const authHeader = req.headers["authorization"];
-    const token = authHeader && authHeader.split(" ")[1];
+    const endpoint = await findOwnWebhook(req, req.params.id);
+    await endpoint.deleteOne();
+    await recordAudit(req, {
+      event: "webhook.deleted",
+      details: { webhookId: endpoint._id, url: endpoint.url },
+    });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Delete webhook error:", error);
+    next(error);
+  }
+});
 
-    if (!token) {
-      return res.status(401).json({ error: "Access token required" });
+// Deliveries to an endpoint, newest first, with every attempt made
+app.get(
+  "/api/webhooks/:id/deliveries",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const endpoint = await findOwnWebhook(req, req.params.id);
+      const { status, limit } = webhookDeliveryQuerySchema.parse(req.query);
+
+      const deliveries = await WebhookDelivery.find({
+        endpointId: endpoint._id,
+        ...(status && { status }),
+      })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+      res.json(deliveries.map(formatWebhookDelivery));
+    } catch (error) {
+      console.error("Webhook deliveries error:", error);
+      next(error);
     }
+  },
+);
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findOne({ email: decoded.email });
+// Send a delivery's event again, as a new delivery with the same payload
+app.post(
+  "/api/webhooks/:id/deliveries/:deliveryId/redeliver",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const endpoint = await findOwnWebhook(req, req.params.id);
+      const original =
+        mongoose.isValidObjectId(req.params.deliveryId) &&
+        (await WebhookDelivery.findOne({
+          _id: req.params.deliveryId,
+          endpointId: endpoint._id,
+        }));
+      if (!original) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
 
-    if (!user) {
-      return res.status(403).json({ error: "Invalid token" });
+      const delivery = await WebhookDelivery.create({
+        endpointId: endpoint._id,
+        eventId: original.eventId,
+        event: original.event,
+        payload: original.payload,
+        redeliveryOf: original._id,
+      });
+      res.status(202).json(formatWebhookDelivery(delivery));
+    } catch (error) {
+      console.error("Redeliver webhook error:", error);
+      next(error);
+    }
+  },
+);
+
+// Queue a webhook.test event for one endpoint, to check it is reachable and
+// verifies signatures
+app.post(
+  "/api/webhooks/:id/test",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const endpoint = await findOwnWebhook(req, req.params.id);
+      await checkWebhookHost(endpoint.url);
+      const delivery = await WebhookDelivery.create({
+        endpointId: endpoint._id,
+        event: "webhook.test",
+        ...webhookPayload("webhook.test", req.user._id, {
+          webhookId: endpoint._id,
+        }),
+      });
+      res.status(202).json(formatWebhookDelivery(delivery));
+    } catch (error) {
+      console.error("Test webhook error:", error);
+      next(error);
     }
+  },
+);
 
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(403).json({ error: "Invalid token" });
+// Admin console. Every /api/admin route needs a support or admin role;
+// routes that change an account need admin.
+app.use("/api/admin", authenticateToken, requireRole("support", "admin"));
+
+// The user named by :id, or a 404
+const findUserParam = async (id) => {
+  const user = mongoose.isValidObjectId(id) && (await User.findById(id));
+  if (!user) {
+    throw new ApiError(404, "User not found");
   }
+  return user;
 };
 
-// Register new user
-app.post("/api/register", async (req, res, next) => {
-  try {
-    const validatedData = registerSchema.parse(req.body);
-    console.log("Registration attempt for email:", validatedData.email);
-
-    // Clear any existing users with this email (temporary debug fix)
-    await User.deleteMany({ email: validatedData.email });
+// Staff may not change their own account
+const rejectOwnAccount = (req, user) => {
+  if (user._id.equals(req.user._id)) {
+    throw new ApiError(403, "You cannot change your own account");
+  }
+};
 
-    // Double check the email doesn't exist (with debug logging)
-    const existingUser = await User.findOne({ email: validatedData.email });
-    console.log("Existing user check result:", existingUser);
+// Search users by the start of their email or name
+app.get("/api/admin/users", async (req, res, next) => {
+  try {
+    const { q, limit } = adminUserSearchSchema.parse(req.query);
 
-    if (existingUser) {
-      console.log("Email already exists:", validatedData.email);
-      return res.status(400).json({ error: "Email already registered" });
-    }
+    const pattern = new RegExp(`^${escapeRegExp(q)}`, "i");
+    const users = await User.find({
+      $or: [{ email: pattern }, { name: pattern }],
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit);
 
-    // Log the user data we're about to save
-    const hashedPassword = await bcrypt.hash(validatedData.password, 10);
-    const userData = {
-      email: validatedData.email,
-      name: validatedData.name,
-      password: hashedPassword,
-      balance: 0,
-    };
-    console.log("Creating new user:", { ...userData, password: "[HIDDEN]" });
+    const accounts = await LedgerAccount.find({
+      type: "user",
+      userId: { $in: users.map((user) => user._id) },
+    });
+    const accountsByUser = new Map(
+      accounts.map((account) => [account.userId.toString(), account]),
+    );
 
-    const user = new User(userData);
-    await user.save();
+    res.json(
+      users.map((user) =>
+        formatAdminUser(
+          user,
+          accountsByUser.get(user._id.toString()) || {
+            balance: 0,
+            uncleared: 0,
+            onHold: 0,
+          },
+        ),
+      ),
+    );
+  } catch (error) {
+    console.error("Admin user search error:", error);
+    next(error);
+  }
+});
 
-    console.log("User saved successfully:", user.email);
+// One user's details, including any login lockout
+app.get("/api/admin/users/:id", async (req, res, next) => {
+  try {
+    const user = await findUserParam(req.params.id);
+    const throttle = await LoginThrottle.findOne({
+      key: accountThrottleKey(user.email),
+    });
 
-    const token = jwt.sign({ email: user.email }, JWT_SECRET);
-    res.status(201).json({
-      token,
-      user: {
-        email: user.email,
-        name: user.name,
-        balance: user.balance,
-      },
+    res.json({
+      ...formatAdminUser(user, await getUserAccount(user._id)),
+      failedLogins: throttle ? throttle.failures : 0,
+      ...(throttle &&
+        throttle.lockedUntil > new Date() && {
+          loginLockedUntil: throttle.lockedUntil,
+        }),
     });
   } catch (error) {
-    console.error("Registration error:", error);
+    console.error("Admin user error:", error);
     next(error);
   }
 });
 
-// Login route
-app.post("/api/login", async (req, res, next) => {
+// Any user's transaction history; takes the same query as /api/transactions
+app.get("/api/admin/users/:id/transactions", async (req, res, next) => {
   try {
-    const validatedData = loginSchema.parse(req.body);
+    const user = await findUserParam(req.params.id);
+    res.json(await getTransactionPage(user._id, req.query));
+  } catch (error) {
+    console.error("Admin transactions error:", error);
+    next(error);
+  }
+});
 
-    // Explicitly select the password field (MongoDB might exclude it by default)
-    const user = await User.findOne({ email: validatedData.email }).select(
-      "+password",
-    );
+// Lift a login lockout
+app.post("/api/admin/users/:id/unlock", async (req, res, next) => {
+  try {
+    const user = await findUserParam(req.params.id);
+    await clearLoginFailures(user.email);
+    await recordAudit(req, { event: "admin.unlock", subjectId: user._id });
+    res.json({ unlocked: true });
+  } catch (error) {
+    console.error("Admin unlock error:", error);
+    next(error);
+  }
+});
 
-    if (!user) {
-      return res.status(401).json({ error: "Invalid credentials" });
+// Stop an account from moving money
+app.post(
+  "/api/admin/users/:id/freeze",
+  requireRole("admin"),
+  async (req, res, next) => {
+    try {
+      const { reason } = reasonSchema.parse(req.body);
+      const target = await findUserParam(req.params.id);
+      rejectOwnAccount(req, target);
+
+      const user = await User.findOneAndUpdate(
+        { _id: target._id, "frozen.at": null },
+        { frozen: { at: new Date(), reason, by: req.user._id } },
+        { new: true },
+      );
+      if (!user) {
+        return res.status(409).json({ error: "Account is already frozen" });
+      }
+      await recordAudit(req, {
+        event: "admin.freeze",
+        subjectId: user._id,
+        details: { reason },
+      });
+      await emitWebhookEvent(null, {
+        event: "account.frozen",
+        userId: user._id,
+        data: { frozenAt: user.frozen.at, reason },
+      });
+
+      res.json(formatAdminUser(user, await getUserAccount(user._id)));
+    } catch (error) {
+      console.error("Admin freeze error:", error);
+      next(error);
     }
+  },
+);
 
-    // Add debug logging
-    console.log("Login attempt:", {
-      email: validatedData.email,
-      hasPassword: !!user.password,
-      providedPassword: !!validatedData.password,
-    });
+app.post(
+  "/api/admin/users/:id/unfreeze",
+  requireRole("admin"),
+  async (req, res, next) => {
+    try {
+      const target = await findUserParam(req.params.id);
+      rejectOwnAccount(req, target);
 
-    // Ensure both passwords exist before comparing
-    if (!user.password || !validatedData.password) {
-      return res.status(401).json({ error: "Invalid credentials" });
+      const user = await User.findOneAndUpdate(
+        { _id: target._id, "frozen.at": { $ne: null } },
+        { $unset: { frozen: "" } },
+        { new: true },
+      );
+      if (!user) {
+        return res.status(409).json({ error: "Account is not frozen" });
+      }
+      await recordAudit(req, {
+        event: "admin.unfreeze",
+        subjectId: user._id,
+        details: { reason: target.frozen.reason },
+      });
+      await emitWebhookEvent(null, {
+        event: "account.unfrozen",
+        userId: user._id,
+        data: {},
+      });
+
+      res.json(formatAdminUser(user, await getUserAccount(user._id)));
+    } catch (error) {
+      console.error("Admin unfreeze error:", error);
+      next(error);
     }
+  },
+);
 
-    const validPassword = await bcrypt.compare(
-      validatedData.password,
-      user.password,
-    );
-    if (!validPassword) {
-      return res.status(401).json({ error: "Invalid credentials" });
+// Post a correcting credit or debit to an account, with the reason for it
+app.post(
+  "/api/admin/users/:id/adjustments",
+  requireRole("admin"),
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { direction, amount, reason } = adjustmentSchema.parse(req.body);
+      const user = await findUserParam(req.params.id);
+      rejectOwnAccount(req, user);
+
+      const { balance, transaction } = await runInTransaction(
+        async (session) => {
+          const result = await adjustFunds(session, {
+            userId: user._id,
+            direction,
+            amount,
+            reason,
+          });
+          await recordAudit(
+            req,
+            {
+              event: "admin.adjustment",
+              subjectId: user._id,
+              amount,
+              balanceBefore:
+                result.balance + (direction === "credit" ? -amount : amount),
+              balanceAfter: result.balance,
+              details: {
+                direction,
+                reason,
+                transactionId: result.transaction._id,
+              },
+            },
+            session,
+          );
+          await publishTransactions(session, [result.transaction]);
+          return result;
+        },
+      );
+
+      res.status(201).json({
+        balance: formatCents(balance),
+        transaction: formatTransaction(transaction),
+      });
+    } catch (error) {
+      console.error("Admin adjustment error:", error);
+      next(error);
     }
+  },
+);
 
-    const token = jwt.sign({ email: user.email }, JWT_SECRET);
-    res.json({
-      token,
-      user: {
-        email: user.email,
-        name: user.name,
-        balance: user.balance,
-      },
-    });
+// Transactions waiting for review, oldest first
+app.get("/api/admin/held", async (req, res, next) => {
+  try {
+    const transactions = await Transaction.find({ status: "held" })
+      .sort({ date: 1 })
+      .limit(200)
+      .populate("userId", "name email");
+
+    res.json(
+      transactions.map((t) => ({
+        ...formatTransaction(t),
+        user: { id: t.userId._id, name: t.userId.name, email: t.userId.email },
+      })),
+    );
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Held transactions error:", error);
     next(error);
   }
 });
 
-// Get user account details
-app.get("/api/account", authenticateToken, async (req, res) => {
-  res.json({
-    email: req.user.email,
-    name: req.user.name,
-    balance: req.user.balance,
-  });
-});
-
-// Get transaction history
-app.get("/api/transactions", authenticateToken, async (req, res, next) => {
+// Approve or reject a held transaction
+const reviewHeldTransaction = (decision) => async (req, res, next) => {
   try {
-    const transactions = await Transaction.find({ userId: req.user._id })
-      .sort({ date: -1 })
-      .limit(50)
-      .lean() // Convert to plain JavaScript objects
-      .exec();
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+    const { reason } = (
+      decision === "reject" ? reasonSchema : optionalReasonSchema
+    ).parse(req.body || {});
 
-    // Format transactions for frontend
-    const formattedTransactions = transactions.map((t) => ({
-      id: t._id,
-      type: t.type,
-      amount: t.amount,
-      date: t.date,
-    }));
+    const transaction = await runInTransaction(async (session) => {
+      const { transaction, created } = await releaseHeldTransaction(session, {
+        transactionId: req.params.id,
+        decision,
+        reviewerId: req.user._id,
+        reason,
+      });
+      await publishTransactionUpdate(session, transaction);
+      await publishTransactions(session, [created]);
+      await recordAudit(
+        req,
+        {
+          event: `admin.${decision}`,
+          subjectId: transaction.userId,
+          amount: transaction.amount,
+          details: {
+            transactionId: transaction._id,
+            rule: transaction.risk && transaction.risk.rule,
+            ...(reason && { reason }),
+          },
+        },
+        session,
+      );
+      return transaction;
+    });
 
-    res.json(formattedTransactions);
+    res.json(formatTransaction(transaction));
   } catch (error) {
-    console.error("Fetch transactions error:", error);
+    console.error("Review transaction error:", error);
     next(error);
   }
-});
+};
 
-// Process deposit
-app.post("/api/deposit", authenticateToken, async (req, res, next) => {
+app.post(
+  "/api/admin/transactions/:id/approve",
+  requireRole("admin"),
+  reviewHeldTransaction("approve"),
+);
+
+app.post(
+  "/api/admin/transactions/:id/reject",
+  requireRole("admin"),
+  reviewHeldTransaction("reject"),
+);
+
+// Open disputes, oldest first, as the sender's side of each transfer
+app.get("/api/admin/disputes", async (req, res, next) => {
   try {
-    const { amount } = transactionSchema.parse(req.body);
+    const transactions = await Transaction.find({
+      type: "transfer_out",
+      "dispute.status": "open",
+    })
+      .sort({ "dispute.openedAt": 1 })
+      .limit(200)
+      .populate("userId", "name email");
 
-    // Update user balance
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { $inc: { balance: amount } }, // Use atomic increment
-      { new: true }, // Return updated document
+    res.json(
+      transactions.map((t) => ({
+        ...formatTransaction(t),
+        user: { id: t.userId._id, name: t.userId.name, email: t.userId.email },
+      })),
     );
+  } catch (error) {
+    console.error("Disputes error:", error);
+    next(error);
+  }
+});
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+// Resolve an open dispute. Reversing takes whatever the recipient has not
+// refunded back from them for the sender, even if that overdraws them, and
+// unwinds what the transfer paid for; rejecting leaves the money where it
+// is. :id is the sender's transaction.
+const resolveDispute = (decision) => async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Dispute not found" });
     }
+    const { reason } = reasonSchema.parse(req.body || {});
+    const reverse = decision === "reverse";
 
-    // Create transaction record
-    const transaction = new Transaction({
-      userId: user._id,
-      type: "deposit",
-      amount: amount,
-    });
-    await transaction.save();
+    const transaction = await runInTransaction(async (session) => {
+      const now = new Date();
+      const outgoing = await Transaction.findOneAndUpdate(
+        { _id: req.params.id, type: "transfer_out", "dispute.status": "open" },
+        {
+          $set: {
+            "dispute.status": reverse ? "reversed" : "rejected",
+            "dispute.resolvedAt": now,
+            "dispute.resolvedBy": req.user._id,
+            "dispute.resolution": reason,
+          },
+        },
+        { new: true, session },
+      );
+      if (!outgoing) {
+        const exists = await Transaction.exists({
+          _id: req.params.id,
+          type: "transfer_out",
+          "dispute.status": { $exists: true },
+        }).session(session);
+        throw exists
+          ? new ApiError(409, "Dispute is already resolved")
+          : new ApiError(404, "Dispute not found");
+      }
 
-    res.json({
-      balance: user.balance,
-      transaction: {
-        id: transaction._id,
-        type: transaction.type,
-        amount: transaction.amount,
-        date: transaction.date,
-      },
+      const amount = reverse
+        ? outgoing.amount - (outgoing.refundedAmount || 0)
+        : 0;
+      let returned = null;
+      if (amount > 0) {
+        outgoing.dispute.reversedAmount = amount;
+        returned = await returnTransferFunds(session, {
+          outgoing,
+          incoming: await Transaction.findById(
+            outgoing.relatedTransactionId,
+          ).session(session),
+          amount,
+          kind: "chargeback",
+          note: reason,
+        });
+      }
+      const incoming = await recordTransferStatus(session, outgoing, {
+        status: reverse ? "reversed" : "dispute_rejected",
+        ...(amount > 0 && { amount }),
+        reason,
+        at: now,
+      });
+      if (returned) {
+        await unwindReturnedTransfer(session, outgoing);
+      }
+
+      await recordAudit(
+        req,
+        {
+          event: `dispute.${reverse ? "reversed" : "rejected"}`,
+          subjectId: outgoing.userId,
+          amount: amount || outgoing.amount,
+          details: {
+            transactionId: outgoing._id,
+            recipientId: incoming.userId,
+            ...(returned && { chargebackTransactionId: returned.back._id }),
+            reason,
+          },
+        },
+        session,
+      );
+      if (returned) {
+        await publishTransactions(session, [returned.out, returned.back]);
+      }
+      await publishTransactionUpdate(session, outgoing);
+      await publishTransactionUpdate(session, incoming);
+      return outgoing;
     });
+
+    res.json(formatTransaction(transaction));
   } catch (error) {
-    console.error("Deposit error:", error);
+    console.error("Resolve dispute error:", error);
     next(error);
   }
-});
+};
 
-// Process withdrawal
-app.post("/api/withdraw", authenticateToken, async (req, res, next) => {
+app.post(
+  "/api/admin/disputes/:id/reverse",
+  requireRole("admin"),
+  resolveDispute("reverse"),
+);
+
+app.post(
+  "/api/admin/disputes/:id/reject",
+  requireRole("admin"),
+  resolveDispute("reject"),
+);
+
+// Read the audit log across every chain, newest first. Pass the id of the
+// last record as ?before= for the next page.
+app.get("/api/admin/audit", requireRole("admin"), async (req, res, next) => {
   try {
-    const { amount } = transactionSchema.parse(req.body);
+    const { limit, before, event, userId, requestId, from, to } =
+      auditQuerySchema.parse(req.query);
 
-    // First check if user has sufficient balance
-    const currentUser = await User.findById(req.user._id);
-    if (!currentUser) {
-      return res.status(404).json({ error: "User not found" });
+    const filter = {};
+    if (before) {
+      filter._id = { $lt: before };
     }
-
-    if (currentUser.balance < amount) {
-      return res.status(400).json({ error: "Insufficient funds" });
+    if (event) {
+      filter.event = { $in: event };
+    }
+    if (userId) {
+      filter.$or = [{ actorId: userId }, { subjectId: userId }];
+    }
+    if (requestId) {
+      filter.requestId = requestId;
+    }
+    if (from || to) {
+      filter.at = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
     }
 
-    // Update user balance
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { $inc: { balance: -amount } }, // Use atomic decrement
-      { new: true },
-    );
-
-    // Create transaction record
-    const transaction = new Transaction({
-      userId: user._id,
-      type: "withdraw",
-      amount: amount,
-    });
-    await transaction.save();
+    const records = await AuditLog.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit)
+      .lean();
 
     res.json({
-      balance: user.balance,
-      transaction: {
-        id: transaction._id,
-        type: transaction.type,
-        amount: transaction.amount,
-        date: transaction.date,
-      },
+      records: records.map(formatAuditRecord),
+      nextBefore:
+        records.length === limit ? records[records.length - 1]._id : null,
     });
   } catch (error) {
-    console.error("Withdrawal error:", error);
+    console.error("Audit log error:", error);
     next(error);
   }
 });
 
-mongoose
-  .connect("mongodb://localhost:27017/nevmo", {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-  })
-  .then(() => {
-    console.log("Connected to MongoDB");
-    return createIndexes();
-  })
-  .catch((err) => console.error("MongoDB connection error:", err));
+// Recompute the hash chains over the whole audit log
+app.get(
+  "/api/admin/audit/verify",
+  requireRole("admin"),
+  async (req, res, next) => {
+    try {
+      const { checked, brokenAt } = await verifyAuditChain();
+      res.json({ valid: brokenAt === null, checked, brokenAt });
+    } catch (error) {
+      console.error("Audit verify error:", error);
+      next(error);
+    }
+  },
+);
 
 // Error handling middleware
 app.use(errorHandler);
 
-const PORT = process.env.PORT || 8000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Connect to MongoDB (MONGODB_URI in production) and get the collections
+// ready. The tests call this themselves, against their own database.
+const connectDatabase = async (
+  uri = process.env.MONGODB_URI || "mongodb://localhost:27017/nevmo",
+  options = {},
+) => {
+  await mongoose.connect(uri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    ...options,
+  });
+  console.log("Connected to MongoDB");
+  await createIndexes();
+  await ensureSystemAccounts();
+};
+
+// Only when run directly: required by the tests, nothing connects, polls or
+// listens until they ask for it
+if (require.main === module) {
+  connectDatabase()
+    .then(() => {
+      setInterval(processWebhookQueue, WEBHOOK_DELIVERY.pollMs);
+      watchLiveEvents();
+      setInterval(processDueSchedules, SCHEDULE_RUNNER.pollMs);
+      setInterval(processBankTransfers, BANK_TRANSFERS.pollMs);
+      setInterval(expireAuthorizations, AUTHORIZATIONS.pollMs);
+      setInterval(expireCheckoutSessions, CHECKOUT.pollMs);
+    })
+    .catch((err) => console.error("MongoDB connection error:", err));
+
+  const PORT = process.env.PORT || 8000;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  connectDatabase,
+  models: {
+    User,
+    Session,
+    Transaction,
+    LedgerAccount,
+    BankAccount,
+    WebhookEndpoint,
+    WebhookDelivery,
+  },
+  WEBHOOK_DELIVERY,
+  BANK_SIMULATOR,
+  attemptWebhookDelivery,
+  processBankTransfers,
+  splitExpense,
+  simplifyDebts,
+};
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Give a user a role: node set-role.js <email> <user|support|admin>. The
+// first admin has to be made this way; there is no API for changing roles.
+const ROLES = ["user", "support", "admin"];
+const email = (process.argv[2] || "").trim().toLowerCase();
+const role = process.argv[3];
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: node set-role.js <email> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+mongoose
+  .connect("mongodb://localhost:27017/nevmo", {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(async () => {
+    console.log("Connected to MongoDB");
+
+    const { matchedCount } = await mongoose.connection.db
+      .collection("users")
+      .updateOne({ email }, { $set: { role } });
+    if (!matchedCount) {
+      throw new Error(`No user with email ${email}`);
+    }
+    console.log(`${email} is now ${role}`);
+
+    // Close the connection
+    await mongoose.connection.close();
+    console.log("Connection closed");
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
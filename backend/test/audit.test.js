@@ -0,0 +1,49 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+const mongoose = require("mongoose");
+
+const db = require("./db");
+
+describe("audit log", { skip: db.skip }, () => {
+  db.useDatabase();
+
+  test("keeps a chain per user and finds a changed record", async () => {
+    const admin = await db.signUp("Admin", { role: "admin" });
+    const alice = await db.signUp("Alice");
+    const bob = await db.signUp("Bob");
+    await db.fund(alice, "50.00");
+    await db.fund(bob, "50.00");
+    await db.send(alice, bob, "10.00");
+    await db.send(bob, alice, "5.00");
+
+    const { body: page } = await db.request(
+      admin.token,
+      "GET",
+      `/admin/audit?userId=${alice.id}&limit=500`,
+    );
+    const aliceRecords = page.records.filter((r) => r.subjectId === alice.id);
+    assert.ok(aliceRecords.length >= 3);
+    assert.ok(aliceRecords.every((r) => r.chain === `user:${alice.id}`));
+    assert.deepEqual(
+      aliceRecords.map((r) => r.seq).sort((a, b) => a - b),
+      aliceRecords.map((_, i) => i + 1),
+    );
+
+    const verify = () => db.request(admin.token, "GET", "/admin/audit/verify");
+    const { body: intact } = await verify();
+    assert.equal(intact.valid, true);
+    assert.equal(intact.brokenAt, null);
+
+    // Straight to the collection, past the model's append-only guard
+    const changed = aliceRecords.find((r) => r.seq === 2);
+    await mongoose.connection
+      .collection("auditlogs")
+      .updateOne(
+        { _id: new mongoose.Types.ObjectId(changed.id) },
+        { $set: { amount: 1 } },
+      );
+    const { body: broken } = await verify();
+    assert.equal(broken.valid, false);
+    assert.deepEqual(broken.brokenAt, { chain: `user:${alice.id}`, seq: 2 });
+  });
+});
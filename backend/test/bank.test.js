@@ -0,0 +1,215 @@
+const assert = require("node:assert/strict");
+const { after, before, describe, test } = require("node:test");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const db = require("./db");
+const {
+  app,
+  models: { User, Session, Transaction },
+} = require("../server");
+
+describe("the deposit and withdraw request shape", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://localhost:${server.address().port}/api`;
+  });
+
+  after(() => server.close());
+
+  // Requests from before bank accounts only had an amount
+  for (const path of ["/deposit", "/withdraw"]) {
+    test(`${path} without bankAccountId is a 400 saying what is missing`, async (t) => {
+      const user = {
+        _id: new mongoose.Types.ObjectId(),
+        email: "old-client@example.com",
+        twoFactor: { enabled: false },
+      };
+      const session = {
+        _id: new mongoose.Types.ObjectId(),
+        userId: user._id,
+        expiresAt: new Date(Date.now() + 60 * 1000),
+      };
+      t.mock.method(User, "findOne", async () => user);
+      t.mock.method(Session, "findById", async () => session);
+      const token = jwt.sign(
+        { email: user.email, sid: session._id.toString() },
+        "your-secret-key", // JWT_SECRET in server.js
+      );
+
+      const response = await fetch(`${baseUrl}${path}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ amount: "25.00" }),
+      });
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), {
+        error: "Validation error",
+        details: [{ field: "bankAccountId", message: "Choose a bank account" }],
+      });
+    });
+  }
+});
+
+describe("bank transfers", { skip: db.skip }, () => {
+  db.useDatabase();
+
+  const status = async (transaction) =>
+    (await Transaction.findById(transaction.id)).status;
+
+  // Money coming back from the bank, as the user's record of it
+  const returnOf = (transaction) =>
+    Transaction.findOne({ relatedTransactionId: transaction.id });
+
+  const deposit = async (user, last4, amount = "100.00") => {
+    const bankAccountId = await db.linkBankAccount(user, last4);
+    const { status, body } = await db.request(user.token, "POST", "/deposit", {
+      amount,
+      bankAccountId,
+    });
+    assert.equal(status, 202);
+    assert.equal(body.transaction.status, "pending");
+    return body.transaction;
+  };
+
+  const withdraw = async (user, last4, amount = "40.00") => {
+    const bankAccountId = await db.linkBankAccount(user, last4);
+    const { status, body } = await db.request(user.token, "POST", "/withdraw", {
+      amount,
+      bankAccountId,
+    });
+    assert.equal(status, 202);
+    assert.equal(body.transaction.status, "pending");
+    return body.transaction;
+  };
+
+  test("a deposit is uncleared until it settles", async () => {
+    const user = await db.signUp("Dana");
+    const transaction = await deposit(user, "6789");
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: 10000,
+      uncleared: 10000,
+    });
+
+    await db.advanceBank({ wait: false });
+    assert.equal(await status(transaction), "pending");
+    await db.advanceBank();
+
+    assert.equal(await status(transaction), "settled");
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: 10000,
+      uncleared: 0,
+    });
+  });
+
+  test("a failed deposit takes the uncleared money back", async () => {
+    const user = await db.signUp("Dana");
+    const transaction = await deposit(user, "1116");
+
+    await db.advanceBank({ wait: false });
+    await db.advanceBank();
+
+    assert.equal(await status(transaction), "failed");
+    const bankReturn = await returnOf(transaction);
+    assert.equal(bankReturn.type, "bank_return_out");
+    assert.equal(bankReturn.amount, 10000);
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: 0,
+      uncleared: 0,
+    });
+  });
+
+  test("a deposit returned after it was spent overdraws the account", async () => {
+    const user = await db.signUp("Dana");
+    const friend = await db.signUp("Eli");
+    const transaction = await deposit(user, "2227");
+
+    await db.advanceBank({ wait: false });
+    await db.advanceBank();
+    assert.equal(await status(transaction), "settled");
+    await db.send(user, friend, "80.00");
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: 2000,
+      uncleared: 0,
+    });
+
+    await db.advanceBank();
+
+    assert.equal(await status(transaction), "returned");
+    const bankReturn = await returnOf(transaction);
+    assert.equal(bankReturn.type, "bank_return_out");
+    assert.equal(bankReturn.note, "Insufficient funds");
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: -8000,
+      uncleared: 0,
+    });
+  });
+
+  test("a withdrawal leaves the balance straight away and settles", async () => {
+    const user = await db.signUp("Dana");
+    await db.fund(user, "100.00");
+    const transaction = await withdraw(user, "6789");
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: 6000,
+      uncleared: 0,
+    });
+
+    await db.advanceBank({ wait: false });
+    await db.advanceBank();
+
+    assert.equal(await status(transaction), "settled");
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: 6000,
+      uncleared: 0,
+    });
+  });
+
+  test("a failed withdrawal puts the money back", async () => {
+    const user = await db.signUp("Dana");
+    await db.fund(user, "100.00");
+    const transaction = await withdraw(user, "1116");
+
+    await db.advanceBank({ wait: false });
+    await db.advanceBank();
+
+    assert.equal(await status(transaction), "failed");
+    assert.equal((await returnOf(transaction)).type, "bank_return_in");
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: 10000,
+      uncleared: 0,
+    });
+  });
+
+  test("a returned withdrawal puts the money back after it settled", async () => {
+    const user = await db.signUp("Dana");
+    await db.fund(user, "100.00");
+    const transaction = await withdraw(user, "2227");
+
+    await db.advanceBank({ wait: false });
+    await db.advanceBank();
+    assert.equal(await status(transaction), "settled");
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: 6000,
+      uncleared: 0,
+    });
+
+    await db.advanceBank();
+
+    assert.equal(await status(transaction), "returned");
+    const bankReturn = await returnOf(transaction);
+    assert.equal(bankReturn.type, "bank_return_in");
+    assert.equal(bankReturn.note, "Account closed");
+    assert.deepEqual(await db.ledgerBalances(user), {
+      balance: 10000,
+      uncleared: 0,
+    });
+  });
+});
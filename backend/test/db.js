@@ -0,0 +1,153 @@
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { once } = require("node:events");
+const { after, before } = require("node:test");
+const mongoose = require("mongoose");
+
+// Tests that move money need MongoDB running as a replica set, for its
+// transactions. They run in a database of their own in MONGODB_URI, dropped
+// when they finish, and are skipped without one. Require this before the
+// server, so the simulated bank settles in a second and is checked on every
+// call to processBankTransfers.
+process.env.BANK_SIM_SETTLE_MS ||= "1000";
+process.env.BANK_POLL_MS ||= "0";
+
+const {
+  app,
+  connectDatabase,
+  models: { User, LedgerAccount, BankAccount },
+  BANK_SIMULATOR,
+  processBankTransfers,
+} = require("../server");
+
+const skip =
+  !process.env.MONGODB_URI && "needs MONGODB_URI pointing at a replica set";
+
+let baseUrl;
+
+// Connect and start the API for the tests in this file
+const useDatabase = () => {
+  if (skip) {
+    return;
+  }
+  let server;
+  before(async () => {
+    await connectDatabase(process.env.MONGODB_URI, {
+      dbName: `nevmo-test-${process.pid}`,
+    });
+    server = app.listen(0);
+    await once(server, "listening");
+    baseUrl = `http://localhost:${server.address().port}/api`;
+  });
+  after(async () => {
+    server.close();
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+};
+
+// Call the API as the user whose access token is given, or signed out
+const request = async (token, method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+// Register someone with a verified email, so the unverified balance limit
+// stays out of the way
+let signUps = 0;
+const signUp = async (name, { role } = {}) => {
+  signUps += 1;
+  const email = `${name.toLowerCase()}${signUps}@example.com`;
+  const { status, body } = await request(null, "POST", "/register", {
+    name,
+    email,
+    password: "correct horse",
+  });
+  assert.equal(status, 201);
+  const user = await User.findOneAndUpdate(
+    { email },
+    { emailVerifiedAt: new Date(), ...(role && { role }) },
+    { new: true },
+  );
+  return { id: user._id.toString(), name, email, token: body.token };
+};
+
+// A verified bank account for the user. The simulator decides what happens
+// to transfers by the last four digits; see BANK_SIMULATOR.
+const linkBankAccount = async (user, last4 = "6789") => {
+  const bankAccount = await BankAccount.create({
+    userId: user.id,
+    provider: "simulated",
+    externalId: `sim_ba_${crypto.randomUUID()}`,
+    holderName: user.name,
+    routingNumber: "011000015",
+    last4,
+    status: "verified",
+    verifiedAt: new Date(),
+  });
+  return bankAccount._id.toString();
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Let the simulated bank move on by settleMs and apply what it did. The
+// first call after a transfer is made only submits it.
+const advanceBank = async ({ wait = true } = {}) => {
+  if (wait) {
+    await sleep(BANK_SIMULATOR.settleMs + 100);
+  }
+  await processBankTransfers();
+};
+
+// Deposit amount from a new bank account and wait for it to settle
+const fund = async (user, amount) => {
+  const bankAccountId = await linkBankAccount(user);
+  const { status } = await request(user.token, "POST", "/deposit", {
+    amount,
+    bankAccountId,
+  });
+  assert.equal(status, 202);
+  await advanceBank({ wait: false });
+  await advanceBank();
+  return bankAccountId;
+};
+
+// Send amount from one user to another and return the sender's record
+const send = async (sender, recipient, amount) => {
+  const { status, body } = await request(sender.token, "POST", "/transfers", {
+    recipientEmail: recipient.email,
+    amount,
+    note: "Test payment",
+  });
+  assert.equal(status, 201);
+  return body.transaction;
+};
+
+// The user's ledger balance and uncleared deposits, in cents
+const ledgerBalances = async (user) => {
+  const { balance, uncleared } = await LedgerAccount.findOne({
+    userId: user.id,
+    type: "user",
+  });
+  return { balance, uncleared };
+};
+
+module.exports = {
+  skip,
+  useDatabase,
+  request,
+  signUp,
+  linkBankAccount,
+  advanceBank,
+  fund,
+  send,
+  ledgerBalances,
+};
@@ -0,0 +1,310 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const db = require("./db");
+const { splitExpense, simplifyDebts } = require("../server");
+
+const amounts = (parts) => parts.map((part) => part.amount);
+
+describe("splitExpense", () => {
+  test("splits equally, giving the leftover cent to the first member", () => {
+    const parts = splitExpense(1000, "equal", [
+      { userId: "a" },
+      { userId: "b" },
+      { userId: "c" },
+    ]);
+    assert.deepEqual(parts, [
+      { userId: "a", amount: 334 },
+      { userId: "b", amount: 333 },
+      { userId: "c", amount: 333 },
+    ]);
+  });
+
+  test("hands leftover cents to the largest remainders in a shares split", () => {
+    const parts = splitExpense(1001, "shares", [
+      { userId: "a", shares: 1 },
+      { userId: "b", shares: 2 },
+      { userId: "c", shares: 4 },
+    ]);
+    // 143, 286 and 572 exactly; no cents left over
+    assert.deepEqual(amounts(parts), [143, 286, 572]);
+    assert.deepEqual(
+      parts.map((part) => part.shares),
+      [1, 2, 4],
+    );
+
+    // 333.33 and 666.67: the second has the larger remainder
+    assert.deepEqual(
+      amounts(
+        splitExpense(1000, "shares", [
+          { userId: "a", shares: 1 },
+          { userId: "b", shares: 2 },
+        ]),
+      ),
+      [333, 667],
+    );
+  });
+
+  test("always adds up to the expense", () => {
+    for (const amount of [1, 2, 99, 100, 101, 9999]) {
+      for (const splits of [
+        [{ shares: 3 }, { shares: 3 }, { shares: 1 }],
+        [{ shares: 1 }, { shares: 1 }, { shares: 1 }, { shares: 1 }],
+      ]) {
+        const parts = splitExpense(
+          amount,
+          "shares",
+          splits.map((split, i) => ({ ...split, userId: String(i) })),
+        );
+        assert.equal(
+          parts.reduce((sum, part) => sum + part.amount, 0),
+          amount,
+        );
+      }
+    }
+  });
+
+  test("needs a share count for everyone in a shares split", () => {
+    assert.throws(
+      () =>
+        splitExpense(1000, "shares", [
+          { userId: "a", shares: 1 },
+          { userId: "b" },
+        ]),
+      {
+        status: 400,
+        message: "Everyone in a shares split needs a share count",
+      },
+    );
+  });
+
+  test("takes exact amounts that add up to the expense", () => {
+    assert.deepEqual(
+      splitExpense(1000, "exact", [
+        { userId: "a", amount: 250 },
+        { userId: "b", amount: 750 },
+      ]),
+      [
+        { userId: "a", amount: 250 },
+        { userId: "b", amount: 750 },
+      ],
+    );
+  });
+
+  test("refuses exact amounts that do not add up", () => {
+    const error = {
+      status: 400,
+      message: "Exact amounts must add up to $10.00",
+    };
+    assert.throws(
+      () =>
+        splitExpense(1000, "exact", [
+          { userId: "a", amount: 250 },
+          { userId: "b", amount: 749 },
+        ]),
+      error,
+    );
+    assert.throws(
+      () =>
+        splitExpense(1000, "exact", [
+          { userId: "a", amount: 1000 },
+          { userId: "b" },
+        ]),
+      error,
+    );
+  });
+});
+
+describe("simplifyDebts", () => {
+  test("settles four members in at most three payments", () => {
+    const balances = new Map([
+      ["a", 2500],
+      ["b", 500],
+      ["c", -1000],
+      ["d", -2000],
+    ]);
+    assert.deepEqual(simplifyDebts(balances), [
+      { from: "d", to: "a", amount: 2000 },
+      { from: "c", to: "a", amount: 500 },
+      { from: "c", to: "b", amount: 500 },
+    ]);
+  });
+
+  test("leaves everyone at zero and skips those already settled", () => {
+    const balances = new Map([
+      ["a", -700],
+      ["b", 0],
+      ["c", 1200],
+      ["d", -300],
+      ["e", -200],
+    ]);
+    const debts = simplifyDebts(balances);
+    assert.ok(debts.length <= 3);
+    assert.ok(debts.every((debt) => debt.from !== "b" && debt.to !== "b"));
+
+    const after = new Map(balances);
+    for (const { from, to, amount } of debts) {
+      after.set(from, after.get(from) + amount);
+      after.set(to, after.get(to) - amount);
+    }
+    assert.ok([...after.values()].every((balance) => balance === 0));
+  });
+
+  test("has nothing to pay when everyone is settled", () => {
+    assert.deepEqual(
+      simplifyDebts(
+        new Map([
+          ["a", 0],
+          ["b", 0],
+        ]),
+      ),
+      [],
+    );
+  });
+});
+
+describe("groups", { skip: db.skip }, () => {
+  db.useDatabase();
+
+  test("invites by email and answers the same whether or not it is registered", async () => {
+    const alice = await db.signUp("Alice");
+    const bob = await db.signUp("Bob");
+
+    const created = await db.request(alice.token, "POST", "/groups", {
+      name: "Flat",
+      memberEmails: [bob.email],
+    });
+    assert.equal(created.status, 201);
+    assert.deepEqual(
+      created.body.members.map((m) => m.id),
+      [alice.id],
+    );
+    const id = created.body.id;
+
+    const unknown = await db.request(
+      alice.token,
+      "POST",
+      `/groups/${id}/members`,
+      { email: "nobody@example.com" },
+    );
+    assert.equal(unknown.status, 201);
+    assert.deepEqual(
+      unknown.body.invites.map((i) => i.email),
+      [bob.email, "nobody@example.com"],
+    );
+
+    const invitations = await db.request(
+      bob.token,
+      "GET",
+      "/groups/invitations",
+    );
+    assert.deepEqual(
+      invitations.body.map((g) => g.id),
+      [id],
+    );
+    const joined = await db.request(bob.token, "POST", `/groups/${id}/join`);
+    assert.equal(joined.status, 201);
+    assert.deepEqual(
+      joined.body.invites.map((i) => i.email),
+      ["nobody@example.com"],
+    );
+    assert.equal(joined.body.members.length, 2);
+  });
+
+  test("a held settlement counts until an admin rejects it, which voids it", async () => {
+    const alice = await db.signUp("Alice");
+    const bob = await db.signUp("Bob");
+    const admin = await db.signUp("Admin", { role: "admin" });
+    await db.fund(alice, "700.00");
+
+    const { body: group } = await db.request(alice.token, "POST", "/groups", {
+      name: "Holiday",
+      memberEmails: [bob.email],
+    });
+    await db.request(bob.token, "POST", `/groups/${group.id}/join`);
+    const expense = await db.request(
+      bob.token,
+      "POST",
+      `/groups/${group.id}/expenses`,
+      {
+        description: "Cabin",
+        amount: "1200.00",
+        splitType: "equal",
+        splits: [{ userId: alice.id }, { userId: bob.id }],
+      },
+    );
+    assert.equal(expense.status, 201);
+
+    // Over the new-account limit in rules.json, so held for review
+    const settled = await db.request(
+      alice.token,
+      "POST",
+      `/groups/${group.id}/settle`,
+    );
+    assert.equal(settled.status, 202);
+    const [transfer] = settled.body.transactions;
+    assert.equal(transfer.status, "held");
+    assert.equal(transfer.amount, "600.00");
+    assert.deepEqual(settled.body.group.debts, []);
+
+    const rejected = await db.request(
+      admin.token,
+      "POST",
+      `/admin/transactions/${transfer.id}/reject`,
+      { reason: "Not what the group agreed" },
+    );
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.status, "rejected");
+
+    const { body: after } = await db.request(
+      alice.token,
+      "GET",
+      `/groups/${group.id}`,
+    );
+    const settlement = after.expenses.find((e) => e.settlement);
+    assert.ok(settlement.voidedAt);
+    assert.deepEqual(
+      after.debts.map((d) => [d.from.id, d.to.id, d.amount]),
+      [[alice.id, bob.id, "600.00"]],
+    );
+    assert.equal((await db.ledgerBalances(alice)).balance, 70000);
+  });
+
+  test("settles up only the total the member expected", async () => {
+    const alice = await db.signUp("Alice");
+    const bob = await db.signUp("Bob");
+    await db.fund(alice, "100.00");
+    const { body: group } = await db.request(alice.token, "POST", "/groups", {
+      name: "Groceries",
+      memberEmails: [bob.email],
+    });
+    await db.request(bob.token, "POST", `/groups/${group.id}/join`);
+    const addExpense = (amount) =>
+      db.request(bob.token, "POST", `/groups/${group.id}/expenses`, {
+        description: "Shopping",
+        amount,
+        splitType: "equal",
+        splits: [{ userId: alice.id }, { userId: bob.id }],
+      });
+    const settle = (amount) =>
+      db.request(alice.token, "POST", `/groups/${group.id}/settle`, {
+        amount,
+      });
+
+    await addExpense("40.00");
+    // Alice was shown $20.00, then Bob added another expense
+    await addExpense("10.00");
+    const stale = await settle("20.00");
+    assert.equal(stale.status, 409);
+    assert.deepEqual(stale.body, {
+      error: "You now owe $25.00 in this group",
+      amount: "25.00",
+    });
+    assert.equal((await db.ledgerBalances(alice)).balance, 10000);
+
+    const settled = await settle("25.00");
+    assert.equal(settled.status, 200);
+    assert.equal(settled.body.balance, "75.00");
+    assert.deepEqual(settled.body.group.debts, []);
+  });
+});
@@ -0,0 +1,222 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const db = require("./db");
+const {
+  models: { Transaction },
+} = require("../server");
+
+describe("refunds and disputes", { skip: db.skip }, () => {
+  db.useDatabase();
+
+  // Alice, with $100, pays Bob $50. Returns both and the two sides of the
+  // transfer.
+  const payment = async () => {
+    const alice = await db.signUp("Alice");
+    const bob = await db.signUp("Bob");
+    await db.fund(alice, "100.00");
+    const sent = await db.send(alice, bob, "50.00");
+    const received = await Transaction.findOne({
+      relatedTransactionId: sent.id,
+      type: "transfer_in",
+    });
+    return { alice, bob, sent, receivedId: received._id.toString() };
+  };
+
+  const refund = (bob, receivedId, body = {}) =>
+    db.request(bob.token, "POST", `/transactions/${receivedId}/refund`, body);
+
+  const dispute = (alice, sent) =>
+    db.request(alice.token, "POST", `/transactions/${sent.id}/dispute`, {
+      reason: "Bob never sent the concert tickets",
+    });
+
+  test("two partial refunds add up to a full one", async () => {
+    const { alice, bob, sent, receivedId } = await payment();
+
+    const first = await refund(bob, receivedId, { amount: "20.00" });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.transaction.refundedAmount, "20.00");
+    assert.equal(first.body.refund.type, "refund_out");
+
+    const second = await refund(bob, receivedId, { amount: "30.00" });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.transaction.refundedAmount, "50.00");
+
+    const outgoing = await Transaction.findById(sent.id);
+    assert.equal(outgoing.refundedAmount, 5000);
+    assert.deepEqual(
+      outgoing.statusTrail.map((entry) => [entry.status, entry.amount]),
+      [
+        ["partially_refunded", 2000],
+        ["refunded", 3000],
+      ],
+    );
+    assert.deepEqual(await db.ledgerBalances(alice), {
+      balance: 10000,
+      uncleared: 0,
+    });
+    assert.deepEqual(await db.ledgerBalances(bob), {
+      balance: 0,
+      uncleared: 0,
+    });
+
+    const third = await refund(bob, receivedId);
+    assert.equal(third.status, 409);
+    assert.equal(third.body.error, "This payment was already refunded in full");
+    const late = await dispute(alice, sent);
+    assert.equal(late.status, 409);
+    assert.equal(late.body.error, "This payment was already refunded in full");
+  });
+
+  test("refuses to refund more than is left", async () => {
+    const { bob, receivedId } = await payment();
+
+    const tooMuch = await refund(bob, receivedId, { amount: "60.00" });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.error, "You can refund at most $50.00");
+
+    await refund(bob, receivedId, { amount: "20.00" });
+    const overLeft = await refund(bob, receivedId, { amount: "30.01" });
+    assert.equal(overLeft.status, 400);
+    assert.equal(overLeft.body.error, "You can refund at most $30.00");
+    assert.deepEqual(await db.ledgerBalances(bob), {
+      balance: 3000,
+      uncleared: 0,
+    });
+  });
+
+  test("reversing a dispute after a partial refund charges back the rest, once", async () => {
+    const { alice, bob, sent, receivedId } = await payment();
+    const admin = await db.signUp("Admin", { role: "admin" });
+    await refund(bob, receivedId, { amount: "20.00" });
+
+    const opened = await dispute(alice, sent);
+    assert.equal(opened.status, 201);
+    assert.equal(opened.body.dispute.status, "open");
+
+    const reversed = await db.request(
+      admin.token,
+      "POST",
+      `/admin/disputes/${sent.id}/reverse`,
+      { reason: "Tickets were never sent" },
+    );
+    assert.equal(reversed.status, 200);
+    assert.equal(reversed.body.dispute.status, "reversed");
+
+    // $20 refunded and the remaining $30 charged back
+    const outgoing = await Transaction.findById(sent.id);
+    assert.equal(outgoing.dispute.reversedAmount, 3000);
+    const chargeback = await Transaction.findOne({
+      relatedTransactionId: sent.id,
+      type: "chargeback_in",
+    });
+    assert.equal(chargeback.amount, 3000);
+    assert.deepEqual(await db.ledgerBalances(alice), {
+      balance: 10000,
+      uncleared: 0,
+    });
+    assert.deepEqual(await db.ledgerBalances(bob), {
+      balance: 0,
+      uncleared: 0,
+    });
+
+    for (const decision of ["reverse", "reject"]) {
+      const again = await db.request(
+        admin.token,
+        "POST",
+        `/admin/disputes/${sent.id}/${decision}`,
+        { reason: "Second look" },
+      );
+      assert.equal(again.status, 409);
+      assert.equal(again.body.error, "Dispute is already resolved");
+    }
+    const afterReversal = await refund(bob, receivedId);
+    assert.equal(afterReversal.status, 409);
+    assert.equal(afterReversal.body.error, "This payment was already reversed");
+    assert.deepEqual(await db.ledgerBalances(alice), {
+      balance: 10000,
+      uncleared: 0,
+    });
+  });
+
+  // The recipient's side of a transfer, as returned by the API
+  const receivedSide = async (sent) =>
+    (
+      await Transaction.findOne({
+        relatedTransactionId: sent.id,
+        type: "transfer_in",
+      })
+    )._id.toString();
+
+  test("refunding a group settle-up makes the refunded part owed again", async () => {
+    const alice = await db.signUp("Alice");
+    const bob = await db.signUp("Bob");
+    await db.fund(alice, "100.00");
+    const { body: group } = await db.request(alice.token, "POST", "/groups", {
+      name: "Dinner",
+      memberEmails: [bob.email],
+    });
+    await db.request(bob.token, "POST", `/groups/${group.id}/join`);
+    await db.request(bob.token, "POST", `/groups/${group.id}/expenses`, {
+      description: "Pizza",
+      amount: "60.00",
+      splitType: "equal",
+      splits: [{ userId: alice.id }, { userId: bob.id }],
+    });
+    const settled = await db.request(
+      alice.token,
+      "POST",
+      `/groups/${group.id}/settle`,
+    );
+    assert.equal(settled.status, 200);
+    const receivedId = await receivedSide(settled.body.transactions[0]);
+
+    const groupAfter = async () =>
+      (await db.request(alice.token, "GET", `/groups/${group.id}`)).body;
+    const owed = (details) =>
+      details.debts.map((d) => [d.from.id, d.to.id, d.amount]);
+
+    await refund(bob, receivedId, { amount: "10.00" });
+    let details = await groupAfter();
+    let settlement = details.expenses.find((e) => e.settlement);
+    assert.equal(settlement.amount, "20.00");
+    assert.equal(settlement.voidedAt, undefined);
+    assert.deepEqual(owed(details), [[alice.id, bob.id, "10.00"]]);
+
+    await refund(bob, receivedId);
+    details = await groupAfter();
+    settlement = details.expenses.find((e) => e.settlement);
+    assert.ok(settlement.voidedAt);
+    assert.deepEqual(owed(details), [[alice.id, bob.id, "30.00"]]);
+  });
+
+  test("a paid request stays paid after a partial refund and reopens after a full one", async () => {
+    const alice = await db.signUp("Alice");
+    const bob = await db.signUp("Bob");
+    await db.fund(alice, "100.00");
+    const { body: created } = await db.request(bob.token, "POST", "/requests", {
+      payerEmail: alice.email,
+      amount: "25.00",
+      note: "Lunch",
+    });
+    const paid = await db.request(
+      alice.token,
+      "POST",
+      `/requests/${created.id}/pay`,
+      {},
+    );
+    assert.equal(paid.status, 200);
+    const receivedId = await receivedSide(paid.body.transaction);
+
+    const requestStatus = async () =>
+      (await db.request(bob.token, "GET", "/requests/outgoing")).body.find(
+        (r) => r.id === created.id,
+      ).status;
+
+    await refund(bob, receivedId, { amount: "5.00" });
+    assert.equal(await requestStatus(), "paid");
+    await refund(bob, receivedId);
+    assert.equal(await requestStatus(), "pending");
+  });
+});
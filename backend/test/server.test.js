@@ -0,0 +1,25 @@
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const { app } = require("../server");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://localhost:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+test("loads without connecting to the database", () => {
+  assert.equal(typeof app, "function");
+});
+
+test("refuses requests without a token before touching the database", async () => {
+  const response = await fetch(`${baseUrl}/webhooks`);
+  assert.equal(response.status, 401);
+  assert.deepEqual(await response.json(), { error: "Access token required" });
+});
@@ -0,0 +1,245 @@
+const assert = require("node:assert/strict");
+const { after, before, beforeEach, mock, test } = require("node:test");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+// Read when the server is loaded. The receiver runs on localhost, so
+// private hosts are let through unless a test turns them off.
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+process.env.WEBHOOK_RETRY_BASE_MS = "1000";
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = "true";
+
+const {
+  app,
+  models: { User, Session, WebhookEndpoint, WebhookDelivery },
+  WEBHOOK_DELIVERY,
+  attemptWebhookDelivery,
+} = require("../server");
+const { createReceiver, verifySignature } = require("../webhook-receiver");
+
+const SECRET = "whsec_test";
+
+// The receiver answers 500 to the first FAILURES deliveries
+const FAILURES = 2;
+
+let receiver;
+let endpoint;
+let requests;
+let updates;
+
+before(async () => {
+  receiver = createReceiver(SECRET, { fail: FAILURES, log: () => {} });
+  receiver.on("request", (req, res) => {
+    res.on("finish", () =>
+      requests.push({ headers: req.headers, status: res.statusCode }),
+    );
+  });
+  await new Promise((resolve) => receiver.listen(0, resolve));
+  endpoint = {
+    _id: new mongoose.Types.ObjectId(),
+    url: `http://localhost:${receiver.address().port}/`,
+    secret: SECRET,
+  };
+});
+
+after(() => receiver.close());
+
+// Deliveries are looked up and recorded through the models; the endpoint
+// comes from here and each update is kept to be checked
+beforeEach(() => {
+  requests = [];
+  updates = [];
+  WEBHOOK_DELIVERY.allowPrivateHosts = true;
+  mock.restoreAll();
+  mock.method(WebhookEndpoint, "findById", () => ({
+    select: async () => endpoint,
+  }));
+  mock.method(WebhookDelivery, "updateOne", async (filter, update) => {
+    updates.push(update);
+  });
+});
+
+const queuedDelivery = (attempts = 0) => ({
+  _id: new mongoose.Types.ObjectId(),
+  endpointId: endpoint._id,
+  event: "transfer.completed",
+  payload: JSON.stringify({
+    id: "evt_test",
+    type: "transfer.completed",
+    data: { amount: "12.50" },
+  }),
+  attempts,
+});
+
+test("backs off after a 500, then delivers with a valid signature", async () => {
+  const delivery = queuedDelivery();
+  for (let attempt = 1; attempt <= FAILURES; attempt++) {
+    const before = Date.now();
+    await attemptWebhookDelivery(delivery);
+    const { $set, $push } = updates.at(-1);
+
+    assert.equal(requests.at(-1).status, 500);
+    assert.equal($set.status, "pending");
+    assert.equal($set.attempts, attempt);
+    assert.equal($push.attemptLog.statusCode, 500);
+    assert.equal($push.attemptLog.error, "HTTP 500");
+    // retryBaseMs, doubling with each failed attempt
+    const delay = WEBHOOK_DELIVERY.retryBaseMs * 2 ** (attempt - 1);
+    assert.ok($set.nextAttemptAt.getTime() >= before + delay);
+    assert.ok($set.nextAttemptAt.getTime() <= Date.now() + delay);
+    delivery.attempts = $set.attempts;
+  }
+
+  await attemptWebhookDelivery(delivery);
+  const { headers, status } = requests.at(-1);
+  assert.equal(status, 204);
+  assert.equal(headers["x-nevmo-event"], "transfer.completed");
+  assert.equal(headers["x-nevmo-delivery"], delivery._id.toString());
+  assert.match(headers["x-nevmo-signature"], /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.ok(
+    verifySignature(SECRET, headers["x-nevmo-signature"], delivery.payload),
+  );
+  assert.ok(
+    !verifySignature(
+      "whsec_other",
+      headers["x-nevmo-signature"],
+      delivery.payload,
+    ),
+  );
+
+  const { $set, $unset } = updates.at(-1);
+  assert.deepEqual($set, { attempts: FAILURES + 1, status: "succeeded" });
+  assert.deepEqual($unset, { lockedUntil: "" });
+});
+
+test("gives up once the last attempt fails", async () => {
+  const failing = createReceiver(SECRET, { fail: 1, log: () => {} });
+  await new Promise((resolve) => failing.listen(0, resolve));
+  const url = endpoint.url;
+  endpoint.url = `http://localhost:${failing.address().port}/`;
+  try {
+    await attemptWebhookDelivery(
+      queuedDelivery(WEBHOOK_DELIVERY.maxAttempts - 1),
+    );
+  } finally {
+    endpoint.url = url;
+    failing.close();
+  }
+
+  const { $set, $push } = updates.at(-1);
+  assert.deepEqual($set, {
+    attempts: WEBHOOK_DELIVERY.maxAttempts,
+    status: "failed",
+  });
+  assert.equal($push.attemptLog.error, "HTTP 500");
+});
+
+test("fails deliveries still queued for a deleted endpoint", async () => {
+  WebhookEndpoint.findById.mock.mockImplementation(() => ({
+    select: async () => null,
+  }));
+
+  await attemptWebhookDelivery(queuedDelivery());
+
+  assert.equal(requests.length, 0);
+  const { $set, $push } = updates.at(-1);
+  assert.deepEqual($set, { attempts: 1, status: "failed" });
+  assert.equal($push.attemptLog.error, "Endpoint was deleted");
+});
+
+test("records a refused connection without the underlying error", async () => {
+  const closed = createReceiver(SECRET);
+  await new Promise((resolve) => closed.listen(0, resolve));
+  const url = endpoint.url;
+  endpoint.url = `http://localhost:${closed.address().port}/`;
+  await new Promise((resolve) => closed.close(resolve));
+  try {
+    await attemptWebhookDelivery(queuedDelivery());
+  } finally {
+    endpoint.url = url;
+  }
+
+  const { $set, $push } = updates.at(-1);
+  assert.equal($set.status, "pending");
+  assert.equal($push.attemptLog.error, "Could not connect");
+});
+
+test("never delivers to private, loopback or link-local addresses", async () => {
+  WEBHOOK_DELIVERY.allowPrivateHosts = false;
+  const url = endpoint.url;
+  try {
+    for (const blocked of [
+      url,
+      "http://127.0.0.1:9000/",
+      "http://10.1.2.3/",
+      "http://172.16.0.1/",
+      "http://192.168.1.1/",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://0.0.0.0/",
+      "http://[::1]/",
+      "http://[fe80::1]/",
+      "http://[fd00::1]/",
+      "http://[::ffff:127.0.0.1]/",
+    ]) {
+      endpoint.url = blocked;
+      await attemptWebhookDelivery(queuedDelivery());
+      const { $set, $push } = updates.at(-1);
+      assert.equal($set.status, "pending", blocked);
+      assert.equal(
+        $push.attemptLog.error,
+        "Webhook URLs must point to a public address",
+        blocked,
+      );
+    }
+  } finally {
+    endpoint.url = url;
+  }
+  assert.equal(requests.length, 0);
+});
+
+test("refuses to register an endpoint on a private address", async (t) => {
+  WEBHOOK_DELIVERY.allowPrivateHosts = false;
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: "hooks@example.com",
+    twoFactor: { enabled: false },
+  };
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    expiresAt: new Date(Date.now() + 60 * 1000),
+  };
+  t.mock.method(User, "findOne", async () => user);
+  t.mock.method(Session, "findById", async () => session);
+  const create = t.mock.method(WebhookEndpoint, "create");
+  const token = jwt.sign(
+    { email: user.email, sid: session._id.toString() },
+    "your-secret-key", // JWT_SECRET in server.js
+  );
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    const response = await fetch(
+      `http://localhost:${server.address().port}/api/webhooks`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          url: "https://169.254.169.254/",
+          events: ["transaction.created"],
+        }),
+      },
+    );
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), {
+      error: "Webhook URLs must point to a public address",
+    });
+  } finally {
+    server.close();
+  }
+  assert.equal(create.mock.callCount(), 0);
+});
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Lift a login lockout by hand, for users who cannot reach the unlock link
+// in their email: node unlock-account.js <email>
+const email = (process.argv[2] || "").trim().toLowerCase();
+if (!email) {
+  console.error("Usage: node unlock-account.js <email>");
+  process.exit(1);
+}
+
+mongoose
+  .connect("mongodb://localhost:27017/nevmo", {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(async () => {
+    console.log("Connected to MongoDB");
+
+    const { deletedCount } = await mongoose.connection.db
+      .collection("loginthrottles")
+      .deleteOne({ key: `account:${email}` });
+    console.log(
+      deletedCount
+        ? `Cleared failed logins for ${email}`
+        : `No failed logins recorded for ${email}`,
+    );
+
+    // Close the connection
+    await mongoose.connection.close();
+    console.log("Connection closed");
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
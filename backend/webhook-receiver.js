@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const http = require("http");
+
+// A local endpoint for trying out webhooks: node webhook-receiver.js <secret>
+// [port] [--fail <n>]. Checks the signature of every delivery and prints
+// the event. With --fail it answers 500 to the first n deliveries, to watch
+// the server retry them. Run the server with WEBHOOK_ALLOW_HTTP=true and
+// register http://localhost:<port>/ as the endpoint. The tests use it too.
+
+// Deliveries signed longer ago than this are refused as replays
+const TOLERANCE_SECONDS = 5 * 60;
+
+// True when header is a valid X-Nevmo-Signature of body with secret
+const verifySignature = (secret, header, body) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("=")),
+  );
+  const timestamp = Number(parts.t);
+  if (
+    !parts.v1 ||
+    !Number.isInteger(timestamp) ||
+    Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS
+  ) {
+    return false;
+  }
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest();
+  const actual = Buffer.from(parts.v1, "hex");
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+// An http server that answers deliveries signed with secret: 401 for a bad
+// signature, 500 for the first fail good ones, 204 after that
+const createReceiver = (secret, { fail = 0, log = console.log } = {}) => {
+  let failuresLeft = fail;
+  return http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const delivery = req.headers["x-nevmo-delivery"];
+      if (!verifySignature(secret, req.headers["x-nevmo-signature"], body)) {
+        log(`Delivery ${delivery}: bad signature, answering 401`);
+        res.writeHead(401).end();
+        return;
+      }
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        log(`Delivery ${delivery}: failing on purpose, answering 500`);
+        res.writeHead(500).end();
+        return;
+      }
+
+      const event = JSON.parse(body);
+      log(`Delivery ${delivery}: ${event.type} ${event.id}`);
+      log(JSON.stringify(event.data, null, 2));
+      res.writeHead(204).end();
+    });
+  });
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const failIndex = args.indexOf("--fail");
+  const fail = failIndex === -1 ? 0 : Number(args[failIndex + 1]);
+  const [secret, port = "9000"] =
+    failIndex === -1 ? args : args.filter((_, i) => i < failIndex);
+  if (!secret || !Number.isInteger(fail) || fail < 0) {
+    console.error(
+      "Usage: node webhook-receiver.js <secret> [port] [--fail <n>]",
+    );
+    process.exit(1);
+  }
+
+  createReceiver(secret, { fail }).listen(Number(port), () => {
+    console.log(`Listening for webhooks on http://localhost:${port}/`);
+  });
+}
+
+module.exports = { TOLERANCE_SECONDS, verifySignature, createReceiver };
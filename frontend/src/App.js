@@ -1,14 +1,471 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
   DollarSign,
   ArrowDownCircle,
   ArrowUpCircle,
   History,
   LogOut,
+  Send,
+  HandCoins,
+  Filter,
+  Download,
+  FileText,
+  Monitor,
+  ShieldCheck,
+  UserCog,
+  Webhook,
+  CalendarClock,
+  Users,
+  Star,
+  Heart,
+  MessageCircle,
+  Globe,
+  Lock,
+  Landmark,
+  Hourglass,
+  Store,
 } from "lucide-react";
 
 const API_URL = "http://localhost:8000/api";
 
+// Amounts travel to and from the API as decimal strings such as "12.50" and
+// are compared as integer cents, so floating point never rounds them
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+const toCents = (amount) => {
+  const [units, fraction = ""] = String(amount).split(".");
+  return Number(units) * 100 + Number(fraction.padEnd(2, "0"));
+};
+
+// Access tokens expire after a few minutes. apiFetch sends the current one
+// and, when the API answers 401, renews it with the refresh token and tries
+// once more. If the session cannot be renewed it fires SESSION_ENDED_EVENT
+// so the app can return to the login screen.
+const SESSION_ENDED_EVENT = "nevmo:session-ended";
+
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem("token", token);
+  localStorage.setItem("refreshToken", refreshToken);
+};
+
+const clearTokens = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+};
+
+let refreshPromise = null;
+
+// Requests that fail together share one refresh, since each refresh token
+// can only be used once
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem("refreshToken");
+      if (!refreshToken) return false;
+
+      const response = await fetch(`${API_URL}/token/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!response.ok) return false;
+
+      storeTokens(await response.json());
+      return true;
+    })()
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const apiFetch = async (path, options = {}) => {
+  const send = () =>
+    fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${localStorage.getItem("token")}`,
+      },
+    });
+
+  let response = await send();
+  if (response.status === 401) {
+    if (await refreshTokens()) {
+      response = await send();
+    }
+    if (response.status === 401) {
+      clearTokens();
+      window.dispatchEvent(new Event(SESSION_ENDED_EVENT));
+    }
+  }
+  return response;
+};
+
+// Fetch an authenticated file from the API and hand it to the browser as a
+// download
+const downloadFile = async (path, filename) => {
+  const response = await apiFetch(path);
+
+  if (!response.ok) {
+    throw new Error("Download failed");
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Read a text/event-stream response until it ends, calling onEvent with
+// each event's fields ({ id, event, data, retry }). EventSource cannot send
+// the access token, so /api/events is read through fetch instead.
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const event = { event: "message", data: "" };
+      for (const line of buffer.slice(0, end).split("\n")) {
+        // Lines starting with a colon are comments, sent as heartbeats
+        if (!line || line.startsWith(":")) continue;
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const fieldValue = colon === -1 ? "" : line.slice(colon + 1).trim();
+        event[field] =
+          field === "data" && event.data
+            ? `${event.data}\n${fieldValue}`
+            : fieldValue;
+      }
+      buffer = buffer.slice(end + 2);
+      onEvent(event);
+    }
+  }
+};
+
+// Seconds as "m:ss", for login throttling waits
+const formatWait = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+const EMPTY_HISTORY_FILTERS = {
+  type: "",
+  from: "",
+  to: "",
+  minAmount: "",
+  maxAmount: "",
+  q: "",
+};
+
+// Transaction types that add to the balance
+const CREDIT_TYPES = [
+  "deposit",
+  "transfer_in",
+  "adjustment_in",
+  "reversal",
+  "bank_return_in",
+  "refund_in",
+  "chargeback_in",
+];
+
+const describeTransaction = (transaction) => {
+  switch (transaction.type) {
+    case "transfer_out":
+      return `Sent to ${transaction.counterparty?.name || "unknown"}`;
+    case "transfer_in":
+      return `Received from ${transaction.counterparty?.name || "unknown"}`;
+    case "adjustment_in":
+    case "adjustment_out":
+      return "Adjustment";
+    case "reversal":
+      return "Returned after review";
+    case "bank_return_in":
+    case "bank_return_out":
+      return "Returned by the bank";
+    case "refund_in":
+      return `Refund from ${transaction.counterparty?.name || "unknown"}`;
+    case "refund_out":
+      return `Refund to ${transaction.counterparty?.name || "unknown"}`;
+    case "chargeback_in":
+    case "chargeback_out":
+      return "Reversed after a dispute";
+    default:
+      return transaction.type;
+  }
+};
+
+// Shown when a transaction rule holds a payment for review instead of
+// completing it
+const heldNotice = (transaction) =>
+  `${transaction.hold.message}. The money is set aside until our team has reviewed it.`;
+
+// Shown when a deposit or withdrawal has gone to the bank
+const pendingNotice = (transaction) =>
+  transaction.type === "deposit"
+    ? `Your deposit of $${transaction.amount} is on its way from your bank. It is in your balance already and can be spent once the bank settles it.`
+    : `Your withdrawal of $${transaction.amount} is on its way to your bank.`;
+
+const TRANSACTION_STATUS_LABELS = {
+  held: "Held for review",
+  rejected: "Rejected",
+  pending: "Pending",
+  failed: "Failed",
+  returned: "Returned",
+};
+
+const DISPUTE_STATUS_LABELS = {
+  open: "Disputed",
+  reversed: "Reversed after dispute",
+  rejected: "Dispute rejected",
+};
+
+// What is left of a transfer to refund or dispute, in cents
+const unrefundedCents = (transaction) =>
+  toCents(transaction.amount) - toCents(transaction.refundedAmount || 0);
+
+// How long a new authorization holds the money for, in days
+const AUTHORIZATION_EXPIRY_DAYS = [1, 7, 30];
+
+const EMPTY_AUTHORIZATION_FORM = {
+  payee: "",
+  amount: "",
+  note: "",
+  expiresInDays: "7",
+};
+
+const BANK_ACCOUNT_STATUS_LABELS = {
+  unverified: "Unverified",
+  verified: "Verified",
+  failed: "Verification failed",
+};
+
+const EMPTY_BANK_ACCOUNT_FORM = {
+  holderName: "",
+  routingNumber: "",
+  accountNumber: "",
+};
+
+// Events a webhook can subscribe to (see WEBHOOK_EVENTS in the backend)
+const WEBHOOK_EVENTS = [
+  "transaction.created",
+  "transaction.updated",
+  "authorization.created",
+  "authorization.updated",
+  "checkout.session.updated",
+  "account.frozen",
+  "account.unfrozen",
+  "login.failed",
+];
+
+// A checkout the page was opened for waits here while the user logs in
+const CHECKOUT_STORAGE_KEY = "checkout";
+
+const EMPTY_MERCHANT_FORM = { name: "", website: "" };
+
+// What a new API key may do (see API_KEY_SCOPES in the backend)
+const API_KEY_ACCESS = {
+  write: {
+    label: "Create and read",
+    scopes: ["checkout:read", "checkout:write"],
+  },
+  read: { label: "Read only", scopes: ["checkout:read"] },
+};
+
+const EMPTY_SCHEDULE_FORM = {
+  type: "transfer",
+  amount: "",
+  recipient: "",
+  note: "",
+  bankAccountId: "",
+  frequency: "weekly",
+  startAt: "",
+  endAt: "",
+};
+
+const SCHEDULE_TYPE_LABELS = {
+  deposit: "Deposit",
+  withdraw: "Withdrawal",
+  transfer: "Transfer",
+};
+
+const SCHEDULE_FREQUENCY_LABELS = {
+  once: "Once",
+  daily: "Every day",
+  weekly: "Every week",
+  monthly: "Every month",
+};
+
+// splits holds, per member id, whether they share an equal split or their
+// shares or exact amount
+const EMPTY_EXPENSE_FORM = {
+  description: "",
+  amount: "",
+  paidBy: "",
+  splitType: "equal",
+  splits: {},
+};
+
+const SPLIT_TYPE_LABELS = {
+  equal: "Split equally",
+  shares: "Split by shares",
+  exact: "Exact amounts",
+};
+
+// Who sees a transfer in the feed besides the two people in it
+const FEED_VISIBILITY_LABELS = {
+  public: "Public",
+  friends: "Friends",
+  private: "Private",
+};
+
+const FEED_VISIBILITY_ICONS = {
+  public: Globe,
+  friends: Users,
+  private: Lock,
+};
+
+// Offered next to the note when sending money
+const NOTE_EMOJI = ["🍕", "🍻", "☕", "🏠", "🚕", "🎉", "🎁", "❤️", "💸", "🛒"];
+
+const EMPTY_WEBHOOK_FORM = {
+  url: "",
+  description: "",
+  events: ["transaction.created"],
+  allUsers: false,
+};
+
+// Same rule as the backend's; it also refuses reserved handles
+const HANDLE_PATTERN = /^[a-z][a-z0-9_]{2,19}$/;
+
+// Recipients are picked as "@handle" or typed as an email. These turn the
+// picker's value into the request body's <prefix>Handle or <prefix>Email.
+const isCounterparty = (value) => /^@\w+$|^[^@\s]+@[^@\s]+$/.test(value.trim());
+
+const counterpartyFields = (prefix, value) => {
+  const trimmed = value.trim();
+  return trimmed.startsWith("@")
+    ? { [`${prefix}Handle`]: trimmed.slice(1) }
+    : { [`${prefix}Email`]: trimmed };
+};
+
+// Text box for choosing someone to pay or ask for money. Suggests contacts,
+// then search results, as the user types; picking one fills in their handle,
+// or their email if they have none.
+const RecipientPicker = ({
+  value,
+  onChange,
+  contacts,
+  onToggleFavorite,
+  placeholder,
+  className,
+}) => {
+  const [open, setOpen] = useState(false);
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    const q = value.trim();
+    if (!open || q.length < 2) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiFetch(
+          `/users/search?${new URLSearchParams({ q })}`,
+        );
+        if (!response.ok) return;
+        const data = await response.json();
+        if (!cancelled) setResults(data);
+      } catch (error) {
+        console.error("User search error:", error);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, open]);
+
+  const term = value.trim().toLowerCase().replace(/^@/, "");
+  const matches = contacts.filter((contact) =>
+    [contact.name, contact.handle, contact.email].some(
+      (field) => field && field.toLowerCase().includes(term),
+    ),
+  );
+  const suggestions = [
+    ...matches,
+    ...results.filter((result) => !matches.some((c) => c.id === result.id)),
+  ].slice(0, 8);
+
+  const pick = (person) => {
+    onChange(person.handle ? `@${person.handle}` : person.email || value);
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative flex-1">
+      <input
+        type="text"
+        autoComplete="off"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        className={className}
+      />
+      {open && suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full max-h-64 overflow-auto bg-white border border-gray-200 rounded-lg shadow-lg">
+          {suggestions.map((person) => (
+            <li
+              key={person.id}
+              className="flex items-center hover:bg-gray-50"
+              // Keeps focus in the text box, so it does not close first
+              onMouseDown={(e) => e.preventDefault()}
+            >
+              <button
+                type="button"
+                onClick={() => pick(person)}
+                className="flex-1 px-3 py-2 text-left"
+              >
+                <span className="font-medium text-gray-900">{person.name}</span>
+                <span className="ml-2 text-sm text-gray-500">
+                  {person.handle ? `@${person.handle}` : person.email}
+                </span>
+              </button>
+              <button
+                type="button"
+                onClick={() => onToggleFavorite(person)}
+                title={
+                  person.favorite ? "Remove from favorites" : "Add to favorites"
+                }
+                className="px-3 py-2 text-gray-400 hover:text-yellow-500"
+              >
+                <Star
+                  className={`h-4 w-4 ${person.favorite ? "fill-yellow-400 text-yellow-400" : ""}`}
+                />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
 const App = () => {
   const [user, setUser] = useState(null);
   const [activeTab, setActiveTab] = useState("login");
@@ -18,12 +475,125 @@ const App = () => {
     password: "",
     name: "",
   });
-  const [balance, setBalance] = useState(0);
+  const [balance, setBalance] = useState("0.00");
+  // The balance less bank deposits that have not settled yet
+  const [availableBalance, setAvailableBalance] = useState("0.00");
+  // Set aside by authorizations the user has placed
+  const [heldBalance, setHeldBalance] = useState("0.00");
   const [amount, setAmount] = useState("");
+  // The bank account Quick Actions deposit from and withdraw to
+  const [bankAccountId, setBankAccountId] = useState("");
+  const [bankAccounts, setBankAccounts] = useState([]);
+  const [bankAccountForm, setBankAccountForm] = useState(
+    EMPTY_BANK_ACCOUNT_FORM,
+  );
+  // Micro-deposit amounts being typed, by bank account id
+  const [microDeposits, setMicroDeposits] = useState({});
   const [transactions, setTransactions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyFilters, setHistoryFilters] = useState(EMPTY_HISTORY_FILTERS);
+  // Filters the loaded pages were fetched with; later pages must match
+  const appliedFiltersRef = useRef(EMPTY_HISTORY_FILTERS);
+  const historyEndRef = useRef(null);
+  const [exportFormat, setExportFormat] = useState("csv");
+  const [exportLoading, setExportLoading] = useState(false);
+  const [statements, setStatements] = useState([]);
+  const [selectedStatement, setSelectedStatement] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  // The history panel shows either "history" or "feed"
+  const [historyView, setHistoryView] = useState("history");
+  const [feedStories, setFeedStories] = useState([]);
+  const [feedCursor, setFeedCursor] = useState(null);
+  const [feedLoading, setFeedLoading] = useState(false);
+  // The feed item whose comments are open, with its comments
+  const [openStory, setOpenStory] = useState(null);
+  const [commentText, setCommentText] = useState("");
+  const [contacts, setContacts] = useState([]);
+  // The handle being typed, while the form to claim or change it is open
+  const [handleInput, setHandleInput] = useState(null);
+  const [groups, setGroups] = useState([]);
+  // Groups the user has been invited to but has not joined or declined
+  const [groupInvitations, setGroupInvitations] = useState([]);
+  const [groupForm, setGroupForm] = useState({ name: "", memberEmails: "" });
+  // The open group, with its members, debts and expenses
+  const [selectedGroup, setSelectedGroup] = useState(null);
+  const [groupMemberEmail, setGroupMemberEmail] = useState("");
+  const [expenseForm, setExpenseForm] = useState(EMPTY_EXPENSE_FORM);
+  const [schedules, setSchedules] = useState([]);
+  const [scheduleForm, setScheduleForm] = useState(EMPTY_SCHEDULE_FORM);
+  const [webhooks, setWebhooks] = useState([]);
+  const [webhookForm, setWebhookForm] = useState(EMPTY_WEBHOOK_FORM);
+  // Signing secret of the webhook just created, which is shown only once
+  const [webhookSecret, setWebhookSecret] = useState(null);
+  // Deliveries of the webhook whose log is open
+  const [webhookDeliveries, setWebhookDeliveries] = useState(null);
+  // Confirmation shown after following an email link or asking for one
+  const [notice, setNotice] = useState(null);
+  const [forgotEmail, setForgotEmail] = useState("");
+  // Token from a password reset link, while its form is showing
+  const [resetToken, setResetToken] = useState(null);
+  const [newPassword, setNewPassword] = useState("");
+  // When the server allows the next login attempt after too many failures
+  const [loginRetryAt, setLoginRetryAt] = useState(null);
+  // Admin console, for support and admin roles
+  const [adminQuery, setAdminQuery] = useState("");
+  const [adminUsers, setAdminUsers] = useState([]);
+  const [adminSelected, setAdminSelected] = useState(null);
+  const [adminTransactions, setAdminTransactions] = useState([]);
+  const [adminReason, setAdminReason] = useState("");
+  const [heldTransactions, setHeldTransactions] = useState([]);
+  const [disputes, setDisputes] = useState([]);
+  const [adjustment, setAdjustment] = useState({
+    direction: "credit",
+    amount: "",
+  });
+  const [now, setNow] = useState(Date.now());
+  // Set while a two-factor login waits for its code
+  const [loginChallenge, setLoginChallenge] = useState(null);
+  const [loginCode, setLoginCode] = useState("");
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disablePassword, setDisablePassword] = useState("");
+  // Code confirming a large payment, sent as X-TOTP-Code once the server
+  // has asked for one
+  const [stepUpRequired, setStepUpRequired] = useState(false);
+  const [stepUpCode, setStepUpCode] = useState("");
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [transactionLoading, setTransactionLoading] = useState(false);
+  const [transferData, setTransferData] = useState({
+    recipient: "",
+    amount: "",
+    note: "",
+    visibility: "friends",
+  });
+  const [transferLoading, setTransferLoading] = useState(false);
+  const [requestData, setRequestData] = useState({
+    payer: "",
+    amount: "",
+    note: "",
+  });
+  const [requestLoading, setRequestLoading] = useState(false);
+  const [incomingRequests, setIncomingRequests] = useState([]);
+  const [authorizations, setAuthorizations] = useState([]);
+  const [authorizationForm, setAuthorizationForm] = useState(
+    EMPTY_AUTHORIZATION_FORM,
+  );
+  // Partial capture amounts being typed, by authorization id
+  const [captureAmounts, setCaptureAmounts] = useState({});
+  // The refund or dispute form open under a history item
+  const [transactionAction, setTransactionAction] = useState(null);
+  const [checkout, setCheckout] = useState(null);
+  const [checkoutLoading, setCheckoutLoading] = useState(false);
+  const [merchants, setMerchants] = useState([]);
+  const [merchantForm, setMerchantForm] = useState(EMPTY_MERCHANT_FORM);
+  // New key name and access, per merchant id
+  const [apiKeyForms, setApiKeyForms] = useState({});
+  // A key just issued, shown once
+  const [issuedApiKey, setIssuedApiKey] = useState(null);
+  const [outgoingRequests, setOutgoingRequests] = useState([]);
 
   // Form validation
   const validateLoginForm = () => {
@@ -49,11 +619,38 @@ const App = () => {
   };
 
   const validateTransaction = (amount) => {
-    if (!amount || isNaN(amount)) return "Invalid amount";
-    if (parseFloat(amount) <= 0) return "Amount must be positive";
+    if (!amount || !AMOUNT_PATTERN.test(amount))
+      return "Amount must be a number with at most two decimal places";
+    if (toCents(amount) <= 0) return "Amount must be positive";
     return null;
   };
 
+  // Throttled logins come back as 429 with the wait in retryAfter, which is
+  // counted down on the button rather than quoted in the message
+  const throwLoginError = (response, data) => {
+    if (response.status === 429 && data.retryAfter) {
+      setLoginRetryAt(Date.now() + data.retryAfter * 1000);
+      throw new Error(data.locked ? data.error : "Too many failed logins.");
+    }
+    throw new Error(data.error || "Login failed");
+  };
+
+  const loginWait = loginRetryAt
+    ? Math.max(0, Math.ceil((loginRetryAt - now) / 1000))
+    : 0;
+
+  useEffect(() => {
+    if (!loginRetryAt) return;
+
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= loginRetryAt) {
+        setLoginRetryAt(null);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [loginRetryAt]);
+
   // API calls with error handling
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -76,13 +673,69 @@ const App = () => {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || "Login failed");
+        throwLoginError(response, data);
+      }
+
+      if (data.twoFactorRequired) {
+        setLoginChallenge(data.challengeToken);
+        return;
+      }
+
+      storeTokens(data);
+      setUser(data.user);
+      setBalance(data.user.balance);
+      setAvailableBalance(data.user.availableBalance);
+      setHeldBalance(data.user.heldBalance);
+      loadDashboard();
+    } catch (error) {
+      setErrors({ submit: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Finish a two-factor login with an authenticator or recovery code
+  const handleLoginChallenge = async (e) => {
+    e.preventDefault();
+    const code = loginCode.trim();
+    if (!code) {
+      setErrors({ code: "Code is required" });
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+
+    try {
+      const response = await fetch(`${API_URL}/login/2fa`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          challengeToken: loginChallenge,
+          ...(/^\d{6}$/.test(code) ? { code } : { recoveryCode: code }),
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (
+          response.status === 401 &&
+          data.error === "Login challenge expired"
+        ) {
+          setLoginChallenge(null);
+        }
+        throwLoginError(response, data);
       }
 
-      localStorage.setItem("token", data.token);
+      storeTokens(data);
+      setLoginChallenge(null);
+      setLoginCode("");
       setUser(data.user);
       setBalance(data.user.balance);
-      fetchTransactions();
+      setAvailableBalance(data.user.availableBalance);
+      setHeldBalance(data.user.heldBalance);
+      loadDashboard();
     } catch (error) {
       setErrors({ submit: error.message });
     } finally {
@@ -90,6 +743,14 @@ const App = () => {
     }
   };
 
+  // Header for the step-up code, if one has been entered. Each code is
+  // accepted once, so the field is cleared after every attempt.
+  const takeStepUpHeaders = () => {
+    if (!stepUpCode) return {};
+    setStepUpCode("");
+    return { "X-TOTP-Code": stepUpCode };
+  };
+
   const handleRegister = async (e) => {
     e.preventDefault();
     const formErrors = validateRegisterForm();
@@ -114,9 +775,12 @@ const App = () => {
         throw new Error(data.error || "Registration failed");
       }
 
-      localStorage.setItem("token", data.token);
+      storeTokens(data);
       setUser(data.user);
       setBalance(data.user.balance);
+      setAvailableBalance(data.user.availableBalance);
+      setHeldBalance(data.user.heldBalance);
+      loadDashboard();
     } catch (error) {
       setErrors({ submit: error.message });
     } finally {
@@ -131,7 +795,11 @@ const App = () => {
       return;
     }
 
-    if (type === "withdraw" && parseFloat(amount) > balance) {
+    if (!bankAccountId) {
+      setErrors({ transaction: "Choose a bank account" });
+      return;
+    }
+    if (type === "withdraw" && toCents(amount) > toCents(availableBalance)) {
       setErrors({ transaction: "Insufficient funds" });
       return;
     }
@@ -140,24 +808,34 @@ const App = () => {
     setErrors({});
 
     try {
-      const response = await fetch(`${API_URL}/${type}`, {
+      const response = await apiFetch(`/${type}`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          Authorization: `Bearer ${localStorage.getItem("token")}`,
+          // A fresh key per submit lets the server drop duplicate deliveries
+          "Idempotency-Key": crypto.randomUUID(),
+          ...(type === "withdraw" && takeStepUpHeaders()),
         },
-        body: JSON.stringify({ amount: parseFloat(amount) }),
+        body: JSON.stringify({ amount, bankAccountId }),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
+        if (data.twoFactorRequired) setStepUpRequired(true);
         throw new Error(data.error || `${type} failed`);
       }
 
       setBalance(data.balance);
+      setAvailableBalance(data.availableBalance);
+      setHeldBalance(data.heldBalance);
       setTransactions([data.transaction, ...transactions]);
       setAmount("");
+      setNotice(
+        data.transaction.status === "held"
+          ? heldNotice(data.transaction)
+          : pendingNotice(data.transaction),
+      );
     } catch (error) {
       setErrors({ transaction: error.message });
     } finally {
@@ -165,334 +843,5054 @@ const App = () => {
     }
   };
 
-  const fetchTransactions = async () => {
+  const handleTransfer = async (e) => {
+    e.preventDefault();
+    if (!isCounterparty(transferData.recipient)) {
+      setErrors({ transfer: "Enter the recipient's @handle or email" });
+      return;
+    }
+    if (!transferData.note.trim()) {
+      setErrors({ transfer: "Add a note saying what it's for" });
+      return;
+    }
+    const validationError = validateTransaction(transferData.amount);
+    if (validationError) {
+      setErrors({ transfer: validationError });
+      return;
+    }
+    if (toCents(transferData.amount) > toCents(availableBalance)) {
+      setErrors({ transfer: "Insufficient funds" });
+      return;
+    }
+
+    setTransferLoading(true);
+    setErrors({});
+
     try {
-      const response = await fetch(`${API_URL}/transactions`, {
+      const response = await apiFetch("/transfers", {
+        method: "POST",
         headers: {
-          Authorization: `Bearer ${localStorage.getItem("token")}`,
+          "Content-Type": "application/json",
+          "Idempotency-Key": crypto.randomUUID(),
+          ...takeStepUpHeaders(),
         },
+        body: JSON.stringify({
+          ...counterpartyFields("recipient", transferData.recipient),
+          amount: transferData.amount,
+          note: transferData.note,
+          visibility: transferData.visibility,
+        }),
       });
 
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.twoFactorRequired) setStepUpRequired(true);
+        throw new Error(data.error || "Transfer failed");
+      }
+
+      setBalance(data.balance);
+      setTransactions([data.transaction, ...transactions]);
+      setTransferData({ ...transferData, recipient: "", amount: "", note: "" });
+      fetchContacts();
+      if (data.transaction.status === "held") {
+        setNotice(heldNotice(data.transaction));
+      }
+    } catch (error) {
+      setErrors({ transfer: error.message });
+    } finally {
+      setTransferLoading(false);
+    }
+  };
+
+  // Without a cursor, replaces the list with the first page for the applied
+  // filters; with one, appends the page after it
+  const fetchTransactions = async (cursor = null) => {
+    const filters = appliedFiltersRef.current;
+    setHistoryLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (cursor) params.set("cursor", cursor);
+      if (filters.type) params.set("type", filters.type);
+      if (filters.from)
+        params.set("from", new Date(`${filters.from}T00:00:00`).toISOString());
+      if (filters.to)
+        params.set("to", new Date(`${filters.to}T23:59:59.999`).toISOString());
+      if (filters.minAmount) params.set("minAmount", filters.minAmount);
+      if (filters.maxAmount) params.set("maxAmount", filters.maxAmount);
+      if (filters.q) params.set("q", filters.q);
+
+      const response = await apiFetch(`/transactions?${params}`);
+
       if (!response.ok) {
         throw new Error("Failed to fetch transactions");
       }
 
       const data = await response.json();
-      setTransactions(data);
+      setTransactions((current) =>
+        cursor ? [...current, ...data.transactions] : data.transactions,
+      );
+      setNextCursor(data.nextCursor);
     } catch (error) {
       setErrors({ transactions: error.message });
+    } finally {
+      setHistoryLoading(false);
     }
   };
 
-  useEffect(() => {
-    const token = localStorage.getItem("token");
-    if (token) {
-      fetchTransactions();
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    for (const field of ["minAmount", "maxAmount"]) {
+      if (historyFilters[field] && validateTransaction(historyFilters[field])) {
+        setErrors({ transactions: "Invalid amount range" });
+        return;
+      }
     }
-  }, []);
+    setErrors({});
+    appliedFiltersRef.current = historyFilters;
+    fetchTransactions();
+  };
 
-  const handleLogout = () => {
-    localStorage.removeItem("token");
-    setUser(null);
+  const handleClearFilters = () => {
+    setHistoryFilters(EMPTY_HISTORY_FILTERS);
+    appliedFiltersRef.current = EMPTY_HISTORY_FILTERS;
+    fetchTransactions();
   };
 
-  if (!user) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
-        <div className="w-full max-w-md">
-          <div className="mb-8 text-center">
-            <h1 className="text-4xl font-bold text-white mb-2">Nevmo</h1>
-            <p className="text-blue-100">Your Modern Payment Solution</p>
-          </div>
+  // Download the history for the applied date range as a statement file
+  const handleExport = async () => {
+    setExportLoading(true);
+    try {
+      const filters = appliedFiltersRef.current;
+      const params = new URLSearchParams({ format: exportFormat });
+      if (filters.from)
+        params.set("from", new Date(`${filters.from}T00:00:00`).toISOString());
+      if (filters.to)
+        params.set("to", new Date(`${filters.to}T23:59:59.999`).toISOString());
 
-          <div className="bg-white rounded-2xl shadow-2xl">
-            {errors.submit && (
-              <div className="bg-red-50 border-l-4 border-red-500 p-4 m-4">
-                <p className="text-red-700">{errors.submit}</p>
-              </div>
-            )}
+      await downloadFile(
+        `/transactions/export?${params}`,
+        `nevmo-transactions.${exportFormat}`,
+      );
+    } catch (error) {
+      setErrors({ transactions: error.message });
+    } finally {
+      setExportLoading(false);
+    }
+  };
 
-            <div className="p-6">
-              {activeTab === "login" ? (
-                <>
-                  <h2 className="text-2xl font-semibold text-gray-900 mb-6">
-                    Welcome back
-                  </h2>
-                  <form onSubmit={handleLogin} className="space-y-4">
-                    <div>
-                      <input
-                        type="email"
-                        placeholder="Email"
-                        className={`w-full p-3 rounded-lg border ${
-                          errors.email ? "border-red-500" : "border-gray-200"
-                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
-                        value={loginData.email}
-                        onChange={(e) =>
-                          setLoginData({ ...loginData, email: e.target.value })
-                        }
-                      />
-                      {errors.email && (
-                        <p className="text-red-500 text-sm mt-1">
-                          {errors.email}
-                        </p>
-                      )}
-                    </div>
-                    <div>
-                      <input
-                        type="password"
-                        placeholder="Password"
-                        className={`w-full p-3 rounded-lg border ${
-                          errors.password ? "border-red-500" : "border-gray-200"
-                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
-                        value={loginData.password}
-                        onChange={(e) =>
-                          setLoginData({
-                            ...loginData,
-                            password: e.target.value,
-                          })
-                        }
-                      />
-                      {errors.password && (
-                        <p className="text-red-500 text-sm mt-1">
-                          {errors.password}
-                        </p>
-                      )}
-                    </div>
-                    <div className="flex items-center justify-between pt-2">
+  const fetchStatements = async () => {
+    try {
+      const response = await apiFetch("/statements");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch statements");
+      }
+
+      setStatements(await response.json());
+    } catch (error) {
+      setErrors({ statements: error.message });
+    }
+  };
+
+  const handleViewStatement = async (period) => {
+    if (selectedStatement?.period === period) {
+      setSelectedStatement(null);
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/statements/${period}`);
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to fetch statement");
+      }
+
+      setSelectedStatement(data);
+    } catch (error) {
+      setErrors({ statements: error.message });
+    }
+  };
+
+  const handleDownloadStatement = async (period) => {
+    try {
+      await downloadFile(
+        `/statements/${period}?format=pdf`,
+        `nevmo-statement-${period}.pdf`,
+      );
+    } catch (error) {
+      setErrors({ statements: error.message });
+    }
+  };
+
+  // Infinite scroll: load the next page when the end of the list is visible
+  useEffect(() => {
+    const sentinel = historyEndRef.current;
+    if (!sentinel || !nextCursor || historyLoading) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchTransactions(nextCursor);
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, historyLoading, historyView]);
+
+  const fetchRequests = async () => {
+    try {
+      const [incomingResponse, outgoingResponse] = await Promise.all([
+        apiFetch("/requests/incoming"),
+        apiFetch("/requests/outgoing"),
+      ]);
+
+      if (!incomingResponse.ok || !outgoingResponse.ok) {
+        throw new Error("Failed to fetch requests");
+      }
+
+      setIncomingRequests(await incomingResponse.json());
+      setOutgoingRequests(await outgoingResponse.json());
+    } catch (error) {
+      setErrors({ requests: error.message });
+    }
+  };
+
+  const handleCreateRequest = async (e) => {
+    e.preventDefault();
+    if (!isCounterparty(requestData.payer)) {
+      setErrors({ requests: "Enter the payer's @handle or email" });
+      return;
+    }
+    const validationError = validateTransaction(requestData.amount);
+    if (validationError) {
+      setErrors({ requests: validationError });
+      return;
+    }
+    if (!requestData.note.trim()) {
+      setErrors({ requests: "Add a note saying what it's for" });
+      return;
+    }
+
+    setRequestLoading(true);
+    setErrors({});
+
+    try {
+      const response = await apiFetch("/requests", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          ...counterpartyFields("payer", requestData.payer),
+          amount: requestData.amount,
+          note: requestData.note,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Request failed");
+      }
+
+      setOutgoingRequests([data, ...outgoingRequests]);
+      setRequestData({ payer: "", amount: "", note: "" });
+    } catch (error) {
+      setErrors({ requests: error.message });
+    } finally {
+      setRequestLoading(false);
+    }
+  };
+
+  const fetchAuthorizations = async () => {
+    try {
+      const response = await apiFetch("/authorizations");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch authorizations");
+      }
+
+      setAuthorizations(await response.json());
+    } catch (error) {
+      setErrors({ authorizations: error.message });
+    }
+  };
+
+  const handleCreateAuthorization = async (e) => {
+    e.preventDefault();
+    if (!isCounterparty(authorizationForm.payee)) {
+      setErrors({ authorizations: "Enter the payee's @handle or email" });
+      return;
+    }
+    const validationError = validateTransaction(authorizationForm.amount);
+    if (validationError) {
+      setErrors({ authorizations: validationError });
+      return;
+    }
+    if (!authorizationForm.note.trim()) {
+      setErrors({ authorizations: "Add a note saying what it's for" });
+      return;
+    }
+    if (toCents(authorizationForm.amount) > toCents(availableBalance)) {
+      setErrors({ authorizations: "Insufficient funds" });
+      return;
+    }
+
+    try {
+      const response = await apiFetch("/authorizations", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": crypto.randomUUID(),
+          ...takeStepUpHeaders(),
+        },
+        body: JSON.stringify({
+          ...counterpartyFields("payee", authorizationForm.payee),
+          amount: authorizationForm.amount,
+          note: authorizationForm.note,
+          expiresAt: new Date(
+            Date.now() +
+              Number(authorizationForm.expiresInDays) * 24 * 60 * 60 * 1000,
+          ).toISOString(),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.twoFactorRequired) setStepUpRequired(true);
+        throw new Error(data.error || "Failed to authorize payment");
+      }
+
+      setBalance(data.balance);
+      setAvailableBalance(data.availableBalance);
+      setHeldBalance(data.heldBalance);
+      setAuthorizations((current) => [
+        data.authorization,
+        ...current.filter((a) => a.id !== data.authorization.id),
+      ]);
+      setAuthorizationForm(EMPTY_AUTHORIZATION_FORM);
+      setErrors({});
+    } catch (error) {
+      setErrors({ authorizations: error.message });
+    }
+  };
+
+  // action is "capture" or "void". A capture takes the amount typed for it,
+  // or all of the authorization when none was.
+  const handleAuthorizationAction = async (id, action) => {
+    const captureAmount = action === "capture" && captureAmounts[id];
+    if (captureAmount && validateTransaction(captureAmount)) {
+      setErrors({ authorizations: validateTransaction(captureAmount) });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/authorizations/${id}/${action}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": crypto.randomUUID(),
+        },
+        body: JSON.stringify(captureAmount ? { amount: captureAmount } : {}),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${action} authorization`);
+      }
+
+      setAuthorizations((current) =>
+        current.map((a) =>
+          a.id === data.authorization.id ? data.authorization : a,
+        ),
+      );
+      if (data.balance) {
+        setBalance(data.balance);
+        setAvailableBalance(data.availableBalance);
+        setHeldBalance(data.heldBalance);
+      }
+      if (data.transaction) {
+        setTransactions((current) =>
+          current.some((t) => t.id === data.transaction.id)
+            ? current
+            : [data.transaction, ...current],
+        );
+      }
+      setCaptureAmounts({ ...captureAmounts, [id]: undefined });
+      setErrors({});
+    } catch (error) {
+      setErrors({ authorizations: error.message });
+    }
+  };
+
+  // action is "approve" or "decline". Either way the user goes back to the
+  // merchant's site, which is told the outcome.
+  const handleCheckoutAction = async (action) => {
+    setCheckoutLoading(true);
+    setErrors({});
+
+    try {
+      const response = await apiFetch(`/checkout/${checkout.id}/${action}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(action === "approve" && {
+            "Idempotency-Key": crypto.randomUUID(),
+            ...takeStepUpHeaders(),
+          }),
+        },
+        body: JSON.stringify(
+          action === "approve" ? { amount: checkout.amount } : {},
+        ),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.twoFactorRequired) setStepUpRequired(true);
+        throw new Error(data.error || `Failed to ${action} checkout`);
+      }
+
+      sessionStorage.removeItem(CHECKOUT_STORAGE_KEY);
+      window.location.assign(data.redirectUrl);
+    } catch (error) {
+      setErrors({ checkout: error.message });
+      setCheckoutLoading(false);
+    }
+  };
+
+  const handleDismissCheckout = () => {
+    sessionStorage.removeItem(CHECKOUT_STORAGE_KEY);
+    setCheckout(null);
+    setErrors({});
+  };
+
+  // Refund a received transfer, all of what is left when no amount is
+  // given, or dispute a sent one
+  const handleTransactionAction = async (e) => {
+    e.preventDefault();
+    const { id, action, amount, reason } = transactionAction;
+    if (action === "refund" && amount && validateTransaction(amount)) {
+      setErrors({ transactions: validateTransaction(amount) });
+      return;
+    }
+    if (action === "dispute" && reason.trim().length < 10) {
+      setErrors({ transactions: "Tell us what went wrong in a few words" });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/transactions/${id}/${action}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(action === "refund" && {
+            "Idempotency-Key": crypto.randomUUID(),
+            ...takeStepUpHeaders(),
+          }),
+        },
+        body: JSON.stringify({
+          ...(action === "refund" && amount && { amount }),
+          ...(reason.trim() && { reason: reason.trim() }),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.twoFactorRequired) setStepUpRequired(true);
+        throw new Error(data.error || `Failed to ${action} payment`);
+      }
+
+      const updated = action === "refund" ? data.transaction : data;
+      setTransactions((current) => [
+        ...(data.refund && !current.some((t) => t.id === data.refund.id)
+          ? [data.refund]
+          : []),
+        ...current.map((t) => (t.id === updated.id ? updated : t)),
+      ]);
+      if (data.balance) {
+        setBalance(data.balance);
+        setAvailableBalance(data.availableBalance);
+        setHeldBalance(data.heldBalance);
+      }
+      setTransactionAction(null);
+      setErrors({});
+    } catch (error) {
+      setErrors({ transactions: error.message });
+    }
+  };
+
+  // action is one of "pay", "decline" (incoming) or "cancel" (outgoing)
+  const handleRequestAction = async (id, action) => {
+    setRequestLoading(true);
+    setErrors({});
+
+    try {
+      const response = await apiFetch(`/requests/${id}/${action}`, {
+        method: "POST",
+        headers: {
+          "Idempotency-Key": crypto.randomUUID(),
+          ...(action === "pay" && takeStepUpHeaders()),
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.twoFactorRequired) setStepUpRequired(true);
+        throw new Error(data.error || `Failed to ${action} request`);
+      }
+
+      const replace = (requests) =>
+        requests.map((r) => (r.id === data.request.id ? data.request : r));
+      if (action === "cancel") {
+        setOutgoingRequests(replace(outgoingRequests));
+      } else {
+        setIncomingRequests(replace(incomingRequests));
+      }
+      if (action === "pay") {
+        setBalance(data.balance);
+        setTransactions([data.transaction, ...transactions]);
+        if (data.transaction.status === "held") {
+          setNotice(heldNotice(data.transaction));
+        }
+      }
+    } catch (error) {
+      setErrors({ requests: error.message });
+    } finally {
+      setRequestLoading(false);
+    }
+  };
+
+  const fetchSessions = async () => {
+    try {
+      const response = await apiFetch("/sessions");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch sessions");
+      }
+
+      setSessions(await response.json());
+    } catch (error) {
+      setErrors({ sessions: error.message });
+    }
+  };
+
+  const handleRevokeSession = async (id) => {
+    try {
+      const response = await apiFetch(`/sessions/${id}`, { method: "DELETE" });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || "Failed to sign out device");
+      }
+
+      setSessions(sessions.filter((session) => session.id !== id));
+    } catch (error) {
+      setErrors({ sessions: error.message });
+    }
+  };
+
+  // Without a cursor, loads the newest page of the feed; with one, appends
+  // the page after it
+  const fetchFeed = async (cursor = null) => {
+    setFeedLoading(true);
+    try {
+      const response = await apiFetch(
+        `/feed${cursor ? `?${new URLSearchParams({ cursor })}` : ""}`,
+      );
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch the feed");
+      }
+
+      const data = await response.json();
+      setFeedStories((current) =>
+        cursor ? [...current, ...data.stories] : data.stories,
+      );
+      setFeedCursor(data.nextCursor);
+    } catch (error) {
+      setErrors({ feed: error.message });
+    } finally {
+      setFeedLoading(false);
+    }
+  };
+
+  const handleShowFeed = () => {
+    setHistoryView("feed");
+    setOpenStory(null);
+    fetchFeed();
+  };
+
+  // Likes and comments answer with the feed item and its comments
+  const sendStoryRequest = async (path, options, fallbackError) => {
+    try {
+      const response = await apiFetch(path, options);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || fallbackError);
+      }
+
+      const { comments, ...story } = data;
+      setFeedStories((current) =>
+        current.map((item) => (item.id === story.id ? story : item)),
+      );
+      setOpenStory((current) =>
+        current && current.id === data.id ? data : current,
+      );
+      return data;
+    } catch (error) {
+      setErrors({ feed: error.message });
+      return null;
+    }
+  };
+
+  const handleToggleLike = (story) =>
+    sendStoryRequest(
+      `/feed/${story.id}/like`,
+      { method: story.liked ? "DELETE" : "PUT" },
+      "Failed to update like",
+    );
+
+  const handleOpenStory = async (id) => {
+    if (openStory && openStory.id === id) {
+      setOpenStory(null);
+      return;
+    }
+    setCommentText("");
+    const data = await sendStoryRequest(
+      `/feed/${id}`,
+      {},
+      "Failed to fetch comments",
+    );
+    if (data) setOpenStory(data);
+  };
+
+  const handleAddComment = async (e) => {
+    e.preventDefault();
+    if (!commentText.trim()) return;
+
+    const data = await sendStoryRequest(
+      `/feed/${openStory.id}/comments`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text: commentText }),
+      },
+      "Failed to add comment",
+    );
+    if (data) setCommentText("");
+  };
+
+  const handleDeleteComment = (commentId) =>
+    sendStoryRequest(
+      `/feed/${openStory.id}/comments/${commentId}`,
+      { method: "DELETE" },
+      "Failed to remove comment",
+    );
+
+  const fetchContacts = async () => {
+    try {
+      const response = await apiFetch("/contacts");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch contacts");
+      }
+
+      setContacts(await response.json());
+    } catch (error) {
+      console.error("Fetch contacts error:", error);
+    }
+  };
+
+  const handleToggleFavorite = async (person) => {
+    try {
+      const response = await apiFetch(`/contacts/${person.id}/favorite`, {
+        method: person.favorite ? "DELETE" : "PUT",
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to update favorites");
+      }
+
+      setContacts(data);
+    } catch (error) {
+      setErrors({ transfer: error.message });
+    }
+  };
+
+  const handleClaimHandle = async (e) => {
+    e.preventDefault();
+    const handle = handleInput.trim().toLowerCase().replace(/^@/, "");
+    if (!HANDLE_PATTERN.test(handle)) {
+      setErrors({
+        handle:
+          "Handles are 3 to 20 letters, digits or underscores, starting with a letter",
+      });
+      return;
+    }
+
+    try {
+      const response = await apiFetch("/account/handle", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ handle }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to save handle");
+      }
+
+      setUser(data);
+      setHandleInput(null);
+      setErrors({});
+    } catch (error) {
+      setErrors({ handle: error.message });
+    }
+  };
+
+  // Quick Actions keep their bank account while it is still verified, and
+  // otherwise switch to the first one that is
+  const fetchBankAccounts = async () => {
+    try {
+      const response = await apiFetch("/bank-accounts");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch bank accounts");
+      }
+
+      const accounts = await response.json();
+      const verified = accounts.filter((a) => a.status === "verified");
+      setBankAccounts(accounts);
+      setBankAccountId((current) =>
+        verified.some((a) => a.id === current)
+          ? current
+          : verified[0]?.id || "",
+      );
+    } catch (error) {
+      setErrors({ bankAccounts: error.message });
+    }
+  };
+
+  const handleLinkBankAccount = async (e) => {
+    e.preventDefault();
+    if (bankAccountForm.holderName.trim().length < 2) {
+      setErrors({ bankAccounts: "Enter the name on the account" });
+      return;
+    }
+    if (!/^\d{9}$/.test(bankAccountForm.routingNumber.trim())) {
+      setErrors({ bankAccounts: "Routing numbers are 9 digits" });
+      return;
+    }
+    if (!/^\d{4,17}$/.test(bankAccountForm.accountNumber.trim())) {
+      setErrors({ bankAccounts: "Account numbers are 4 to 17 digits" });
+      return;
+    }
+
+    try {
+      const response = await apiFetch("/bank-accounts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(bankAccountForm),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to link bank account");
+      }
+
+      setBankAccounts([...bankAccounts, data]);
+      setBankAccountForm(EMPTY_BANK_ACCOUNT_FORM);
+      setErrors({});
+      setNotice(
+        `We sent two small deposits to the account ending ${data.last4}. Enter them below to verify it.`,
+      );
+    } catch (error) {
+      setErrors({ bankAccounts: error.message });
+    }
+  };
+
+  const handleVerifyBankAccount = async (id) => {
+    const amounts = microDeposits[id] || ["", ""];
+    if (amounts.some((amount) => validateTransaction(amount))) {
+      setErrors({ bankAccounts: "Enter both deposits, e.g. 0.32" });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/bank-accounts/${id}/verify`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ amounts }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        // The last wrong attempt fails the account
+        if (data.attemptsLeft === 0) fetchBankAccounts();
+        throw new Error(
+          data.attemptsLeft > 0
+            ? `${data.error}. ${data.attemptsLeft} attempts left.`
+            : data.error || "Failed to verify bank account",
+        );
+      }
+
+      setMicroDeposits({ ...microDeposits, [id]: undefined });
+      setErrors({});
+      fetchBankAccounts();
+    } catch (error) {
+      setErrors({ bankAccounts: error.message });
+    }
+  };
+
+  const handleRemoveBankAccount = async (id) => {
+    try {
+      const response = await apiFetch(`/bank-accounts/${id}`, {
+        method: "DELETE",
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || "Failed to remove bank account");
+      }
+
+      setErrors({});
+      fetchBankAccounts();
+    } catch (error) {
+      setErrors({ bankAccounts: error.message });
+    }
+  };
+
+  const fetchGroups = async () => {
+    try {
+      const response = await apiFetch("/groups");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch groups");
+      }
+
+      setGroups(await response.json());
+
+      const invitations = await apiFetch("/groups/invitations");
+      if (invitations.ok) {
+        setGroupInvitations(await invitations.json());
+      }
+    } catch (error) {
+      setErrors({ groups: error.message });
+    }
+  };
+
+  // Show a group returned by the API and refresh its line in the list
+  const showGroup = (group) => {
+    setSelectedGroup(group);
+    const { debts, members, invites, expenses, ...summary } = group;
+    const line = { ...summary, memberCount: members.length };
+    setGroups((current) =>
+      current.some((g) => g.id === group.id)
+        ? current.map((g) => (g.id === group.id ? line : g))
+        : [line, ...current],
+    );
+  };
+
+  // Send a request about the open group (or a new one) and show the result
+  const sendGroupRequest = async (path, options, fallbackError) => {
+    const response = await apiFetch(path, options);
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (data.twoFactorRequired) setStepUpRequired(true);
+      throw new Error(data.error || fallbackError);
+    }
+    return data;
+  };
+
+  const handleCreateGroup = async (e) => {
+    e.preventDefault();
+    try {
+      const group = await sendGroupRequest(
+        "/groups",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            name: groupForm.name,
+            memberEmails: groupForm.memberEmails
+              .split(",")
+              .map((email) => email.trim())
+              .filter(Boolean),
+          }),
+        },
+        "Failed to create group",
+      );
+      showGroup(group);
+      setGroupForm({ name: "", memberEmails: "" });
+      setExpenseForm(EMPTY_EXPENSE_FORM);
+      setErrors({});
+    } catch (error) {
+      setErrors({ groups: error.message });
+    }
+  };
+
+  const handleSelectGroup = async (id) => {
+    if (selectedGroup && selectedGroup.id === id) {
+      setSelectedGroup(null);
+      return;
+    }
+    try {
+      showGroup(
+        await sendGroupRequest(`/groups/${id}`, {}, "Failed to load group"),
+      );
+      setExpenseForm(EMPTY_EXPENSE_FORM);
+    } catch (error) {
+      setErrors({ groups: error.message });
+    }
+  };
+
+  const handleAddGroupMember = async (e) => {
+    e.preventDefault();
+    try {
+      showGroup(
+        await sendGroupRequest(
+          `/groups/${selectedGroup.id}/members`,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ email: groupMemberEmail }),
+          },
+          "Failed to invite member",
+        ),
+      );
+      setGroupMemberEmail("");
+      setErrors({});
+    } catch (error) {
+      setErrors({ groups: error.message });
+    }
+  };
+
+  const handleJoinGroup = async (id) => {
+    try {
+      showGroup(
+        await sendGroupRequest(
+          `/groups/${id}/join`,
+          { method: "POST" },
+          "Failed to join group",
+        ),
+      );
+      setGroupInvitations((current) => current.filter((g) => g.id !== id));
+      setExpenseForm(EMPTY_EXPENSE_FORM);
+      setErrors({});
+    } catch (error) {
+      setErrors({ groups: error.message });
+    }
+  };
+
+  const handleDeclineGroup = async (id) => {
+    try {
+      const response = await apiFetch(`/groups/${id}/decline`, {
+        method: "POST",
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || "Failed to decline invitation");
+      }
+
+      setGroupInvitations((current) => current.filter((g) => g.id !== id));
+    } catch (error) {
+      setErrors({ groups: error.message });
+    }
+  };
+
+  const handleAddExpense = async (e) => {
+    e.preventDefault();
+    const validationError = validateTransaction(expenseForm.amount);
+    if (validationError) {
+      setErrors({ groups: validationError });
+      return;
+    }
+
+    // An equal split with nobody ticked is shared by everyone
+    const { splitType } = expenseForm;
+    const chosen = selectedGroup.members.filter((m) =>
+      splitType === "equal"
+        ? expenseForm.splits[m.id] !== false
+        : expenseForm.splits[m.id],
+    );
+    const splits = chosen.map((m) => ({
+      userId: m.id,
+      ...(splitType === "shares" && {
+        shares: Number(expenseForm.splits[m.id]),
+      }),
+      ...(splitType === "exact" && { amount: expenseForm.splits[m.id] }),
+    }));
+
+    try {
+      showGroup(
+        await sendGroupRequest(
+          `/groups/${selectedGroup.id}/expenses`,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              description: expenseForm.description,
+              amount: expenseForm.amount,
+              ...(expenseForm.paidBy && { paidBy: expenseForm.paidBy }),
+              splitType,
+              splits,
+            }),
+          },
+          "Failed to add expense",
+        ),
+      );
+      setExpenseForm(EMPTY_EXPENSE_FORM);
+      setErrors({});
+    } catch (error) {
+      setErrors({ groups: error.message });
+    }
+  };
+
+  const handleDeleteExpense = async (expenseId) => {
+    try {
+      showGroup(
+        await sendGroupRequest(
+          `/groups/${selectedGroup.id}/expenses/${expenseId}`,
+          { method: "DELETE" },
+          "Failed to remove expense",
+        ),
+      );
+    } catch (error) {
+      setErrors({ groups: error.message });
+    }
+  };
+
+  // Pay everything the user owes in the open group, as long as it is still
+  // the total on screen
+  const handleSettleUp = async () => {
+    try {
+      const data = await sendGroupRequest(
+        `/groups/${selectedGroup.id}/settle`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Idempotency-Key": crypto.randomUUID(),
+            ...takeStepUpHeaders(),
+          },
+          body: JSON.stringify({
+            amount: selectedGroup.balance.replace("-", ""),
+          }),
+        },
+        "Failed to settle up",
+      );
+      showGroup(data.group);
+      setBalance(data.balance);
+      setTransactions((current) => [
+        ...data.transactions,
+        ...current.filter((t) => !data.transactions.some((n) => n.id === t.id)),
+      ]);
+      const held = data.transactions.find((t) => t.status === "held");
+      if (held) {
+        setNotice(heldNotice(held));
+      }
+      setErrors({});
+    } catch (error) {
+      setErrors({ groups: error.message });
+      // What is owed may have changed since the group was loaded
+      apiFetch(`/groups/${selectedGroup.id}`)
+        .then((response) => (response.ok ? response.json() : null))
+        .then((group) => group && showGroup(group))
+        .catch(() => {});
+    }
+  };
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await apiFetch("/schedules");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch scheduled payments");
+      }
+
+      setSchedules(await response.json());
+    } catch (error) {
+      setErrors({ schedules: error.message });
+    }
+  };
+
+  const handleCreateSchedule = async (e) => {
+    e.preventDefault();
+    const validationError = validateTransaction(scheduleForm.amount);
+    if (validationError) {
+      setErrors({ schedules: validationError });
+      return;
+    }
+    if (
+      scheduleForm.type === "transfer" &&
+      !isCounterparty(scheduleForm.recipient)
+    ) {
+      setErrors({ schedules: "Enter the recipient's @handle or email" });
+      return;
+    }
+    if (scheduleForm.type === "transfer" && !scheduleForm.note.trim()) {
+      setErrors({ schedules: "Add a note saying what it's for" });
+      return;
+    }
+    if (scheduleForm.type !== "transfer" && !scheduleForm.bankAccountId) {
+      setErrors({ schedules: "Choose a bank account" });
+      return;
+    }
+    if (!scheduleForm.startAt) {
+      setErrors({ schedules: "Choose when it should start" });
+      return;
+    }
+
+    try {
+      const response = await apiFetch("/schedules", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...takeStepUpHeaders() },
+        body: JSON.stringify({
+          type: scheduleForm.type,
+          amount: scheduleForm.amount,
+          ...(scheduleForm.type === "transfer" &&
+            counterpartyFields("recipient", scheduleForm.recipient)),
+          ...(scheduleForm.type === "transfer"
+            ? { note: scheduleForm.note }
+            : { bankAccountId: scheduleForm.bankAccountId }),
+          frequency: scheduleForm.frequency,
+          // datetime-local and date inputs are in the browser's time zone
+          startAt: new Date(scheduleForm.startAt).toISOString(),
+          ...(scheduleForm.frequency !== "once" &&
+            scheduleForm.endAt && {
+              endAt: new Date(
+                `${scheduleForm.endAt}T23:59:59.999`,
+              ).toISOString(),
+            }),
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.twoFactorRequired) setStepUpRequired(true);
+        throw new Error(data.error || "Failed to schedule payment");
+      }
+
+      setSchedules([...schedules, data]);
+      setScheduleForm(EMPTY_SCHEDULE_FORM);
+      setErrors({});
+    } catch (error) {
+      setErrors({ schedules: error.message });
+    }
+  };
+
+  // action is "pause", "resume" or "delete"
+  const handleScheduleAction = async (id, action) => {
+    try {
+      const response = await apiFetch(
+        `/schedules/${id}`,
+        action === "delete"
+          ? { method: "DELETE" }
+          : {
+              method: "PATCH",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({
+                status: action === "pause" ? "paused" : "active",
+              }),
+            },
+      );
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `Failed to ${action} scheduled payment`);
+      }
+
+      if (action === "delete") {
+        setSchedules(schedules.filter((schedule) => schedule.id !== id));
+      } else {
+        const updated = await response.json();
+        setSchedules(
+          schedules.map((schedule) =>
+            schedule.id === id ? updated : schedule,
+          ),
+        );
+      }
+    } catch (error) {
+      setErrors({ schedules: error.message });
+    }
+  };
+
+  const fetchWebhooks = async () => {
+    try {
+      const response = await apiFetch("/webhooks");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch webhooks");
+      }
+
+      setWebhooks(await response.json());
+    } catch (error) {
+      setErrors({ webhooks: error.message });
+    }
+  };
+
+  const fetchMerchants = async () => {
+    try {
+      const response = await apiFetch("/merchants");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch merchants");
+      }
+
+      setMerchants(await response.json());
+    } catch (error) {
+      setErrors({ merchants: error.message });
+    }
+  };
+
+  const handleCreateMerchant = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch("/merchants", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name: merchantForm.name,
+          ...(merchantForm.website && { website: merchantForm.website }),
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to add merchant");
+      }
+
+      setMerchants([...merchants, data]);
+      setMerchantForm(EMPTY_MERCHANT_FORM);
+      setErrors({});
+    } catch (error) {
+      setErrors({ merchants: error.message });
+    }
+  };
+
+  // Replace a merchant's keys in place
+  const updateApiKeys = (merchantId, update) =>
+    setMerchants((current) =>
+      current.map((merchant) =>
+        merchant.id === merchantId
+          ? { ...merchant, apiKeys: update(merchant.apiKeys) }
+          : merchant,
+      ),
+    );
+
+  const handleCreateApiKey = async (e, merchantId) => {
+    e.preventDefault();
+    const form = apiKeyForms[merchantId] || { name: "", access: "write" };
+    try {
+      const response = await apiFetch(`/merchants/${merchantId}/keys`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name: form.name,
+          scopes: API_KEY_ACCESS[form.access].scopes,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to create API key");
+      }
+
+      updateApiKeys(merchantId, (apiKeys) => [...apiKeys, data.apiKey]);
+      setIssuedApiKey({ merchantId, key: data.key });
+      setApiKeyForms({ ...apiKeyForms, [merchantId]: undefined });
+      setErrors({});
+    } catch (error) {
+      setErrors({ merchants: error.message });
+    }
+  };
+
+  // The old key keeps working for a day while the new one is deployed
+  const handleRotateApiKey = async (merchantId, keyId) => {
+    try {
+      const response = await apiFetch(
+        `/merchants/${merchantId}/keys/${keyId}/rotate`,
+        { method: "POST" },
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to rotate API key");
+      }
+
+      updateApiKeys(merchantId, (apiKeys) => [
+        ...apiKeys.map((k) => (k.id === keyId ? data.previous : k)),
+        data.apiKey,
+      ]);
+      setIssuedApiKey({ merchantId, key: data.key });
+      setErrors({});
+    } catch (error) {
+      setErrors({ merchants: error.message });
+    }
+  };
+
+  const handleRevokeApiKey = async (merchantId, keyId) => {
+    try {
+      const response = await apiFetch(
+        `/merchants/${merchantId}/keys/${keyId}`,
+        { method: "DELETE" },
+      );
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || "Failed to revoke API key");
+      }
+
+      updateApiKeys(merchantId, (apiKeys) =>
+        apiKeys.filter((k) => k.id !== keyId),
+      );
+    } catch (error) {
+      setErrors({ merchants: error.message });
+    }
+  };
+
+  const handleToggleWebhookEvent = (event) => {
+    const events = webhookForm.events.includes(event)
+      ? webhookForm.events.filter((e) => e !== event)
+      : [...webhookForm.events, event];
+    setWebhookForm({ ...webhookForm, events });
+  };
+
+  const handleCreateWebhook = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch("/webhooks", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          url: webhookForm.url,
+          events: webhookForm.events,
+          ...(webhookForm.description && {
+            description: webhookForm.description,
+          }),
+          allUsers: webhookForm.allUsers,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to add webhook");
+      }
+
+      const { secret, ...webhook } = data;
+      setWebhooks([webhook, ...webhooks]);
+      setWebhookSecret({ id: webhook.id, secret });
+      setWebhookForm(EMPTY_WEBHOOK_FORM);
+      setErrors({});
+    } catch (error) {
+      setErrors({ webhooks: error.message });
+    }
+  };
+
+  const handleDeleteWebhook = async (id) => {
+    try {
+      const response = await apiFetch(`/webhooks/${id}`, { method: "DELETE" });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || "Failed to delete webhook");
+      }
+
+      setWebhooks(webhooks.filter((webhook) => webhook.id !== id));
+      if (webhookDeliveries && webhookDeliveries.id === id) {
+        setWebhookDeliveries(null);
+      }
+    } catch (error) {
+      setErrors({ webhooks: error.message });
+    }
+  };
+
+  const fetchWebhookDeliveries = async (id) => {
+    try {
+      const response = await apiFetch(`/webhooks/${id}/deliveries`);
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to fetch deliveries");
+      }
+
+      setWebhookDeliveries({ id, deliveries: data });
+    } catch (error) {
+      setErrors({ webhooks: error.message });
+    }
+  };
+
+  // Send a test event, or one of the deliveries again, then show the log
+  const handleSendWebhook = async (id, deliveryId = null) => {
+    try {
+      const response = await apiFetch(
+        deliveryId
+          ? `/webhooks/${id}/deliveries/${deliveryId}/redeliver`
+          : `/webhooks/${id}/test`,
+        { method: "POST" },
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to send webhook");
+      }
+
+      await fetchWebhookDeliveries(id);
+    } catch (error) {
+      setErrors({ webhooks: error.message });
+    }
+  };
+
+  // Get a new authenticator secret and its QR code
+  const handleStartTwoFactorSetup = async () => {
+    try {
+      const response = await apiFetch("/2fa/setup", { method: "POST" });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to start setup");
+      }
+
+      setTwoFactorSetup(data);
+      setTwoFactorCode("");
+    } catch (error) {
+      setErrors({ security: error.message });
+    }
+  };
+
+  const handleEnableTwoFactor = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch("/2fa/enable", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ code: twoFactorCode.trim() }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to enable two-factor login");
+      }
+
+      setUser({ ...user, twoFactorEnabled: true });
+      setTwoFactorSetup(null);
+      setTwoFactorCode("");
+      setRecoveryCodes(data.recoveryCodes);
+      setErrors({});
+    } catch (error) {
+      setErrors({ security: error.message });
+    }
+  };
+
+  const handleDisableTwoFactor = async (e) => {
+    e.preventDefault();
+    const code = twoFactorCode.trim();
+    try {
+      const response = await apiFetch("/2fa/disable", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          password: disablePassword,
+          ...(/^\d{6}$/.test(code) ? { code } : { recoveryCode: code }),
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to disable two-factor login");
+      }
+
+      setUser({ ...user, twoFactorEnabled: false });
+      setTwoFactorCode("");
+      setDisablePassword("");
+      setRecoveryCodes(null);
+      setStepUpRequired(false);
+      setErrors({});
+    } catch (error) {
+      setErrors({ security: error.message });
+    }
+  };
+
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    if (!forgotEmail.includes("@")) {
+      setErrors({ email: "Invalid email format" });
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+
+    try {
+      const response = await fetch(`${API_URL}/password/forgot`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: forgotEmail }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to send reset link");
+      }
+
+      setNotice(data.message);
+      setForgotEmail("");
+      setActiveTab("login");
+    } catch (error) {
+      setErrors({ submit: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    if (newPassword.length < 8) {
+      setErrors({ password: "Password must be at least 8 characters" });
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+
+    try {
+      const response = await fetch(`${API_URL}/password/reset`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token: resetToken, password: newPassword }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to reset password");
+      }
+
+      // Every session ended with the reset, this one included
+      clearTokens();
+      setResetToken(null);
+      setNewPassword("");
+      setNotice("Your password has been changed. Log in with the new one.");
+      setActiveTab("login");
+    } catch (error) {
+      setErrors({ submit: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await apiFetch("/email/verification", {
+        method: "POST",
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to send verification email");
+      }
+
+      setNotice(`We sent a new verification link to ${user.email}.`);
+    } catch (error) {
+      setErrors({ verification: error.message });
+    }
+  };
+
+  const handleAdminSearch = async (e) => {
+    e.preventDefault();
+    try {
+      const params = new URLSearchParams({ q: adminQuery.trim() });
+      const response = await apiFetch(`/admin/users?${params}`);
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Search failed");
+      }
+
+      setAdminUsers(data);
+      setErrors({});
+    } catch (error) {
+      setErrors({ admin: error.message });
+    }
+  };
+
+  const handleAdminSelect = async (id) => {
+    try {
+      const [userResponse, transactionsResponse] = await Promise.all([
+        apiFetch(`/admin/users/${id}`),
+        apiFetch(`/admin/users/${id}/transactions`),
+      ]);
+
+      if (!userResponse.ok || !transactionsResponse.ok) {
+        throw new Error("Failed to fetch user");
+      }
+
+      setAdminSelected(await userResponse.json());
+      setAdminTransactions((await transactionsResponse.json()).transactions);
+      setAdminReason("");
+      setAdjustment({ direction: "credit", amount: "" });
+      setErrors({});
+    } catch (error) {
+      setErrors({ admin: error.message });
+    }
+  };
+
+  // action is "freeze", "unfreeze" or "unlock"
+  const handleAdminAction = async (action) => {
+    if (action === "freeze" && adminReason.trim().length < 3) {
+      setErrors({ admin: "Give a reason for freezing the account" });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(
+        `/admin/users/${adminSelected.id}/${action}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(
+            action === "freeze" ? { reason: adminReason.trim() } : {},
+          ),
+        },
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${action} account`);
+      }
+
+      handleAdminSelect(adminSelected.id);
+    } catch (error) {
+      setErrors({ admin: error.message });
+    }
+  };
+
+  const handleAdminAdjustment = async (e) => {
+    e.preventDefault();
+    const validationError = validateTransaction(adjustment.amount);
+    if (validationError) {
+      setErrors({ admin: validationError });
+      return;
+    }
+    if (adminReason.trim().length < 3) {
+      setErrors({ admin: "Give a reason for the adjustment" });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(
+        `/admin/users/${adminSelected.id}/adjustments`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Idempotency-Key": crypto.randomUUID(),
+          },
+          body: JSON.stringify({ ...adjustment, reason: adminReason.trim() }),
+        },
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Adjustment failed");
+      }
+
+      handleAdminSelect(adminSelected.id);
+    } catch (error) {
+      setErrors({ admin: error.message });
+    }
+  };
+
+  const fetchHeldTransactions = async () => {
+    try {
+      const response = await apiFetch("/admin/held");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch held transactions");
+      }
+
+      setHeldTransactions(await response.json());
+    } catch (error) {
+      setErrors({ admin: error.message });
+    }
+  };
+
+  // decision is "approve" or "reject"; rejecting needs the reason field
+  const handleReviewTransaction = async (id, decision) => {
+    if (decision === "reject" && adminReason.trim().length < 3) {
+      setErrors({ admin: "Give a reason for rejecting the transaction" });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/admin/transactions/${id}/${decision}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          adminReason.trim() ? { reason: adminReason.trim() } : {},
+        ),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${decision} transaction`);
+      }
+
+      setHeldTransactions(heldTransactions.filter((t) => t.id !== id));
+      setAdminReason("");
+      setErrors({});
+    } catch (error) {
+      setErrors({ admin: error.message });
+    }
+  };
+
+  const fetchDisputes = async () => {
+    try {
+      const response = await apiFetch("/admin/disputes");
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch disputes");
+      }
+
+      setDisputes(await response.json());
+    } catch (error) {
+      setErrors({ admin: error.message });
+    }
+  };
+
+  // decision is "reverse" or "reject"; both need the reason field
+  const handleResolveDispute = async (id, decision) => {
+    if (adminReason.trim().length < 3) {
+      setErrors({ admin: "Give a reason for resolving the dispute" });
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/admin/disputes/${id}/${decision}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reason: adminReason.trim() }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${decision} dispute`);
+      }
+
+      setDisputes(disputes.filter((t) => t.id !== id));
+      setAdminReason("");
+      setErrors({});
+    } catch (error) {
+      setErrors({ admin: error.message });
+    }
+  };
+
+  const loadDashboard = () => {
+    fetchTransactions();
+    fetchRequests();
+    fetchAuthorizations();
+    fetchStatements();
+    fetchSessions();
+    fetchSchedules();
+    fetchContacts();
+    fetchGroups();
+    fetchBankAccounts();
+    fetchMerchants();
+    fetchWebhooks();
+  };
+
+  // Pick up where a previous visit left off while its session is alive, and
+  // handle a verification or password reset link the page was opened from
+  useEffect(() => {
+    const verifyEmail = async (token) => {
+      try {
+        const response = await fetch(`${API_URL}/email/verify`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ token }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || "Failed to verify email");
+        }
+
+        setNotice(`Thanks, ${data.email} is verified.`);
+        setUser((current) => current && { ...current, emailVerified: true });
+      } catch (error) {
+        setErrors({ verification: error.message, submit: error.message });
+      }
+    };
+
+    const unlockAccount = async (token) => {
+      try {
+        const response = await fetch(`${API_URL}/login/unlock`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ token }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || "Failed to unlock account");
+        }
+
+        setLoginRetryAt(null);
+        setNotice(`${data.email} is unlocked. You can log in again.`);
+      } catch (error) {
+        setErrors({ submit: error.message });
+      }
+    };
+
+    const restoreSession = async () => {
+      try {
+        const response = await apiFetch("/account");
+        if (!response.ok) return;
+
+        const account = await response.json();
+        setUser(account);
+        setBalance(account.balance);
+        setAvailableBalance(account.availableBalance);
+        setHeldBalance(account.heldBalance);
+        fetchTransactions();
+        fetchRequests();
+        fetchAuthorizations();
+        fetchStatements();
+        fetchSessions();
+        fetchSchedules();
+        fetchContacts();
+        fetchGroups();
+        fetchBankAccounts();
+        fetchMerchants();
+        fetchWebhooks();
+      } catch (error) {
+        // Stay on the login screen
+      }
+    };
+
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get("verifyEmail");
+    const passwordToken = params.get("resetPassword");
+    const unlockToken = params.get("unlockAccount");
+    const checkoutId = params.get("checkout");
+    if (checkoutId) {
+      sessionStorage.setItem(CHECKOUT_STORAGE_KEY, checkoutId);
+      if (!localStorage.getItem("refreshToken")) {
+        setNotice("Log in to finish paying.");
+      }
+    }
+    if (verifyToken || passwordToken || unlockToken || checkoutId) {
+      // Keep the token out of the history and out of reloads
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+
+    if (passwordToken) {
+      setResetToken(passwordToken);
+      setActiveTab("reset");
+      return;
+    }
+    if (verifyToken) {
+      verifyEmail(verifyToken);
+    }
+    if (unlockToken) {
+      unlockAccount(unlockToken);
+    }
+    if (localStorage.getItem("refreshToken")) {
+      restoreSession();
+    }
+  }, []);
+
+  // Follow /api/events while signed in, so balance and history changes made
+  // in other tabs and devices show up without a reload. The stream is opened
+  // again whenever it ends, with Last-Event-ID so nothing is missed.
+  const signedIn = Boolean(user);
+  useEffect(() => {
+    if (!signedIn) return;
+
+    const controller = new AbortController();
+    let lastEventId = null;
+    let retryMs = 3000;
+
+    const handleEvent = ({ id, event, data, retry }) => {
+      if (retry) retryMs = Number(retry);
+      if (id) lastEventId = id;
+
+      if (event === "transaction") {
+        const update = JSON.parse(data);
+        setBalance(update.balance);
+        setAvailableBalance(update.availableBalance);
+        setHeldBalance(update.heldBalance);
+        // History with filters applied is left alone; it may not match
+        if (Object.values(appliedFiltersRef.current).some(Boolean)) return;
+        setTransactions((current) =>
+          current.some((t) => t.id === update.transaction.id)
+            ? current
+            : [update.transaction, ...current],
+        );
+      } else if (event === "transaction.updated") {
+        const { transaction, ...update } = JSON.parse(data);
+        if (update.balance) {
+          setBalance(update.balance);
+          setAvailableBalance(update.availableBalance);
+          setHeldBalance(update.heldBalance);
+        }
+        setTransactions((current) =>
+          current.map((t) => (t.id === transaction.id ? transaction : t)),
+        );
+      } else if (event === "authorization") {
+        const { authorization, ...update } = JSON.parse(data);
+        if (update.balance) {
+          setBalance(update.balance);
+          setAvailableBalance(update.availableBalance);
+          setHeldBalance(update.heldBalance);
+        }
+        setAuthorizations((current) => [
+          authorization,
+          ...current.filter((a) => a.id !== authorization.id),
+        ]);
+      } else if (event === "resync") {
+        // Too much was missed to replay; load everything again
+        apiFetch("/account")
+          .then((response) => response.ok && response.json())
+          .then((account) => {
+            if (!account) return;
+            setBalance(account.balance);
+            setAvailableBalance(account.availableBalance);
+            setHeldBalance(account.heldBalance);
+          });
+        fetchTransactions();
+      }
+    };
+
+    const pause = () => new Promise((resolve) => setTimeout(resolve, retryMs));
+
+    const listen = async () => {
+      while (!controller.signal.aborted) {
+        try {
+          const response = await apiFetch("/events", {
+            headers: lastEventId ? { "Last-Event-ID": lastEventId } : {},
+            signal: controller.signal,
+          });
+          // The session is over; apiFetch has already signed the user out
+          if (response.status === 401 || response.status === 403) return;
+          if (response.ok) {
+            await readEventStream(response, handleEvent);
+          }
+        } catch (error) {
+          if (controller.signal.aborted) return;
+        }
+        await pause();
+      }
+    };
+
+    listen();
+    return () => controller.abort();
+  }, [signedIn]);
+
+  // Show the checkout the page was opened for once the user is signed in
+  useEffect(() => {
+    const checkoutId = sessionStorage.getItem(CHECKOUT_STORAGE_KEY);
+    if (!signedIn || !checkoutId) return;
+
+    const fetchCheckout = async () => {
+      try {
+        const response = await apiFetch(`/checkout/${checkoutId}`);
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          sessionStorage.removeItem(CHECKOUT_STORAGE_KEY);
+          throw new Error(data.error || "Failed to fetch checkout");
+        }
+
+        setCheckout(data);
+      } catch (error) {
+        setErrors({ checkout: error.message });
+      }
+    };
+
+    fetchCheckout();
+  }, [signedIn]);
+
+  useEffect(() => {
+    const handleSessionEnded = () => setUser(null);
+    window.addEventListener(SESSION_ENDED_EVENT, handleSessionEnded);
+    return () =>
+      window.removeEventListener(SESSION_ENDED_EVENT, handleSessionEnded);
+  }, []);
+
+  const handleLogout = async (allDevices = false) => {
+    try {
+      await apiFetch("/logout", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ allDevices }),
+      });
+    } catch (error) {
+      // The tokens are dropped below either way
+    }
+    clearTokens();
+    setUser(null);
+    setTwoFactorSetup(null);
+    setRecoveryCodes(null);
+    setStepUpRequired(false);
+    setNotice(null);
+  };
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+        <div className="w-full max-w-md">
+          <div className="mb-8 text-center">
+            <h1 className="text-4xl font-bold text-white mb-2">Nevmo</h1>
+            <p className="text-blue-100">Your Modern Payment Solution</p>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-2xl">
+            {errors.submit && (
+              <div className="bg-red-50 border-l-4 border-red-500 p-4 m-4">
+                <p className="text-red-700">{errors.submit}</p>
+              </div>
+            )}
+            {notice && (
+              <div className="bg-green-50 border-l-4 border-green-500 p-4 m-4">
+                <p className="text-green-700">{notice}</p>
+              </div>
+            )}
+
+            <div className="p-6">
+              {loginChallenge ? (
+                <>
+                  <div className="flex items-center gap-2 mb-6">
+                    <button
+                      onClick={() => {
+                        setLoginChallenge(null);
+                        setLoginCode("");
+                        setErrors({});
+                      }}
+                      className="text-gray-600 hover:text-gray-800"
+                    >
+                      ← Back
+                    </button>
+                    <h2 className="text-2xl font-semibold text-gray-900">
+                      Two-factor login
+                    </h2>
+                  </div>
+                  <form onSubmit={handleLoginChallenge} className="space-y-4">
+                    <div>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        placeholder="Authenticator or recovery code"
+                        className={`w-full p-3 rounded-lg border ${
+                          errors.code ? "border-red-500" : "border-gray-200"
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
+                        value={loginCode}
+                        onChange={(e) => setLoginCode(e.target.value)}
+                      />
+                      {errors.code && (
+                        <p className="text-red-500 text-sm mt-1">
+                          {errors.code}
+                        </p>
+                      )}
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={loading || loginWait > 0}
+                      className="w-full bg-gradient-to-r from-blue-500 to-blue-600 text-white py-3 rounded-lg font-medium hover:from-blue-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all disabled:opacity-50"
+                    >
+                      {loading
+                        ? "Verifying..."
+                        : loginWait > 0
+                          ? `Try again in ${formatWait(loginWait)}`
+                          : "Verify"}
+                    </button>
+                  </form>
+                </>
+              ) : activeTab === "forgot" ? (
+                <>
+                  <div className="flex items-center gap-2 mb-6">
+                    <button
+                      onClick={() => setActiveTab("login")}
+                      className="text-gray-600 hover:text-gray-800"
+                    >
+                      ← Back
+                    </button>
+                    <h2 className="text-2xl font-semibold text-gray-900">
+                      Reset password
+                    </h2>
+                  </div>
+                  <form onSubmit={handleForgotPassword} className="space-y-4">
+                    <div>
+                      <input
+                        type="email"
+                        placeholder="Email"
+                        className={`w-full p-3 rounded-lg border ${
+                          errors.email ? "border-red-500" : "border-gray-200"
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
+                        value={forgotEmail}
+                        onChange={(e) => setForgotEmail(e.target.value)}
+                      />
+                      {errors.email && (
+                        <p className="text-red-500 text-sm mt-1">
+                          {errors.email}
+                        </p>
+                      )}
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="w-full bg-gradient-to-r from-blue-500 to-blue-600 text-white py-3 rounded-lg font-medium hover:from-blue-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all disabled:opacity-50"
+                    >
+                      {loading ? "Sending..." : "Email me a reset link"}
+                    </button>
+                  </form>
+                </>
+              ) : activeTab === "reset" ? (
+                <>
+                  <h2 className="text-2xl font-semibold text-gray-900 mb-6">
+                    Choose a new password
+                  </h2>
+                  <form onSubmit={handleResetPassword} className="space-y-4">
+                    <div>
+                      <input
+                        type="password"
+                        placeholder="New password"
+                        className={`w-full p-3 rounded-lg border ${
+                          errors.password ? "border-red-500" : "border-gray-200"
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
+                        value={newPassword}
+                        onChange={(e) => setNewPassword(e.target.value)}
+                      />
+                      {errors.password && (
+                        <p className="text-red-500 text-sm mt-1">
+                          {errors.password}
+                        </p>
+                      )}
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="w-full bg-gradient-to-r from-blue-500 to-blue-600 text-white py-3 rounded-lg font-medium hover:from-blue-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all disabled:opacity-50"
+                    >
+                      {loading ? "Saving..." : "Set password"}
+                    </button>
+                  </form>
+                </>
+              ) : activeTab === "login" ? (
+                <>
+                  <h2 className="text-2xl font-semibold text-gray-900 mb-6">
+                    Welcome back
+                  </h2>
+                  <form onSubmit={handleLogin} className="space-y-4">
+                    <div>
+                      <input
+                        type="email"
+                        placeholder="Email"
+                        className={`w-full p-3 rounded-lg border ${
+                          errors.email ? "border-red-500" : "border-gray-200"
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
+                        value={loginData.email}
+                        onChange={(e) =>
+                          setLoginData({ ...loginData, email: e.target.value })
+                        }
+                      />
+                      {errors.email && (
+                        <p className="text-red-500 text-sm mt-1">
+                          {errors.email}
+                        </p>
+                      )}
+                    </div>
+                    <div>
+                      <input
+                        type="password"
+                        placeholder="Password"
+                        className={`w-full p-3 rounded-lg border ${
+                          errors.password ? "border-red-500" : "border-gray-200"
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
+                        value={loginData.password}
+                        onChange={(e) =>
+                          setLoginData({
+                            ...loginData,
+                            password: e.target.value,
+                          })
+                        }
+                      />
+                      {errors.password && (
+                        <p className="text-red-500 text-sm mt-1">
+                          {errors.password}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center justify-between pt-2">
+                      <button
+                        type="submit"
+                        disabled={loading || loginWait > 0}
+                        className="flex-1 mr-4 bg-gradient-to-r from-blue-500 to-blue-600 text-white py-3 rounded-lg font-medium hover:from-blue-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all disabled:opacity-50"
+                      >
+                        {loading
+                          ? "Logging in..."
+                          : loginWait > 0
+                            ? `Try again in ${formatWait(loginWait)}`
+                            : "Login"}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setErrors({});
+                          setNotice(null);
+                          setActiveTab("forgot");
+                        }}
+                        className="mr-4 text-gray-500 hover:text-gray-700 text-sm"
+                      >
+                        Forgot password?
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setActiveTab("register")}
+                        className="text-blue-600 hover:text-blue-700 font-medium text-sm"
+                      >
+                        Create Account
+                      </button>
+                    </div>
+                  </form>
+                </>
+              ) : (
+                <>
+                  <div className="flex items-center gap-2 mb-6">
+                    <button
+                      onClick={() => setActiveTab("login")}
+                      className="text-gray-600 hover:text-gray-800"
+                    >
+                      ← Back
+                    </button>
+                    <h2 className="text-2xl font-semibold text-gray-900">
+                      Create Account
+                    </h2>
+                  </div>
+                  <form onSubmit={handleRegister} className="space-y-4">
+                    <div>
+                      <input
+                        type="text"
+                        placeholder="Name"
+                        className={`w-full p-3 rounded-lg border ${
+                          errors.name ? "border-red-500" : "border-gray-200"
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
+                        value={registerData.name}
+                        onChange={(e) =>
+                          setRegisterData({
+                            ...registerData,
+                            name: e.target.value,
+                          })
+                        }
+                      />
+                      {errors.name && (
+                        <p className="text-red-500 text-sm mt-1">
+                          {errors.name}
+                        </p>
+                      )}
+                    </div>
+                    <div>
+                      <input
+                        type="email"
+                        placeholder="Email"
+                        className={`w-full p-3 rounded-lg border ${
+                          errors.email ? "border-red-500" : "border-gray-200"
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
+                        value={registerData.email}
+                        onChange={(e) =>
+                          setRegisterData({
+                            ...registerData,
+                            email: e.target.value,
+                          })
+                        }
+                      />
+                      {errors.email && (
+                        <p className="text-red-500 text-sm mt-1">
+                          {errors.email}
+                        </p>
+                      )}
+                    </div>
+                    <div>
+                      <input
+                        type="password"
+                        placeholder="Password"
+                        className={`w-full p-3 rounded-lg border ${
+                          errors.password ? "border-red-500" : "border-gray-200"
+                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
+                        value={registerData.password}
+                        onChange={(e) =>
+                          setRegisterData({
+                            ...registerData,
+                            password: e.target.value,
+                          })
+                        }
+                      />
+                      {errors.password && (
+                        <p className="text-red-500 text-sm mt-1">
+                          {errors.password}
+                        </p>
+                      )}
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="w-full bg-gradient-to-r from-blue-500 to-blue-600 text-white py-3 rounded-lg font-medium hover:from-blue-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all disabled:opacity-50"
+                    >
+                      {loading ? "Creating Account..." : "Create Account"}
+                    </button>
+                  </form>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-gradient-to-r from-blue-500 to-purple-600 text-white">
+        <div className="max-w-6xl mx-auto px-4 py-6">
+          <div className="flex justify-between items-center">
+            <h1 className="text-2xl font-bold">Nevmo</h1>
+            <button
+              onClick={() => handleLogout()}
+              className="flex items-center gap-2 py-2 px-4 rounded-lg hover:bg-white/10 transition-colors"
+            >
+              <LogOut className="h-4 w-4" />
+              Logout
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-6xl mx-auto px-4 py-8 space-y-6">
+        {notice && (
+          <div className="bg-green-50 border-l-4 border-green-500 rounded p-4 flex justify-between items-center">
+            <p className="text-sm text-green-700">{notice}</p>
+            <button
+              onClick={() => setNotice(null)}
+              className="text-sm text-green-700 hover:text-green-900"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {user.frozen && (
+          <div className="bg-red-50 border-l-4 border-red-500 rounded p-4">
+            <p className="text-sm text-red-700">
+              Your account is frozen. You cannot move money until support
+              unfreezes it.
+            </p>
+          </div>
+        )}
+
+        {!user.emailVerified && (
+          <div className="bg-yellow-50 border-l-4 border-yellow-500 rounded p-4 flex flex-col md:flex-row md:items-center gap-3">
+            <p className="flex-1 text-sm text-yellow-800">
+              {errors.verification ||
+                `Confirm your email address with the link we sent to ${user.email}. Until then your balance is limited.`}
+            </p>
+            <button
+              onClick={handleResendVerification}
+              className="px-3 py-2 text-sm border border-yellow-500 text-yellow-800 rounded-lg hover:bg-yellow-100 transition-colors"
+            >
+              Resend email
+            </button>
+          </div>
+        )}
+
+        {(checkout || errors.checkout) && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+            <div className="p-6 border-b border-gray-100">
+              <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+                <Store className="h-5 w-5" />
+                {checkout ? `Pay ${checkout.merchant.name}` : "Checkout"}
+              </div>
+            </div>
+
+            {errors.checkout && (
+              <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+                {errors.checkout}
+              </div>
+            )}
+
+            {checkout && (
+              <div className="p-6 space-y-4">
+                <div>
+                  <p className="text-3xl font-bold text-gray-900">
+                    ${checkout.amount}
+                  </p>
+                  <p className="text-gray-700">{checkout.description}</p>
+                  <p className="text-sm text-gray-500">
+                    {checkout.status === "open"
+                      ? `Expires ${new Date(checkout.expiresAt).toLocaleString()}`
+                      : `This checkout is ${checkout.status}`}
+                  </p>
+                </div>
+                {checkout.status === "open" && (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleCheckoutAction("approve")}
+                      disabled={checkoutLoading}
+                      className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 transition-colors"
+                    >
+                      Pay ${checkout.amount}
+                    </button>
+                    <button
+                      onClick={() => handleCheckoutAction("decline")}
+                      disabled={checkoutLoading}
+                      className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+                    >
+                      Cancel and go back
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {(!checkout || checkout.status !== "open") && (
+              <div className="px-6 pb-6">
+                <button
+                  onClick={handleDismissCheckout}
+                  className="text-sm text-gray-500 hover:text-gray-700"
+                >
+                  Dismiss
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {stepUpRequired && (
+          <div className="bg-yellow-50 border-l-4 border-yellow-500 rounded p-4 flex flex-col md:flex-row md:items-center gap-3">
+            <p className="flex-1 text-sm text-yellow-800">
+              Large payments need a code from your authenticator app. Enter it
+              here, then submit the payment again.
+            </p>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="6-digit code"
+              value={stepUpCode}
+              onChange={(e) => setStepUpCode(e.target.value.trim())}
+              className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+          </div>
+        )}
+
+        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
+            <div className="mb-4">
+              <p className="text-sm text-gray-500 mb-1">Welcome back</p>
+              <h2 className="text-xl font-semibold text-gray-900">
+                {user.name}
+              </h2>
+              {handleInput === null ? (
+                <p className="text-sm text-gray-500">
+                  {user.handle ? `@${user.handle} ` : ""}
+                  <button
+                    onClick={() => setHandleInput(user.handle || "")}
+                    className="text-blue-500 hover:text-blue-600"
+                  >
+                    {user.handle ? "Change" : "Claim a handle"}
+                  </button>
+                </p>
+              ) : (
+                <form onSubmit={handleClaimHandle} className="mt-2 space-y-2">
+                  {errors.handle && (
+                    <p className="text-sm text-red-600">{errors.handle}</p>
+                  )}
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      autoFocus
+                      placeholder="@handle"
+                      value={handleInput}
+                      onChange={(e) => setHandleInput(e.target.value)}
+                      className="flex-1 min-w-0 p-2 text-sm rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                    />
+                    <button
+                      type="submit"
+                      className="px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                    >
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setHandleInput(null)}
+                      className="px-3 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+            <div className="flex items-center gap-3 text-3xl font-bold text-gray-900">
+              <DollarSign className="h-8 w-8 text-blue-500" />${balance}
+            </div>
+            {availableBalance !== balance && (
+              <p className="text-sm text-gray-500 mt-1">
+                ${availableBalance} available
+                {toCents(heldBalance) > 0 &&
+                  ` · $${heldBalance} held for authorizations`}
+              </p>
+            )}
+          </div>
+
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              Quick Actions
+            </h3>
+
+            {errors.transaction && (
+              <div className="mb-4 p-3 bg-red-50 border-l-4 border-red-500 text-red-700 text-sm rounded">
+                {errors.transaction}
+              </div>
+            )}
+
+            {bankAccounts.some((a) => a.status === "verified") ? (
+              <select
+                value={bankAccountId}
+                onChange={(e) => setBankAccountId(e.target.value)}
+                className="w-full mb-3 p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {bankAccounts
+                  .filter((a) => a.status === "verified")
+                  .map((a) => (
+                    <option key={a.id} value={a.id}>
+                      {a.holderName} ••••{a.last4}
+                    </option>
+                  ))}
+              </select>
+            ) : (
+              <p className="mb-3 text-sm text-gray-500">
+                Link and verify a bank account below to deposit and withdraw.
+              </p>
+            )}
+
+            <div className="flex gap-4">
+              <div className="flex-1">
+                <input
+                  type="number"
+                  step="0.01"
+                  placeholder="Amount"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  className="w-full p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+              </div>
+              <button
+                onClick={() => handleTransaction("deposit")}
+                disabled={transactionLoading}
+                className="flex items-center gap-2 px-4 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50"
+              >
+                <ArrowDownCircle className="h-4 w-4" />
+                <span className="hidden md:inline">Deposit</span>
+              </button>
+              <button
+                onClick={() => handleTransaction("withdraw")}
+                disabled={transactionLoading}
+                className="flex items-center gap-2 px-4 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50"
+              >
+                <ArrowUpCircle className="h-4 w-4" />
+                <span className="hidden md:inline">Withdraw</span>
+              </button>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              Send money
+            </h3>
+
+            {errors.transfer && (
+              <div className="mb-4 p-3 bg-red-50 border-l-4 border-red-500 text-red-700 text-sm rounded">
+                {errors.transfer}
+              </div>
+            )}
+
+            <form onSubmit={handleTransfer} className="space-y-3">
+              <RecipientPicker
+                placeholder="Recipient: @handle, name or email"
+                value={transferData.recipient}
+                onChange={(recipient) =>
+                  setTransferData({ ...transferData, recipient })
+                }
+                contacts={contacts}
+                onToggleFavorite={handleToggleFavorite}
+                className="w-full p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+              />
+              <input
+                type="text"
+                placeholder="What's it for?"
+                value={transferData.note}
+                onChange={(e) =>
+                  setTransferData({ ...transferData, note: e.target.value })
+                }
+                className="w-full p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+              />
+              <div className="flex flex-wrap items-center gap-1">
+                {NOTE_EMOJI.map((emoji) => (
+                  <button
+                    key={emoji}
+                    type="button"
+                    onClick={() =>
+                      setTransferData({
+                        ...transferData,
+                        note: transferData.note + emoji,
+                      })
+                    }
+                    className="px-1 text-lg rounded hover:bg-gray-100"
+                  >
+                    {emoji}
+                  </button>
+                ))}
+                <select
+                  value={transferData.visibility}
+                  onChange={(e) =>
+                    setTransferData({
+                      ...transferData,
+                      visibility: e.target.value,
+                    })
+                  }
+                  aria-label="Who can see it"
+                  className="ml-auto p-1 text-sm rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(FEED_VISIBILITY_LABELS).map(
+                    ([visibility, label]) => (
+                      <option key={visibility} value={visibility}>
+                        {label}
+                      </option>
+                    ),
+                  )}
+                </select>
+              </div>
+              <div className="flex gap-4">
+                <input
+                  type="number"
+                  step="0.01"
+                  placeholder="Amount"
+                  value={transferData.amount}
+                  onChange={(e) =>
+                    setTransferData({ ...transferData, amount: e.target.value })
+                  }
+                  className="flex-1 p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+                <button
+                  type="submit"
+                  disabled={transferLoading}
+                  className="flex items-center gap-2 px-4 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50"
+                >
+                  <Send className="h-4 w-4" />
+                  <span className="hidden md:inline">
+                    {transferLoading ? "Sending..." : "Send"}
+                  </span>
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <HandCoins className="h-5 w-5" />
+              Requests
+            </div>
+          </div>
+
+          {errors.requests && (
+            <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+              {errors.requests}
+            </div>
+          )}
+
+          <form
+            onSubmit={handleCreateRequest}
+            className="p-4 flex flex-col md:flex-row gap-3 border-b border-gray-100"
+          >
+            <RecipientPicker
+              placeholder="Request from: @handle, name or email"
+              value={requestData.payer}
+              onChange={(payer) => setRequestData({ ...requestData, payer })}
+              contacts={contacts}
+              onToggleFavorite={handleToggleFavorite}
+              className="w-full p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <input
+              type="number"
+              step="0.01"
+              placeholder="Amount"
+              value={requestData.amount}
+              onChange={(e) =>
+                setRequestData({ ...requestData, amount: e.target.value })
+              }
+              className="md:w-32 p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <input
+              type="text"
+              placeholder="What's it for?"
+              value={requestData.note}
+              onChange={(e) =>
+                setRequestData({ ...requestData, note: e.target.value })
+              }
+              className="flex-1 p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <button
+              type="submit"
+              disabled={requestLoading}
+              className="px-4 py-3 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50"
+            >
+              Request
+            </button>
+          </form>
+
+          <div className="grid md:grid-cols-2 md:divide-x divide-gray-100">
+            <div>
+              <p className="px-4 pt-4 text-sm font-medium text-gray-500">
+                Incoming
+              </p>
+              <div className="divide-y divide-gray-100">
+                {incomingRequests.map((request) => (
+                  <div
+                    key={request.id}
+                    className="p-4 flex justify-between items-center"
+                  >
+                    <div>
+                      <span className="font-medium">
+                        {request.requester.name}
+                      </span>
+                      <span className="text-sm text-gray-500 ml-2">
+                        ${request.amount}
+                      </span>
+                      {request.note && (
+                        <p className="text-sm text-gray-600">{request.note}</p>
+                      )}
+                    </div>
+                    {request.status === "pending" ? (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleRequestAction(request.id, "pay")}
+                          disabled={requestLoading}
+                          className="px-3 py-1 bg-green-500 text-white text-sm rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50"
+                        >
+                          Pay
+                        </button>
+                        <button
+                          onClick={() =>
+                            handleRequestAction(request.id, "decline")
+                          }
+                          disabled={requestLoading}
+                          className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                        >
+                          Decline
+                        </button>
+                      </div>
+                    ) : (
+                      <span className="text-sm text-gray-500 capitalize">
+                        {request.status}
+                      </span>
+                    )}
+                  </div>
+                ))}
+
+                {incomingRequests.length === 0 && (
+                  <div className="p-8 text-center text-gray-500">
+                    No incoming requests
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <p className="px-4 pt-4 text-sm font-medium text-gray-500">
+                Outgoing
+              </p>
+              <div className="divide-y divide-gray-100">
+                {outgoingRequests.map((request) => (
+                  <div
+                    key={request.id}
+                    className="p-4 flex justify-between items-center"
+                  >
+                    <div>
+                      <span className="font-medium">{request.payer.name}</span>
+                      <span className="text-sm text-gray-500 ml-2">
+                        ${request.amount}
+                      </span>
+                      {request.note && (
+                        <p className="text-sm text-gray-600">{request.note}</p>
+                      )}
+                    </div>
+                    {request.status === "pending" ? (
                       <button
-                        type="submit"
-                        disabled={loading}
-                        className="flex-1 mr-4 bg-gradient-to-r from-blue-500 to-blue-600 text-white py-3 rounded-lg font-medium hover:from-blue-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all disabled:opacity-50"
+                        onClick={() =>
+                          handleRequestAction(request.id, "cancel")
+                        }
+                        disabled={requestLoading}
+                        className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                      >
+                        Cancel
+                      </button>
+                    ) : (
+                      <span className="text-sm text-gray-500 capitalize">
+                        {request.status}
+                      </span>
+                    )}
+                  </div>
+                ))}
+
+                {outgoingRequests.length === 0 && (
+                  <div className="p-8 text-center text-gray-500">
+                    No outgoing requests
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <Hourglass className="h-5 w-5" />
+              Authorizations
+            </div>
+          </div>
+
+          {errors.authorizations && (
+            <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+              {errors.authorizations}
+            </div>
+          )}
+
+          <form
+            onSubmit={handleCreateAuthorization}
+            className="p-4 flex flex-col md:flex-row gap-3 border-b border-gray-100"
+          >
+            <RecipientPicker
+              placeholder="Authorize: @handle, name or email"
+              value={authorizationForm.payee}
+              onChange={(payee) =>
+                setAuthorizationForm({ ...authorizationForm, payee })
+              }
+              contacts={contacts}
+              onToggleFavorite={handleToggleFavorite}
+              className="w-full p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <input
+              type="number"
+              step="0.01"
+              placeholder="Up to"
+              value={authorizationForm.amount}
+              onChange={(e) =>
+                setAuthorizationForm({
+                  ...authorizationForm,
+                  amount: e.target.value,
+                })
+              }
+              className="md:w-32 p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <input
+              type="text"
+              placeholder="What's it for?"
+              value={authorizationForm.note}
+              onChange={(e) =>
+                setAuthorizationForm({
+                  ...authorizationForm,
+                  note: e.target.value,
+                })
+              }
+              className="flex-1 p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <select
+              value={authorizationForm.expiresInDays}
+              onChange={(e) =>
+                setAuthorizationForm({
+                  ...authorizationForm,
+                  expiresInDays: e.target.value,
+                })
+              }
+              className="p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {AUTHORIZATION_EXPIRY_DAYS.map((days) => (
+                <option key={days} value={days}>
+                  {days === 1 ? "1 day" : `${days} days`}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="px-4 py-3 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+            >
+              Authorize
+            </button>
+          </form>
+
+          <div className="divide-y divide-gray-100">
+            {authorizations.map((authorization) => {
+              const received = authorization.payee.email === user.email;
+              return (
+                <div
+                  key={authorization.id}
+                  className="p-4 flex justify-between items-center"
+                >
+                  <div>
+                    <span className="font-medium">
+                      {received
+                        ? `From ${authorization.payer.name}`
+                        : `To ${authorization.payee.name}`}
+                    </span>
+                    <span className="text-sm text-gray-500 ml-2">
+                      up to ${authorization.amount}
+                    </span>
+                    {authorization.note && (
+                      <p className="text-sm text-gray-600">
+                        {authorization.note}
+                      </p>
+                    )}
+                    <p className="text-sm text-gray-500">
+                      {authorization.status === "authorized"
+                        ? `Expires ${new Date(authorization.expiresAt).toLocaleString()}`
+                        : authorization.status === "captured"
+                          ? `Captured $${authorization.capturedAmount}`
+                          : authorization.status === "voided"
+                            ? "Voided"
+                            : "Expired"}
+                    </p>
+                  </div>
+                  {received && authorization.status === "authorized" && (
+                    <div className="flex gap-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        placeholder={authorization.amount}
+                        value={captureAmounts[authorization.id] || ""}
+                        onChange={(e) =>
+                          setCaptureAmounts({
+                            ...captureAmounts,
+                            [authorization.id]: e.target.value,
+                          })
+                        }
+                        className="w-24 p-1 text-sm rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                      />
+                      <button
+                        onClick={() =>
+                          handleAuthorizationAction(authorization.id, "capture")
+                        }
+                        className="px-3 py-1 bg-green-500 text-white text-sm rounded-lg hover:bg-green-600 transition-colors"
                       >
-                        {loading ? "Logging in..." : "Login"}
+                        Capture
                       </button>
                       <button
-                        type="button"
-                        onClick={() => setActiveTab("register")}
-                        className="text-blue-600 hover:text-blue-700 font-medium text-sm"
+                        onClick={() =>
+                          handleAuthorizationAction(authorization.id, "void")
+                        }
+                        className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
                       >
-                        Create Account
+                        Void
                       </button>
                     </div>
-                  </form>
-                </>
-              ) : (
-                <>
-                  <div className="flex items-center gap-2 mb-6">
-                    <button
-                      onClick={() => setActiveTab("login")}
-                      className="text-gray-600 hover:text-gray-800"
+                  )}
+                </div>
+              );
+            })}
+            {authorizations.length === 0 && (
+              <p className="p-4 text-sm text-gray-500">No authorizations yet</p>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <Landmark className="h-5 w-5" />
+              Bank accounts
+            </div>
+          </div>
+
+          {errors.bankAccounts && (
+            <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+              {errors.bankAccounts}
+            </div>
+          )}
+
+          <form
+            onSubmit={handleLinkBankAccount}
+            className="p-4 grid gap-3 md:grid-cols-4 border-b border-gray-100"
+          >
+            <input
+              type="text"
+              placeholder="Name on the account"
+              value={bankAccountForm.holderName}
+              onChange={(e) =>
+                setBankAccountForm({
+                  ...bankAccountForm,
+                  holderName: e.target.value,
+                })
+              }
+              className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Routing number"
+              value={bankAccountForm.routingNumber}
+              onChange={(e) =>
+                setBankAccountForm({
+                  ...bankAccountForm,
+                  routingNumber: e.target.value,
+                })
+              }
+              className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Account number"
+              value={bankAccountForm.accountNumber}
+              onChange={(e) =>
+                setBankAccountForm({
+                  ...bankAccountForm,
+                  accountNumber: e.target.value,
+                })
+              }
+              className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+            >
+              Link account
+            </button>
+          </form>
+
+          <div className="divide-y divide-gray-100">
+            {bankAccounts.map((account) => (
+              <div key={account.id} className="p-4 space-y-2">
+                <div className="flex justify-between items-center">
+                  <div>
+                    <span className="font-medium">
+                      {account.holderName} ••••{account.last4}
+                    </span>
+                    <span className="text-sm text-gray-500 ml-2">
+                      Routing {account.routingNumber}
+                    </span>
+                    <span
+                      className={`ml-2 text-xs px-2 py-0.5 rounded-full ${
+                        account.status === "verified"
+                          ? "bg-green-50 text-green-700"
+                          : account.status === "failed"
+                            ? "bg-red-50 text-red-700"
+                            : "bg-yellow-50 text-yellow-700"
+                      }`}
                     >
-                      ← Back
-                    </button>
-                    <h2 className="text-2xl font-semibold text-gray-900">
-                      Create Account
-                    </h2>
+                      {BANK_ACCOUNT_STATUS_LABELS[account.status]}
+                    </span>
                   </div>
-                  <form onSubmit={handleRegister} className="space-y-4">
-                    <div>
+                  <button
+                    onClick={() => handleRemoveBankAccount(account.id)}
+                    className="px-3 py-1 border border-red-500 text-red-600 text-sm rounded-lg hover:bg-red-50 transition-colors"
+                  >
+                    Remove
+                  </button>
+                </div>
+                {account.status === "unverified" && (
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="text-gray-500">
+                      Enter the two small deposits we sent:
+                    </span>
+                    {[0, 1].map((i) => (
                       <input
-                        type="text"
-                        placeholder="Name"
-                        className={`w-full p-3 rounded-lg border ${
-                          errors.name ? "border-red-500" : "border-gray-200"
-                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
-                        value={registerData.name}
-                        onChange={(e) =>
-                          setRegisterData({
-                            ...registerData,
-                            name: e.target.value,
-                          })
-                        }
+                        key={i}
+                        type="number"
+                        step="0.01"
+                        placeholder="0.00"
+                        value={(microDeposits[account.id] || ["", ""])[i]}
+                        onChange={(e) => {
+                          const amounts = [
+                            ...(microDeposits[account.id] || ["", ""]),
+                          ];
+                          amounts[i] = e.target.value;
+                          setMicroDeposits({
+                            ...microDeposits,
+                            [account.id]: amounts,
+                          });
+                        }}
+                        className="w-24 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
                       />
-                      {errors.name && (
-                        <p className="text-red-500 text-sm mt-1">
-                          {errors.name}
-                        </p>
-                      )}
+                    ))}
+                    <button
+                      onClick={() => handleVerifyBankAccount(account.id)}
+                      className="px-3 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                    >
+                      Verify
+                    </button>
+                  </div>
+                )}
+                {account.status === "failed" && (
+                  <p className="text-sm text-red-600">
+                    Too many wrong attempts. Remove the account and link it
+                    again to get new deposits.
+                  </p>
+                )}
+              </div>
+            ))}
+            {bankAccounts.length === 0 && (
+              <p className="p-4 text-sm text-gray-500">
+                No bank accounts linked yet
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <Users className="h-5 w-5" />
+              Groups
+            </div>
+          </div>
+
+          {errors.groups && (
+            <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+              {errors.groups}
+            </div>
+          )}
+
+          <form
+            onSubmit={handleCreateGroup}
+            className="p-4 flex flex-col md:flex-row gap-3 border-b border-gray-100"
+          >
+            <input
+              type="text"
+              placeholder="Group name"
+              value={groupForm.name}
+              onChange={(e) =>
+                setGroupForm({ ...groupForm, name: e.target.value })
+              }
+              className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <input
+              type="text"
+              placeholder="Emails to invite, separated by commas"
+              value={groupForm.memberEmails}
+              onChange={(e) =>
+                setGroupForm({ ...groupForm, memberEmails: e.target.value })
+              }
+              className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+            >
+              Create group
+            </button>
+          </form>
+
+          {groupInvitations.length > 0 && (
+            <div className="divide-y divide-gray-100 border-b border-gray-100">
+              {groupInvitations.map((invitation) => (
+                <div
+                  key={invitation.id}
+                  className="p-4 flex justify-between items-center bg-blue-50"
+                >
+                  <span className="text-sm">
+                    {invitation.invitedBy || "Someone"} invited you to{" "}
+                    <span className="font-medium">{invitation.name}</span>
+                    <span className="ml-2 text-gray-500">
+                      {invitation.memberCount} members
+                    </span>
+                  </span>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleJoinGroup(invitation.id)}
+                      className="px-3 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors text-sm"
+                    >
+                      Join
+                    </button>
+                    <button
+                      onClick={() => handleDeclineGroup(invitation.id)}
+                      className="px-3 py-1 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="divide-y divide-gray-100">
+            {groups.map((group) => (
+              <div key={group.id}>
+                <button
+                  onClick={() => handleSelectGroup(group.id)}
+                  className="w-full p-4 flex justify-between items-center text-left hover:bg-gray-50"
+                >
+                  <span className="font-medium">
+                    {group.name}
+                    <span className="ml-2 text-sm text-gray-500">
+                      {group.memberCount} members
+                    </span>
+                  </span>
+                  <span
+                    className={
+                      toCents(group.balance) < 0
+                        ? "text-red-600"
+                        : toCents(group.balance) > 0
+                          ? "text-green-600"
+                          : "text-gray-500"
+                    }
+                  >
+                    {toCents(group.balance) < 0
+                      ? `You owe $${group.balance.replace("-", "")}`
+                      : toCents(group.balance) > 0
+                        ? `You are owed $${group.balance}`
+                        : "Settled up"}
+                  </span>
+                </button>
+
+                {selectedGroup && selectedGroup.id === group.id && (
+                  <div className="px-4 pb-4 space-y-4 text-sm">
+                    <div className="flex flex-wrap gap-3 text-gray-600">
+                      {selectedGroup.members.map((member) => (
+                        <span key={member.id}>
+                          {member.name}: ${member.balance}
+                        </span>
+                      ))}
                     </div>
+
+                    {selectedGroup.invites.length > 0 && (
+                      <p className="text-gray-500">
+                        Invited:{" "}
+                        {selectedGroup.invites
+                          .map((invite) => invite.email)
+                          .join(", ")}
+                      </p>
+                    )}
+
                     <div>
-                      <input
-                        type="email"
-                        placeholder="Email"
-                        className={`w-full p-3 rounded-lg border ${
-                          errors.email ? "border-red-500" : "border-gray-200"
-                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
-                        value={registerData.email}
-                        onChange={(e) =>
-                          setRegisterData({
-                            ...registerData,
-                            email: e.target.value,
-                          })
-                        }
-                      />
-                      {errors.email && (
-                        <p className="text-red-500 text-sm mt-1">
-                          {errors.email}
+                      {selectedGroup.debts.map((debt) => (
+                        <p key={`${debt.from.id}-${debt.to.id}`}>
+                          {debt.from.name} owes {debt.to.name} ${debt.amount}
                         </p>
+                      ))}
+                      {selectedGroup.debts.length === 0 && (
+                        <p className="text-gray-500">Everyone is settled up</p>
+                      )}
+                      {toCents(selectedGroup.balance) < 0 && (
+                        <button
+                          onClick={handleSettleUp}
+                          disabled={user.frozen}
+                          className="mt-2 px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50"
+                        >
+                          Settle up
+                        </button>
                       )}
                     </div>
-                    <div>
+
+                    <form onSubmit={handleAddExpense} className="space-y-2">
+                      <div className="flex flex-col md:flex-row gap-2">
+                        <input
+                          type="text"
+                          placeholder="What was it for?"
+                          value={expenseForm.description}
+                          onChange={(e) =>
+                            setExpenseForm({
+                              ...expenseForm,
+                              description: e.target.value,
+                            })
+                          }
+                          className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                        />
+                        <input
+                          type="number"
+                          step="0.01"
+                          placeholder="Amount"
+                          value={expenseForm.amount}
+                          onChange={(e) =>
+                            setExpenseForm({
+                              ...expenseForm,
+                              amount: e.target.value,
+                            })
+                          }
+                          className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                        />
+                        <select
+                          value={expenseForm.paidBy}
+                          onChange={(e) =>
+                            setExpenseForm({
+                              ...expenseForm,
+                              paidBy: e.target.value,
+                            })
+                          }
+                          className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">Paid by you</option>
+                          {selectedGroup.members
+                            .filter((member) => member.email !== user.email)
+                            .map((member) => (
+                              <option key={member.id} value={member.id}>
+                                Paid by {member.name}
+                              </option>
+                            ))}
+                        </select>
+                        <select
+                          value={expenseForm.splitType}
+                          onChange={(e) =>
+                            setExpenseForm({
+                              ...expenseForm,
+                              splitType: e.target.value,
+                              splits: {},
+                            })
+                          }
+                          className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {Object.entries(SPLIT_TYPE_LABELS).map(
+                            ([splitType, label]) => (
+                              <option key={splitType} value={splitType}>
+                                {label}
+                              </option>
+                            ),
+                          )}
+                        </select>
+                      </div>
+                      <div className="flex flex-wrap gap-4 text-gray-700">
+                        {selectedGroup.members.map((member) =>
+                          expenseForm.splitType === "equal" ? (
+                            <label
+                              key={member.id}
+                              className="flex items-center gap-1"
+                            >
+                              <input
+                                type="checkbox"
+                                checked={
+                                  expenseForm.splits[member.id] !== false
+                                }
+                                onChange={(e) =>
+                                  setExpenseForm({
+                                    ...expenseForm,
+                                    splits: {
+                                      ...expenseForm.splits,
+                                      [member.id]: e.target.checked,
+                                    },
+                                  })
+                                }
+                              />
+                              {member.name}
+                            </label>
+                          ) : (
+                            <label
+                              key={member.id}
+                              className="flex items-center gap-1"
+                            >
+                              {member.name}
+                              <input
+                                type="number"
+                                step={
+                                  expenseForm.splitType === "shares" ? 1 : 0.01
+                                }
+                                min="0"
+                                placeholder={
+                                  expenseForm.splitType === "shares"
+                                    ? "Shares"
+                                    : "Amount"
+                                }
+                                value={expenseForm.splits[member.id] || ""}
+                                onChange={(e) =>
+                                  setExpenseForm({
+                                    ...expenseForm,
+                                    splits: {
+                                      ...expenseForm.splits,
+                                      [member.id]: e.target.value,
+                                    },
+                                  })
+                                }
+                                className="w-24 p-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                            </label>
+                          ),
+                        )}
+                      </div>
+                      <button
+                        type="submit"
+                        className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                      >
+                        Add expense
+                      </button>
+                    </form>
+
+                    <form
+                      onSubmit={handleAddGroupMember}
+                      className="flex gap-2"
+                    >
                       <input
-                        type="password"
-                        placeholder="Password"
-                        className={`w-full p-3 rounded-lg border ${
-                          errors.password ? "border-red-500" : "border-gray-200"
-                        } focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow`}
-                        value={registerData.password}
-                        onChange={(e) =>
-                          setRegisterData({
-                            ...registerData,
-                            password: e.target.value,
-                          })
-                        }
+                        type="email"
+                        placeholder="Invite someone by email"
+                        value={groupMemberEmail}
+                        onChange={(e) => setGroupMemberEmail(e.target.value)}
+                        className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
                       />
-                      {errors.password && (
-                        <p className="text-red-500 text-sm mt-1">
-                          {errors.password}
-                        </p>
-                      )}
+                      <button
+                        type="submit"
+                        className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        Invite
+                      </button>
+                    </form>
+
+                    <div className="divide-y divide-gray-100">
+                      {selectedGroup.expenses.map((expense) => (
+                        <div
+                          key={expense.id}
+                          className="py-2 flex justify-between items-center"
+                        >
+                          <div
+                            className={expense.voidedAt ? "line-through" : ""}
+                          >
+                            <span className="font-medium">
+                              {expense.description}
+                            </span>
+                            <span className="ml-2 text-gray-500">
+                              {new Date(expense.date).toLocaleDateString()}
+                            </span>
+                            <p className="text-gray-500">
+                              {expense.settlement
+                                ? `${expense.paidBy.name} paid ${expense.splits[0].name} $${expense.amount}`
+                                : `${expense.paidBy.name} paid $${expense.amount} · ${expense.splits
+                                    .map(
+                                      (split) =>
+                                        `${split.name} $${split.amount}`,
+                                    )
+                                    .join(", ")}`}
+                            </p>
+                          </div>
+                          {!expense.settlement && (
+                            <button
+                              onClick={() => handleDeleteExpense(expense.id)}
+                              className="px-3 py-1 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                      ))}
                     </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <CalendarClock className="h-5 w-5" />
+              Scheduled
+            </div>
+          </div>
+
+          {errors.schedules && (
+            <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+              {errors.schedules}
+            </div>
+          )}
+
+          <form
+            onSubmit={handleCreateSchedule}
+            className="p-4 grid gap-3 md:grid-cols-4 border-b border-gray-100"
+          >
+            <select
+              value={scheduleForm.type}
+              onChange={(e) =>
+                setScheduleForm({ ...scheduleForm, type: e.target.value })
+              }
+              className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(SCHEDULE_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="0.01"
+              placeholder="Amount"
+              value={scheduleForm.amount}
+              onChange={(e) =>
+                setScheduleForm({ ...scheduleForm, amount: e.target.value })
+              }
+              className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            {scheduleForm.type === "transfer" && (
+              <>
+                <RecipientPicker
+                  placeholder="Recipient: @handle, name or email"
+                  value={scheduleForm.recipient}
+                  onChange={(recipient) =>
+                    setScheduleForm({ ...scheduleForm, recipient })
+                  }
+                  contacts={contacts}
+                  onToggleFavorite={handleToggleFavorite}
+                  className="w-full p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+                <input
+                  type="text"
+                  placeholder="What's it for?"
+                  value={scheduleForm.note}
+                  onChange={(e) =>
+                    setScheduleForm({ ...scheduleForm, note: e.target.value })
+                  }
+                  className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+              </>
+            )}
+            {scheduleForm.type !== "transfer" && (
+              <select
+                value={scheduleForm.bankAccountId}
+                onChange={(e) =>
+                  setScheduleForm({
+                    ...scheduleForm,
+                    bankAccountId: e.target.value,
+                  })
+                }
+                className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Bank account</option>
+                {bankAccounts
+                  .filter((a) => a.status === "verified")
+                  .map((a) => (
+                    <option key={a.id} value={a.id}>
+                      {a.holderName} ••••{a.last4}
+                    </option>
+                  ))}
+              </select>
+            )}
+            <select
+              value={scheduleForm.frequency}
+              onChange={(e) =>
+                setScheduleForm({ ...scheduleForm, frequency: e.target.value })
+              }
+              className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(SCHEDULE_FREQUENCY_LABELS).map(
+                ([frequency, label]) => (
+                  <option key={frequency} value={frequency}>
+                    {label}
+                  </option>
+                ),
+              )}
+            </select>
+            <label className="text-sm text-gray-500">
+              Starting
+              <input
+                type="datetime-local"
+                value={scheduleForm.startAt}
+                onChange={(e) =>
+                  setScheduleForm({ ...scheduleForm, startAt: e.target.value })
+                }
+                className="w-full p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+              />
+            </label>
+            {scheduleForm.frequency !== "once" && (
+              <label className="text-sm text-gray-500">
+                Until (optional)
+                <input
+                  type="date"
+                  value={scheduleForm.endAt}
+                  onChange={(e) =>
+                    setScheduleForm({ ...scheduleForm, endAt: e.target.value })
+                  }
+                  className="w-full p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+              </label>
+            )}
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors self-end"
+            >
+              Schedule
+            </button>
+          </form>
+
+          <div className="divide-y divide-gray-100">
+            {schedules.map((schedule) => (
+              <div
+                key={schedule.id}
+                className="p-4 flex justify-between items-center"
+              >
+                <div>
+                  <span className="font-medium">
+                    {SCHEDULE_TYPE_LABELS[schedule.type]} of ${schedule.amount}
+                    {schedule.recipient && ` to ${schedule.recipient.name}`}
+                    {schedule.bankAccountId &&
+                      bankAccounts.some(
+                        (a) => a.id === schedule.bankAccountId,
+                      ) &&
+                      ` ${schedule.type === "deposit" ? "from" : "to"} ••••${
+                        bankAccounts.find(
+                          (a) => a.id === schedule.bankAccountId,
+                        ).last4
+                      }`}
+                  </span>
+                  <span className="text-sm text-gray-500 ml-2">
+                    {SCHEDULE_FREQUENCY_LABELS[schedule.frequency]}
+                    {schedule.endAt &&
+                      ` until ${new Date(schedule.endAt).toLocaleDateString()}`}
+                  </span>
+                  {schedule.note && (
+                    <p className="text-sm text-gray-600">{schedule.note}</p>
+                  )}
+                  <p className="text-sm text-gray-500">
+                    {schedule.status === "active" &&
+                      `Next ${new Date(schedule.nextRunAt).toLocaleString()}`}
+                    {schedule.status === "paused" && "Paused"}
+                    {schedule.status === "completed" && "Finished"}
+                    {schedule.lastRun &&
+                      ` · last run ${new Date(schedule.lastRun.at).toLocaleString()}: ${schedule.lastRun.status}`}
+                  </p>
+                  {schedule.lastRun && schedule.lastRun.error && (
+                    <p className="text-sm text-red-600">
+                      {schedule.lastRun.error}
+                    </p>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  {schedule.status !== "completed" && (
                     <button
-                      type="submit"
-                      disabled={loading}
-                      className="w-full bg-gradient-to-r from-blue-500 to-blue-600 text-white py-3 rounded-lg font-medium hover:from-blue-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all disabled:opacity-50"
+                      onClick={() =>
+                        handleScheduleAction(
+                          schedule.id,
+                          schedule.status === "paused" ? "resume" : "pause",
+                        )
+                      }
+                      className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
                     >
-                      {loading ? "Creating Account..." : "Create Account"}
+                      {schedule.status === "paused" ? "Resume" : "Pause"}
                     </button>
-                  </form>
-                </>
-              )}
+                  )}
+                  <button
+                    onClick={() => handleScheduleAction(schedule.id, "delete")}
+                    className="px-3 py-1 border border-red-500 text-red-600 text-sm rounded-lg hover:bg-red-50 transition-colors"
+                  >
+                    {schedule.status === "completed" ? "Remove" : "Cancel"}
+                  </button>
+                </div>
+              </div>
+            ))}
+            {schedules.length === 0 && (
+              <p className="p-4 text-sm text-gray-500">Nothing scheduled yet</p>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex justify-between items-center">
+              <div className="flex items-center gap-4 text-lg font-semibold">
+                <button
+                  onClick={() => setHistoryView("history")}
+                  className={`flex items-center gap-2 ${
+                    historyView === "history"
+                      ? "text-gray-900"
+                      : "text-gray-400 hover:text-gray-600"
+                  }`}
+                >
+                  <History className="h-5 w-5" />
+                  Transaction History
+                </button>
+                <button
+                  onClick={handleShowFeed}
+                  className={`flex items-center gap-2 ${
+                    historyView === "feed"
+                      ? "text-gray-900"
+                      : "text-gray-400 hover:text-gray-600"
+                  }`}
+                >
+                  <Users className="h-5 w-5" />
+                  Feed
+                </button>
+              </div>
+              <div
+                className={`flex gap-2 ${historyView === "history" ? "" : "hidden"}`}
+              >
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  aria-label="Export format"
+                  className="p-2 text-sm rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                >
+                  <option value="csv">CSV</option>
+                  <option value="ofx">OFX</option>
+                  <option value="qif">QIF</option>
+                </select>
+                <button
+                  onClick={handleExport}
+                  disabled={exportLoading}
+                  className="flex items-center gap-2 px-3 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  <Download className="h-4 w-4" />
+                  {exportLoading ? "Exporting..." : "Export"}
+                </button>
+              </div>
             </div>
           </div>
+
+          {historyView === "history" && (
+            <>
+              <form
+                onSubmit={handleApplyFilters}
+                className="p-4 grid gap-3 md:grid-cols-4 border-b border-gray-100"
+              >
+                <input
+                  type="text"
+                  placeholder="Search notes and people"
+                  value={historyFilters.q}
+                  onChange={(e) =>
+                    setHistoryFilters({ ...historyFilters, q: e.target.value })
+                  }
+                  className="md:col-span-2 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+                <select
+                  value={historyFilters.type}
+                  onChange={(e) =>
+                    setHistoryFilters({
+                      ...historyFilters,
+                      type: e.target.value,
+                    })
+                  }
+                  className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                >
+                  <option value="">All types</option>
+                  <option value="deposit">Deposits</option>
+                  <option value="withdraw">Withdrawals</option>
+                  <option value="transfer_out">Sent</option>
+                  <option value="transfer_in">Received</option>
+                  <option value="adjustment_in,adjustment_out">
+                    Adjustments
+                  </option>
+                  <option value="refund_in,refund_out,chargeback_in,chargeback_out">
+                    Refunds and disputes
+                  </option>
+                </select>
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    disabled={historyLoading}
+                    className="flex-1 flex items-center justify-center gap-2 px-3 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50"
+                  >
+                    <Filter className="h-4 w-4" />
+                    Filter
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleClearFilters}
+                    className="px-3 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Clear
+                  </button>
+                </div>
+                <input
+                  type="date"
+                  aria-label="From date"
+                  value={historyFilters.from}
+                  onChange={(e) =>
+                    setHistoryFilters({
+                      ...historyFilters,
+                      from: e.target.value,
+                    })
+                  }
+                  className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+                <input
+                  type="date"
+                  aria-label="To date"
+                  value={historyFilters.to}
+                  onChange={(e) =>
+                    setHistoryFilters({ ...historyFilters, to: e.target.value })
+                  }
+                  className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  placeholder="Min amount"
+                  value={historyFilters.minAmount}
+                  onChange={(e) =>
+                    setHistoryFilters({
+                      ...historyFilters,
+                      minAmount: e.target.value,
+                    })
+                  }
+                  className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  placeholder="Max amount"
+                  value={historyFilters.maxAmount}
+                  onChange={(e) =>
+                    setHistoryFilters({
+                      ...historyFilters,
+                      maxAmount: e.target.value,
+                    })
+                  }
+                  className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+              </form>
+
+              {errors.transactions && (
+                <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+                  {errors.transactions}
+                </div>
+              )}
+
+              <div className="divide-y divide-gray-100">
+                {transactions.map((transaction) => (
+                  <div
+                    key={transaction.id}
+                    className="p-4 hover:bg-gray-50 transition-colors"
+                  >
+                    <div className="flex justify-between items-center">
+                      <div>
+                        <span className="font-medium capitalize">
+                          {describeTransaction(transaction)}
+                        </span>
+                        <span className="text-sm text-gray-500 ml-2">
+                          {new Date(transaction.date).toLocaleString()}
+                        </span>
+                        {TRANSACTION_STATUS_LABELS[transaction.status] && (
+                          <span className="text-xs text-yellow-700 bg-yellow-50 rounded px-2 py-0.5 ml-2">
+                            {TRANSACTION_STATUS_LABELS[transaction.status]}
+                          </span>
+                        )}
+                        {transaction.note && (
+                          <p className="text-sm text-gray-600">
+                            {transaction.note}
+                          </p>
+                        )}
+                        {transaction.status === "held" && (
+                          <p className="text-sm text-yellow-700">
+                            {transaction.hold.message}
+                          </p>
+                        )}
+                        {transaction.refundedAmount && (
+                          <p className="text-sm text-gray-500">
+                            ${transaction.refundedAmount} of $
+                            {transaction.amount} refunded
+                          </p>
+                        )}
+                        {transaction.dispute && (
+                          <p className="text-sm text-gray-500">
+                            <span className="text-xs text-yellow-700 bg-yellow-50 rounded px-2 py-0.5 mr-1">
+                              {
+                                DISPUTE_STATUS_LABELS[
+                                  transaction.dispute.status
+                                ]
+                              }
+                            </span>
+                            {transaction.dispute.resolution ||
+                              transaction.dispute.reason}
+                          </p>
+                        )}
+                        {transaction.status === "completed" &&
+                          unrefundedCents(transaction) > 0 &&
+                          (transaction.type === "transfer_in"
+                            ? transaction.dispute?.status !== "reversed"
+                            : transaction.type === "transfer_out" &&
+                              !transaction.dispute) && (
+                            <button
+                              onClick={() =>
+                                setTransactionAction({
+                                  id: transaction.id,
+                                  action:
+                                    transaction.type === "transfer_in"
+                                      ? "refund"
+                                      : "dispute",
+                                  amount: "",
+                                  reason: "",
+                                })
+                              }
+                              className="text-sm text-blue-500 hover:text-blue-600"
+                            >
+                              {transaction.type === "transfer_in"
+                                ? "Refund"
+                                : "Report a problem"}
+                            </button>
+                          )}
+                      </div>
+                      <span
+                        className={`font-medium ${
+                          CREDIT_TYPES.includes(transaction.type)
+                            ? "text-green-600"
+                            : "text-red-600"
+                        }`}
+                      >
+                        {CREDIT_TYPES.includes(transaction.type) ? "+" : "-"}$
+                        {transaction.amount}
+                      </span>
+                    </div>
+
+                    {transactionAction &&
+                      transactionAction.id === transaction.id && (
+                        <form
+                          onSubmit={handleTransactionAction}
+                          className="mt-2 flex flex-col md:flex-row gap-2"
+                        >
+                          {transactionAction.action === "refund" && (
+                            <input
+                              type="text"
+                              inputMode="decimal"
+                              placeholder={`Amount (up to ${(unrefundedCents(transaction) / 100).toFixed(2)})`}
+                              value={transactionAction.amount}
+                              onChange={(e) =>
+                                setTransactionAction({
+                                  ...transactionAction,
+                                  amount: e.target.value,
+                                })
+                              }
+                              className="p-2 text-sm rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                            />
+                          )}
+                          <input
+                            type="text"
+                            placeholder={
+                              transactionAction.action === "refund"
+                                ? "Reason (optional)"
+                                : "What went wrong?"
+                            }
+                            value={transactionAction.reason}
+                            onChange={(e) =>
+                              setTransactionAction({
+                                ...transactionAction,
+                                reason: e.target.value,
+                              })
+                            }
+                            className="flex-1 p-2 text-sm rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                          />
+                          <button
+                            type="submit"
+                            className="px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                          >
+                            {transactionAction.action === "refund"
+                              ? "Send refund"
+                              : "Open dispute"}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setTransactionAction(null)}
+                            className="px-3 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                        </form>
+                      )}
+                  </div>
+                ))}
+
+                {transactions.length === 0 && !historyLoading && (
+                  <div className="p-8 text-center text-gray-500">
+                    No transactions yet
+                  </div>
+                )}
+
+                {historyLoading && (
+                  <div className="p-4 text-center text-sm text-gray-500">
+                    Loading...
+                  </div>
+                )}
+              </div>
+              <div ref={historyEndRef} />
+            </>
+          )}
+
+          {historyView === "feed" && (
+            <>
+              {errors.feed && (
+                <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+                  {errors.feed}
+                </div>
+              )}
+
+              <div className="divide-y divide-gray-100">
+                {feedStories.map((story) => {
+                  const VisibilityIcon =
+                    FEED_VISIBILITY_ICONS[story.visibility];
+                  return (
+                    <div key={story.id} className="p-4">
+                      <div className="flex justify-between items-start">
+                        <div>
+                          <span className="font-medium">
+                            {story.from.name} paid {story.to.name}
+                          </span>
+                          <span className="text-sm text-gray-500 ml-2">
+                            {new Date(story.date).toLocaleString()}
+                          </span>
+                          <VisibilityIcon
+                            className="inline h-3 w-3 ml-2 text-gray-400"
+                            aria-label={
+                              FEED_VISIBILITY_LABELS[story.visibility]
+                            }
+                          />
+                          {story.note && (
+                            <p className="text-gray-700">{story.note}</p>
+                          )}
+                        </div>
+                        {story.amount && (
+                          <span className="font-medium text-gray-700">
+                            ${story.amount}
+                          </span>
+                        )}
+                      </div>
+                      <div className="mt-2 flex gap-4 text-sm text-gray-500">
+                        <button
+                          onClick={() => handleToggleLike(story)}
+                          className={`flex items-center gap-1 ${
+                            story.liked ? "text-red-500" : "hover:text-red-500"
+                          }`}
+                        >
+                          <Heart
+                            className={`h-4 w-4 ${story.liked ? "fill-red-500" : ""}`}
+                          />
+                          {story.likeCount}
+                        </button>
+                        <button
+                          onClick={() => handleOpenStory(story.id)}
+                          className="flex items-center gap-1 hover:text-blue-500"
+                        >
+                          <MessageCircle className="h-4 w-4" />
+                          {story.commentCount}
+                        </button>
+                      </div>
+
+                      {openStory && openStory.id === story.id && (
+                        <div className="mt-3 pl-4 border-l-2 border-gray-100 space-y-2 text-sm">
+                          {openStory.comments.map((comment) => (
+                            <div
+                              key={comment.id}
+                              className="flex justify-between items-start"
+                            >
+                              <p>
+                                <span className="font-medium">
+                                  {comment.user.name}
+                                </span>{" "}
+                                {comment.text}
+                              </p>
+                              <button
+                                onClick={() => handleDeleteComment(comment.id)}
+                                className="text-xs text-gray-400 hover:text-red-500"
+                              >
+                                Remove
+                              </button>
+                            </div>
+                          ))}
+                          <form
+                            onSubmit={handleAddComment}
+                            className="flex gap-2"
+                          >
+                            <input
+                              type="text"
+                              placeholder="Add a comment"
+                              value={commentText}
+                              onChange={(e) => setCommentText(e.target.value)}
+                              className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                            />
+                            <button
+                              type="submit"
+                              className="px-3 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                            >
+                              Post
+                            </button>
+                          </form>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+
+                {feedStories.length === 0 && !feedLoading && (
+                  <div className="p-8 text-center text-gray-500">
+                    Nothing in your feed yet. Payments you make, and payments by
+                    people you have paid or been paid by, show up here.
+                  </div>
+                )}
+
+                {feedLoading && (
+                  <div className="p-4 text-center text-sm text-gray-500">
+                    Loading...
+                  </div>
+                )}
+              </div>
+
+              {feedCursor && !feedLoading && (
+                <div className="p-4 text-center">
+                  <button
+                    onClick={() => fetchFeed(feedCursor)}
+                    className="px-4 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Load more
+                  </button>
+                </div>
+              )}
+            </>
+          )}
         </div>
-      </div>
-    );
-  }
 
-  return (
-    <div className="min-h-screen bg-gray-50">
-      <div className="bg-gradient-to-r from-blue-500 to-purple-600 text-white">
-        <div className="max-w-6xl mx-auto px-4 py-6">
-          <div className="flex justify-between items-center">
-            <h1 className="text-2xl font-bold">Nevmo</h1>
-            <button
-              onClick={handleLogout}
-              className="flex items-center gap-2 py-2 px-4 rounded-lg hover:bg-white/10 transition-colors"
-            >
-              <LogOut className="h-4 w-4" />
-              Logout
-            </button>
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex justify-between items-center">
+              <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+                <Monitor className="h-5 w-5" />
+                Sessions &amp; devices
+              </div>
+              <button
+                onClick={() => handleLogout(true)}
+                className="px-3 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Sign out everywhere
+              </button>
+            </div>
           </div>
-        </div>
-      </div>
 
-      <div className="max-w-6xl mx-auto px-4 py-8 space-y-6">
-        <div className="grid gap-6 md:grid-cols-2">
-          <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
-            <div className="mb-4">
-              <p className="text-sm text-gray-500 mb-1">Welcome back</p>
-              <h2 className="text-xl font-semibold text-gray-900">
-                {user.name}
-              </h2>
+          {errors.sessions && (
+            <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+              {errors.sessions}
             </div>
-            <div className="flex items-center gap-3 text-3xl font-bold text-gray-900">
-              <DollarSign className="h-8 w-8 text-blue-500" />$
-              {balance.toFixed(2)}
+          )}
+
+          <div className="divide-y divide-gray-100">
+            {sessions.map((session) => (
+              <div
+                key={session.id}
+                className="p-4 flex justify-between items-center"
+              >
+                <div>
+                  <span className="font-medium">
+                    {session.userAgent || "Unknown device"}
+                  </span>
+                  <p className="text-sm text-gray-500">
+                    {session.ip} · signed in{" "}
+                    {new Date(session.createdAt).toLocaleString()} · last active{" "}
+                    {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+                {session.current ? (
+                  <span className="text-sm text-green-600">This device</span>
+                ) : (
+                  <button
+                    onClick={() => handleRevokeSession(session.id)}
+                    className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Sign out
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <ShieldCheck className="h-5 w-5" />
+              Two-factor login
             </div>
           </div>
 
-          <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">
-              Quick Actions
-            </h3>
+          {errors.security && (
+            <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+              {errors.security}
+            </div>
+          )}
 
-            {errors.transaction && (
-              <div className="mb-4 p-3 bg-red-50 border-l-4 border-red-500 text-red-700 text-sm rounded">
-                {errors.transaction}
+          <div className="p-6 space-y-4">
+            {recoveryCodes && (
+              <div className="p-4 bg-yellow-50 rounded-lg">
+                <p className="text-sm text-yellow-800 mb-2">
+                  Save these recovery codes somewhere safe. Each one signs you
+                  in once if you lose your authenticator, and they will not be
+                  shown again.
+                </p>
+                <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+                  {recoveryCodes.map((code) => (
+                    <span key={code}>{code}</span>
+                  ))}
+                </div>
+                <button
+                  onClick={() => setRecoveryCodes(null)}
+                  className="mt-3 px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-white transition-colors"
+                >
+                  Done
+                </button>
               </div>
             )}
 
-            <div className="flex gap-4">
-              <div className="flex-1">
+            {user.twoFactorEnabled ? (
+              <form
+                onSubmit={handleDisableTwoFactor}
+                className="flex flex-col md:flex-row gap-3"
+              >
+                <p className="flex-1 text-sm text-gray-600">
+                  Two-factor login is on. Turning it off needs your password and
+                  a code.
+                </p>
                 <input
-                  type="number"
-                  placeholder="Amount"
-                  value={amount}
-                  onChange={(e) => setAmount(e.target.value)}
-                  className="w-full p-3 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                  type="password"
+                  placeholder="Password"
+                  value={disablePassword}
+                  onChange={(e) => setDisablePassword(e.target.value)}
+                  className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
                 />
-              </div>
-              <button
-                onClick={() => handleTransaction("deposit")}
-                disabled={transactionLoading}
-                className="flex items-center gap-2 px-4 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50"
-              >
-                <ArrowDownCircle className="h-4 w-4" />
-                <span className="hidden md:inline">Deposit</span>
-              </button>
-              <button
-                onClick={() => handleTransaction("withdraw")}
-                disabled={transactionLoading}
-                className="flex items-center gap-2 px-4 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50"
+                <input
+                  type="text"
+                  placeholder="Code"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+                <button
+                  type="submit"
+                  className="px-3 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Turn off
+                </button>
+              </form>
+            ) : twoFactorSetup ? (
+              <form
+                onSubmit={handleEnableTwoFactor}
+                className="flex flex-col md:flex-row md:items-center gap-4"
               >
-                <ArrowUpCircle className="h-4 w-4" />
-                <span className="hidden md:inline">Withdraw</span>
-              </button>
-            </div>
+                <img
+                  src={twoFactorSetup.qrCode}
+                  alt="Authenticator QR code"
+                  className="h-40 w-40"
+                />
+                <div className="flex-1 space-y-3">
+                  <p className="text-sm text-gray-600">
+                    Scan the code with your authenticator app, or enter this key
+                    by hand:{" "}
+                    <span className="font-mono break-all">
+                      {twoFactorSetup.secret}
+                    </span>
+                  </p>
+                  <div className="flex gap-3">
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      placeholder="6-digit code"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                    />
+                    <button
+                      type="submit"
+                      className="px-4 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                    >
+                      Turn on
+                    </button>
+                  </div>
+                </div>
+              </form>
+            ) : (
+              <div className="flex justify-between items-center">
+                <p className="text-sm text-gray-600">
+                  Protect your account with a code from an authenticator app.
+                </p>
+                <button
+                  onClick={handleStartTwoFactorSetup}
+                  className="px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                >
+                  Set up
+                </button>
+              </div>
+            )}
           </div>
         </div>
 
         <div className="bg-white rounded-xl shadow-sm border border-gray-100">
           <div className="p-6 border-b border-gray-100">
             <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
-              <History className="h-5 w-5" />
-              Transaction History
+              <FileText className="h-5 w-5" />
+              Statements
             </div>
           </div>
 
-          {errors.transactions && (
+          {errors.statements && (
             <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
-              {errors.transactions}
+              {errors.statements}
             </div>
           )}
 
           <div className="divide-y divide-gray-100">
-            {transactions.map((transaction) => (
-              <div
-                key={transaction.id}
-                className="p-4 hover:bg-gray-50 transition-colors"
-              >
+            {statements.map((statement) => (
+              <div key={statement.period} className="p-4">
                 <div className="flex justify-between items-center">
                   <div>
-                    <span className="font-medium capitalize">
-                      {transaction.type}
-                    </span>
-                    <span className="text-sm text-gray-500 ml-2">
-                      {new Date(transaction.date).toLocaleString()}
+                    <span className="font-medium">
+                      {new Date(
+                        `${statement.period}-01T00:00:00Z`,
+                      ).toLocaleDateString(undefined, {
+                        month: "long",
+                        year: "numeric",
+                        timeZone: "UTC",
+                      })}
                     </span>
+                    {!statement.final && (
+                      <span className="text-sm text-gray-500 ml-2">
+                        In progress
+                      </span>
+                    )}
                   </div>
-                  <span
-                    className={`font-medium ${
-                      transaction.type === "deposit"
-                        ? "text-green-600"
-                        : "text-red-600"
-                    }`}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleViewStatement(statement.period)}
+                      className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      {selectedStatement?.period === statement.period
+                        ? "Hide"
+                        : "View"}
+                    </button>
+                    <button
+                      onClick={() => handleDownloadStatement(statement.period)}
+                      className="flex items-center gap-1 px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      <Download className="h-4 w-4" />
+                      PDF
+                    </button>
+                  </div>
+                </div>
+
+                {selectedStatement?.period === statement.period && (
+                  <div className="mt-4 space-y-2 text-sm">
+                    <div className="flex justify-between">
+                      <span className="text-gray-500">Opening balance</span>
+                      <span>${selectedStatement.openingBalance}</span>
+                    </div>
+                    {selectedStatement.transactions.map((t) => (
+                      <div key={t.id} className="flex justify-between">
+                        <span>
+                          {new Date(t.date).toLocaleDateString()}{" "}
+                          {t.description}
+                        </span>
+                        <span>{t.amount}</span>
+                      </div>
+                    ))}
+                    {Object.entries(selectedStatement.totals).map(
+                      ([type, total]) => (
+                        <div
+                          key={type}
+                          className="flex justify-between text-gray-500"
+                        >
+                          <span className="capitalize">
+                            Total {type.replace("_", " ")}
+                          </span>
+                          <span>${total}</span>
+                        </div>
+                      ),
+                    )}
+                    <div className="flex justify-between font-medium">
+                      <span>Closing balance</span>
+                      <span>${selectedStatement.closingBalance}</span>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <Store className="h-5 w-5" />
+              Merchants
+            </div>
+            <p className="text-sm text-gray-500">
+              Take payments on your own site with checkout sessions. Payments go
+              to your balance; add a webhook for checkout.session.updated to
+              hear about them.
+            </p>
+          </div>
+
+          {errors.merchants && (
+            <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+              {errors.merchants}
+            </div>
+          )}
+
+          <form
+            onSubmit={handleCreateMerchant}
+            className="p-4 flex gap-2 border-b border-gray-100"
+          >
+            <input
+              type="text"
+              placeholder="Business name"
+              value={merchantForm.name}
+              onChange={(e) =>
+                setMerchantForm({ ...merchantForm, name: e.target.value })
+              }
+              className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <input
+              type="url"
+              placeholder="Website (optional)"
+              value={merchantForm.website}
+              onChange={(e) =>
+                setMerchantForm({ ...merchantForm, website: e.target.value })
+              }
+              className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+            >
+              Add merchant
+            </button>
+          </form>
+
+          <div className="divide-y divide-gray-100">
+            {merchants.map((merchant) => {
+              const form = apiKeyForms[merchant.id] || {
+                name: "",
+                access: "write",
+              };
+              return (
+                <div key={merchant.id} className="p-4 space-y-3">
+                  <div>
+                    <span className="font-medium">{merchant.name}</span>
+                    {merchant.website && (
+                      <span className="ml-2 text-sm text-gray-500">
+                        {merchant.website}
+                      </span>
+                    )}
+                  </div>
+
+                  {issuedApiKey && issuedApiKey.merchantId === merchant.id && (
+                    <div className="p-4 bg-yellow-50 border-l-4 border-yellow-500 text-yellow-800 text-sm rounded">
+                      Secret key, shown only this once:{" "}
+                      <code className="font-mono break-all">
+                        {issuedApiKey.key}
+                      </code>
+                      <button
+                        onClick={() => setIssuedApiKey(null)}
+                        className="ml-2 underline"
+                      >
+                        Done
+                      </button>
+                    </div>
+                  )}
+
+                  <div className="divide-y divide-gray-100 text-sm">
+                    {merchant.apiKeys.map((apiKey) => (
+                      <div
+                        key={apiKey.id}
+                        className="py-2 flex justify-between items-center"
+                      >
+                        <div>
+                          <span className="font-medium">{apiKey.name}</span>
+                          <span className="ml-2 font-mono text-gray-500">
+                            …{apiKey.last4}
+                          </span>
+                          <p className="text-gray-500">
+                            {apiKey.scopes.join(", ")}
+                            {apiKey.lastUsedAt
+                              ? ` · last used ${new Date(apiKey.lastUsedAt).toLocaleString()}`
+                              : " · never used"}
+                            {apiKey.expiresAt &&
+                              ` · rotated, stops working ${new Date(apiKey.expiresAt).toLocaleString()}`}
+                          </p>
+                        </div>
+                        <div className="flex gap-2">
+                          {!apiKey.expiresAt && (
+                            <button
+                              onClick={() =>
+                                handleRotateApiKey(merchant.id, apiKey.id)
+                              }
+                              className="px-3 py-1 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                            >
+                              Rotate
+                            </button>
+                          )}
+                          <button
+                            onClick={() =>
+                              handleRevokeApiKey(merchant.id, apiKey.id)
+                            }
+                            className="px-3 py-1 border border-red-500 text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+                          >
+                            Revoke
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <form
+                    onSubmit={(e) => handleCreateApiKey(e, merchant.id)}
+                    className="flex gap-2"
                   >
-                    {transaction.type === "deposit" ? "+" : "-"}$
-                    {transaction.amount.toFixed(2)}
-                  </span>
+                    <input
+                      type="text"
+                      placeholder="Key name, e.g. Production"
+                      value={form.name}
+                      onChange={(e) =>
+                        setApiKeyForms({
+                          ...apiKeyForms,
+                          [merchant.id]: { ...form, name: e.target.value },
+                        })
+                      }
+                      className="flex-1 p-2 text-sm rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                    />
+                    <select
+                      value={form.access}
+                      onChange={(e) =>
+                        setApiKeyForms({
+                          ...apiKeyForms,
+                          [merchant.id]: { ...form, access: e.target.value },
+                        })
+                      }
+                      className="p-2 text-sm rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                    >
+                      {Object.entries(API_KEY_ACCESS).map(([value, access]) => (
+                        <option key={value} value={value}>
+                          {access.label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="submit"
+                      className="px-3 py-2 text-sm border border-blue-500 text-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+                    >
+                      New API key
+                    </button>
+                  </form>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="p-6 border-b border-gray-100">
+            <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <Webhook className="h-5 w-5" />
+              Webhooks
+            </div>
+          </div>
+
+          {errors.webhooks && (
+            <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+              {errors.webhooks}
+            </div>
+          )}
+
+          <form
+            onSubmit={handleCreateWebhook}
+            className="p-4 space-y-3 border-b border-gray-100"
+          >
+            <div className="flex gap-2">
+              <input
+                type="url"
+                placeholder="https://example.com/webhooks/nevmo"
+                value={webhookForm.url}
+                onChange={(e) =>
+                  setWebhookForm({ ...webhookForm, url: e.target.value })
+                }
+                className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+              />
+              <input
+                type="text"
+                placeholder="Description (optional)"
+                value={webhookForm.description}
+                onChange={(e) =>
+                  setWebhookForm({
+                    ...webhookForm,
+                    description: e.target.value,
+                  })
+                }
+                className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+              />
+            </div>
+            <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+              {WEBHOOK_EVENTS.map((event) => (
+                <label key={event} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={webhookForm.events.includes(event)}
+                    onChange={() => handleToggleWebhookEvent(event)}
+                  />
+                  {event}
+                </label>
+              ))}
+              {user.role === "admin" && (
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={webhookForm.allUsers}
+                    onChange={(e) =>
+                      setWebhookForm({
+                        ...webhookForm,
+                        allUsers: e.target.checked,
+                      })
+                    }
+                  />
+                  Every account
+                </label>
+              )}
+            </div>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+            >
+              Add webhook
+            </button>
+          </form>
+
+          {webhookSecret && (
+            <div className="p-4 bg-yellow-50 border-l-4 border-yellow-500 m-4 text-yellow-800 text-sm rounded">
+              Signing secret, shown only this once:{" "}
+              <code className="font-mono">{webhookSecret.secret}</code>
+              <button
+                onClick={() => setWebhookSecret(null)}
+                className="ml-2 underline"
+              >
+                Done
+              </button>
+            </div>
+          )}
+
+          <div className="divide-y divide-gray-100">
+            {webhooks.map((webhook) => (
+              <div key={webhook.id} className="p-4">
+                <div className="flex justify-between items-center">
+                  <div>
+                    <span className="font-medium">{webhook.url}</span>
+                    <p className="text-sm text-gray-500">
+                      {webhook.description && `${webhook.description} · `}
+                      {webhook.events.join(", ")}
+                      {webhook.allUsers && " · every account"}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleSendWebhook(webhook.id)}
+                      className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      Send test
+                    </button>
+                    <button
+                      onClick={() =>
+                        webhookDeliveries && webhookDeliveries.id === webhook.id
+                          ? setWebhookDeliveries(null)
+                          : fetchWebhookDeliveries(webhook.id)
+                      }
+                      className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      Deliveries
+                    </button>
+                    <button
+                      onClick={() => handleDeleteWebhook(webhook.id)}
+                      className="px-3 py-1 border border-red-500 text-red-600 text-sm rounded-lg hover:bg-red-50 transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </div>
                 </div>
+
+                {webhookDeliveries && webhookDeliveries.id === webhook.id && (
+                  <div className="mt-3 divide-y divide-gray-100 text-sm">
+                    {webhookDeliveries.deliveries.map((delivery) => {
+                      const last =
+                        delivery.attemptLog[delivery.attemptLog.length - 1];
+                      return (
+                        <div
+                          key={delivery.id}
+                          className="py-2 flex justify-between items-center"
+                        >
+                          <div>
+                            <span className="font-medium">
+                              {delivery.event}
+                            </span>
+                            <span className="ml-2 text-gray-500">
+                              {new Date(delivery.createdAt).toLocaleString()}
+                            </span>
+                            <p className="text-gray-500">
+                              {delivery.status} after {delivery.attempts}{" "}
+                              {delivery.attempts === 1 ? "attempt" : "attempts"}
+                              {last && last.error && ` · ${last.error}`}
+                              {delivery.nextAttemptAt &&
+                                ` · next try ${new Date(delivery.nextAttemptAt).toLocaleString()}`}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() =>
+                              handleSendWebhook(webhook.id, delivery.id)
+                            }
+                            className="px-3 py-1 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                          >
+                            Redeliver
+                          </button>
+                        </div>
+                      );
+                    })}
+                    {webhookDeliveries.deliveries.length === 0 && (
+                      <p className="py-2 text-gray-500">No deliveries yet</p>
+                    )}
+                  </div>
+                )}
               </div>
             ))}
+          </div>
+        </div>
+
+        {user.role !== "user" && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+            <div className="p-6 border-b border-gray-100">
+              <div className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+                <UserCog className="h-5 w-5" />
+                Admin
+              </div>
+            </div>
 
-            {transactions.length === 0 && (
-              <div className="p-8 text-center text-gray-500">
-                No transactions yet
+            {errors.admin && (
+              <div className="p-4 bg-red-50 border-l-4 border-red-500 m-4 text-red-700 text-sm rounded">
+                {errors.admin}
               </div>
             )}
+
+            <div className="p-4 border-b border-gray-100">
+              <div className="flex justify-between items-center">
+                <h4 className="font-semibold text-gray-900">Held for review</h4>
+                <button
+                  onClick={fetchHeldTransactions}
+                  className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Refresh
+                </button>
+              </div>
+              {user.role === "admin" && heldTransactions.length > 0 && (
+                <input
+                  type="text"
+                  placeholder="Reason (needed to reject)"
+                  value={adminReason}
+                  onChange={(e) => setAdminReason(e.target.value)}
+                  className="mt-2 w-full p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+              )}
+              <div className="divide-y divide-gray-100 text-sm">
+                {heldTransactions.map((t) => (
+                  <div
+                    key={t.id}
+                    className="py-2 flex justify-between items-center"
+                  >
+                    <div>
+                      <span className="font-medium">
+                        {t.user.name} · {describeTransaction(t)} · ${t.amount}
+                      </span>
+                      <p className="text-gray-500">
+                        {new Date(t.date).toLocaleString()} · {t.hold.rule}:{" "}
+                        {t.hold.message}
+                      </p>
+                    </div>
+                    {user.role === "admin" && (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() =>
+                            handleReviewTransaction(t.id, "approve")
+                          }
+                          className="px-3 py-1 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() =>
+                            handleReviewTransaction(t.id, "reject")
+                          }
+                          className="px-3 py-1 border border-red-500 text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+                {heldTransactions.length === 0 && (
+                  <p className="py-2 text-gray-500">Nothing waiting</p>
+                )}
+              </div>
+            </div>
+
+            <div className="p-4 border-b border-gray-100">
+              <div className="flex justify-between items-center">
+                <h4 className="font-semibold text-gray-900">Disputes</h4>
+                <button
+                  onClick={fetchDisputes}
+                  className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Refresh
+                </button>
+              </div>
+              {user.role === "admin" && disputes.length > 0 && (
+                <input
+                  type="text"
+                  placeholder="Reason (needed to resolve)"
+                  value={adminReason}
+                  onChange={(e) => setAdminReason(e.target.value)}
+                  className="mt-2 w-full p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                />
+              )}
+              <div className="divide-y divide-gray-100 text-sm">
+                {disputes.map((t) => (
+                  <div
+                    key={t.id}
+                    className="py-2 flex justify-between items-center"
+                  >
+                    <div>
+                      <span className="font-medium">
+                        {t.user.name} · {describeTransaction(t)} · ${t.amount}
+                        {t.refundedAmount && ` ($${t.refundedAmount} refunded)`}
+                      </span>
+                      <p className="text-gray-500">
+                        Opened {new Date(t.dispute.openedAt).toLocaleString()} ·{" "}
+                        {t.dispute.reason}
+                      </p>
+                    </div>
+                    {user.role === "admin" && (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleResolveDispute(t.id, "reverse")}
+                          className="px-3 py-1 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors"
+                        >
+                          Reverse
+                        </button>
+                        <button
+                          onClick={() => handleResolveDispute(t.id, "reject")}
+                          className="px-3 py-1 border border-red-500 text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+                {disputes.length === 0 && (
+                  <p className="py-2 text-gray-500">Nothing waiting</p>
+                )}
+              </div>
+            </div>
+
+            <form
+              onSubmit={handleAdminSearch}
+              className="p-4 flex gap-2 border-b border-gray-100"
+            >
+              <input
+                type="text"
+                placeholder="Search by email or name"
+                value={adminQuery}
+                onChange={(e) => setAdminQuery(e.target.value)}
+                className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+              />
+              <button
+                type="submit"
+                className="px-4 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+              >
+                Search
+              </button>
+            </form>
+
+            <div className="grid md:grid-cols-3 divide-x divide-gray-100">
+              <div className="divide-y divide-gray-100">
+                {adminUsers.map((u) => (
+                  <button
+                    key={u.id}
+                    onClick={() => handleAdminSelect(u.id)}
+                    className={`w-full text-left p-4 hover:bg-gray-50 transition-colors ${
+                      adminSelected?.id === u.id ? "bg-gray-50" : ""
+                    }`}
+                  >
+                    <span className="font-medium">{u.name}</span>
+                    {u.frozen && (
+                      <span className="ml-2 text-xs text-red-600">Frozen</span>
+                    )}
+                    <p className="text-sm text-gray-500">{u.email}</p>
+                  </button>
+                ))}
+              </div>
+
+              {adminSelected && (
+                <div className="md:col-span-2 p-4 space-y-4">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h4 className="font-semibold text-gray-900">
+                        {adminSelected.name}{" "}
+                        <span className="text-sm font-normal text-gray-500">
+                          {adminSelected.email} · {adminSelected.role}
+                        </span>
+                      </h4>
+                      <p className="text-sm text-gray-600">
+                        Balance ${adminSelected.balance} ·{" "}
+                        {adminSelected.emailVerified
+                          ? "email verified"
+                          : "email not verified"}{" "}
+                        · {adminSelected.failedLogins} failed logins
+                      </p>
+                      {adminSelected.frozen && (
+                        <p className="text-sm text-red-600">
+                          Frozen{" "}
+                          {new Date(adminSelected.frozenAt).toLocaleString()}:{" "}
+                          {adminSelected.frozenReason}
+                        </p>
+                      )}
+                      {adminSelected.loginLockedUntil && (
+                        <p className="text-sm text-red-600">
+                          Login locked until{" "}
+                          {new Date(
+                            adminSelected.loginLockedUntil,
+                          ).toLocaleString()}
+                        </p>
+                      )}
+                    </div>
+                    {adminSelected.failedLogins > 0 && (
+                      <button
+                        onClick={() => handleAdminAction("unlock")}
+                        className="px-3 py-1 border border-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        Clear failed logins
+                      </button>
+                    )}
+                  </div>
+
+                  {user.role === "admin" && (
+                    <form
+                      onSubmit={handleAdminAdjustment}
+                      className="flex flex-col md:flex-row gap-2"
+                    >
+                      <input
+                        type="text"
+                        placeholder="Reason"
+                        value={adminReason}
+                        onChange={(e) => setAdminReason(e.target.value)}
+                        className="flex-1 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                      />
+                      <select
+                        value={adjustment.direction}
+                        onChange={(e) =>
+                          setAdjustment({
+                            ...adjustment,
+                            direction: e.target.value,
+                          })
+                        }
+                        className="p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                      >
+                        <option value="credit">Credit</option>
+                        <option value="debit">Debit</option>
+                      </select>
+                      <input
+                        type="number"
+                        step="0.01"
+                        placeholder="Amount"
+                        value={adjustment.amount}
+                        onChange={(e) =>
+                          setAdjustment({
+                            ...adjustment,
+                            amount: e.target.value,
+                          })
+                        }
+                        className="w-28 p-2 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow"
+                      />
+                      <button
+                        type="submit"
+                        className="px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                      >
+                        Adjust
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          handleAdminAction(
+                            adminSelected.frozen ? "unfreeze" : "freeze",
+                          )
+                        }
+                        className="px-3 py-2 text-sm border border-red-500 text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+                      >
+                        {adminSelected.frozen ? "Unfreeze" : "Freeze"}
+                      </button>
+                    </form>
+                  )}
+
+                  <div className="divide-y divide-gray-100 text-sm">
+                    {adminTransactions.map((transaction) => (
+                      <div
+                        key={transaction.id}
+                        className="py-2 flex justify-between"
+                      >
+                        <span>
+                          {describeTransaction(transaction)}
+                          <span className="text-gray-500 ml-2">
+                            {new Date(transaction.date).toLocaleString()}
+                          </span>
+                          {transaction.note && (
+                            <span className="text-gray-600 ml-2">
+                              {transaction.note}
+                            </span>
+                          )}
+                        </span>
+                        <span
+                          className={
+                            CREDIT_TYPES.includes(transaction.type)
+                              ? "text-green-600"
+                              : "text-red-600"
+                          }
+                        >
+                          {CREDIT_TYPES.includes(transaction.type) ? "+" : "-"}$
+                          {transaction.amount}
+                        </span>
+                      </div>
+                    ))}
+                    {adminTransactions.length === 0 && (
+                      <p className="py-2 text-gray-500">No transactions</p>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
           </div>
-        </div>
+        )}
       </div>
     </div>
   );